@@ -0,0 +1,210 @@
+/*
+ * Dual Joystick Controller - two players on one Arduino
+ *
+ * This sketch reads two analog joysticks and reports both in every sample,
+ * so a single board can drive both cars in split-screen mode. The game
+ * treats each stick as its own controller with its own calibration.
+ *
+ * Binary frames (default) carry both sticks in one payload
+ * (see src/serial-protocol.js):
+ *   0xA5 | VERSION | SEQUENCE | LENGTH=10 | STICK 1 (5 bytes) | STICK 2 (5 bytes) | CRC-8
+ *   Each stick: X (uint16 little endian) | Y (uint16 little endian) | BUTTONS (bitmask)
+ *
+ * CSV mode (set sendBinary to false) prints one line per sample:
+ *   X1,Y1,B1,X2,Y2,B2
+ *
+ * Connection:
+ * - Joystick 1 VRx to A0, VRy to A1, SW to D4 (player 1)
+ * - Joystick 2 VRx to A2, VRy to A3, SW to D5 (player 2)
+ * - Both joysticks GND to Arduino GND and +5V to Arduino 5V
+ */
+
+// Number of sticks on the board
+#define STICK_COUNT 2
+
+// Pins per stick
+const byte STICK_X_PINS[STICK_COUNT] = { A0, A2 };
+const byte STICK_Y_PINS[STICK_COUNT] = { A1, A3 };
+const byte STICK_BTN_PINS[STICK_COUNT] = { 4, 5 };
+
+// Protocol constants - must match src/serial-protocol.js
+const byte FRAME_START = 0xA5;
+const byte PROTOCOL_VERSION = 1;
+const byte JOYSTICK_PAYLOAD_SIZE = 5;
+
+// Binary frames detect dropped and corrupted samples; CSV is easier to read in a serial monitor
+const bool sendBinary = true;
+
+// Time between samples. At 9600 baud the port carries 960 bytes per second:
+// 15 byte frames fit 50 times a second, CSV lines of up to 25 bytes 30 times.
+const unsigned long sampleInterval = sendBinary ? 20 : 33;
+
+// Sequence number, wraps around at 255
+byte sequence = 0;
+
+// Calibration values - set during setup
+int centerX[STICK_COUNT];
+int centerY[STICK_COUNT];
+
+// Deadzone for each joystick (to prevent drift)
+const int deadZone = 25;
+
+// Incoming text from the game (capability query)
+String hostQuery = "";
+
+void setup() {
+  // Initialize serial communication at 9600 baud
+  Serial.begin(9600);
+
+  // Configure button pins with pull-up resistors
+  for (byte stick = 0; stick < STICK_COUNT; stick++) {
+    pinMode(STICK_BTN_PINS[stick], INPUT_PULLUP);
+  }
+  pinMode(LED_BUILTIN, OUTPUT);
+
+  // Wait for serial port to connect (max 3 seconds)
+  unsigned long startTime = millis();
+  while (!Serial && (millis() - startTime < 3000)) {
+    ; // wait for serial port to connect
+  }
+
+  Serial.println("Dual Joystick Ready");
+
+  calibrateJoysticks();
+}
+
+// Find the resting center of both sticks - keep them still while the LED blinks
+void calibrateJoysticks() {
+  const int calSamples = 30;
+  long sumX[STICK_COUNT] = { 0 };
+  long sumY[STICK_COUNT] = { 0 };
+
+  Serial.println("Calibrating joysticks...");
+
+  for (int i = 0; i < calSamples; i++) {
+    for (byte stick = 0; stick < STICK_COUNT; stick++) {
+      sumX[stick] += analogRead(STICK_X_PINS[stick]);
+      sumY[stick] += analogRead(STICK_Y_PINS[stick]);
+    }
+    digitalWrite(LED_BUILTIN, i % 2);
+    delay(20);
+  }
+
+  for (byte stick = 0; stick < STICK_COUNT; stick++) {
+    centerX[stick] = sumX[stick] / calSamples;
+    centerY[stick] = sumY[stick] / calSamples;
+
+    Serial.print("Calibration complete! Stick "); Serial.print(stick + 1);
+    Serial.print(" center X: "); Serial.print(centerX[stick]);
+    Serial.print(", Y: "); Serial.println(centerY[stick]);
+  }
+  digitalWrite(LED_BUILTIN, LOW);
+}
+
+// CRC-8, polynomial 0x07, initial value 0x00
+byte crc8(const byte *data, byte length) {
+  byte crc = 0;
+  for (byte i = 0; i < length; i++) {
+    crc ^= data[i];
+    for (byte bit = 0; bit < 8; bit++) {
+      crc = (crc & 0x80) ? (crc << 1) ^ 0x07 : (crc << 1);
+    }
+  }
+  return crc;
+}
+
+// Read one stick, re-centered around 512 with the deadzone applied
+void readStick(byte stick, int &x, int &y, byte &buttons) {
+  x = constrain(analogRead(STICK_X_PINS[stick]) - centerX[stick] + 512, 0, 1023);
+  y = constrain(analogRead(STICK_Y_PINS[stick]) - centerY[stick] + 512, 0, 1023);
+
+  if (abs(x - 512) < deadZone) x = 512;
+  if (abs(y - 512) < deadZone) y = 512;
+
+  // LOW when pressed because of pull-up resistor
+  buttons = digitalRead(STICK_BTN_PINS[stick]) == LOW ? 0x01 : 0x00;
+}
+
+// Send one sample of all sticks as a single binary frame
+void sendJoystickFrame(const int *x, const int *y, const byte *buttons) {
+  const byte payloadSize = JOYSTICK_PAYLOAD_SIZE * STICK_COUNT;
+  byte frame[4 + payloadSize + 1];
+
+  frame[0] = FRAME_START;
+  frame[1] = PROTOCOL_VERSION;
+  frame[2] = sequence++;
+  frame[3] = payloadSize;
+
+  for (byte stick = 0; stick < STICK_COUNT; stick++) {
+    byte *payload = frame + 4 + stick * JOYSTICK_PAYLOAD_SIZE;
+    payload[0] = lowByte(x[stick]);
+    payload[1] = highByte(x[stick]);
+    payload[2] = lowByte(y[stick]);
+    payload[3] = highByte(y[stick]);
+    payload[4] = buttons[stick];
+  }
+
+  // CRC covers everything after the start byte
+  frame[4 + payloadSize] = crc8(frame + 1, 3 + payloadSize);
+
+  Serial.write(frame, sizeof(frame));
+}
+
+// Send one sample of all sticks as a CSV line (X1,Y1,B1,X2,Y2,B2)
+void sendJoystickLine(const int *x, const int *y, const byte *buttons) {
+  for (byte stick = 0; stick < STICK_COUNT; stick++) {
+    if (stick > 0) Serial.print(",");
+    Serial.print(x[stick]);
+    Serial.print(",");
+    Serial.print(y[stick]);
+    Serial.print(",");
+    Serial.print(buttons[stick]);
+  }
+  Serial.println();
+}
+
+// Answer the game's capability query ("?INFO", see src/serial-protocol.js)
+void checkForHostQuery() {
+  while (Serial.available() > 0) {
+    char c = Serial.read();
+    if (c == '\n' || c == '\r') {
+      if (hostQuery == "?INFO") {
+        sendFirmwareInfo();
+      }
+      hostQuery = "";
+    } else if (hostQuery.length() < 32) {
+      hostQuery += c;
+    }
+  }
+}
+
+void sendFirmwareInfo() {
+  Serial.print("@INFO fw=dual_joystick;proto=");
+  Serial.print(sendBinary ? "binary" : "csv");
+  Serial.print(";ver=1;axes=2;buttons=1;rate=");
+  Serial.print(1000 / sampleInterval);
+  Serial.print(";centered=1;sticks=");
+  Serial.println(STICK_COUNT);
+}
+
+void loop() {
+  // Reply to the game's handshake
+  checkForHostQuery();
+
+  int x[STICK_COUNT];
+  int y[STICK_COUNT];
+  byte buttons[STICK_COUNT];
+
+  for (byte stick = 0; stick < STICK_COUNT; stick++) {
+    readStick(stick, x[stick], y[stick], buttons[stick]);
+  }
+
+  if (sendBinary) {
+    sendJoystickFrame(x, y, buttons);
+  } else {
+    sendJoystickLine(x, y, buttons);
+  }
+
+  // Small delay to prevent flooding the serial port
+  delay(sampleInterval);
+}
@@ -0,0 +1,201 @@
+/*
+ * Arduino Joystick Controller with Binary Framed Protocol
+ *
+ * This sketch reads analog joystick values and sends them as compact
+ * binary frames with a sequence number and CRC, so the game can detect
+ * dropped and corrupted samples. Debug text can still be printed on the
+ * same port - the game separates frames from text by the start byte.
+ *
+ * Frame layout (see src/serial-protocol.js):
+ *   0xA5 | VERSION | SEQUENCE | LENGTH | PAYLOAD... | CRC-8
+ *
+ * Version 1 payload (5 bytes):
+ *   X (uint16 little endian) | Y (uint16 little endian) | BUTTONS (bitmask)
+ *
+ * Connection:
+ * - Joystick VRx to Arduino A0 (Steering)
+ * - Joystick VRy to Arduino A1 (Throttle/brake)
+ * - Joystick GND to Arduino GND
+ * - Joystick +5V to Arduino 5V
+ * - Joystick SW (button) to Arduino D4 (Boost)
+ */
+
+// Define analog pins
+#define JOY_X A0
+#define JOY_Y A1
+#define JOY_BTN 4
+
+// Protocol constants - must match src/serial-protocol.js
+const byte FRAME_START = 0xA5;
+const byte PROTOCOL_VERSION = 1;
+const byte JOYSTICK_PAYLOAD_SIZE = 5;
+
+// Sequence number, wraps around at 255
+byte sequence = 0;
+
+// Variables for smoothing
+const int numReadings = 2;
+int readingsX[numReadings];
+int readingsY[numReadings];
+int readIndex = 0;
+int totalX = 0;
+int totalY = 0;
+
+// Calibration values - set during setup
+int centerX = 512;
+int centerY = 512;
+
+// Deadzone for joystick (to prevent drift)
+const int deadZone = 25;
+
+// Debug settings
+bool printDebug = true;     // Debug text is safe to interleave with frames
+unsigned long lastDebugTime = 0;
+const unsigned long debugInterval = 2000; // Debug print interval in ms
+
+// Incoming text from the game (capability query)
+String hostQuery = "";
+
+void setup() {
+  // Initialize serial communication at 9600 baud
+  Serial.begin(9600);
+
+  // Configure button pin with pull-up resistor
+  pinMode(JOY_BTN, INPUT_PULLUP);
+  pinMode(LED_BUILTIN, OUTPUT);
+
+  // Wait for serial port to connect (max 3 seconds)
+  unsigned long startTime = millis();
+  while (!Serial && (millis() - startTime < 3000)) {
+    ; // wait for serial port to connect
+  }
+
+  Serial.println("Binary Frame Joystick Ready");
+
+  calibrateJoystick();
+
+  // Initialize smoothing arrays with calibrated center values
+  for (int i = 0; i < numReadings; i++) {
+    readingsX[i] = centerX;
+    readingsY[i] = centerY;
+    totalX += centerX;
+    totalY += centerY;
+  }
+}
+
+// Find the resting center of the stick
+void calibrateJoystick() {
+  const int calSamples = 30;
+  long sumX = 0;
+  long sumY = 0;
+
+  Serial.println("Calibrating joystick...");
+
+  for (int i = 0; i < calSamples; i++) {
+    sumX += analogRead(JOY_X);
+    sumY += analogRead(JOY_Y);
+    digitalWrite(LED_BUILTIN, i % 2);
+    delay(20);
+  }
+
+  centerX = sumX / calSamples;
+  centerY = sumY / calSamples;
+  digitalWrite(LED_BUILTIN, LOW);
+
+  Serial.print("Calibration complete! Center X: "); Serial.print(centerX);
+  Serial.print(", Y: "); Serial.println(centerY);
+}
+
+// CRC-8, polynomial 0x07, initial value 0x00
+byte crc8(const byte *data, byte length) {
+  byte crc = 0;
+  for (byte i = 0; i < length; i++) {
+    crc ^= data[i];
+    for (byte bit = 0; bit < 8; bit++) {
+      crc = (crc & 0x80) ? (crc << 1) ^ 0x07 : (crc << 1);
+    }
+  }
+  return crc;
+}
+
+// Send one joystick sample as a binary frame
+void sendJoystickFrame(int x, int y, byte buttons) {
+  byte frame[4 + JOYSTICK_PAYLOAD_SIZE + 1];
+
+  frame[0] = FRAME_START;
+  frame[1] = PROTOCOL_VERSION;
+  frame[2] = sequence++;
+  frame[3] = JOYSTICK_PAYLOAD_SIZE;
+  frame[4] = lowByte(x);
+  frame[5] = highByte(x);
+  frame[6] = lowByte(y);
+  frame[7] = highByte(y);
+  frame[8] = buttons;
+
+  // CRC covers everything after the start byte
+  frame[9] = crc8(frame + 1, 3 + JOYSTICK_PAYLOAD_SIZE);
+
+  Serial.write(frame, sizeof(frame));
+}
+
+// Answer the game's capability query ("?INFO", see src/serial-protocol.js)
+void checkForHostQuery() {
+  while (Serial.available() > 0) {
+    char c = Serial.read();
+    if (c == '\n' || c == '\r') {
+      if (hostQuery == "?INFO") {
+        sendFirmwareInfo();
+      }
+      hostQuery = "";
+    } else if (hostQuery.length() < 32) {
+      hostQuery += c;
+    }
+  }
+}
+
+void sendFirmwareInfo() {
+  Serial.println("@INFO fw=joystick_binary_frames;proto=binary;ver=1;axes=2;buttons=1;rate=50;centered=1");
+}
+
+void loop() {
+  // Reply to the game's handshake
+  checkForHostQuery();
+
+  // Read raw joystick values (0-1023)
+  int rawX = analogRead(JOY_X);
+  int rawY = analogRead(JOY_Y);
+
+  // Update smoothing arrays
+  totalX = totalX - readingsX[readIndex] + rawX;
+  totalY = totalY - readingsY[readIndex] + rawY;
+  readingsX[readIndex] = rawX;
+  readingsY[readIndex] = rawY;
+  readIndex = (readIndex + 1) % numReadings;
+
+  // Re-center around 512 using the calibrated center
+  int joystickX = constrain(totalX / numReadings - centerX + 512, 0, 1023);
+  int joystickY = constrain(totalY / numReadings - centerY + 512, 0, 1023);
+
+  // Apply deadzone
+  if (abs(joystickX - 512) < deadZone) joystickX = 512;
+  if (abs(joystickY - 512) < deadZone) joystickY = 512;
+
+  // Read button state (LOW when pressed because of pull-up resistor)
+  byte buttons = digitalRead(JOY_BTN) == LOW ? 0x01 : 0x00;
+
+  sendJoystickFrame(joystickX, joystickY, buttons);
+
+  // Print debug information periodically
+  if (printDebug && millis() - lastDebugTime > debugInterval) {
+    lastDebugTime = millis();
+
+    Serial.println("Debug Info:");
+    Serial.print("Raw X: "); Serial.print(rawX);
+    Serial.print(", Raw Y: "); Serial.println(rawY);
+    Serial.print("Frames sent (seq): "); Serial.println(sequence);
+  }
+
+  // 50 frames per second: 10 byte frames at 9600 baud (960 bytes per
+  // second) leave room for the debug prints
+  delay(20);
+}
@@ -0,0 +1,231 @@
+/*
+ * Arduino Joystick with Game-Event Feedback
+ *
+ * Reference sketch for a joystick box that reacts to the game: it sends the
+ * stick as CSV data like joystick_serial.ino, and plays LED, buzzer and
+ * vibration patterns when the game sends "#FX <event>" lines
+ * (see src/serial-protocol.js and src/feedback-manager.js).
+ *
+ * Connection:
+ * - Joystick VRx to Arduino A0
+ * - Joystick VRy to Arduino A1
+ * - Joystick SW (button) to Arduino D2
+ * - Joystick GND to Arduino GND
+ * - Joystick +5V to Arduino 5V
+ * - Green LED (with 220 ohm resistor) to D5
+ * - Red LED (with 220 ohm resistor) to D6
+ * - Piezo buzzer to D8
+ * - Vibration motor to D9 through an NPN transistor (e.g. 2N2222) with a
+ *   flyback diode across the motor - never drive the motor from the pin directly
+ */
+
+// Define analog pins
+#define JOY_X A0
+#define JOY_Y A1
+#define JOY_BTN 2
+
+// Feedback outputs
+#define LED_GREEN 5
+#define LED_RED 6
+#define BUZZER 8
+#define RUMBLE 9
+
+// Variables for joystick readings
+int joystickX = 0;
+int joystickY = 0;
+int buttonState = 0;
+
+// Variables for calibration
+int centerX = 512;
+int centerY = 512;
+int deadzone = 20;
+
+// Incoming text from the game (capability query and feedback events)
+String hostQuery = "";
+
+// One step of a feedback pattern: outputs to switch on, and for how long
+struct FeedbackStep {
+  bool green;
+  bool red;
+  int tone;        // Buzzer frequency in Hz (0 = silent)
+  byte rumble;     // Motor strength 0-255
+  int duration;    // ms
+};
+
+// Patterns for each game event (a step with duration 0 ends the pattern)
+const FeedbackStep offtrackPattern[] = {
+  { false, true, 220, 160, 150 }, { false, false, 0, 0, 80 }, { false, true, 220, 160, 150 }, { false, false, 0, 0, 0 }
+};
+const FeedbackStep collisionPattern[] = {
+  { false, true, 110, 255, 200 }, { false, false, 0, 0, 0 }
+};
+const FeedbackStep wrongwayPattern[] = {
+  { false, true, 440, 90, 120 }, { false, false, 0, 0, 120 },
+  { false, true, 440, 90, 120 }, { false, false, 0, 0, 120 },
+  { false, true, 440, 90, 120 }, { false, false, 0, 0, 0 }
+};
+const FeedbackStep starPattern[] = {
+  { true, false, 1320, 0, 60 }, { true, false, 1760, 0, 60 }, { false, false, 0, 0, 0 }
+};
+const FeedbackStep lapPattern[] = {
+  { true, false, 880, 100, 150 }, { false, false, 0, 0, 60 }, { true, false, 1175, 100, 250 }, { false, false, 0, 0, 0 }
+};
+const FeedbackStep victoryPattern[] = {
+  { true, false, 1047, 120, 150 }, { true, true, 1319, 0, 150 },
+  { true, false, 1568, 120, 150 }, { true, true, 2093, 200, 400 }, { false, false, 0, 0, 0 }
+};
+const FeedbackStep failPattern[] = {
+  { false, true, 392, 200, 250 }, { false, true, 330, 200, 250 }, { false, true, 262, 255, 500 }, { false, false, 0, 0, 0 }
+};
+
+// Pattern being played (non-blocking, so joystick data keeps flowing)
+const FeedbackStep* currentPattern = NULL;
+int patternStep = 0;
+unsigned long stepStartTime = 0;
+
+void setup() {
+  // Initialize serial communication
+  Serial.begin(9600);
+
+  // Initialize button pin
+  pinMode(JOY_BTN, INPUT_PULLUP);
+
+  // Initialize feedback outputs
+  pinMode(LED_GREEN, OUTPUT);
+  pinMode(LED_RED, OUTPUT);
+  pinMode(BUZZER, OUTPUT);
+  pinMode(RUMBLE, OUTPUT);
+  setOutputs(false, false, 0, 0);
+
+  // Wait for serial connection to establish
+  delay(1000);
+
+  // Perform initial calibration
+  calibrateJoystick();
+}
+
+void calibrateJoystick() {
+  Serial.println("Calibrating joystick...");
+
+  // Take multiple readings to get a stable center value
+  long sumX = 0;
+  long sumY = 0;
+  const int samples = 20;
+
+  for (int i = 0; i < samples; i++) {
+    sumX += analogRead(JOY_X);
+    sumY += analogRead(JOY_Y);
+    delay(20);
+  }
+
+  // Calculate average center position
+  centerX = sumX / samples;
+  centerY = sumY / samples;
+
+  Serial.print("Calibrated center: X=");
+  Serial.print(centerX);
+  Serial.print(", Y=");
+  Serial.println(centerY);
+}
+
+// Drive all feedback outputs at once
+void setOutputs(bool green, bool red, int frequency, byte rumble) {
+  digitalWrite(LED_GREEN, green ? HIGH : LOW);
+  digitalWrite(LED_RED, red ? HIGH : LOW);
+  if (frequency > 0) {
+    tone(BUZZER, frequency);
+  } else {
+    noTone(BUZZER);
+  }
+  analogWrite(RUMBLE, rumble);
+}
+
+// Start a pattern, replacing whatever is playing
+void playPattern(const FeedbackStep* pattern) {
+  currentPattern = pattern;
+  patternStep = 0;
+  stepStartTime = millis();
+  setOutputs(pattern[0].green, pattern[0].red, pattern[0].tone, pattern[0].rumble);
+}
+
+// Advance the pattern when the current step is over
+void updatePattern() {
+  if (currentPattern == NULL) return;
+
+  if (millis() - stepStartTime < (unsigned long)currentPattern[patternStep].duration) return;
+
+  patternStep++;
+  stepStartTime = millis();
+
+  const FeedbackStep& step = currentPattern[patternStep];
+  setOutputs(step.green, step.red, step.tone, step.rumble);
+
+  // The closing step switches everything off
+  if (step.duration == 0) {
+    currentPattern = NULL;
+  }
+}
+
+// Play the pattern for a game event; unknown events are ignored
+void handleFeedback(String event) {
+  if (event == "offtrack") playPattern(offtrackPattern);
+  else if (event == "collision") playPattern(collisionPattern);
+  else if (event == "wrongway") playPattern(wrongwayPattern);
+  else if (event == "star") playPattern(starPattern);
+  else if (event == "lap") playPattern(lapPattern);
+  else if (event == "victory") playPattern(victoryPattern);
+  else if (event == "fail") playPattern(failPattern);
+}
+
+// Read lines from the game: the capability query ("?INFO") and
+// feedback events ("#FX <event>"), see src/serial-protocol.js
+void checkForHostQuery() {
+  while (Serial.available() > 0) {
+    char c = Serial.read();
+    if (c == '\n' || c == '\r') {
+      if (hostQuery == "?INFO") {
+        sendFirmwareInfo();
+      } else if (hostQuery.startsWith("#FX ")) {
+        handleFeedback(hostQuery.substring(4));
+      }
+      hostQuery = "";
+    } else if (hostQuery.length() < 32) {
+      hostQuery += c;
+    }
+  }
+}
+
+void sendFirmwareInfo() {
+  Serial.println("@INFO fw=joystick_feedback;proto=csv;ver=1;axes=2;buttons=1;rate=50;centered=1;fx=led,buzzer,rumble");
+}
+
+void loop() {
+  // Reply to the game's handshake and play feedback
+  checkForHostQuery();
+  updatePattern();
+
+  // Read raw joystick values
+  joystickX = analogRead(JOY_X);
+  joystickY = analogRead(JOY_Y);
+
+  // Read button state (active low)
+  buttonState = digitalRead(JOY_BTN) == LOW ? 1 : 0;
+
+  // Apply calibration and filtering
+  int calibratedX = joystickX - centerX + 512;
+  int calibratedY = joystickY - centerY + 512;
+
+  // Apply deadzone
+  if (abs(calibratedX - 512) < deadzone) calibratedX = 512;
+  if (abs(calibratedY - 512) < deadzone) calibratedY = 512;
+
+  // Send values as CSV string (format: "X,Y,BUTTON")
+  Serial.print(calibratedX);
+  Serial.print(",");
+  Serial.print(calibratedY);
+  Serial.print(",");
+  Serial.println(buttonState);
+
+  // 50 samples per second
+  delay(20);
+}
@@ -28,6 +28,9 @@ int centerY = 512;
 int deadzone = 20;  // Increased deadzone for stability
 bool calibrated = false;
 
+// Incoming text from the game (capability query)
+String hostQuery = "";
+
 void setup() {
   // Initialize serial communication
   Serial.begin(9600);
@@ -68,7 +71,29 @@ void calibrateJoystick() {
   calibrated = true;
 }
 
+// Answer the game's capability query ("?INFO", see src/serial-protocol.js)
+void checkForHostQuery() {
+  while (Serial.available() > 0) {
+    char c = Serial.read();
+    if (c == '\n' || c == '\r') {
+      if (hostQuery == "?INFO") {
+        sendFirmwareInfo();
+      }
+      hostQuery = "";
+    } else if (hostQuery.length() < 32) {
+      hostQuery += c;
+    }
+  }
+}
+
+void sendFirmwareInfo() {
+  Serial.println("@INFO fw=joystick_serial;proto=csv;ver=1;axes=2;buttons=1;rate=20;centered=1");
+}
+
 void loop() {
+  // Reply to the game's handshake
+  checkForHostQuery();
+  
   // Read raw joystick values
   joystickX = analogRead(JOY_X);
   joystickY = analogRead(JOY_Y);
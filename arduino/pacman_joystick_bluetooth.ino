@@ -16,6 +16,11 @@
  * - HC-06 GND to Arduino GND
  * - HC-06 TXD to Arduino D10 (RX)
  * - HC-06 RXD to Arduino D11 (TX)
+ *
+ * The HC-06 is a Bluetooth Classic module: pair it with the computer and use
+ * "Connect Bluetooth Joystick" in the game, which opens it as a Bluetooth
+ * serial port. A BLE module with the same wiring (HM-10, Nordic UART or
+ * Microchip RN4870/BM70) works through "Connect BLE Joystick" instead.
  */
 
 #include <SoftwareSerial.h>
@@ -60,6 +65,9 @@ bool valueChanged = false;
 // Debug flag to print calibration values
 bool debugCalibration = true;
 
+// Incoming text from the game (capability query)
+String hostQuery = "";
+
 void setup() {
   // Initialize regular serial for debug output
   Serial.begin(9600);
@@ -114,7 +122,30 @@ void calibrateJoystick() {
   calibrated = true;
 }
 
+// Answer the game's capability query ("?INFO") over the Bluetooth link,
+// see src/serial-protocol.js
+void checkForHostQuery() {
+  while (btSerial.available() > 0) {
+    char c = btSerial.read();
+    if (c == '\n' || c == '\r') {
+      if (hostQuery == "?INFO") {
+        sendFirmwareInfo();
+      }
+      hostQuery = "";
+    } else if (hostQuery.length() < 32) {
+      hostQuery += c;
+    }
+  }
+}
+
+void sendFirmwareInfo() {
+  btSerial.println("@INFO fw=pacman_joystick_bluetooth;proto=csv;ver=1;axes=2;buttons=1;rate=40;centered=1");
+}
+
 void loop() {
+  // Reply to the game's handshake
+  checkForHostQuery();
+  
   // Subtract the last reading
   xTotal = xTotal - xReadings[readIndex];
   yTotal = yTotal - yReadings[readIndex];
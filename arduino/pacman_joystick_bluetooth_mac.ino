@@ -62,6 +62,9 @@ bool valueChanged = false;
 // Debug flag to print calibration values
 bool debugCalibration = true;
 
+// Incoming text from the game (capability query)
+String hostQuery = "";
+
 // Flag to indicate HC-06 configuration is complete
 bool hc06Configured = false;
 
@@ -155,7 +158,30 @@ void calibrateJoystick() {
   calibrated = true;
 }
 
+// Answer the game's capability query ("?INFO") over the Bluetooth link,
+// see src/serial-protocol.js
+void checkForHostQuery() {
+  while (btSerial.available() > 0) {
+    char c = btSerial.read();
+    if (c == '\n' || c == '\r') {
+      if (hostQuery == "?INFO") {
+        sendFirmwareInfo();
+      }
+      hostQuery = "";
+    } else if (hostQuery.length() < 32) {
+      hostQuery += c;
+    }
+  }
+}
+
+void sendFirmwareInfo() {
+  btSerial.println("@INFO fw=pacman_joystick_bluetooth_mac;proto=csv;ver=1;axes=2;buttons=1;rate=50;centered=1");
+}
+
 void loop() {
+  // Reply to the game's handshake
+  checkForHostQuery();
+  
   // Subtract the last reading
   xTotal = xTotal - xReadings[readIndex];
   yTotal = yTotal - yReadings[readIndex];
@@ -38,6 +38,9 @@ int joystickX = 0;
 int joystickY = 0;
 bool buttonPressed = false;
 
+// Incoming text from the game (capability query)
+String hostQuery = "";
+
 void setup() {
   // Initialize regular serial for debug output
   Serial.begin(9600);
@@ -55,7 +58,26 @@ void setup() {
   btSerial.println("MacBT,Ready,1");
 }
 
+// Answer the game's capability query ("?INFO") over the Bluetooth link;
+// the values are sent raw, so the game applies its own center offsets
+void checkForHostQuery() {
+  while (btSerial.available() > 0) {
+    char c = btSerial.read();
+    if (c == '\n' || c == '\r') {
+      if (hostQuery == "?INFO") {
+        btSerial.println("@INFO fw=pacman_joystick_bluetooth_mac_simple;proto=csv;ver=1;axes=2;buttons=1;rate=20;centered=0");
+      }
+      hostQuery = "";
+    } else if (hostQuery.length() < 32) {
+      hostQuery += c;
+    }
+  }
+}
+
 void loop() {
+  // Reply to the game's handshake
+  checkForHostQuery();
+  
   // Read joystick values directly (no smoothing for simplicity)
   joystickX = analogRead(JOY_X);
   joystickY = analogRead(JOY_Y);
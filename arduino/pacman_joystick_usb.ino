@@ -44,6 +44,12 @@ const int deadZone = 25; // Reduced from 30 to allow more sensitivity
 // Response curve enhancement
 const float responseCurve = 1.3; // Power value for enhanced response (higher = sharper response)
 
+// Firmware version reported to the game
+const char* firmwareVersion = "1.1.0";
+
+// Time between samples in ms (the game can change it with the RATE command)
+unsigned long sampleInterval = 8;
+
 // Debug settings
 bool printDebug = true;     // Set to true to print debugging information
 unsigned long lastDebugTime = 0;
@@ -52,6 +58,9 @@ const unsigned long debugInterval = 2000; // Debug print interval in ms
 // Startup flag for initial calibration warning
 bool startupMessageSent = false;
 
+// Incoming text from the game (capability query and commands)
+String hostQuery = "";
+
 // EEPROM usage for storing calibration
 #include <EEPROM.h>
 const int eepromCenterXAddr = 0;
@@ -89,17 +98,8 @@ void setup() {
     saveCalibrationToEEPROM();
   }
   
-  // Calculate offset from ideal center (512)
-  offsetX = 512 - centerX;
-  offsetY = 512 - centerY;
-  
-  // Initialize smoothing arrays with calibrated center values
-  for (int i = 0; i < numReadings; i++) {
-    readingsX[i] = centerX;
-    readingsY[i] = centerY;
-    totalX += readingsX[i];
-    totalY += readingsY[i];
-  }
+  // Calculate offsets and initialize smoothing with the calibrated center
+  applyCenter();
 
   // Print initial calibration values
   Serial.println("Current calibration values:");
@@ -153,6 +153,21 @@ bool loadCalibrationFromEEPROM() {
   return true;
 }
 
+// Recompute the offsets from the center and restart smoothing there
+void applyCenter() {
+  // Calculate offset from ideal center (512)
+  offsetX = 512 - centerX;
+  offsetY = 512 - centerY;
+  
+  // Reinitialize the smoothing arrays
+  for (int i = 0; i < numReadings; i++) {
+    readingsX[i] = centerX;
+    readingsY[i] = centerY;
+  }
+  totalX = centerX * numReadings;
+  totalY = centerY * numReadings;
+}
+
 // Improved calibration function
 void calibrateJoystick() {
   // Take multiple readings to find the actual center
@@ -231,18 +246,122 @@ int applyResponseCurve(int input) {
   return constrain(512 + (response * 512.0), 0, 1023);
 }
 
+// Read lines from the game: the capability query ("?INFO") and
+// commands ("!<id> <COMMAND> [args]"), see src/serial-protocol.js
+void checkForHostQuery() {
+  while (Serial.available() > 0) {
+    char c = Serial.read();
+    if (c == '\n' || c == '\r') {
+      if (hostQuery == "?INFO") {
+        sendFirmwareInfo();
+      } else if (hostQuery.startsWith("!")) {
+        handleCommand(hostQuery);
+      }
+      hostQuery = "";
+    } else if (hostQuery.length() < 32) {
+      hostQuery += c;
+    }
+  }
+}
+
+void sendFirmwareInfo() {
+  Serial.print("@INFO fw=pacman_joystick_usb;proto=csv;ver=1;axes=2;buttons=1;rate=");
+  Serial.print(1000 / sampleInterval);
+  Serial.println(";centered=1;cmd=1");
+}
+
+// Acknowledge a command, with optional key=value fields
+void sendAck(String id, String fields) {
+  Serial.print("@ACK ");
+  Serial.print(id);
+  if (fields.length() > 0) {
+    Serial.print(" ");
+    Serial.print(fields);
+  }
+  Serial.println();
+}
+
+// Reject a command with a reason
+void sendError(String id, String reason) {
+  Serial.print("@ERR ");
+  Serial.print(id);
+  Serial.print(" ");
+  Serial.println(reason);
+}
+
+String centerFields() {
+  return "x=" + String(centerX) + ";y=" + String(centerY);
+}
+
+// Run one command line: "!<id> <COMMAND> [arg1] [arg2]"
+void handleCommand(String line) {
+  // Split into id, command and up to two arguments
+  String parts[4];
+  int count = 0;
+  int start = 1;
+  while (count < 4 && start <= (int)line.length()) {
+    int space = line.indexOf(' ', start);
+    if (space == -1) space = line.length();
+    if (space > start) {
+      parts[count++] = line.substring(start, space);
+    }
+    start = space + 1;
+  }
+  
+  if (count < 2) {
+    return; // No id to reply to
+  }
+  
+  String id = parts[0];
+  String command = parts[1];
+  
+  if (command == "RECAL") {
+    calibrateJoystick();
+    saveCalibrationToEEPROM();
+    applyCenter();
+    sendAck(id, centerFields());
+  } else if (command == "RATE") {
+    int rate = parts[2].toInt();
+    if (count < 3 || rate < 10 || rate > 200) {
+      sendError(id, "rate must be 10-200");
+      return;
+    }
+    sampleInterval = 1000 / rate;
+    sendAck(id, "rate=" + String(1000 / sampleInterval));
+  } else if (command == "DEBUG") {
+    if (count < 3) {
+      sendError(id, "missing 0 or 1");
+      return;
+    }
+    printDebug = parts[2] == "1";
+    sendAck(id, printDebug ? "debug=1" : "debug=0");
+  } else if (command == "GETCENTER") {
+    sendAck(id, centerFields());
+  } else if (command == "SETCENTER") {
+    int x = parts[2].toInt();
+    int y = parts[3].toInt();
+    if (count < 4 || x < 200 || x > 800 || y < 200 || y > 800) {
+      sendError(id, "center must be 200-800");
+      return;
+    }
+    centerX = x;
+    centerY = y;
+    saveCalibrationToEEPROM();
+    applyCenter();
+    sendAck(id, centerFields());
+  } else if (command == "VERSION") {
+    sendAck(id, "fw=pacman_joystick_usb;version=" + String(firmwareVersion));
+  } else {
+    sendError(id, "unknown command");
+  }
+}
+
 void loop() {
   // Check for button-triggered calibration
   if (checkForCalibrationTrigger()) {
     calibrateJoystick();
     saveCalibrationToEEPROM();
-    // Reinitialize the smoothing arrays
-    for (int i = 0; i < numReadings; i++) {
-      readingsX[i] = centerX;
-      readingsY[i] = centerY;
-    }
-    totalX = centerX * numReadings;
-    totalY = centerY * numReadings;
+    applyCenter();
   }
   
   // Send a startup message once when the game connects
@@ -251,6 +370,9 @@ void loop() {
     startupMessageSent = true;
   }
   
+  // Reply to the game's handshake and commands
+  checkForHostQuery();
+  
   // Read raw joystick values (0-1023)
   int rawX = analogRead(JOY_X);
   int rawY = analogRead(JOY_Y);
@@ -304,6 +426,6 @@ void loop() {
     Serial.println("-------------------");
   }
   
-  // Small delay to prevent flooding the serial port
-  delay(8); // Further reduced from 10 for more responsive controls
+  // Small delay to prevent flooding the serial port (set by the RATE command)
+  delay(sampleInterval);
 } 
\ No newline at end of file
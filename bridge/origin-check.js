@@ -0,0 +1,32 @@
+/**
+ * WebSocket Origin Check
+ *
+ * Browsers let any web page open a WebSocket to localhost, and the page's
+ * address is only visible in the Origin header of the handshake. The bridge
+ * and the phone relay use this check so only the game's own pages can talk
+ * to the joystick, not whatever other site the user has open.
+ */
+
+// Pages served from this machine are always allowed
+const LOOPBACK_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Check the Origin header of a WebSocket handshake
+ * @param {string|undefined} origin - The Origin header (non-browser clients send none)
+ * @param {string[]} allowed - Other allowed origins ('https://192.168.1.20:5173') or hosts ('192.168.1.20:5173')
+ * @returns {boolean} True if the connection may be accepted
+ */
+export function isAllowedOrigin(origin, allowed = []) {
+  // Only browsers send an Origin, and only browsers run other sites' scripts
+  if (!origin) return true;
+
+  let url;
+  try {
+    url = new URL(origin);
+  } catch (err) {
+    return false;
+  }
+
+  if (LOOPBACK_HOSTNAMES.includes(url.hostname)) return true;
+  return allowed.some(entry => entry === url.origin || entry === url.host);
+}
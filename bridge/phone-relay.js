@@ -0,0 +1,187 @@
+/**
+ * Phone Controller Relay
+ *
+ * WebSocket relay that pairs a running game with a phone by room code (see
+ * src/phone-protocol.js). It is attached to the Vite dev and preview servers
+ * by vite.config.js, so phone.html and the relay share one address.
+ */
+
+import { WebSocketServer } from 'ws';
+import { isAllowedOrigin } from './origin-check.js';
+import {
+  PHONE_RELAY_PATH,
+  ROOM_CODE_LENGTH,
+  encodePhoneMessage,
+  parsePhoneMessage,
+  isValidRoomCode
+} from '../src/phone-protocol.js';
+
+// Inputs are tiny; anything bigger is not from our pages
+const MAX_MESSAGE_SIZE = 4096;
+
+// The only messages a phone may send; the rest belong to the relay
+const PHONE_MESSAGE_TYPES = ['input', 'pong'];
+
+/**
+ * Pick a room code that isn't in use
+ * @param {Map} rooms - Open rooms by code
+ * @returns {string} The new code
+ */
+function createRoomCode(rooms) {
+  let code;
+  do {
+    code = String(Math.floor(Math.random() * Math.pow(10, ROOM_CODE_LENGTH))).padStart(ROOM_CODE_LENGTH, '0');
+  } while (rooms.has(code));
+  return code;
+}
+
+/**
+ * Send a relay message if the socket is still open
+ * @param {WebSocket} socket - Target socket
+ * @param {string} type - Message type
+ * @param {object} fields - Message fields
+ */
+function send(socket, type, fields) {
+  if (socket && socket.readyState === socket.OPEN) {
+    socket.send(encodePhoneMessage(type, fields));
+  }
+}
+
+/**
+ * Reject a connection with a reason
+ * @param {WebSocket} socket - The socket to close
+ * @param {string} reason - Shown to the user
+ */
+function refuse(socket, reason) {
+  send(socket, 'error', { reason });
+  socket.close();
+}
+
+/**
+ * Attach the relay to an HTTP server
+ * @param {http.Server} httpServer - The dev or preview server
+ * @returns {WebSocketServer} The relay's WebSocket server
+ */
+export function attachPhoneRelay(httpServer) {
+  const relay = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_SIZE });
+
+  // code -> { game, phone }
+  const rooms = new Map();
+
+  httpServer.on('upgrade', (request, socket, head) => {
+    const url = new URL(request.url, 'http://localhost');
+    // Leave every other upgrade (Vite's HMR socket) alone
+    if (url.pathname !== PHONE_RELAY_PATH) return;
+
+    // Only pages served by this server may join, not other sites the user has open
+    const origin = request.headers.origin;
+    if (!isAllowedOrigin(origin, [request.headers.host])) {
+      console.warn(`[phone-relay] Refused browser connection from ${origin}`);
+      socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    relay.handleUpgrade(request, socket, head, (ws) => {
+      const role = url.searchParams.get('role');
+      if (role === 'game') {
+        openRoom(ws);
+      } else if (role === 'phone') {
+        joinRoom(ws, url.searchParams.get('code'));
+      } else {
+        refuse(ws, 'Unknown role');
+      }
+    });
+  });
+
+  /**
+   * Give a game a new room and forward its messages to the phone
+   * @param {WebSocket} game - The game's socket
+   */
+  function openRoom(game) {
+    const code = createRoomCode(rooms);
+    const room = { game, phone: null };
+    rooms.set(code, room);
+    console.log(`[phone-relay] Room ${code} opened`);
+
+    send(game, 'room', { code });
+
+    game.on('message', (data) => {
+      if (room.phone && room.phone.readyState === room.phone.OPEN) {
+        room.phone.send(data.toString());
+      }
+    });
+
+    game.on('close', () => {
+      rooms.delete(code);
+      console.log(`[phone-relay] Room ${code} closed`);
+      if (room.phone) {
+        send(room.phone, 'room-closed');
+        room.phone.close();
+      }
+    });
+  }
+
+  /**
+   * Pair a phone with a game and forward its messages
+   * @param {WebSocket} phone - The phone's socket
+   * @param {string} code - Room code typed on the phone
+   */
+  function joinRoom(phone, code) {
+    if (!isValidRoomCode(code)) {
+      refuse(phone, `Room codes have ${ROOM_CODE_LENGTH} digits`);
+      return;
+    }
+
+    const room = rooms.get(code);
+    if (!room) {
+      refuse(phone, `No game with room code ${code}`);
+      return;
+    }
+    if (room.phone) {
+      refuse(phone, `Room ${code} already has a phone`);
+      return;
+    }
+
+    room.phone = phone;
+    console.log(`[phone-relay] Phone joined room ${code}`);
+    send(phone, 'joined', { code });
+    send(room.game, 'phone-joined');
+
+    phone.on('message', (data) => {
+      const text = data.toString();
+      // A phone must not be able to fake relay messages like 'phone-left'
+      const message = parsePhoneMessage(text);
+      if (!message || !PHONE_MESSAGE_TYPES.includes(message.type)) return;
+
+      if (room.game.readyState === room.game.OPEN) {
+        room.game.send(text);
+      }
+    });
+
+    phone.on('close', () => {
+      if (room.phone !== phone) return;
+      room.phone = null;
+      console.log(`[phone-relay] Phone left room ${code}`);
+      send(room.game, 'phone-left');
+    });
+  }
+
+  return relay;
+}
+
+/**
+ * Vite plugin that serves the relay from the dev and preview servers
+ * @returns {object} Vite plugin
+ */
+export function phoneRelayPlugin() {
+  return {
+    name: 'phone-relay',
+    configureServer(server) {
+      if (server.httpServer) attachPhoneRelay(server.httpServer);
+    },
+    configurePreviewServer(server) {
+      attachPhoneRelay(server.httpServer);
+    }
+  };
+}
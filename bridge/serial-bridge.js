@@ -0,0 +1,390 @@
+#!/usr/bin/env node
+/**
+ * Serial-to-WebSocket Joystick Bridge
+ *
+ * Reads the Arduino joystick in Node and streams the parsed samples to
+ * browsers over WebSocket (see src/bridge-protocol.js), so browsers without
+ * Web Serial can play with the joystick through WebSocketController. Lines
+ * the game sends (handshake, commands, feedback) are written back to the
+ * board.
+ *
+ * Usage:
+ *   npm run bridge                          first USB serial port found
+ *   npm run bridge -- --port /dev/ttyACM0   a specific port
+ *   npm run bridge -- --fake                scripted joystick, no hardware
+ *   npm run bridge -- --replay file.json    replay a recording from the game
+ *   npm run bridge -- --list                list serial ports and exit
+ *
+ * Options: --baud <rate> (9600), --listen <port> (8765), --host <address>
+ * (127.0.0.1; use 0.0.0.0 to let other machines on the LAN connect),
+ * --allow-origin <origin> (a page address other than localhost that may
+ * connect, e.g. https://192.168.1.20:5173; repeat for several),
+ * --verbose (print the board's debug lines).
+ *
+ * Browsers let any site open a WebSocket to this machine, so connections
+ * from pages outside localhost and the --allow-origin list are refused.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { WebSocketServer } from 'ws';
+import { isAllowedOrigin } from './origin-check.js';
+import { FrameParser, decodeJoystickPayloads, parseJoystickLine } from '../src/serial-protocol.js';
+import {
+  BRIDGE_PROTOCOL_VERSION,
+  BRIDGE_DEFAULT_PORT,
+  encodeBridgeMessage,
+  parseBridgeMessage
+} from '../src/bridge-protocol.js';
+import MockSerialPort, { demoJoystickScript, demoFirmwareResponder } from '../src/mock-serial-port.js';
+import { parseRecording } from '../src/serial-recorder.js';
+
+const REOPEN_DELAY = 2000;
+const STATS_INTERVAL = 1000;
+
+/**
+ * Load the serialport package only when real hardware is used, so the fake
+ * mode works even where its native binding isn't available
+ * @returns {Promise<Function>} The SerialPort class
+ */
+async function loadSerialPort() {
+  const { SerialPort } = await import('serialport');
+  return SerialPort;
+}
+
+/**
+ * Find the first USB serial port (Arduino boards and USB-serial adapters)
+ * @returns {Promise<object|null>} Port entry from SerialPort.list()
+ */
+async function findUsbPort() {
+  const SerialPort = await loadSerialPort();
+  const ports = await SerialPort.list();
+  return ports.find(port => port.vendorId) || null;
+}
+
+/**
+ * Open a real serial port
+ * @param {string} path - Device path
+ * @param {number} baudRate - Baud rate
+ * @param {object} handlers - { onData(bytes), onClose() }
+ * @returns {Promise<object>} Link { info, write(text), close() }
+ */
+async function openSerialLink(path, baudRate, { onData, onClose }) {
+  const SerialPort = await loadSerialPort();
+
+  // Look up the USB ids so the browser finds the same profile as with Web Serial
+  const entry = (await SerialPort.list()).find(port => port.path === path);
+  const info = {
+    path,
+    usbVendorId: entry && entry.vendorId ? parseInt(entry.vendorId, 16) : undefined,
+    usbProductId: entry && entry.productId ? parseInt(entry.productId, 16) : undefined
+  };
+
+  const port = new SerialPort({ path, baudRate, autoOpen: false });
+  await new Promise((resolve, reject) => {
+    port.open(err => (err ? reject(err) : resolve()));
+  });
+
+  port.on('data', data => onData(new Uint8Array(data)));
+  port.on('close', onClose);
+  port.on('error', err => console.error('Serial port error:', err.message));
+
+  return {
+    info,
+    write(text) {
+      port.write(text + '\n');
+    },
+    close() {
+      port.removeListener('close', onClose);
+      if (port.isOpen) port.close();
+    }
+  };
+}
+
+/**
+ * Open a MockSerialPort (scripted joystick or recording replay)
+ * @param {MockSerialPort} port - The mock port
+ * @param {object} info - Port info to announce
+ * @param {object} handlers - { onData(bytes), onClose() }
+ * @returns {Promise<object>} Link { info, write(text), close() }
+ */
+async function openMockLink(port, info, { onData, onClose }) {
+  await port.open({ baudRate: 9600 });
+
+  const reader = port.readable.getReader();
+  let closing = false;
+
+  (async () => {
+    try {
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        onData(value);
+      }
+    } catch (err) {
+      console.error('Mock port error:', err.message);
+    }
+    if (!closing) onClose();
+  })();
+
+  const writer = port.writable.getWriter();
+  const encoder = new TextEncoder();
+
+  return {
+    info,
+    write(text) {
+      writer.write(encoder.encode(text + '\n'));
+    },
+    close() {
+      closing = true;
+      reader.cancel().catch(() => {});
+      port.close();
+    }
+  };
+}
+
+class SerialBridge {
+  /**
+   * @param {object} options - Parsed command line options
+   */
+  constructor(options) {
+    this.options = options;
+    this.link = null;
+    this.server = null;
+    this.reopenTimer = null;
+    this.statsTimer = null;
+
+    // Same parsing as SerialController: binary frames and CSV/debug text
+    this.buffer = '';
+    this.frameParser = new FrameParser();
+    this.frameParser.onText = (text) => {
+      this.buffer += text;
+      this.processBuffer();
+    };
+    this.frameParser.onFrame = (frame) => {
+      decodeJoystickPayloads(frame.payload).forEach((sample, stick) => {
+        this.broadcast('sample', { x: sample.x, y: sample.y, buttons: sample.buttons, protocol: 'binary', stick });
+      });
+    };
+  }
+
+  get fake() {
+    return !!(this.options.fake || this.options.replay);
+  }
+
+  /**
+   * Start the WebSocket server and open the joystick
+   */
+  async start() {
+    const port = parseInt(this.options.listen);
+    this.server = new WebSocketServer({
+      host: this.options.host,
+      port,
+      // Only the game's pages may send board and EEPROM commands
+      verifyClient: ({ origin }) => {
+        if (isAllowedOrigin(origin, this.options['allow-origin'])) return true;
+        console.warn(`Refused browser connection from ${origin}`);
+        return false;
+      }
+    });
+    this.server.on('connection', (socket, request) => this.handleClient(socket, request));
+    this.server.on('error', (err) => {
+      console.error('WebSocket server error:', err.message);
+      process.exit(1);
+    });
+
+    console.log(`Joystick bridge listening on ws://${this.options.host}:${port}`);
+
+    this.statsTimer = setInterval(() => {
+      if (this.link && this.frameParser.framesReceived > 0) {
+        this.broadcast('stats', {
+          framesReceived: this.frameParser.framesReceived,
+          droppedFrames: this.frameParser.droppedFrames,
+          corruptFrames: this.frameParser.corruptFrames
+        });
+      }
+    }, STATS_INTERVAL);
+
+    await this.openJoystick();
+  }
+
+  /**
+   * Open the joystick, retrying until it is there
+   */
+  async openJoystick() {
+    this.reopenTimer = null;
+
+    const handlers = {
+      onData: (bytes) => this.frameParser.push(bytes),
+      onClose: () => this.handleJoystickLost()
+    };
+
+    try {
+      if (this.options.replay) {
+        const recording = parseRecording(await readFile(this.options.replay, 'utf8'));
+        const port = MockSerialPort.fromRecording(recording, { loop: true });
+        this.link = await openMockLink(port, { path: this.options.replay, ...recording.portInfo }, handlers);
+      } else if (this.options.fake) {
+        const port = MockSerialPort.fromScript(() => demoJoystickScript(), { respond: demoFirmwareResponder });
+        this.link = await openMockLink(port, { path: 'fake' }, handlers);
+      } else {
+        let path = this.options.port;
+        if (!path) {
+          const entry = await findUsbPort();
+          if (!entry) throw new Error('no USB serial port found');
+          path = entry.path;
+        }
+        this.link = await openSerialLink(path, parseInt(this.options.baud), handlers);
+      }
+    } catch (err) {
+      console.log(`Joystick not available (${err.message}), retrying in ${REOPEN_DELAY / 1000}s`);
+      this.reopenTimer = setTimeout(() => this.openJoystick(), REOPEN_DELAY);
+      return;
+    }
+
+    this.buffer = '';
+    this.frameParser.resetStats();
+
+    console.log(`Joystick connected: ${this.link.info.path}`);
+    this.broadcast('status', { connected: true, port: this.link.info });
+  }
+
+  /**
+   * The joystick was unplugged: tell the browsers and wait for it
+   */
+  handleJoystickLost() {
+    if (!this.link) return;
+
+    console.log('Joystick lost');
+    this.link = null;
+    this.broadcast('status', { connected: false, port: null });
+
+    if (!this.reopenTimer) {
+      this.reopenTimer = setTimeout(() => this.openJoystick(), REOPEN_DELAY);
+    }
+  }
+
+  /**
+   * Process complete text lines from the board
+   */
+  processBuffer() {
+    const lines = this.buffer.split('\n');
+    this.buffer = lines.pop();
+
+    // Guard against a stream that never sends a newline
+    if (this.buffer.length > 256) {
+      this.buffer = '';
+    }
+
+    for (const rawLine of lines) {
+      const line = rawLine.trim();
+      if (!line) continue;
+
+      // Messages addressed to the host (handshake, command replies)
+      if (line.startsWith('@')) {
+        this.broadcast('line', { line });
+        continue;
+      }
+
+      // "X,Y,BUTTON", or three fields per stick
+      const samples = parseJoystickLine(line);
+      if (samples) {
+        samples.forEach(({ x, y, buttons }, stick) => {
+          this.broadcast('sample', { x, y, buttons, protocol: 'csv', stick });
+        });
+      } else if (this.options.verbose) {
+        console.log('Board:', line);
+      }
+    }
+  }
+
+  /**
+   * Greet a new browser and forward its lines to the board
+   * @param {WebSocket} socket - The client socket
+   * @param {IncomingMessage} request - The HTTP upgrade request
+   */
+  handleClient(socket, request) {
+    console.log(`Browser connected from ${request.socket.remoteAddress}`);
+
+    socket.send(encodeBridgeMessage('hello', {
+      version: BRIDGE_PROTOCOL_VERSION,
+      connected: !!this.link,
+      fake: this.fake,
+      port: this.link ? this.link.info : null
+    }));
+
+    socket.on('message', (data) => {
+      const message = parseBridgeMessage(data.toString());
+      if (!message || message.type !== 'write' || typeof message.line !== 'string') {
+        console.warn('Ignoring invalid message from browser');
+        return;
+      }
+      if (this.link) {
+        this.link.write(message.line.slice(0, 128));
+      }
+    });
+
+    socket.on('close', () => console.log('Browser disconnected'));
+  }
+
+  /**
+   * Send a message to every connected browser
+   * @param {string} type - Message type
+   * @param {object} fields - Message fields
+   */
+  broadcast(type, fields) {
+    if (!this.server) return;
+
+    const text = encodeBridgeMessage(type, fields);
+    for (const client of this.server.clients) {
+      if (client.readyState === client.OPEN) {
+        client.send(text);
+      }
+    }
+  }
+
+  /**
+   * Close the joystick and the server
+   */
+  stop() {
+    clearTimeout(this.reopenTimer);
+    clearInterval(this.statsTimer);
+    if (this.link) {
+      this.link.close();
+      this.link = null;
+    }
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+}
+
+const { values: options } = parseArgs({
+  options: {
+    port: { type: 'string' },
+    baud: { type: 'string', default: '9600' },
+    listen: { type: 'string', default: String(BRIDGE_DEFAULT_PORT) },
+    host: { type: 'string', default: '127.0.0.1' },
+    'allow-origin': { type: 'string', multiple: true, default: [] },
+    fake: { type: 'boolean', default: false },
+    replay: { type: 'string' },
+    list: { type: 'boolean', default: false },
+    verbose: { type: 'boolean', default: false }
+  }
+});
+
+if (options.list) {
+  const SerialPort = await loadSerialPort();
+  for (const port of await SerialPort.list()) {
+    const ids = port.vendorId ? ` (USB ${port.vendorId}:${port.productId})` : '';
+    console.log(`${port.path}${ids}${port.manufacturer ? ' ' + port.manufacturer : ''}`);
+  }
+} else {
+  const bridge = new SerialBridge(options);
+  process.on('SIGINT', () => {
+    bridge.stop();
+    process.exit(0);
+  });
+  await bridge.start();
+}
@@ -0,0 +1,116 @@
+/**
+ * BLE UART Profiles
+ *
+ * BLE serial bridges expose a "UART" as one GATT service with a characteristic
+ * the module notifies with incoming bytes and one the host writes to. The
+ * common profiles differ only in their UUIDs:
+ *
+ *   HM-10 / CC254x clones      FFE0, data FFE1 (notify + write)
+ *   Nordic UART Service (NUS)  6E400001, TX 6E400003 (notify), RX 6E400002 (write)
+ *   Microchip Transparent UART 49535343-FE7D, TX 49535343-1E4D (notify), RX 49535343-8841 (write)
+ *
+ * Notifications carry at most MTU - 3 bytes (20 by default), so a CSV line
+ * usually arrives in several pieces, and a multi-byte character can be split
+ * too. LineAssembler puts them back together.
+ */
+
+export const BLE_UART_PROFILES = [
+  {
+    name: 'HM-10',
+    service: '0000ffe0-0000-1000-8000-00805f9b34fb',
+    notify: '0000ffe1-0000-1000-8000-00805f9b34fb',
+    write: '0000ffe1-0000-1000-8000-00805f9b34fb'
+  },
+  {
+    name: 'Nordic UART',
+    service: '6e400001-b5a3-f393-e0a9-e50e24dcca9e',
+    notify: '6e400003-b5a3-f393-e0a9-e50e24dcca9e',
+    write: '6e400002-b5a3-f393-e0a9-e50e24dcca9e'
+  },
+  {
+    name: 'Microchip Transparent UART',
+    service: '49535343-fe7d-4ae5-8fa9-9fafd205e455',
+    notify: '49535343-1e4d-4bd9-ba61-23c647249616',
+    write: '49535343-8841-43f4-a8d4-ecbe34729bb3'
+  }
+];
+
+// Service UUIDs to request access to in navigator.bluetooth.requestDevice()
+export const BLE_UART_SERVICES = BLE_UART_PROFILES.map(profile => profile.service);
+
+/**
+ * Open the first BLE UART profile the GATT server offers
+ * @param {BluetoothRemoteGATTServer} server - Connected GATT server
+ * @returns {Promise<object>} { profile, service, notifyCharacteristic, writeCharacteristic }
+ * @throws {Error} If the device has none of the known UART services
+ */
+export async function openUartChannel(server) {
+  const tried = [];
+
+  for (const profile of BLE_UART_PROFILES) {
+    let service;
+    try {
+      service = await server.getPrimaryService(profile.service);
+    } catch (err) {
+      // Not this profile
+      tried.push(profile.name);
+      continue;
+    }
+
+    const notifyCharacteristic = await service.getCharacteristic(profile.notify);
+    if (!notifyCharacteristic.properties.notify && !notifyCharacteristic.properties.indicate) {
+      throw new Error(`${profile.name} data characteristic does not support notifications`);
+    }
+
+    // HM-10 uses the same characteristic both ways
+    let writeCharacteristic = null;
+    try {
+      writeCharacteristic = profile.write === profile.notify
+        ? notifyCharacteristic
+        : await service.getCharacteristic(profile.write);
+    } catch (err) {
+      console.warn(`${profile.name} has no write characteristic, the link is receive-only`);
+    }
+
+    return { profile, service, notifyCharacteristic, writeCharacteristic };
+  }
+
+  throw new Error(`No BLE UART service found (looked for ${tried.join(', ')})`);
+}
+
+/**
+ * Reassembles text lines from notification chunks
+ */
+export class LineAssembler {
+  constructor() {
+    this.decoder = new TextDecoder();
+    this.buffer = '';
+  }
+
+  /**
+   * Add a notification payload
+   * @param {DataView|ArrayBuffer|Uint8Array} chunk - Bytes from one notification
+   * @returns {string[]} Complete lines (without line endings)
+   */
+  push(chunk) {
+    this.buffer += this.decoder.decode(chunk, { stream: true });
+
+    const lines = this.buffer.split('\n');
+    this.buffer = lines.pop();
+
+    // Guard against a stream that never sends a newline
+    if (this.buffer.length > 256) {
+      this.buffer = '';
+    }
+
+    return lines.map(line => line.replace(/\r$/, '')).filter(line => line.length > 0);
+  }
+
+  /**
+   * Drop any partial line
+   */
+  reset() {
+    this.decoder = new TextDecoder();
+    this.buffer = '';
+  }
+}
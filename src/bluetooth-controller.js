@@ -5,16 +5,31 @@
  * using the Web Bluetooth API.
  */
 
+import { getBluetoothProfileKey, getProfile, saveProfile } from './device-profiles.js';
+import { BLE_UART_SERVICES, openUartChannel, LineAssembler } from './ble-uart.js';
+
+// Response settings for a joystick without a stored profile
+const DEFAULT_RESPONSE = {
+  deadzone: 0.08,
+  exponentialFactor: 0.8
+};
+
 class BluetoothController {
   constructor() {
     // Bluetooth device properties
     this.device = null;
     this.server = null;
     this.service = null;
-    this.characteristic = null;
+    this.characteristic = null;      // Notifies with data from the joystick
+    this.writeCharacteristic = null; // Carries data to the joystick (null = receive-only)
+    this.uartProfile = null;
+    
+    // Notifications are split at the MTU, so lines are reassembled here
+    this.lineAssembler = new LineAssembler();
     
-    // Buffer for incoming data
-    this.buffer = '';
+    // Event handlers kept so they can be removed on disconnect
+    this.notificationHandler = null;
+    this.disconnectHandler = null;
     
     // Joystick values
     this.joystickX = 512;
@@ -26,14 +41,93 @@ class BluetoothController {
     
     // Connection status
     this.connected = false;
+    this.status = 'disconnected'; // 'disconnected', 'connecting', 'connected' or 'error'
+    this.lastError = null;
     
-    // Manual mode flag
-    this.manualMode = false;
+    // Connecting fails if the device doesn't send a valid line within this time
+    this.gattTimeout = 5000;
+    this.dataTimeout = 3000;
+    this.receivedData = false;
+    this.pendingData = null;
+    
+    // Input shaping
+    this.deadzone = DEFAULT_RESPONSE.deadzone;
+    this.exponentialFactor = DEFAULT_RESPONSE.exponentialFactor;
+    
+    // Stored response profile for the connected device
+    this.profileKey = null;
+  }
+  
+  /**
+   * Load the stored profile for a device and apply its response settings
+   * @param {BluetoothDevice} device - The Bluetooth device
+   */
+  loadProfile(device) {
+    this.profileKey = getBluetoothProfileKey(device);
+    const profile = getProfile(this.profileKey);
+    
+    // A device without a profile must not inherit the previous device's settings
+    this.deadzone = DEFAULT_RESPONSE.deadzone;
+    this.exponentialFactor = DEFAULT_RESPONSE.exponentialFactor;
+    if (!profile || !profile.response) return;
+    
+    console.log(`Loaded controller profile for ${this.profileKey}:`, profile);
+    if (typeof profile.response.deadzone === 'number') this.deadzone = profile.response.deadzone;
+    if (typeof profile.response.exponentialFactor === 'number') this.exponentialFactor = profile.response.exponentialFactor;
+  }
+  
+  /**
+   * Read the stored profile of the connected device again (e.g. after importing profiles)
+   */
+  reloadProfile() {
+    if (this.device) this.loadProfile(this.device);
+  }
+  
+  /**
+   * Store the current response settings as the profile of the connected device
+   */
+  saveCurrentProfile() {
+    if (!this.profileKey) return;
+    
+    saveProfile(this.profileKey, {
+      name: this.device?.name || 'Bluetooth joystick',
+      calibration: null,
+      response: {
+        deadzone: this.deadzone,
+        exponentialFactor: this.exponentialFactor
+      }
+    });
+  }
+  
+  /**
+   * Report a change of connection state
+   * @param {string} status - 'disconnected', 'connecting', 'connected' or 'error'
+   * @param {Error} error - The reason, for the 'error' state
+   */
+  setStatus(status, error = null) {
+    this.status = status;
+    this.lastError = error;
+    
+    document.dispatchEvent(new CustomEvent('bluetooth-status', {
+      detail: { status, error }
+    }));
+  }
+  
+  /**
+   * Explain why a Bluetooth Classic module can't be used over Web Bluetooth
+   * @param {BluetoothDevice} device - The selected device
+   * @returns {string|null} Message for HC-05/HC-06 style modules, null otherwise
+   */
+  getClassicModuleHint(device) {
+    if (!device.name || !(device.name.includes('HC-') || device.name.includes('JY'))) return null;
+    
+    return `${device.name} looks like an HC-05/HC-06 Bluetooth Classic module. Web Bluetooth can only talk to BLE modules ` +
+      '(HM-10, Nordic UART, Microchip RN4870/BM70). Pair the HC-05/HC-06 with your computer and use "Connect Bluetooth Joystick (HC-05/HC-06)" instead.';
   }
   
   /**
    * Connect to the Bluetooth joystick device
-   * @returns {Promise} Resolves when connected, rejects on error
+   * @returns {Promise} Resolves when connected and data is arriving, rejects on error
    */
   async connect() {
     const debugElement = document.getElementById('joystick-debug');
@@ -45,33 +139,32 @@ class BluetoothController {
             debugElement.textContent = errorMsg;
             debugElement.style.color = 'red';
         }
+        this.setStatus('error', new Error(errorMsg));
         throw new Error(errorMsg);
     }
 
+    this.setStatus('connecting');
+    
     let device;
     try {
         if (debugElement) {
-            debugElement.textContent = 'Select your HC-06 device from the dialog (NOT "cu.HC-06" on Mac)...';
+            debugElement.textContent = 'Select your BLE joystick from the dialog (NOT "cu.*" on Mac)...';
             debugElement.style.color = 'yellow';
         }
         
         console.log('Requesting Bluetooth Device...');
         
-        // Try to explicitly find HC-06 or similar devices first
-        // This is better for Mac users who might see both the serial port and the Bluetooth device
+        // Match devices that advertise a UART service, or carry a typical module name
         const deviceOptions = {
             filters: [
-                { namePrefix: 'HC' },           // Match HC-06, HC-05, etc.
-                { namePrefix: 'JY' },           // Match JY-MCU Bluetooth modules
+                ...BLE_UART_SERVICES.map(service => ({ services: [service] })),
+                { namePrefix: 'HM' },           // HM-10 and clones
+                { namePrefix: 'BT05' },         // Common HM-10 clone
+                { namePrefix: 'MLT-BT05' },
                 { namePrefix: 'Joystick' },     // Match renamed device
-                { namePrefix: 'RNBT' }          // Match other BT modules
+                { namePrefix: 'RN' }            // Microchip RN4870/4871
             ],
-            // Reduce the number of optional services to check - only include the most common ones
-            // This significantly speeds up the scanning and connection process
-            optionalServices: [
-                '0000ffe0-0000-1000-8000-00805f9b34fb', // HC-06 common service
-                '00001101-0000-1000-8000-00805f9b34fb'  // Serial Port Profile
-            ]
+            optionalServices: BLE_UART_SERVICES
         };
         
         try {
@@ -82,23 +175,20 @@ class BluetoothController {
             console.warn('Could not find specific devices, trying all devices:', filterError);
             
             if (debugElement) {
-                debugElement.textContent = 'No HC-06 found. Please select your Bluetooth device...';
+                debugElement.textContent = 'No BLE joystick found. Please select your Bluetooth device...';
                 debugElement.style.color = 'yellow';
             }
             
-            // Fallback to accepting all devices but with limited services to check
+            // Fallback to accepting all devices; we can still open the UART services
             device = await navigator.bluetooth.requestDevice({
                 acceptAllDevices: true,
-                optionalServices: [
-                    '0000ffe0-0000-1000-8000-00805f9b34fb', // HC-06 common service
-                    '00001101-0000-1000-8000-00805f9b34fb'  // Serial Port Profile
-                ]
+                optionalServices: BLE_UART_SERVICES
             });
         }
         
         // Skip Apple audio devices
         if (device.name && (device.name.includes('AirPods') || device.name.includes('Beats') || device.name.startsWith('cu.'))) {
-            const errorMsg = `Selected device "${device.name}" appears to be an audio device or serial port. Please select the HC-06 Bluetooth device directly.`;
+            const errorMsg = `Selected device "${device.name}" appears to be an audio device or serial port. Please select the joystick's Bluetooth module directly.`;
             console.error(errorMsg);
             
             if (debugElement) {
@@ -110,6 +200,9 @@ class BluetoothController {
             throw new Error(errorMsg);
         }
         
+        // Restore this device's response settings
+        this.loadProfile(device);
+        
         console.log('Connecting to GATT Server...');
         if (debugElement) {
             debugElement.textContent = `Connecting to ${device.name || 'Bluetooth device'}...`;
@@ -121,364 +214,69 @@ class BluetoothController {
             // Add a promise race with timeout to prevent hanging on GATT connection
             const gattConnectPromise = device.gatt.connect();
             const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => reject(new Error('GATT connection timeout')), 3000);
+                setTimeout(() => reject(new Error('GATT connection timeout')), this.gattTimeout);
             });
             
             server = await Promise.race([gattConnectPromise, timeoutPromise]);
             console.log('GATT server connected:', server);
         } catch (gattError) {
             console.warn('GATT connection error:', gattError);
-            
-            // Handle "Unsupported device" error for HC-06
-            if ((gattError.message.includes('Unsupported device') || 
-                 gattError.message.includes('timeout')) && 
-                device.name && (device.name.includes('HC-') || device.name.includes('JY'))) {
-                
-                console.log('HC-06 device detected but reported as unsupported. This is expected for some HC-06 modules.');
-                
-                if (debugElement) {
-                    debugElement.textContent = 'HC-06 detected but reported as unsupported. Will use keyboard control.';
-                    debugElement.style.color = 'orange';
-                }
-                
-                // For HC-06 devices, we'll now simulate data since GATT services are not available
-                this.device = device;
-                this.connected = true;
-                
-                // Check if we have a callback registered yet (if not, log a warning)
-                if (!this.onJoystickData) {
-                    console.warn('No joystick callback registered before HC-06 connection - game may not respond to input');
-                }
-                
-                // Set up a simulated data interval to test the UI - with manual mode forced
-                this.simulateJoystickData(debugElement, device.name, true);
-                
-                if (debugElement) {
-                    debugElement.textContent = `Connected to ${device.name || 'HC-06'} (using keyboard control)`;
-                    debugElement.style.color = 'lime';
-                }
-                
-                return true;
-            } else {
-                // Rethrow other errors
-                throw gattError;
-            }
+            throw new Error(this.getClassicModuleHint(device) || gattError.message);
         }
         
-        // Add event listener for disconnect
-        device.addEventListener('gattserverdisconnected', () => {
-            console.log('Device disconnected');
-            if (debugElement) {
-                debugElement.textContent = 'Bluetooth device disconnected. Refresh to reconnect.';
-                debugElement.style.color = 'red';
-            }
-        });
-        
-        console.log('Getting primary services...');
-        let services = [];
+        // Find the UART service and its data characteristics
+        let channel;
         try {
-            services = await server.getPrimaryServices();
-            console.log('Services found:', services);
-        } catch (servicesError) {
-            console.warn('Error getting services:', servicesError);
-            
-            if (device.name && (device.name.includes('HC-') || device.name.includes('JY'))) {
-                // HC-06 detected, but can't get services. Use manual mode
-                this.device = device;
-                this.server = server;
-                this.connected = true;
-                
-                this.simulateJoystickData(debugElement, device.name, true);
-                
-                if (debugElement) {
-                    debugElement.textContent = `Connected to ${device.name} (services inaccessible, using keyboard)`;
-                    debugElement.style.color = 'lime';
-                }
-                
-                return true;
-            } else {
-                throw servicesError;
-            }
+            channel = await openUartChannel(server);
+        } catch (channelError) {
+            device.gatt.disconnect();
+            throw new Error(this.getClassicModuleHint(device) || channelError.message);
         }
         
-        if (services.length === 0) {
-            console.warn('No Bluetooth services found. This device may not be compatible.');
-            
-            // Check if this is an HC-06
-            if (device.name && (device.name.includes('HC-') || device.name.includes('JY'))) {
-                console.log('HC-06 device detected with no services. Using manual keyboard control.');
-                
-                this.device = device;
-                this.server = server;
-                this.connected = true;
-                
-                this.simulateJoystickData(debugElement, device.name, true);
-                
-                if (debugElement) {
-                    debugElement.textContent = `Connected to ${device.name} (no services, keyboard control)`;
-                    debugElement.style.color = 'lime';
-                }
-                
-                return true;
-            } else {
-                throw new Error('No Bluetooth services found. This device may not be compatible.');
-            }
-        }
+        console.log(`Using ${channel.profile.name} UART on ${device.name || 'device'}`);
         
-        // On Mac with HC-06, we often need to try each service
-        let connected = false;
-        const serviceErrors = [];
+        this.device = device;
+        this.server = server;
+        this.service = channel.service;
+        this.characteristic = channel.notifyCharacteristic;
+        this.writeCharacteristic = channel.writeCharacteristic;
+        this.uartProfile = channel.profile;
+        this.lineAssembler.reset();
+        this.receivedData = false;
+        
+        // Lines can be split across notifications, so they go through the assembler
+        this.notificationHandler = (event) => this.onCharacteristicValueChanged(event);
+        this.characteristic.addEventListener('characteristicvaluechanged', this.notificationHandler);
+        await this.characteristic.startNotifications();
+        
+        // Losing the link is an error state, not a silent stop
+        this.disconnectHandler = () => this.handleDeviceDisconnected();
+        device.addEventListener('gattserverdisconnected', this.disconnectHandler);
         
-        // First, fast-check if this is an HC-06 device - if so, we can skip to manual mode
-        // This is especially important for Mac users where HC-06 devices often report as unsupported
-        if (device.name && (device.name.includes('HC-') || device.name.includes('JY'))) {
-            // For HC-06 devices, try a quick connect first before processing all services
-            console.log('HC-06 device detected, checking if services are accessible...');
-            
-            try {
-                // Try a quick test of the first service
-                const service = services[0];
-                if (service) {
-                    const characteristics = await service.getCharacteristics();
-                    console.log('Quick service check successful:', characteristics.length, 'characteristics found');
-                    
-                    if (characteristics.length === 0) {
-                        // No characteristics available, likely need manual mode
-                        throw new Error('No characteristics found');
-                    }
-                } else {
-                    throw new Error('No services available');
-                }
-            } catch (quickCheckError) {
-                console.log('Quick service check failed, falling back to manual mode:', quickCheckError);
-                
-                // Fast path to manual mode for HC-06 devices
-                this.device = device;
-                this.server = server;
-                this.connected = true;
-                
-                // Set up manual joystick input immediately
-                this.simulateJoystickData(debugElement, device.name, true);
-                
-                if (debugElement) {
-                    debugElement.textContent = `Connected to ${device.name} (using keyboard control)`;
-                    debugElement.style.color = 'lime';
-                }
-                
-                return true;
-            }
-        }
+        this.connected = true;
         
-        // If we reach here, either it's not an HC-06 or the services might be accessible
-        // We'll try each service in order, but with a timeout to avoid hanging
-        for (const service of services) {
-            try {
-                console.log('Trying service:', service.uuid);
-                
-                // Set a timeout for service connection to prevent hanging
-                const timeoutPromise = new Promise((_, reject) => {
-                    setTimeout(() => reject(new Error('Service connection timeout')), 2000);
-                });
-                
-                let characteristics = [];
-                try {
-                    // Race the characteristic fetch against the timeout
-                    characteristics = await Promise.race([
-                        service.getCharacteristics(),
-                        timeoutPromise
-                    ]);
-                    
-                    console.log('Characteristics for service', service.uuid, ':', characteristics);
-                } catch (characteristicsError) {
-                    console.warn('Error getting characteristics for service', service.uuid, ':', characteristicsError);
-                    serviceErrors.push(`Error getting characteristics: ${characteristicsError.message}`);
-                    continue;
-                }
-                
-                if (characteristics.length === 0) {
-                    serviceErrors.push(`No characteristics found for service ${service.uuid}`);
-                    continue;
-                }
-                
-                // Find a characteristic with notify capability
-                let notifyCharacteristic = null;
-                for (const characteristic of characteristics) {
-                    console.log('Checking characteristic:', characteristic.uuid, 
-                        'Properties:', 
-                        'notify:', characteristic.properties.notify,
-                        'read:', characteristic.properties.read,
-                        'write:', characteristic.properties.write);
-                    
-                    if (characteristic.properties.notify) {
-                        notifyCharacteristic = characteristic;
-                        break;
-                    }
-                }
-                
-                if (notifyCharacteristic) {
-                    console.log('Setting up notifications on characteristic:', notifyCharacteristic.uuid);
-                    
-                    try {
-                        await notifyCharacteristic.startNotifications();
-                        notifyCharacteristic.addEventListener('characteristicvaluechanged', (event) => {
-                            const value = event.target.value;
-                            const decoder = new TextDecoder('utf-8');
-                            const data = decoder.decode(value);
-                            
-                            console.log('Received data from notification:', data);
-                            
-                            // Process joystick data
-                            this.processJoystickData(data);
-                            
-                            if (debugElement) {
-                                // Update debug with the data
-                                debugElement.textContent = `Connected to ${device.name || 'device'}: ${data}`;
-                                debugElement.style.color = 'white';
-                            }
-                        });
-                        
-                        console.log('Bluetooth notifications set up successfully for', device.name || 'device');
-                        if (debugElement) {
-                            debugElement.textContent = `Connected to ${device.name || 'Bluetooth device'} using notifications`;
-                            debugElement.style.color = 'lime';
-                        }
-                        
-                        // Try writing a wakeup message to the device
-                        try {
-                            if (notifyCharacteristic.properties.write) {
-                                const encoder = new TextEncoder();
-                                await notifyCharacteristic.writeValue(encoder.encode('AT\r\n'));
-                                console.log('Sent wakeup message to HC-06');
-                            }
-                        } catch (writeError) {
-                            console.warn('Could not write to characteristic:', writeError);
-                        }
-                        
-                        connected = true;
-                        this.characteristic = notifyCharacteristic;
-                        break;
-                    } catch (notifyError) {
-                        console.warn('Error setting up notifications:', notifyError);
-                        serviceErrors.push(`Error with notifications: ${notifyError.message}`);
-                        // Continue to next attempt
-                    }
-                } else {
-                    // If no notify characteristic, try polling with read characteristic
-                    console.log('No notification characteristic found, trying polling with read');
-                    
-                    const readCharacteristic = characteristics.find(c => c.properties.read);
-                    if (readCharacteristic) {
-                        console.log('Setting up polling on read characteristic:', readCharacteristic.uuid);
-                        
-                        // Test reading once
-                        try {
-                            const value = await readCharacteristic.readValue();
-                            const decoder = new TextDecoder('utf-8');
-                            const data = decoder.decode(value);
-                            console.log('Initial read value:', data);
-                        } catch (readError) {
-                            console.warn('Error reading initial value:', readError);
-                        }
-                        
-                        // Setup polling
-                        const pollInterval = setInterval(async () => {
-                            try {
-                                const value = await readCharacteristic.readValue();
-                                const decoder = new TextDecoder('utf-8');
-                                const data = decoder.decode(value);
-                                
-                                console.log('Received data from polling:', data);
-                                
-                                // Process joystick data
-                                this.processJoystickData(data);
-                                
-                                if (debugElement) {
-                                    // Update debug with the data
-                                    debugElement.textContent = `Connected to ${device.name || 'device'}: ${data}`;
-                                    debugElement.style.color = 'white';
-                                }
-                            } catch (error) {
-                                console.error('Error during polling:', error);
-                                clearInterval(pollInterval);
-                                
-                                if (debugElement) {
-                                    debugElement.textContent = `Polling error: ${error.message}`;
-                                    debugElement.style.color = 'red';
-                                }
-                            }
-                        }, 100); // 100ms polling interval
-                        
-                        // Cleanup on disconnect
-                        device.addEventListener('gattserverdisconnected', () => {
-                            clearInterval(pollInterval);
-                        });
-                        
-                        console.log('Bluetooth polling set up successfully for', device.name || 'device');
-                        if (debugElement) {
-                            debugElement.textContent = `Connected to ${device.name || 'Bluetooth device'} using polling`;
-                            debugElement.style.color = 'lime';
-                        }
-                        
-                        connected = true;
-                        this.characteristic = readCharacteristic;
-                        break;
-                    } else {
-                        serviceErrors.push(`No readable characteristic found for service ${service.uuid}`);
-                    }
-                }
-            } catch (serviceError) {
-                console.warn('Error with service', service.uuid, ':', serviceError);
-                serviceErrors.push(`Error with service ${service.uuid}: ${serviceError.message}`);
-            }
+        if (debugElement) {
+            debugElement.textContent = `Connected to ${device.name || 'Bluetooth device'} (${channel.profile.name}), waiting for joystick data...`;
+            debugElement.style.color = 'yellow';
         }
         
-        if (!connected) {
-            // Special case for HC-06: sometimes we can't get proper services/characteristics
-            // We'll simulate data for testing
-            if (device.name && (device.name.includes('HC-') || device.name.includes('JY'))) {
-                console.log('HC-06 detected but could not establish a data channel. Using manual keyboard control.');
-                
-                this.device = device;
-                this.server = server;
-                this.connected = true;
-                
-                this.simulateJoystickData(debugElement, device.name, true);
-                
-                if (debugElement) {
-                    debugElement.textContent = `Connected to ${device.name} (no data channel, keyboard control)`;
-                    debugElement.style.color = 'lime';
-                }
-                
-                return true;
-            } else {
-                const errorMsg = `Could not establish data connection with the device. Errors: ${serviceErrors.join('; ')}`;
-                console.error(errorMsg);
-                
-                if (debugElement) {
-                    debugElement.textContent = 'Connection failed: Could not establish data channel';
-                    debugElement.style.color = 'red';
-                }
-                
-                throw new Error(errorMsg);
-            }
+        // A UART that stays silent means the sketch isn't running or is wired wrong
+        if (!await this.waitForData(this.dataTimeout)) {
+            await this.disconnect();
+            throw new Error(`Connected to ${device.name || 'the device'} over ${channel.profile.name}, but no joystick data arrived ` +
+              `within ${this.dataTimeout / 1000}s. Check that the sketch is running and the module's TX/RX are wired correctly.`);
         }
         
-        this.device = device;
-        this.server = server;
-        this.service = services[0];
-        this.connected = true;
-        
-        // Try writing a test message to wake up the HC-06
-        try {
-          if (this.characteristic && this.characteristic.properties.write) {
-              const encoder = new TextEncoder();
-              await this.characteristic.writeValue(encoder.encode('HELLO\r\n'));
-              console.log('Sent wake up message to HC-06');
-          }
-        } catch (error) {
-          console.warn('Could not write to characteristic - read only:', error);
+        if (debugElement) {
+            debugElement.textContent = `Connected to ${device.name || 'Bluetooth device'} (${channel.profile.name})`;
+            debugElement.style.color = 'lime';
         }
         
+        // Store the settings of a new device, so it shows up in exported profiles
+        if (!getProfile(this.profileKey)) this.saveCurrentProfile();
+        
+        this.setStatus('connected');
+        document.dispatchEvent(new Event('controller-connected'));
         return true;
     } catch (error) {
         console.error('Bluetooth connection error:', error);
@@ -487,7 +285,7 @@ class BluetoothController {
         
         // Add Mac-specific help
         if (navigator.platform.includes('Mac')) {
-            errorMsg += '\n\nFor Mac users: Make sure you selected the actual HC-06 device (not "cu.HC-06") and that it\'s properly paired in System Settings > Bluetooth.';
+            errorMsg += '\n\nFor Mac users: Make sure you selected the actual Bluetooth module (not "cu.*") in the dialog.';
         }
         
         if (debugElement) {
@@ -495,389 +293,53 @@ class BluetoothController {
             debugElement.style.color = 'red';
         }
         
+        this.setStatus('error', error);
         throw new Error(errorMsg);
     }
   }
   
   /**
-   * Simulate joystick data for testing when actual data can't be received
-   * This is useful for HC-06 devices that don't properly expose their services/characteristics
-   * @param {HTMLElement} debugElement - The debug element to update
-   * @param {string} deviceName - The name of the device
-   * @param {boolean} forceManualMode - If true, don't start automatic movement
+   * Wait until the first valid joystick line arrives
+   * @param {number} timeout - Milliseconds to wait
+   * @returns {Promise<boolean>} True if data arrived in time
    */
-  simulateJoystickData(debugElement, deviceName, forceManualMode = false) {
-    console.log('Setting up Bluetooth joystick data handling for HC-06');
-    
-    // Center position initially
-    let simX = 512;
-    let simY = 512;
-    let simButton = 0;
-
-    // Store manual mode flag and device info
-    this.manualMode = forceManualMode;
-    this.deviceName = deviceName || 'HC-06';
-    this.debugElement = debugElement;
-
-    // Update debug display immediately
-    if (debugElement) {
-      // Add a manual/auto mode toggle button if it doesn't exist
-      const existingToggle = document.getElementById('toggle-mode-button');
-      if (existingToggle) {
-        // Update existing toggle button
-        existingToggle.textContent = forceManualMode ? 'Enable Auto Mode' : 'Enable Manual Mode';
-        existingToggle.style.backgroundColor = forceManualMode ? '#9E9E9E' : '#4CAF50';
-        existingToggle.style.display = 'block'; // Make sure it's visible
-        
-        // Make sure the toggle has a click handler
-        if (!existingToggle.hasClickListener) {
-          existingToggle.addEventListener('click', () => {
-            // Toggle between manual and auto mode
-            this.manualMode = !this.manualMode;
-            
-            // Update button text and color
-            existingToggle.textContent = this.manualMode ? 'Enable Auto Mode' : 'Enable Manual Mode';
-            existingToggle.style.backgroundColor = this.manualMode ? '#9E9E9E' : '#4CAF50';
-            
-            // Clear existing interval if there is one
-            if (this.simulateInterval) {
-              clearInterval(this.simulateInterval);
-              this.simulateInterval = null;
-            }
-            
-            // Reset joystick values when switching modes
-            simX = 512;
-            simY = 512;
-            simButton = 0;
-            
-            // Process initial center position
-            this.processJoystickData(`${simX},${simY},${simButton}`);
-            
-            // Update display for the new mode
-            if (this.manualMode) {
-              debugElement.innerHTML = `<strong>Connected to ${this.deviceName}</strong><br>` +
-                `<span style="color: #4CAF50">MANUAL MODE: Use keyboard arrows to control</span><br>` +
-                `Ready for keyboard input<br>` +
-                `<span style="color: #FFC107">Use arrow keys to move, spacebar for button</span>`;
-            } else {
-              debugElement.innerHTML = `<strong>Connected to ${this.deviceName}</strong><br>` +
-                `<span style="color: #FF9800">AUTO MODE: Pacman moves in a circle</span><br>` +
-                `<span style="color: #FFC107">Initial data: ${simX},${simY},${simButton}</span>`;
-              
-              // Set up simulation again with new mode
-              this.setupAutoSimulation(debugElement, deviceName);
-            }
-          });
-          existingToggle.hasClickListener = true;
-        }
-      } else {
-        // Create toggle button if it doesn't exist
-        const toggleButton = document.createElement('button');
-        toggleButton.id = 'toggle-mode-button';
-        toggleButton.textContent = forceManualMode ? 'Enable Auto Mode' : 'Enable Manual Mode';
-        toggleButton.style.padding = '8px 16px';
-        toggleButton.style.margin = '8px 0';
-        toggleButton.style.backgroundColor = forceManualMode ? '#9E9E9E' : '#4CAF50';
-        toggleButton.style.color = 'white';
-        toggleButton.style.border = 'none';
-        toggleButton.style.borderRadius = '4px';
-        toggleButton.style.cursor = 'pointer';
-        
-        // Insert before the debug element
-        debugElement.parentNode.insertBefore(toggleButton, debugElement);
-        
-        // Add click handler
-        toggleButton.addEventListener('click', () => {
-          this.manualMode = !this.manualMode;
-          toggleButton.textContent = this.manualMode ? 'Enable Auto Mode' : 'Enable Manual Mode';
-          toggleButton.style.backgroundColor = this.manualMode ? '#9E9E9E' : '#4CAF50';
-          
-          // Clear existing interval if there is one
-          if (this.simulateInterval) {
-            clearInterval(this.simulateInterval);
-            this.simulateInterval = null;
-          }
-          
-          // Reset joystick values when switching modes
-          simX = 512;
-          simY = 512;
-          simButton = 0;
-          
-          // Process initial center position
-          this.processJoystickData(`${simX},${simY},${simButton}`);
-          
-          // Update display for the new mode
-          if (this.manualMode) {
-            debugElement.innerHTML = `<strong>Connected to ${this.deviceName}</strong><br>` +
-              `<span style="color: #4CAF50">MANUAL MODE: Use keyboard arrows to control</span><br>` +
-              `Ready for keyboard input<br>` +
-              `<span style="color: #FFC107">Use arrow keys to move, spacebar for button</span>`;
-          } else {
-            debugElement.innerHTML = `<strong>Connected to ${this.deviceName}</strong><br>` +
-              `<span style="color: #FF9800">AUTO MODE: Pacman moves in a circle</span><br>` +
-              `<span style="color: #FFC107">Initial data: ${simX},${simY},${simButton}</span>`;
-            
-            // Set up simulation again with new mode
-            this.setupAutoSimulation(debugElement, deviceName);
-          }
-        });
-        toggleButton.hasClickListener = true;
-      }
+  waitForData(timeout) {
+    if (this.receivedData) return Promise.resolve(true);
+    
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.pendingData = null;
+        resolve(false);
+      }, timeout);
       
-      // Initial debug display
-      if (forceManualMode) {
-        debugElement.innerHTML = `<strong>Connected to ${deviceName}</strong><br>` +
-            `<span style="color: #4CAF50">MANUAL MODE: Use keyboard arrows to control</span><br>` +
-            `Ready for keyboard input<br>` +
-            `<span style="color: #FFC107">Use arrow keys to move, spacebar for button</span>`;
-      } else {
-        debugElement.innerHTML = `<strong>Connected to ${deviceName}</strong><br>` +
-            `<span style="color: #FF9800">AUTO MODE: Pacman moves in a circle</span><br>` +
-            `<span style="color: #FFC107">Initial data: ${simX},${simY},${simButton}</span>`;
-      }
-      debugElement.style.color = 'white';
-    }
-    
-    // Process initial center position (sends to the game)
-    this.processJoystickData(`${simX},${simY},${simButton}`);
-    
-    // Set up keyboard listeners for manual mode
-    this.setupKeyboardHandlers(simX, simY, simButton);
-    
-    // Only set up automatic simulation if not in manual mode
-    if (!forceManualMode) {
-      this.setupAutoSimulation(debugElement, deviceName);
-    } else {
-      console.log('Simulation disabled - using manual keyboard control');
-    }
-    
-    return true;
+      this.pendingData = () => {
+        clearTimeout(timer);
+        this.pendingData = null;
+        resolve(true);
+      };
+    });
   }
   
   /**
-   * Set up keyboard event handlers for manual joystick control
-   * @param {number} initialX - Initial X value (default 512)
-   * @param {number} initialY - Initial Y value (default 512)
-   * @param {number} initialButton - Initial button state (default 0)
+   * Handle the GATT link dropping without disconnect() being called
    */
-  setupKeyboardHandlers(initialX = 512, initialY = 512, initialButton = 0) {
-    // Remove any existing handlers
-    if (this.keydownHandler) {
-      window.removeEventListener('keydown', this.keydownHandler);
-    }
-    if (this.keyupHandler) {
-      window.removeEventListener('keyup', this.keyupHandler);
-    }
+  handleDeviceDisconnected() {
+    if (!this.connected) return;
     
-    // Current joystick state
-    let simX = initialX;
-    let simY = initialY;
-    let simButton = initialButton;
-    
-    // Key states
-    const keyState = {
-      ArrowUp: false,
-      ArrowDown: false,
-      ArrowLeft: false,
-      ArrowRight: false,
-      ' ': false
-    };
-    
-    // Debug output once to confirm setup
-    console.log('Keyboard handlers initialized for HC-06 manual control');
-    
-    // Setup keydown handler
-    this.keydownHandler = (event) => {
-      // Only process if in manual mode
-      if (!this.manualMode) return;
-      
-      // Check if this key is one we care about
-      if (event.key in keyState) {
-        // Log key press for debugging
-        console.log('Key down:', event.key);
-        
-        // Prevent default only for keys we're handling
-        event.preventDefault();
-        
-        // If state hasn't changed, don't reprocess
-        if (keyState[event.key] === true) return;
-        
-        // Update key state
-        keyState[event.key] = true;
-        
-        // Adjust simulated values based on key
-        switch (event.key) {
-          case 'ArrowUp':
-            simY = 312; // Lower value = up
-            break;
-          case 'ArrowDown':
-            simY = 712; // Higher value = down
-            break;
-          case 'ArrowLeft':
-            simX = 312; // Lower value = left
-            break;
-          case 'ArrowRight':
-            simX = 712; // Higher value = right
-            break;
-          case ' ':  // Spacebar for button press
-            simButton = 1;
-            break;
-        }
-        
-        // Combine directional inputs for diagonal movement
-        if (keyState['ArrowUp'] && keyState['ArrowLeft']) {
-          simX = 312;
-          simY = 312;
-        } else if (keyState['ArrowUp'] && keyState['ArrowRight']) {
-          simX = 712;
-          simY = 312;
-        } else if (keyState['ArrowDown'] && keyState['ArrowLeft']) {
-          simX = 312;
-          simY = 712;
-        } else if (keyState['ArrowDown'] && keyState['ArrowRight']) {
-          simX = 712;
-          simY = 712;
-        }
-        
-        // Process the simulated data with explicit values for debugging
-        console.log('Simulating joystick with:', simX, simY, simButton);
-        this.processJoystickData(`${simX},${simY},${simButton}`);
-      }
-    };
-    
-    // Create keyup handler
-    this.keyupHandler = (event) => {
-      // Only process if in manual mode
-      if (!this.manualMode) return;
-      
-      // Check if this key is one we care about
-      if (event.key in keyState) {
-        // Log key release for debugging
-        console.log('Key up:', event.key);
-        
-        // Prevent default only for keys we're handling
-        event.preventDefault();
-        
-        // Update key state
-        keyState[event.key] = false;
-        
-        // Reset corresponding value back to center
-        switch (event.key) {
-          case 'ArrowUp':
-          case 'ArrowDown':
-            // Only reset Y if both up and down are released
-            if (!keyState['ArrowUp'] && !keyState['ArrowDown']) {
-              simY = 512;
-            } else if (keyState['ArrowUp']) {
-              simY = 312;
-            } else if (keyState['ArrowDown']) {
-              simY = 712;
-            }
-            break;
-          case 'ArrowLeft':
-          case 'ArrowRight':
-            // Only reset X if both left and right are released
-            if (!keyState['ArrowLeft'] && !keyState['ArrowRight']) {
-              simX = 512;
-            } else if (keyState['ArrowLeft']) {
-              simX = 312;
-            } else if (keyState['ArrowRight']) {
-              simX = 712;
-            }
-            break;
-          case ' ':  // Spacebar for button release
-            simButton = 0;
-            break;
-        }
-        
-        // Process the simulated data with explicit values for debugging
-        console.log('Simulating joystick with:', simX, simY, simButton);
-        this.processJoystickData(`${simX},${simY},${simButton}`);
-      }
-    };
-    
-    // Register the event handlers
-    window.addEventListener('keydown', this.keydownHandler);
-    window.addEventListener('keyup', this.keyupHandler);
+    console.warn('Bluetooth device disconnected');
+    this.connected = false;
+    this.lineAssembler.reset();
     
-    // Clean up event listeners on disconnect
-    if (this.device) {
-      this.device.addEventListener('gattserverdisconnected', () => {
-        window.removeEventListener('keydown', this.keydownHandler);
-        window.removeEventListener('keyup', this.keyupHandler);
-        console.log('Removed keyboard handlers');
-      });
-    }
-  }
-  
-  /**
-   * Set up automatic simulation mode for joystick movement
-   * @param {HTMLElement} debugElement - The debug element to update
-   * @param {string} deviceName - The name of the device
-   */
-  setupAutoSimulation(debugElement, deviceName) {
-    // Clear any existing simulation
-    if (this.simulateInterval) {
-      clearInterval(this.simulateInterval);
-      this.simulateInterval = null;
+    const debugElement = document.getElementById('joystick-debug');
+    if (debugElement) {
+        debugElement.textContent = 'Bluetooth device disconnected. Reconnect to continue.';
+        debugElement.style.color = 'red';
     }
     
-    // Center position initially
-    let simX = 512;
-    let simY = 512;
-    let simButton = 0;
-    
-    // Set up interval to simulate data changes
-    const simulateInterval = setInterval(() => {
-      // Simulate joystick movement patterns
-      // We'll create a circular motion pattern
-      const time = Date.now() / 1000;
-      const radius = 200; // Range of motion
-      
-      // Circular motion with sin/cos
-      simX = 512 + Math.cos(time) * radius;
-      simY = 512 + Math.sin(time) * radius;
-      
-      // Toggle button state occasionally
-      if (Math.random() < 0.02) {
-        simButton = simButton ? 0 : 1;
-      }
-      
-      // Format as CSV like the actual device would send
-      const data = `${Math.round(simX)},${Math.round(simY)},${simButton}`;
-      
-      // Process the simulated data
-      this.processJoystickData(data);
-      
-      // Update debug display
-      if (debugElement) {
-        const normalizedX = ((simX - 512) / 512).toFixed(2);
-        const normalizedY = (-(simY - 512) / 512).toFixed(2);
-        const directionText = this.getDirectionFromValues(normalizedX, normalizedY);
-        
-        debugElement.innerHTML = `<strong>Connected to ${deviceName || 'HC-06'} (simulated)</strong><br>` +
-            `Auto mode: X: ${normalizedX}, Y: ${normalizedY}, Button: ${simButton}<br>` +
-            `Direction: <span style="color: lime">${directionText}</span><br>` +
-            `<span style="color: yellow">Click 'Enable Manual Mode' to use keyboard</span>`;
-        debugElement.style.color = simButton ? 'orange' : 'cyan';
-      }
-    }, 100); // Update every 100ms
-    
-    // Store the interval ID so we can clear it on disconnect
-    this.simulateInterval = simulateInterval;
-    
-    // Clean up on disconnect
-    if (this.device) {
-      this.device.addEventListener('gattserverdisconnected', () => {
-        if (this.simulateInterval) {
-          clearInterval(this.simulateInterval);
-          this.simulateInterval = null;
-          console.log('Stopped simulated joystick data');
-        }
-      });
-    }
+    this.setStatus('error', new Error('Bluetooth device disconnected'));
   }
   
+
   /**
    * Helper to get direction text from joystick values
    * @param {number} x - Normalized X value (-1 to 1)
@@ -911,21 +373,15 @@ class BluetoothController {
    * @param {Event} event - The characteristic value changed event
    */
   onCharacteristicValueChanged(event) {
-    // Get the data value as a string
-    const value = new TextDecoder().decode(event.target.value);
-    console.log('Received data:', value);
-    
-    // Add to buffer
-    this.buffer += value;
-    
-    // Process complete lines
-    const lines = this.buffer.split('\n');
-    this.buffer = lines.pop(); // Keep the incomplete line in the buffer
+    // A notification holds at most MTU - 3 bytes, often only part of a line
+    const lines = this.lineAssembler.push(event.target.value);
     
-    // Process each complete line
     for (const line of lines) {
-      if (line.trim()) {
-        this.processJoystickData(line);
+      if (!this.processJoystickData(line)) continue;
+      
+      if (!this.receivedData) {
+        this.receivedData = true;
+        if (this.pendingData) this.pendingData();
       }
     }
   }
@@ -960,13 +416,12 @@ class BluetoothController {
         y = -y;
         
         // Apply smaller deadzone
-        const deadzone = 0.08;
-        if (Math.abs(x) < deadzone) x = 0;
-        if (Math.abs(y) < deadzone) y = 0;
+        if (Math.abs(x) < this.deadzone) x = 0;
+        if (Math.abs(y) < this.deadzone) y = 0;
         
         // Apply non-linear scaling for better control
-        x = Math.sign(x) * Math.pow(Math.abs(x), 0.8);
-        y = Math.sign(y) * Math.pow(Math.abs(y), 0.8);
+        x = Math.sign(x) * Math.pow(Math.abs(x), this.exponentialFactor);
+        y = Math.sign(y) * Math.pow(Math.abs(y), this.exponentialFactor);
         
         // Always call joystick data callback regardless of mode
         // This ensures the game always receives input even in manual mode
@@ -981,8 +436,8 @@ class BluetoothController {
         const debugElement = document.getElementById('joystick-debug');
         if (debugElement) {
           const directionText = this.getDirectionFromValues(x, y);
-          debugElement.innerHTML = `<strong>Connected to ${this.device?.name || 'HC-06'}</strong><br>` +
-              `<span style="color: #4CAF50">${this.manualMode ? 'MANUAL MODE: Use keyboard arrows' : 'AUTO MODE: Circle movement'}</span><br>` +
+          debugElement.innerHTML = `<strong>Connected to ${this.device?.name || 'BLE joystick'}</strong><br>` +
+              `<span style="color: #4CAF50">${this.uartProfile ? this.uartProfile.name : 'BLE'} UART</span><br>` +
               `X: ${x.toFixed(2)}, Y: ${y.toFixed(2)}, Button: ${this.buttonPressed ? 'PRESSED' : 'released'}<br>` +
               `<span style="color: ${Math.abs(x) > 0.1 || Math.abs(y) > 0.1 ? 'lime' : 'yellow'}">` +
               `Direction: ${directionText}</span>`;
@@ -998,14 +453,59 @@ class BluetoothController {
     return null;
   }
   
+  /**
+   * Check whether the data characteristic accepts writes
+   * @returns {boolean} True if lines can be sent to the device
+   */
+  canWrite() {
+    if (!this.writeCharacteristic) return false;
+    const properties = this.writeCharacteristic.properties;
+    return !!(properties.write || properties.writeWithoutResponse);
+  }
+  
+  /**
+   * Write a line of text to the device
+   * @param {string} text - The text to send (newline is added)
+   * @returns {Promise<boolean>} True if the line was written
+   */
+  async sendLine(text) {
+    if (!this.connected || !this.canWrite()) return false;
+    
+    try {
+      const data = new TextEncoder().encode(text + '\n');
+      if (this.writeCharacteristic.properties.writeWithoutResponse) {
+        await this.writeCharacteristic.writeValueWithoutResponse(data);
+      } else {
+        await this.writeCharacteristic.writeValue(data);
+      }
+      return true;
+    } catch (err) {
+      console.error('Failed to write to Bluetooth device:', err);
+      return false;
+    }
+  }
+  
   /**
    * Disconnect from the Bluetooth device
    */
   async disconnect() {
+    // Flag first so the gattserverdisconnected handler doesn't report an error
+    this.connected = false;
+    
+    if (this.characteristic && this.notificationHandler) {
+      this.characteristic.removeEventListener('characteristicvaluechanged', this.notificationHandler);
+      this.notificationHandler = null;
+    }
+    if (this.device && this.disconnectHandler) {
+      this.device.removeEventListener('gattserverdisconnected', this.disconnectHandler);
+      this.disconnectHandler = null;
+    }
     if (this.device && this.device.gatt.connected) {
       await this.device.gatt.disconnect();
     }
-    this.connected = false;
+    
+    this.lineAssembler.reset();
+    this.setStatus('disconnected');
     console.log('Bluetooth joystick disconnected');
   }
   
@@ -1047,14 +547,17 @@ class BluetoothController {
     // Add Mac-specific advice
     if (info.isMac) {
       if (info.isPotentialSerialPort) {
-        info.advice = 'This appears to be a serial port device, not the actual Bluetooth device. On Mac, look for "HC-06" without the "cu." prefix in the selection dialog.';
+        info.advice = 'This appears to be a serial port device, not the actual Bluetooth device. On Mac, look for the module\'s name without the "cu." prefix in the selection dialog.';
       } else if (info.isAppleAudioDevice) {
-        info.advice = 'This is an Apple audio device, not your joystick. Please select the HC-06 device instead.';
-      } else if (info.isLikelyHC06) {
-        info.advice = 'This looks like the correct HC-06 device. If connection fails, make sure it\'s properly paired in System Settings > Bluetooth.';
+        info.advice = 'This is an Apple audio device, not your joystick. Please select the joystick\'s Bluetooth module instead.';
       }
     }
     
+    // HC-05/HC-06 are Bluetooth Classic and never work over Web Bluetooth
+    if (info.isLikelyHC06) {
+      info.advice = 'This looks like an HC-05/HC-06 Bluetooth Classic module. Web Bluetooth needs a BLE module (HM-10, Nordic UART, Microchip RN4870/BM70); pair classic modules with the computer and use "Connect Bluetooth Joystick (HC-05/HC-06)" instead.';
+    }
+    
     return info;
   }
   
@@ -1066,11 +569,11 @@ class BluetoothController {
     console.log('Bluetooth connection troubleshooting guide:');
     const steps = [
       'Make sure Bluetooth is enabled on your device',
-      'For HC-06 modules, make sure the LED is blinking (not solid)',
-      'On Mac: Open System Settings > Bluetooth and make sure the HC-06 device is paired',
-      'On Mac: Choose the device named "HC-06" (without any "cu." prefix) in the selection dialog',
+      'Use a BLE UART module (HM-10, Nordic UART or Microchip RN4870/BM70); HC-05/HC-06 are Bluetooth Classic and connect through "Connect Bluetooth Joystick (HC-05/HC-06)" instead',
+      'Make sure the module\'s LED is blinking (not solid), which means it is not connected to another device',
+      'On Mac: Choose the module by name (without any "cu." prefix) in the selection dialog',
+      'If the connection succeeds but no data arrives, check that the sketch is running and the module\'s TX/RX are crossed over to the Arduino',
       'Try refreshing the page and reconnecting',
-      'Try using the "Test Bluetooth" button before connecting',
       'Some browsers may require you to use an HTTPS connection for Bluetooth access'
     ];
     
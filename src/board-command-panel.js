@@ -0,0 +1,296 @@
+/**
+ * Board Command Panel
+ *
+ * Sends commands to the joystick firmware over the serial command channel:
+ * on-board recalibration, sample rate, debug prints, the center values stored
+ * in EEPROM and the firmware version. Every command shows its outcome, so a
+ * board that rejects a command or never answers is reported instead of
+ * failing silently.
+ */
+
+// Sample rates offered in the rate selector
+const SAMPLE_RATES = [25, 50, 100, 125];
+
+class BoardCommandPanel {
+  /**
+   * @param {SerialController} controller - Controller whose firmware receives the commands
+   */
+  constructor(controller) {
+    this.controller = controller;
+
+    // DOM elements
+    this.panel = null;
+    this.statusLine = null;
+    this.centerInputs = {};
+    this.rateSelect = null;
+    this.debugCheckbox = null;
+    this.buttons = [];
+  }
+
+  /**
+   * Whether the panel is on screen
+   * @returns {boolean} True while open
+   */
+  get active() {
+    return !!this.panel && this.panel.isConnected;
+  }
+
+  /**
+   * Show the panel and read the stored center from the board
+   */
+  open() {
+    if (this.active) return;
+
+    this.createPanel();
+    this.readCenter();
+  }
+
+  /**
+   * Remove the panel from the page
+   */
+  close() {
+    if (this.panel) {
+      this.panel.remove();
+      this.panel = null;
+    }
+    this.buttons = [];
+  }
+
+  /**
+   * Run a command and report the result in the status line
+   * @param {string} label - What the command does, for the status line
+   * @param {Function} action - Returns the command promise
+   * @param {Function} describe - Turns the result into a success message
+   */
+  async run(label, action, describe = () => 'done') {
+    this.setStatus(`${label}...`, 'yellow');
+    this.setBusy(true);
+
+    try {
+      const result = await action();
+      this.setStatus(`${label}: ${describe(result)}`, 'lime');
+      return result;
+    } catch (error) {
+      console.error(`${label} failed:`, error);
+      this.setStatus(`${label} failed: ${error.message}`, 'red');
+      return null;
+    } finally {
+      this.setBusy(false);
+    }
+  }
+
+  /**
+   * Re-center the stick on the board
+   */
+  async recalibrate() {
+    const result = await this.run(
+      'Recalibrating on board (leave the stick centered)',
+      () => this.controller.recalibrateOnBoard(),
+      fields => `center ${fields.x}, ${fields.y}`
+    );
+
+    if (result) {
+      this.setCenterInputs(parseInt(result.x), parseInt(result.y));
+    }
+  }
+
+  /**
+   * Read the center stored in EEPROM into the inputs
+   */
+  async readCenter() {
+    const center = await this.run(
+      'Reading stored center',
+      () => this.controller.readStoredCenter(),
+      center => `${center.x}, ${center.y}`
+    );
+
+    if (center) {
+      this.setCenterInputs(center.x, center.y);
+    }
+  }
+
+  /**
+   * Store the center from the inputs in EEPROM
+   */
+  writeCenter() {
+    const x = parseInt(this.centerInputs.x.value);
+    const y = parseInt(this.centerInputs.y.value);
+
+    if (isNaN(x) || isNaN(y)) {
+      this.setStatus('Enter both center values first', 'red');
+      return;
+    }
+
+    this.run('Storing center', () => this.controller.writeStoredCenter(x, y), () => `${x}, ${y} saved`);
+  }
+
+  /**
+   * Apply the selected sample rate
+   */
+  changeRate() {
+    const rate = parseInt(this.rateSelect.value);
+    this.run('Setting sample rate', () => this.controller.setSampleRate(rate), fields => `${fields.rate || rate} Hz`);
+  }
+
+  /**
+   * Apply the debug print checkbox
+   */
+  changeDebug() {
+    const enabled = this.debugCheckbox.checked;
+    this.run('Debug prints', () => this.controller.setFirmwareDebug(enabled), () => enabled ? 'on' : 'off');
+  }
+
+  /**
+   * Ask the board for its firmware version
+   */
+  queryVersion() {
+    this.run('Firmware version', () => this.controller.getFirmwareVersion(), info => `${info.name} ${info.version}`);
+  }
+
+  /**
+   * Show a message in the status line
+   * @param {string} message - The message
+   * @param {string} color - Text color
+   */
+  setStatus(message, color = 'white') {
+    if (!this.statusLine) return;
+    this.statusLine.textContent = message;
+    this.statusLine.style.color = color;
+  }
+
+  /**
+   * Disable the command buttons while a command is in flight
+   * @param {boolean} busy - True while waiting for a reply
+   */
+  setBusy(busy) {
+    for (const button of this.buttons) {
+      button.disabled = busy;
+      button.style.opacity = busy ? '0.5' : '1';
+    }
+  }
+
+  /**
+   * Fill the center inputs
+   * @param {number} x - Raw X center
+   * @param {number} y - Raw Y center
+   */
+  setCenterInputs(x, y) {
+    if (!this.active) return;
+    this.centerInputs.x.value = x;
+    this.centerInputs.y.value = y;
+  }
+
+  /**
+   * Create a command button
+   * @param {string} label - Button text
+   * @param {string} color - Background color
+   * @param {Function} onClick - Click handler
+   * @param {boolean} command - Disable the button while a command is in flight
+   * @returns {HTMLButtonElement} The button
+   */
+  createButton(label, color, onClick, command = true) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.margin = '4px 6px 4px 0';
+    button.style.padding = '6px 12px';
+    button.style.backgroundColor = color;
+    button.style.color = 'white';
+    button.style.border = 'none';
+    button.style.borderRadius = '4px';
+    button.style.cursor = 'pointer';
+    button.onclick = onClick;
+    if (command) this.buttons.push(button);
+    return button;
+  }
+
+  /**
+   * Build the panel and its controls
+   */
+  createPanel() {
+    const panel = document.createElement('div');
+    panel.id = 'board-command-panel';
+    panel.style.position = 'fixed';
+    panel.style.bottom = '60px';
+    panel.style.right = '10px';
+    panel.style.width = '320px';
+    panel.style.padding = '12px';
+    panel.style.background = 'rgba(0, 0, 0, 0.85)';
+    panel.style.color = 'white';
+    panel.style.fontFamily = 'Arial, sans-serif';
+    panel.style.fontSize = '12px';
+    panel.style.borderRadius = '8px';
+    panel.style.zIndex = '1000';
+
+    const title = document.createElement('h3');
+    title.textContent = 'Joystick Board';
+    title.style.margin = '0 0 8px 0';
+    panel.appendChild(title);
+
+    // On-board recalibration
+    panel.appendChild(this.createButton('Recalibrate on Board', '#ff9800', () => this.recalibrate()));
+
+    // Stored center
+    const centerRow = document.createElement('div');
+    centerRow.style.margin = '6px 0';
+    centerRow.appendChild(document.createTextNode('EEPROM center '));
+    for (const axis of ['x', 'y']) {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = 0;
+      input.max = 1023;
+      input.placeholder = axis.toUpperCase();
+      input.style.width = '56px';
+      input.style.marginRight = '4px';
+      centerRow.appendChild(input);
+      this.centerInputs[axis] = input;
+    }
+    panel.appendChild(centerRow);
+    panel.appendChild(this.createButton('Read', '#607d8b', () => this.readCenter()));
+    panel.appendChild(this.createButton('Write', '#4CAF50', () => this.writeCenter()));
+
+    // Sample rate
+    const rateRow = document.createElement('label');
+    rateRow.style.display = 'block';
+    rateRow.style.margin = '6px 0';
+    rateRow.textContent = 'Sample rate ';
+    this.rateSelect = document.createElement('select');
+    const currentRate = this.controller.firmwareInfo ? this.controller.firmwareInfo.sampleRate : 0;
+    const rates = SAMPLE_RATES.includes(currentRate) || !currentRate ? SAMPLE_RATES : [...SAMPLE_RATES, currentRate].sort((a, b) => a - b);
+    for (const rate of rates) {
+      const option = document.createElement('option');
+      option.value = rate;
+      option.textContent = `${rate} Hz`;
+      this.rateSelect.appendChild(option);
+    }
+    if (currentRate) this.rateSelect.value = currentRate;
+    this.rateSelect.onchange = () => this.changeRate();
+    rateRow.appendChild(this.rateSelect);
+    panel.appendChild(rateRow);
+
+    // Debug prints
+    const debugRow = document.createElement('label');
+    debugRow.style.display = 'block';
+    debugRow.style.margin = '6px 0';
+    this.debugCheckbox = document.createElement('input');
+    this.debugCheckbox.type = 'checkbox';
+    this.debugCheckbox.checked = true;
+    this.debugCheckbox.onchange = () => this.changeDebug();
+    debugRow.appendChild(this.debugCheckbox);
+    debugRow.appendChild(document.createTextNode(' Firmware debug prints'));
+    panel.appendChild(debugRow);
+
+    panel.appendChild(this.createButton('Firmware Version', '#3f51b5', () => this.queryVersion()));
+    panel.appendChild(this.createButton('Close', '#f44336', () => this.close(), false));
+
+    // Result of the last command
+    this.statusLine = document.createElement('div');
+    this.statusLine.style.marginTop = '8px';
+    this.statusLine.style.minHeight = '16px';
+    panel.appendChild(this.statusLine);
+
+    document.body.appendChild(panel);
+    this.panel = panel;
+  }
+}
+
+export default BoardCommandPanel;
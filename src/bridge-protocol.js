@@ -0,0 +1,60 @@
+/**
+ * Joystick Bridge Protocol
+ *
+ * The serial bridge (bridge/serial-bridge.js) reads the Arduino in Node and
+ * forwards already parsed data to browsers over WebSocket, one JSON object
+ * per message. Both sides import this module.
+ *
+ * Bridge to browser:
+ *   { type: 'hello', version, connected, fake, port }   sent once on connect
+ *   { type: 'status', connected, port }                 joystick lost / back
+ *   { type: 'sample', x, y, buttons, protocol, stick }  one joystick reading
+ *   { type: 'line', line }                              firmware message ('@...')
+ *   { type: 'stats', framesReceived, droppedFrames, corruptFrames }
+ *
+ * Browser to bridge:
+ *   { type: 'write', line }                             text line for the board
+ *
+ * "stick" is the index of the stick on boards with several (0 = first).
+ * "port" is { path, usbVendorId, usbProductId }, like SerialPort.getInfo()
+ * plus the device path, so profiles are shared with Web Serial connections.
+ */
+
+export const BRIDGE_PROTOCOL_VERSION = 1;
+export const BRIDGE_DEFAULT_PORT = 8765;
+
+/**
+ * Encode a bridge message
+ * @param {string} type - Message type
+ * @param {object} fields - Message fields
+ * @returns {string} JSON text
+ */
+export function encodeBridgeMessage(type, fields = {}) {
+  return JSON.stringify({ type, ...fields });
+}
+
+/**
+ * Parse a bridge message
+ * @param {string} text - JSON text from the socket
+ * @returns {object|null} The message, or null if it isn't valid
+ */
+export function parseBridgeMessage(text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (err) {
+    return null;
+  }
+
+  if (!message || typeof message.type !== 'string') return null;
+  return message;
+}
+
+/**
+ * Get the default bridge address for the page
+ * @returns {string} WebSocket URL on the page's host (localhost when opened from a file)
+ */
+export function getDefaultBridgeUrl() {
+  const host = typeof location !== 'undefined' && location.hostname ? location.hostname : 'localhost';
+  return `ws://${host}:${BRIDGE_DEFAULT_PORT}`;
+}
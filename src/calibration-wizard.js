@@ -0,0 +1,404 @@
+/**
+ * Joystick Calibration Wizard
+ *
+ * Guides the player through resting the stick and sweeping it to every
+ * extreme, then records min/center/max for each axis. The recorded values
+ * drive a piecewise mapping, so sticks with asymmetric travel still reach
+ * -1 and 1 at both ends.
+ */
+
+// Minimum travel (in raw ADC steps) from center to an extreme for a usable calibration
+const MIN_TRAVEL = 100;
+
+// How long to sample the resting stick, in ms
+const CENTER_SAMPLE_TIME = 1500;
+
+// Fraction of the default travel (512) the stick must cover before an extreme counts as reached
+const EXTREME_THRESHOLD = 0.6;
+
+/**
+ * Map a raw axis value to -1..1 using separate scales on each side of center
+ * @param {number} value - Raw value (0-1023)
+ * @param {object} axis - Axis calibration { min, center, max }
+ * @returns {number} Value from -1 to 1
+ */
+export function mapCalibratedAxis(value, axis) {
+  let mapped;
+  if (value < axis.center) {
+    mapped = (value - axis.center) / (axis.center - axis.min);
+  } else {
+    mapped = (value - axis.center) / (axis.max - axis.center);
+  }
+  return Math.max(-1, Math.min(1, mapped));
+}
+
+/**
+ * Check that an axis calibration has enough travel on both sides
+ * @param {object} axis - Axis calibration { min, center, max }
+ * @returns {boolean} True if the calibration is usable
+ */
+export function isValidAxisCalibration(axis) {
+  return !!axis &&
+    axis.center - axis.min >= MIN_TRAVEL &&
+    axis.max - axis.center >= MIN_TRAVEL;
+}
+
+class CalibrationWizard {
+  /**
+   * @param {SerialController} controller - Controller to read raw values from and calibrate
+   */
+  constructor(controller) {
+    this.controller = controller;
+
+    // 'center', 'sweep' or 'review'
+    this.step = null;
+
+    // Calibration being recorded
+    this.calibration = null;
+
+    // Which extremes have been reached during the sweep
+    this.reached = { left: false, right: false, up: false, down: false };
+
+    // Center sampling
+    this.centerSamples = null;
+
+    // requestAnimationFrame handle for the live preview
+    this.frameHandle = null;
+
+    // DOM elements
+    this.overlay = null;
+    this.instructions = null;
+    this.preview = null;
+    this.previewDot = null;
+    this.details = null;
+    this.buttonRow = null;
+
+    this.keydownHandler = (event) => {
+      if (event.key === 'Escape') this.cancel();
+    };
+  }
+
+  /**
+   * Whether the wizard is currently on screen
+   * @returns {boolean} True while calibrating
+   */
+  get active() {
+    return !!this.overlay && this.overlay.isConnected && this.overlay.style.display !== 'none';
+  }
+
+  /**
+   * Show the wizard and start with the resting step
+   */
+  open() {
+    if (this.active) return;
+
+    this.createOverlay();
+    window.addEventListener('keydown', this.keydownHandler);
+
+    this.showCenterStep();
+    this.startPreview();
+  }
+
+  /**
+   * Close the wizard without changing the current calibration
+   */
+  cancel() {
+    this.close();
+    this.controller.updateDebugElement('Calibration cancelled', 'yellow');
+  }
+
+  /**
+   * Remove the wizard from the page
+   */
+  close() {
+    if (this.frameHandle !== null) {
+      cancelAnimationFrame(this.frameHandle);
+      this.frameHandle = null;
+    }
+
+    window.removeEventListener('keydown', this.keydownHandler);
+
+    if (this.overlay) {
+      this.overlay.remove();
+      this.overlay = null;
+    }
+
+    this.step = null;
+  }
+
+  /**
+   * Build the overlay, instructions, preview box and button row
+   */
+  createOverlay() {
+    const overlay = document.createElement('div');
+    overlay.id = 'calibration-wizard';
+    overlay.style.position = 'fixed';
+    overlay.style.top = '50%';
+    overlay.style.left = '50%';
+    overlay.style.transform = 'translate(-50%, -50%)';
+    overlay.style.width = '340px';
+    overlay.style.padding = '20px';
+    overlay.style.background = 'rgba(0, 0, 0, 0.85)';
+    overlay.style.color = 'white';
+    overlay.style.fontFamily = 'Arial, sans-serif';
+    overlay.style.borderRadius = '8px';
+    overlay.style.textAlign = 'center';
+    overlay.style.zIndex = '1000';
+
+    const title = document.createElement('h2');
+    title.textContent = 'Joystick Calibration';
+    title.style.margin = '0 0 10px 0';
+    overlay.appendChild(title);
+
+    this.instructions = document.createElement('p');
+    this.instructions.style.minHeight = '40px';
+    overlay.appendChild(this.instructions);
+
+    // Live preview of the mapped stick position
+    this.preview = document.createElement('div');
+    this.preview.style.position = 'relative';
+    this.preview.style.width = '160px';
+    this.preview.style.height = '160px';
+    this.preview.style.margin = '10px auto';
+    this.preview.style.border = '2px solid #666';
+    this.preview.style.borderRadius = '4px';
+    this.preview.style.background =
+      'linear-gradient(#444, #444) center / 1px 100% no-repeat, linear-gradient(#444, #444) center / 100% 1px no-repeat';
+    overlay.appendChild(this.preview);
+
+    this.previewDot = document.createElement('div');
+    this.previewDot.style.position = 'absolute';
+    this.previewDot.style.width = '12px';
+    this.previewDot.style.height = '12px';
+    this.previewDot.style.marginLeft = '-6px';
+    this.previewDot.style.marginTop = '-6px';
+    this.previewDot.style.borderRadius = '50%';
+    this.previewDot.style.background = 'lime';
+    this.preview.appendChild(this.previewDot);
+
+    this.details = document.createElement('pre');
+    this.details.style.fontSize = '12px';
+    this.details.style.textAlign = 'left';
+    this.details.style.margin = '10px 0';
+    overlay.appendChild(this.details);
+
+    this.buttonRow = document.createElement('div');
+    overlay.appendChild(this.buttonRow);
+
+    document.body.appendChild(overlay);
+    this.overlay = overlay;
+  }
+
+  /**
+   * Replace the buttons in the button row
+   * @param {Array<object>} buttons - { label, color, onClick, disabled }
+   */
+  setButtons(buttons) {
+    this.buttonRow.innerHTML = '';
+
+    buttons.forEach(({ label, color, onClick, disabled }) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.style.margin = '0 5px';
+      button.style.padding = '8px 16px';
+      button.style.backgroundColor = color;
+      button.style.color = 'white';
+      button.style.border = 'none';
+      button.style.borderRadius = '4px';
+      button.style.cursor = 'pointer';
+      button.disabled = !!disabled;
+      button.style.opacity = disabled ? '0.5' : '1';
+      button.onclick = onClick;
+      this.buttonRow.appendChild(button);
+    });
+  }
+
+  /**
+   * Step 1: the player lets go of the stick and we sample its resting position
+   */
+  showCenterStep() {
+    this.step = 'center';
+    this.calibration = null;
+    this.centerSamples = null;
+    this.reached = { left: false, right: false, up: false, down: false };
+
+    this.instructions.textContent = 'Let go of the stick so it rests in the middle, then press Start.';
+    this.setButtons([
+      { label: 'Start', color: '#4CAF50', onClick: () => this.sampleCenter() },
+      { label: 'Cancel', color: '#f44336', onClick: () => this.cancel() }
+    ]);
+  }
+
+  /**
+   * Average the raw values while the stick rests, then move on to the sweep
+   */
+  sampleCenter() {
+    this.centerSamples = { sumX: 0, sumY: 0, count: 0, endTime: performance.now() + CENTER_SAMPLE_TIME };
+
+    this.instructions.textContent = 'Measuring center... keep your hands off the stick.';
+    this.setButtons([
+      { label: 'Cancel', color: '#f44336', onClick: () => this.cancel() }
+    ]);
+  }
+
+  /**
+   * Step 2: the player sweeps the stick to every extreme
+   */
+  showSweepStep() {
+    this.step = 'sweep';
+
+    this.instructions.textContent = 'Move the stick all the way left, right, up and down a few times.';
+    this.updateSweepButtons();
+  }
+
+  /**
+   * Enable "Next" once all four extremes have been reached
+   */
+  updateSweepButtons() {
+    const allReached = Object.values(this.reached).every(Boolean);
+    this.setButtons([
+      { label: 'Next', color: '#4CAF50', onClick: () => this.showReviewStep(), disabled: !allReached },
+      { label: 'Restart', color: '#ff9800', onClick: () => this.showCenterStep() },
+      { label: 'Cancel', color: '#f44336', onClick: () => this.cancel() }
+    ]);
+  }
+
+  /**
+   * Step 3: the player checks the result with the live preview and saves it
+   */
+  showReviewStep() {
+    this.step = 'review';
+
+    const valid = isValidAxisCalibration(this.calibration.x) && isValidAxisCalibration(this.calibration.y);
+
+    this.instructions.textContent = valid
+      ? 'Check the preview: the dot should reach every edge. Save to use this calibration.'
+      : 'The stick did not travel far enough on one side. Please try again.';
+
+    this.setButtons([
+      { label: 'Save', color: '#4CAF50', onClick: () => this.save(), disabled: !valid },
+      { label: 'Redo', color: '#ff9800', onClick: () => this.showCenterStep() },
+      { label: 'Cancel', color: '#f44336', onClick: () => this.cancel() }
+    ]);
+  }
+
+  /**
+   * Hand the recorded calibration to the controller
+   */
+  save() {
+    const calibration = {
+      x: { ...this.calibration.x },
+      y: { ...this.calibration.y }
+    };
+
+    this.close();
+    this.controller.setAxisCalibration(calibration);
+  }
+
+  /**
+   * Run the live preview and recording on every animation frame
+   */
+  startPreview() {
+    const update = () => {
+      this.frameHandle = requestAnimationFrame(update);
+      this.updatePreview();
+    };
+    this.frameHandle = requestAnimationFrame(update);
+  }
+
+  /**
+   * Record the current raw sample and redraw the preview
+   */
+  updatePreview() {
+    const x = this.controller.joystickX;
+    const y = this.controller.joystickY;
+
+    if (this.step === 'center' && this.centerSamples) {
+      this.recordCenterSample(x, y);
+    } else if (this.step === 'sweep') {
+      this.recordSweepSample(x, y);
+    }
+
+    // Show the stick through the calibration being recorded, or the current one
+    const calibration = this.calibration || this.controller.axisCalibration;
+    let mappedX;
+    let mappedY;
+    if (calibration) {
+      mappedX = mapCalibratedAxis(x, calibration.x);
+      mappedY = mapCalibratedAxis(y, calibration.y);
+    } else {
+      mappedX = Math.max(-1, Math.min(1, (x - 512) / 512));
+      mappedY = Math.max(-1, Math.min(1, (y - 512) / 512));
+    }
+
+    this.previewDot.style.left = `${(mappedX + 1) * 50}%`;
+    this.previewDot.style.top = `${(mappedY + 1) * 50}%`;
+
+    let text = `Raw: X=${x}, Y=${y}\nOutput: X=${mappedX.toFixed(2)}, Y=${mappedY.toFixed(2)}`;
+    if (this.calibration) {
+      const { x: cx, y: cy } = this.calibration;
+      text += `\nX: min ${cx.min} | center ${cx.center} | max ${cx.max}`;
+      text += `\nY: min ${cy.min} | center ${cy.center} | max ${cy.max}`;
+    }
+    if (this.step === 'sweep') {
+      const mark = (done) => (done ? '✓' : '·');
+      text += `\nLeft ${mark(this.reached.left)}  Right ${mark(this.reached.right)}  Up ${mark(this.reached.up)}  Down ${mark(this.reached.down)}`;
+    }
+    this.details.textContent = text;
+  }
+
+  /**
+   * Add a resting sample, finishing the center step once enough time has passed
+   * @param {number} x - Raw X value
+   * @param {number} y - Raw Y value
+   */
+  recordCenterSample(x, y) {
+    const samples = this.centerSamples;
+    samples.sumX += x;
+    samples.sumY += y;
+    samples.count++;
+
+    if (performance.now() < samples.endTime) return;
+
+    const centerX = Math.round(samples.sumX / samples.count);
+    const centerY = Math.round(samples.sumY / samples.count);
+    this.centerSamples = null;
+
+    // Start the range at the center and let the sweep widen it
+    this.calibration = {
+      x: { min: centerX, center: centerX, max: centerX },
+      y: { min: centerY, center: centerY, max: centerY }
+    };
+
+    this.showSweepStep();
+  }
+
+  /**
+   * Widen the recorded range with a sweep sample
+   * @param {number} x - Raw X value
+   * @param {number} y - Raw Y value
+   */
+  recordSweepSample(x, y) {
+    const { x: cx, y: cy } = this.calibration;
+    cx.min = Math.min(cx.min, x);
+    cx.max = Math.max(cx.max, x);
+    cy.min = Math.min(cy.min, y);
+    cy.max = Math.max(cy.max, y);
+
+    const threshold = 512 * EXTREME_THRESHOLD;
+    const reached = {
+      left: cx.center - cx.min >= Math.min(threshold, cx.center - MIN_TRAVEL),
+      right: cx.max - cx.center >= Math.min(threshold, 1023 - cx.center - MIN_TRAVEL),
+      up: cy.center - cy.min >= Math.min(threshold, cy.center - MIN_TRAVEL),
+      down: cy.max - cy.center >= Math.min(threshold, 1023 - cy.center - MIN_TRAVEL)
+    };
+
+    const changed = Object.keys(reached).some(key => reached[key] !== this.reached[key]);
+    if (changed) {
+      this.reached = reached;
+      this.updateSweepButtons();
+    }
+  }
+}
+
+export default CalibrationWizard;
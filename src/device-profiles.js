@@ -0,0 +1,194 @@
+/**
+ * Controller Profiles
+ *
+ * Calibration and response settings are stored per physical controller in
+ * localStorage, keyed by device identity (USB IDs for serial ports, device
+ * id/name for Bluetooth). Profiles can be exported to and imported from a
+ * JSON file so the same tuning can be copied between machines.
+ */
+
+export const PROFILES_STORAGE_KEY = 'controllerProfiles';
+export const PROFILES_FORMAT = 'controller-profiles';
+export const PROFILES_FORMAT_VERSION = 1;
+
+/**
+ * Format a USB id as four hex digits
+ * @param {number} id - Vendor or product id
+ * @returns {string} Hex string
+ */
+function toHex(id) {
+  return id.toString(16).padStart(4, '0');
+}
+
+/**
+ * Get the profile key for a serial port
+ * @param {object} portInfo - The port.getInfo() object
+ * @returns {string|null} Profile key, or null if the port has no USB ids or Bluetooth service
+ */
+export function getSerialProfileKey(portInfo) {
+  // Bluetooth serial ports don't reveal the module's address, so they share one profile
+  if (portInfo && portInfo.bluetoothServiceClassId) {
+    return `serial:bluetooth:${portInfo.bluetoothServiceClassId}`;
+  }
+  if (!portInfo || portInfo.usbVendorId === undefined || portInfo.usbProductId === undefined) {
+    return null;
+  }
+  return `serial:${toHex(portInfo.usbVendorId)}:${toHex(portInfo.usbProductId)}`;
+}
+
+/**
+ * Get the profile key for a Bluetooth device
+ * @param {BluetoothDevice} device - The Bluetooth device
+ * @returns {string|null} Profile key, or null if the device can't be identified
+ */
+export function getBluetoothProfileKey(device) {
+  if (!device) return null;
+
+  // Prefer the name, which is the same on every machine; the id is per browser profile
+  const identity = device.name || device.id;
+  return identity ? `bluetooth:${identity}` : null;
+}
+
+/**
+ * Read all stored profiles
+ * @returns {object} Profiles by key
+ */
+export function loadProfiles() {
+  try {
+    const saved = localStorage.getItem(PROFILES_STORAGE_KEY);
+    return saved ? JSON.parse(saved) : {};
+  } catch (err) {
+    console.error('Failed to load controller profiles:', err);
+    return {};
+  }
+}
+
+/**
+ * Write all profiles back to storage
+ * @param {object} profiles - Profiles by key
+ */
+function storeProfiles(profiles) {
+  try {
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+  } catch (err) {
+    console.error('Failed to save controller profiles:', err);
+  }
+}
+
+/**
+ * Get the stored profile for a device
+ * @param {string} key - Profile key
+ * @returns {object|null} The profile, if one is stored
+ */
+export function getProfile(key) {
+  if (!key) return null;
+  return loadProfiles()[key] || null;
+}
+
+/**
+ * Store the profile for a device
+ * @param {string} key - Profile key
+ * @param {object} profile - Calibration and response settings
+ */
+export function saveProfile(key, profile) {
+  if (!key) return;
+
+  const profiles = loadProfiles();
+  profiles[key] = { ...profile, updatedAt: new Date().toISOString() };
+  storeProfiles(profiles);
+
+  console.log(`Saved controller profile for ${key}`);
+}
+
+/**
+ * Serialize every stored profile as JSON
+ * @returns {string} JSON document
+ */
+export function exportProfiles() {
+  return JSON.stringify({
+    format: PROFILES_FORMAT,
+    version: PROFILES_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    profiles: loadProfiles()
+  }, null, 2);
+}
+
+/**
+ * Merge profiles from an exported JSON document into storage.
+ * Profiles in the document replace stored profiles with the same key.
+ * @param {string} json - JSON document created by exportProfiles()
+ * @returns {number} Number of imported profiles
+ */
+export function importProfiles(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (err) {
+    throw new Error('Profile file is not valid JSON');
+  }
+
+  if (!data || data.format !== PROFILES_FORMAT || typeof data.profiles !== 'object' || data.profiles === null) {
+    throw new Error('Not a controller profile file');
+  }
+  if (data.version > PROFILES_FORMAT_VERSION) {
+    throw new Error(`Profile file version ${data.version} is newer than this game supports`);
+  }
+
+  const profiles = loadProfiles();
+  let count = 0;
+  for (const [key, profile] of Object.entries(data.profiles)) {
+    if (!profile || typeof profile !== 'object') continue;
+    profiles[key] = profile;
+    count++;
+  }
+  storeProfiles(profiles);
+
+  console.log(`Imported ${count} controller profile(s)`);
+  return count;
+}
+
+/**
+ * Download all stored profiles as a JSON file
+ * @param {string} filename - Name of the downloaded file
+ */
+export function downloadProfiles(filename = 'controller-profiles.json') {
+  const blob = new Blob([exportProfiles()], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Let the user pick an exported profile file and import it
+ * @returns {Promise<number>} Number of imported profiles (0 if cancelled)
+ */
+export function pickAndImportProfiles() {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+
+    input.onchange = async () => {
+      const file = input.files[0];
+      if (!file) {
+        resolve(0);
+        return;
+      }
+
+      try {
+        resolve(importProfiles(await file.text()));
+      } catch (err) {
+        reject(err);
+      }
+    };
+
+    input.click();
+  });
+}
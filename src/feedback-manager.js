@@ -0,0 +1,86 @@
+/**
+ * Feedback Manager
+ *
+ * Game events (going off track, wrong way, star pickup, lap completion, ...)
+ * are sent to every registered feedback output, so a joystick box can flash
+ * LEDs, beep or rumble, and a gamepad can vibrate. Outputs that aren't
+ * connected are skipped.
+ */
+
+// Events the game sends, with a default rumble for outputs that only vibrate
+export const FEEDBACK_EVENTS = {
+  offtrack: { label: 'Off Track', rumble: { duration: 300, strong: 0.6, weak: 0.3 } },
+  collision: { label: 'Collision', rumble: { duration: 200, strong: 1.0, weak: 0.5 } },
+  wrongway: { label: 'Wrong Way', rumble: { duration: 500, strong: 0.3, weak: 0.8 } },
+  star: { label: 'Star Pickup', rumble: { duration: 80, strong: 0.0, weak: 0.6 } },
+  lap: { label: 'Lap Complete', rumble: { duration: 250, strong: 0.4, weak: 0.4 } },
+  victory: { label: 'Victory', rumble: { duration: 800, strong: 0.5, weak: 1.0 } },
+  fail: { label: 'Race Failed', rumble: { duration: 800, strong: 1.0, weak: 0.2 } }
+};
+
+class FeedbackManager {
+  constructor() {
+    // Registered outputs by id
+    this.outputs = new Map();
+
+    // Master switch
+    this.enabled = true;
+
+    // The same event is not repeated faster than this, so a car bouncing on
+    // the track edge doesn't flood the serial link
+    this.minInterval = 150;
+    this.lastSent = {};
+  }
+
+  /**
+   * Register an output with the manager
+   * @param {FeedbackOutput} output - The output to add
+   * @returns {FeedbackOutput} The added output
+   */
+  addOutput(output) {
+    this.outputs.set(output.id, output);
+    console.log(`Feedback output added: ${output.label} (${output.id})`);
+    return output;
+  }
+
+  /**
+   * Remove an output from the manager
+   * @param {string} id - The output id
+   */
+  removeOutput(id) {
+    this.outputs.delete(id);
+  }
+
+  /**
+   * Send a game event to every available output
+   * @param {string} event - Event name from FEEDBACK_EVENTS
+   * @returns {boolean} True if the event was sent (not disabled or rate limited)
+   */
+  trigger(event) {
+    if (!this.enabled) return false;
+
+    if (!FEEDBACK_EVENTS[event]) {
+      console.warn(`Unknown feedback event: ${event}`);
+      return false;
+    }
+
+    const now = performance.now();
+    if (this.lastSent[event] !== undefined && now - this.lastSent[event] < this.minInterval) {
+      return false;
+    }
+    this.lastSent[event] = now;
+
+    for (const output of this.outputs.values()) {
+      if (!output.available) continue;
+
+      // A failing output must never interrupt the game
+      Promise.resolve()
+        .then(() => output.send(event, FEEDBACK_EVENTS[event]))
+        .catch(err => console.warn(`Feedback to ${output.label} failed:`, err));
+    }
+
+    return true;
+  }
+}
+
+export default FeedbackManager;
@@ -0,0 +1,122 @@
+/**
+ * Feedback Outputs for the Feedback Manager
+ *
+ * Each class here wraps one controller backend and turns a game event into
+ * whatever that backend can do with it: a "#FX" line for joystick boxes on
+ * the serial or Bluetooth link, or a vibration effect for gamepads.
+ */
+
+import { formatFeedback } from './serial-protocol.js';
+
+/**
+ * Base class for all feedback outputs
+ */
+class FeedbackOutput {
+  /**
+   * @param {string} id - Unique output id
+   * @param {string} label - Human readable output name
+   */
+  constructor(id, label) {
+    this.id = id;
+    this.label = label;
+  }
+
+  /**
+   * Whether the output can deliver feedback right now
+   * @returns {boolean} True if connected and capable
+   */
+  get available() {
+    return false;
+  }
+
+  /**
+   * Deliver a game event
+   * @param {string} event - Event name
+   * @param {object} definition - Entry from FEEDBACK_EVENTS
+   */
+  async send(event, definition) {}
+}
+
+/**
+ * Joystick box on the Web Serial link
+ */
+class SerialFeedbackOutput extends FeedbackOutput {
+  /**
+   * @param {SerialController} controller - The serial controller
+   */
+  constructor(controller) {
+    super('serial', 'Serial Joystick');
+    this.controller = controller;
+  }
+
+  get available() {
+    const info = this.controller.firmwareInfo;
+    return this.controller.connected && !!info && info.feedback.length > 0;
+  }
+
+  async send(event) {
+    await this.controller.sendLine(formatFeedback(event));
+  }
+}
+
+/**
+ * Joystick box on a Bluetooth serial link
+ */
+class BluetoothFeedbackOutput extends FeedbackOutput {
+  /**
+   * @param {BluetoothController} controller - The Bluetooth controller
+   */
+  constructor(controller) {
+    super('bluetooth', 'Bluetooth Joystick');
+    this.controller = controller;
+  }
+
+  get available() {
+    return this.controller.connected && this.controller.canWrite();
+  }
+
+  async send(event) {
+    await this.controller.sendLine(formatFeedback(event));
+  }
+}
+
+/**
+ * Gamepad or wheel with a vibration actuator
+ */
+class GamepadFeedbackOutput extends FeedbackOutput {
+  /**
+   * @param {GamepadController} controller - The gamepad controller
+   */
+  constructor(controller) {
+    super('gamepad', 'Gamepad Rumble');
+    this.controller = controller;
+  }
+
+  /**
+   * Get the vibration actuator of the active gamepad
+   * @returns {GamepadHapticActuator|null} The actuator, if the pad has one
+   */
+  getActuator() {
+    if (!this.controller.connected || this.controller.gamepadIndex === null) return null;
+
+    const gamepad = navigator.getGamepads()[this.controller.gamepadIndex];
+    return gamepad && gamepad.vibrationActuator ? gamepad.vibrationActuator : null;
+  }
+
+  get available() {
+    return !!this.getActuator();
+  }
+
+  async send(event, definition) {
+    const actuator = this.getActuator();
+    if (!actuator || !definition.rumble) return;
+
+    await actuator.playEffect('dual-rumble', {
+      duration: definition.rumble.duration,
+      strongMagnitude: definition.rumble.strong,
+      weakMagnitude: definition.rumble.weak
+    });
+  }
+}
+
+export { FeedbackOutput, SerialFeedbackOutput, BluetoothFeedbackOutput, GamepadFeedbackOutput };
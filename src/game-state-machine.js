@@ -0,0 +1,125 @@
+/**
+ * Game Flow State Machine for the 3D Car Racing Game
+ *
+ * The game is always in exactly one state (menu, countdown, racing, ...).
+ * Each state lists the states that may follow it and can have hooks:
+ *
+ *   enter(data, from)  runs when the state is entered, with the data handed
+ *                      to transition() and the name of the previous state
+ *   update(now)        runs once per frame from the game loop
+ *   exit(to)           runs when the state is left
+ *
+ * Code that belongs to one phase of the game lives in that state's hooks,
+ * so it can't run in the wrong phase:
+ *
+ *   flow.addState('racing', { to: ['results'], update: () => updateRaceTimers() });
+ *   flow.transition('racing');
+ */
+
+class GameStateMachine {
+  constructor() {
+    // State name -> { to, enter, update, exit }
+    this.states = new Map();
+
+    this.current = null;
+    this.data = {};
+    this.enteredAt = 0;
+
+    // Transitions requested from inside a hook run once that hook is done
+    this.transitioning = false;
+    this.queue = [];
+  }
+
+  /**
+   * Define a state
+   * @param {string} name - State name
+   * @param {object} hooks - { to, enter, update, exit }
+   * @param {string[]} hooks.to - States this state may change to (omit to allow any)
+   */
+  addState(name, hooks = {}) {
+    this.states.set(name, hooks);
+  }
+
+  /**
+   * Whether the game is in one of the given states
+   * @param {...string} names - State names
+   * @returns {boolean} True if the current state is one of them
+   */
+  is(...names) {
+    return names.includes(this.current);
+  }
+
+  /**
+   * Whether the current state may change to another one
+   * @param {string} name - Target state
+   * @returns {boolean} True if the transition is allowed
+   */
+  canTransition(name) {
+    if (!this.states.has(name)) return false;
+    if (this.current === null) return true;
+
+    const { to } = this.states.get(this.current);
+    return !to || to.includes(name);
+  }
+
+  /**
+   * Leave the current state and enter another one
+   * @param {string} name - Target state
+   * @param {object} data - Handed to the target state's enter hook and kept in `data`
+   * @returns {boolean} False if the transition isn't allowed
+   */
+  transition(name, data = {}) {
+    if (this.transitioning) {
+      this.queue.push({ name, data });
+      return true;
+    }
+
+    if (!this.canTransition(name)) {
+      console.warn(`Ignoring game state change ${this.current} -> ${name}`);
+      return false;
+    }
+
+    const from = this.current;
+    this.transitioning = true;
+    try {
+      const previous = this.states.get(from);
+      if (previous && previous.exit) previous.exit(name);
+
+      this.current = name;
+      this.data = data;
+      this.enteredAt = performance.now();
+      console.log(`Game state: ${from} -> ${name}`);
+
+      const next = this.states.get(name);
+      if (next.enter) next.enter(data, from);
+    } finally {
+      this.transitioning = false;
+    }
+
+    // Run a transition requested by one of the hooks
+    const queued = this.queue.shift();
+    if (queued) {
+      this.transition(queued.name, queued.data);
+    }
+    return true;
+  }
+
+  /**
+   * Run the current state's update hook; call once per frame
+   * @param {number} now - Current time in ms
+   */
+  update(now = performance.now()) {
+    const state = this.states.get(this.current);
+    if (state && state.update) state.update(now);
+  }
+
+  /**
+   * Milliseconds since the current state was entered
+   * @returns {number} Time in the current state
+   */
+  getTimeInState() {
+    return performance.now() - this.enteredAt;
+  }
+}
+
+export default GameStateMachine;
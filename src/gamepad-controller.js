@@ -0,0 +1,377 @@
+/**
+ * Gamepad Controller for the 3D Car Racing Game
+ *
+ * This module provides support for standard USB/Bluetooth gamepads and
+ * racing wheels using the Gamepad API.
+ */
+
+// Button/axis layout for gamepads reporting the "standard" mapping
+// (Xbox, PlayStation, Switch Pro and most generic pads)
+const STANDARD_MAPPING = {
+  steer: { axis: 0 },                    // Left stick X
+  throttle: { button: 7 },               // Right trigger (analog)
+  brake: { button: 6 },                  // Left trigger (analog)
+  stickThrottle: { axis: 1 },            // Left stick Y, used when triggers are released
+  boost: [0, 5],                         // A / Cross, right bumper
+  handbrake: [2, 4]                      // X / Square, left bumper
+};
+
+// Layout for racing wheels, which usually report a non-standard mapping
+// with the pedals on their own axes, most resting at +1 and pressed at -1
+const WHEEL_MAPPING = {
+  steer: { axis: 0 },                    // Wheel rotation
+  throttle: { axis: 2, inverted: true }, // Accelerator pedal
+  brake: { axis: 3, inverted: true },    // Brake pedal
+  stickThrottle: null,
+  boost: [0, 4],                         // Face/paddle buttons
+  handbrake: [1, 5]
+};
+
+// Layout for other pads without the standard mapping. Their trigger and
+// button numbering varies, so drive with the left stick only.
+const GENERIC_MAPPING = {
+  steer: { axis: 0 },                    // Left stick X
+  throttle: null,
+  brake: null,
+  stickThrottle: { axis: 1 },            // Left stick Y
+  boost: [0, 5],
+  handbrake: [2, 4]
+};
+
+// Gamepad ids of racing wheels (Logitech, Thrustmaster, Fanatec, Moza...)
+const WHEEL_ID_PATTERN = /wheel|racing|driving force|g25|g27|g29|g920|g923|thrustmaster|fanatec|moza/i;
+
+// How far a pedal axis must move from where it was first read before it counts.
+// Some browsers report an untouched axis as 0, which would read as half pressed.
+const PEDAL_MOVE_THRESHOLD = 0.1;
+
+/**
+ * Pick the button/axis layout for a gamepad
+ * @param {Gamepad} gamepad - The gamepad
+ * @returns {object} STANDARD_MAPPING, WHEEL_MAPPING or GENERIC_MAPPING
+ */
+function getMapping(gamepad) {
+  if (gamepad.mapping === 'standard') return STANDARD_MAPPING;
+  return WHEEL_ID_PATTERN.test(gamepad.id) ? WHEEL_MAPPING : GENERIC_MAPPING;
+}
+
+class GamepadController {
+  constructor() {
+    // Index of the gamepad we are reading in navigator.getGamepads()
+    this.gamepadIndex = null;
+    this.gamepadId = null;
+
+    // Active button/axis layout
+    this.mapping = STANDARD_MAPPING;
+
+    // Pedal axis -> { rest, moved }: the first value read and whether it has changed since
+    this.pedals = new Map();
+
+    // Deadzone for analog sticks and the wheel
+    this.stickDeadzone = 0.1;
+
+    // Minimum trigger/pedal value before it counts as pressed
+    this.triggerThreshold = 0.05;
+
+    // Normalized values
+    this.steer = 0;
+    this.throttle = 0;
+    this.brake = 0;
+    this.boost = false;
+    this.handbrake = false;
+
+    // Callback function to process gamepad data
+    this.onJoystickData = null;
+
+    // Connection status
+    this.connected = false;
+
+    // requestAnimationFrame handle for the polling loop
+    this.pollHandle = null;
+
+    // Debug element
+    this.debugElement = null;
+
+    // Event handlers kept so they can be removed on disconnect
+    this.gamepadConnectedHandler = null;
+    this.gamepadDisconnectedHandler = null;
+  }
+
+  /**
+   * Find the first connected gamepad
+   * @returns {Gamepad|null} The gamepad, if one is available
+   */
+  findGamepad() {
+    const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+    for (const gamepad of gamepads) {
+      if (gamepad && gamepad.connected) {
+        return gamepad;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Connect to a gamepad. Browsers only expose gamepads after a button has been
+   * pressed, so this waits for one to show up.
+   * @param {number} timeout - How long to wait for a gamepad in ms
+   * @returns {Promise} Resolves when connected, rejects on error or timeout
+   */
+  async connect(timeout = 15000) {
+    this.debugElement = document.getElementById('joystick-debug');
+
+    if (!GamepadController.isSupported()) {
+      const errorMsg = "Gamepad API is not available in this browser.";
+      console.error(errorMsg);
+      this.updateDebugElement(errorMsg, 'red');
+      throw new Error(errorMsg);
+    }
+
+    let gamepad = this.findGamepad();
+
+    if (!gamepad) {
+      this.updateDebugElement('Press any button on your gamepad or wheel...', 'yellow');
+
+      gamepad = await new Promise((resolve, reject) => {
+        const onConnected = (event) => {
+          clearTimeout(timer);
+          window.removeEventListener('gamepadconnected', onConnected);
+          resolve(event.gamepad);
+        };
+
+        const timer = setTimeout(() => {
+          window.removeEventListener('gamepadconnected', onConnected);
+          reject(new Error('No gamepad detected. Press a button on the gamepad and try again.'));
+        }, timeout);
+
+        window.addEventListener('gamepadconnected', onConnected);
+      });
+    }
+
+    this.useGamepad(gamepad);
+    this.listenForConnectionChanges();
+    this.startPolling();
+
+    // Dispatch event after successful connection
+    document.dispatchEvent(new Event('controller-connected'));
+
+    return true;
+  }
+
+  /**
+   * Start reading from a specific gamepad
+   * @param {Gamepad} gamepad - The gamepad to use
+   */
+  useGamepad(gamepad) {
+    this.gamepadIndex = gamepad.index;
+    this.gamepadId = gamepad.id;
+    this.mapping = getMapping(gamepad);
+    this.pedals.clear();
+    this.connected = true;
+
+    const layout = this.mapping === WHEEL_MAPPING ? 'wheel' : (gamepad.mapping || 'non-standard');
+    console.log(`Gamepad connected: ${gamepad.id} (mapping: ${layout})`);
+    this.updateDebugElement(`Connected to gamepad: ${gamepad.id}`, 'lime');
+  }
+
+  /**
+   * Watch for the gamepad being unplugged and plugged back in
+   */
+  listenForConnectionChanges() {
+    if (this.gamepadDisconnectedHandler) return;
+
+    this.gamepadDisconnectedHandler = (event) => {
+      if (event.gamepad.index !== this.gamepadIndex) return;
+
+      console.log('Gamepad disconnected:', event.gamepad.id);
+      this.connected = false;
+      this.resetValues();
+      this.updateDebugElement('Gamepad disconnected - reconnect it or press a button', 'orange');
+    };
+
+    this.gamepadConnectedHandler = (event) => {
+      // Pick the same pad back up when it returns
+      if (!this.connected && event.gamepad.id === this.gamepadId) {
+        this.useGamepad(event.gamepad);
+      }
+    };
+
+    window.addEventListener('gamepaddisconnected', this.gamepadDisconnectedHandler);
+    window.addEventListener('gamepadconnected', this.gamepadConnectedHandler);
+  }
+
+  /**
+   * Start polling the gamepad (the Gamepad API has no input events)
+   */
+  startPolling() {
+    if (this.pollHandle !== null) return;
+
+    const poll = () => {
+      this.pollHandle = requestAnimationFrame(poll);
+
+      if (!this.connected) return;
+
+      const gamepads = navigator.getGamepads();
+      const gamepad = gamepads[this.gamepadIndex];
+      if (gamepad) {
+        this.processGamepad(gamepad);
+      }
+    };
+
+    this.pollHandle = requestAnimationFrame(poll);
+  }
+
+  /**
+   * Read an analog control as a 0 to 1 value
+   * @param {Gamepad} gamepad - The gamepad snapshot
+   * @param {object} control - { button } or { axis, inverted }
+   * @returns {number} Value from 0 to 1
+   */
+  readAnalog(gamepad, control) {
+    if (!control) return 0;
+
+    let value = 0;
+    if (control.button !== undefined) {
+      const button = gamepad.buttons[control.button];
+      value = button ? button.value : 0;
+    } else if (control.axis !== undefined) {
+      const axis = gamepad.axes[control.axis];
+      if (axis === undefined) return 0;
+
+      // Ignore a pedal until it moves, so an unreported axis doesn't read as pressed
+      if (!this.pedals.has(control.axis)) {
+        this.pedals.set(control.axis, { rest: axis, moved: false });
+      }
+      const pedal = this.pedals.get(control.axis);
+      if (!pedal.moved) {
+        if (Math.abs(axis - pedal.rest) < PEDAL_MOVE_THRESHOLD) return 0;
+        pedal.moved = true;
+      }
+
+      // Pedals report -1..1; map the resting end to 0 and the pressed end to 1.
+      // A pedal first seen near -1 rests there, whatever the mapping says.
+      const inverted = pedal.rest < -0.5 ? false : control.inverted;
+      value = inverted ? (1 - axis) / 2 : (axis + 1) / 2;
+    }
+
+    return value > this.triggerThreshold ? Math.min(1, value) : 0;
+  }
+
+  /**
+   * Apply an axial deadzone and rescale to the full range
+   * @param {number} value - Axis value from -1 to 1
+   * @returns {number} Value with deadzone applied
+   */
+  applyDeadzone(value) {
+    if (Math.abs(value) < this.stickDeadzone) return 0;
+    return Math.sign(value) * (Math.abs(value) - this.stickDeadzone) / (1 - this.stickDeadzone);
+  }
+
+  /**
+   * Convert a gamepad snapshot into normalized driving inputs
+   * @param {Gamepad} gamepad - The gamepad snapshot
+   */
+  processGamepad(gamepad) {
+    const mapping = this.mapping;
+
+    // Steering from the stick or wheel
+    const steerAxis = gamepad.axes[mapping.steer.axis] || 0;
+    this.steer = this.applyDeadzone(steerAxis);
+
+    // Triggers/pedals drive throttle and brake separately
+    this.throttle = this.readAnalog(gamepad, mapping.throttle);
+    this.brake = this.readAnalog(gamepad, mapping.brake);
+
+    // Fall back to the left stick Y axis when the triggers are released
+    if (mapping.stickThrottle && this.throttle === 0 && this.brake === 0) {
+      const stickY = this.applyDeadzone(gamepad.axes[mapping.stickThrottle.axis] || 0);
+      this.throttle = Math.max(0, -stickY); // Stick up is negative
+      this.brake = Math.max(0, stickY);
+    }
+
+    // Any of the boost buttons
+    this.boost = mapping.boost.some(index => gamepad.buttons[index] && gamepad.buttons[index].pressed);
+    this.handbrake = mapping.handbrake.some(index => gamepad.buttons[index] && gamepad.buttons[index].pressed);
+
+    // If we have a callback registered, send the data
+    if (this.onJoystickData) {
+      this.onJoystickData({
+        steer: this.steer,
+        throttle: this.throttle,
+        brake: this.brake,
+        boost: this.boost,
+        handbrake: this.handbrake,
+        gamepadId: gamepad.id
+      });
+    }
+  }
+
+  /**
+   * Reset all inputs to neutral and notify the callback
+   */
+  resetValues() {
+    this.steer = 0;
+    this.throttle = 0;
+    this.brake = 0;
+    this.boost = false;
+    this.handbrake = false;
+
+    if (this.onJoystickData) {
+      this.onJoystickData({ steer: 0, throttle: 0, brake: 0, boost: false, handbrake: false, gamepadId: this.gamepadId });
+    }
+  }
+
+  /**
+   * Update the debug element text and color
+   * @param {string} message - The message to display
+   * @param {string} color - The color to use (e.g., 'red', 'lime', 'yellow')
+   */
+  updateDebugElement(message, color = 'white') {
+    if (this.debugElement) {
+      this.debugElement.textContent = message;
+      this.debugElement.style.color = color;
+    }
+  }
+
+  /**
+   * Stop reading from the gamepad
+   */
+  async disconnect() {
+    if (this.pollHandle !== null) {
+      cancelAnimationFrame(this.pollHandle);
+      this.pollHandle = null;
+    }
+
+    if (this.gamepadDisconnectedHandler) {
+      window.removeEventListener('gamepaddisconnected', this.gamepadDisconnectedHandler);
+      window.removeEventListener('gamepadconnected', this.gamepadConnectedHandler);
+      this.gamepadDisconnectedHandler = null;
+      this.gamepadConnectedHandler = null;
+    }
+
+    this.connected = false;
+    this.resetValues();
+    this.updateDebugElement('Gamepad disconnected', 'orange');
+
+    console.log('Gamepad disconnected');
+    return true;
+  }
+
+  /**
+   * Set the callback function for gamepad data
+   * @param {Function} callback - Function to call with gamepad data
+   */
+  setJoystickDataCallback(callback) {
+    this.onJoystickData = callback;
+  }
+
+  /**
+   * Check if the Gamepad API is supported in the current browser
+   * @returns {boolean} True if the Gamepad API is supported
+   */
+  static isSupported() {
+    return 'getGamepads' in navigator;
+  }
+}
+
+export default GamepadController;
@@ -0,0 +1,232 @@
+/**
+ * Button and Stick Gestures for the 3D Car Racing Game
+ *
+ * Watches the normalized input state (see InputManager) and recognizes
+ * gestures on top of the plain held buttons and stick axes:
+ *
+ *   tap            a short press of a button
+ *   double-tap     two taps in quick succession
+ *   long-press     a button held down (fires once, while still held)
+ *   flick-<dir>    the stick pushed to the edge and let go quickly
+ *                  (dir is left, right, up or down)
+ *   chord-<dir>    a flick while a button is held
+ *
+ * Game code binds gestures to named actions and listens for the actions,
+ * so the mapping can change without touching the handlers:
+ *
+ *   gestures.bind('double-tap', 'pause');
+ *   gestures.on('pause', () => togglePause());
+ */
+
+import { loadSettings, saveSettings } from './stored-settings.js';
+
+// Where the timing thresholds are remembered between visits
+const GESTURE_SETTINGS_KEY = 'gestureSettings';
+
+const DEFAULT_SETTINGS = {
+  tapMaxDuration: 250,     // A press shorter than this (ms) is a tap
+  doubleTapWindow: 300,    // Longest gap between the taps of a double tap (ms)
+  longPressDuration: 1200, // How long a button is held for a long press (ms)
+  flickThreshold: 0.9,     // Stick deflection a flick has to reach (0-1)
+  flickCenter: 0.3,        // Below this deflection the stick counts as centered (0-1)
+  flickMaxDuration: 250    // Longest time from leaving the center to coming back (ms)
+};
+
+class GestureRecognizer {
+  /**
+   * @param {object} settings - Overrides for the saved settings (not stored)
+   */
+  constructor(settings = {}) {
+    this.settings = { ...loadSettings(GESTURE_SETTINGS_KEY, DEFAULT_SETTINGS, 'gesture settings'), ...settings };
+
+    // Gesture name -> action name, and action name -> handlers
+    this.bindings = new Map();
+    this.handlers = new Map();
+
+    this.reset();
+  }
+
+  /**
+   * Forget any gesture in progress (e.g. when a race starts)
+   */
+  reset() {
+    // Per button: { pressed, pressStart, handled, lastTapTime }
+    // (handled: this press already produced a long press or chord, so it isn't a tap)
+    this.buttons = {};
+
+    // Stick movement away from the center: { start, peakX, peakY, peak }
+    this.flick = null;
+  }
+
+  /**
+   * Change the thresholds and remember them on this device
+   * @param {object} settings - Partial settings
+   */
+  configure(settings) {
+    Object.keys(DEFAULT_SETTINGS).forEach(key => {
+      if (typeof settings[key] === 'number' && settings[key] >= 0) {
+        this.settings[key] = settings[key];
+      }
+    });
+
+    saveSettings(GESTURE_SETTINGS_KEY, this.settings, 'gesture settings');
+  }
+
+  /**
+   * Bind a gesture to an action
+   * @param {string} gesture - Gesture name (e.g. 'long-press', 'flick-up')
+   * @param {string} action - Action name handed to the listeners
+   */
+  bind(gesture, action) {
+    this.bindings.set(gesture, action);
+  }
+
+  /**
+   * Remove the action of a gesture
+   * @param {string} gesture - Gesture name
+   */
+  unbind(gesture) {
+    this.bindings.delete(gesture);
+  }
+
+  /**
+   * Listen for an action
+   * @param {string} action - Action name
+   * @param {Function} handler - Called with { gesture, button, direction }
+   */
+  on(action, handler) {
+    if (!this.handlers.has(action)) {
+      this.handlers.set(action, []);
+    }
+    this.handlers.get(action).push(handler);
+  }
+
+  /**
+   * Feed the current input state; call once per frame
+   * @param {object} state - Normalized input state ({ steer, throttle, brake, buttons })
+   * @param {number} now - Current time in ms
+   * @param {boolean} analogStick - False when the axes come from keys, buttons or
+   *   triggers, which jump from 0 to 1 on every tap and would look like flicks
+   */
+  update(state, now = performance.now(), analogStick = true) {
+    Object.entries(state.buttons || {}).forEach(([button, pressed]) => {
+      this.updateButton(button, !!pressed, now);
+    });
+
+    if (analogStick) {
+      this.updateStick(state, now);
+    } else {
+      this.flick = null;
+    }
+  }
+
+  /**
+   * Recognize taps, double taps and long presses of one button
+   * @param {string} button - Button name
+   * @param {boolean} pressed - Whether the button is down
+   * @param {number} now - Current time in ms
+   */
+  updateButton(button, pressed, now) {
+    if (!this.buttons[button]) {
+      this.buttons[button] = { pressed: false, pressStart: 0, handled: false, lastTapTime: null };
+    }
+    const tracker = this.buttons[button];
+    const { tapMaxDuration, doubleTapWindow, longPressDuration } = this.settings;
+
+    if (pressed && !tracker.pressed) {
+      tracker.pressed = true;
+      tracker.pressStart = now;
+      tracker.handled = false;
+    } else if (!pressed && tracker.pressed) {
+      tracker.pressed = false;
+
+      if (!tracker.handled && now - tracker.pressStart <= tapMaxDuration) {
+        if (tracker.lastTapTime !== null && tracker.pressStart - tracker.lastTapTime <= doubleTapWindow) {
+          tracker.lastTapTime = null;
+          this.emit('double-tap', { button });
+        } else {
+          // Wait to see whether a second tap follows
+          tracker.lastTapTime = now;
+        }
+      }
+    }
+
+    // Held long enough: fire once, without waiting for the release
+    if (tracker.pressed && !tracker.handled && now - tracker.pressStart >= longPressDuration) {
+      tracker.handled = true;
+      tracker.lastTapTime = null;
+      this.emit('long-press', { button });
+    }
+
+    // No second tap came
+    if (!tracker.pressed && tracker.lastTapTime !== null && now - tracker.lastTapTime > doubleTapWindow) {
+      tracker.lastTapTime = null;
+      this.emit('tap', { button });
+    }
+  }
+
+  /**
+   * Recognize quick flicks of the stick
+   * @param {object} state - Normalized input state
+   * @param {number} now - Current time in ms
+   */
+  updateStick(state, now) {
+    const { flickThreshold, flickCenter, flickMaxDuration } = this.settings;
+
+    // Throttle is forward, brake is back
+    const x = state.steer || 0;
+    const y = (state.throttle || 0) - (state.brake || 0);
+    const deflection = Math.min(1, Math.hypot(x, y));
+
+    if (!this.flick) {
+      if (deflection > flickCenter) {
+        this.flick = { start: now, peakX: x, peakY: y, peak: deflection };
+      }
+      return;
+    }
+
+    if (deflection > this.flick.peak) {
+      this.flick.peakX = x;
+      this.flick.peakY = y;
+      this.flick.peak = deflection;
+    }
+
+    // Only counts once the stick is back in the center
+    if (deflection > flickCenter) return;
+
+    const { start, peakX, peakY, peak } = this.flick;
+    this.flick = null;
+
+    if (peak < flickThreshold || now - start > flickMaxDuration) return;
+
+    const direction = Math.abs(peakX) > Math.abs(peakY)
+      ? (peakX > 0 ? 'right' : 'left')
+      : (peakY > 0 ? 'up' : 'down');
+
+    // A held button turns the flick into a chord
+    const heldButton = Object.keys(this.buttons).find(button => this.buttons[button].pressed);
+    if (heldButton) {
+      this.buttons[heldButton].handled = true;
+      this.emit(`chord-${direction}`, { button: heldButton, direction });
+    } else {
+      this.emit(`flick-${direction}`, { direction });
+    }
+  }
+
+  /**
+   * Run the handlers of the action bound to a gesture
+   * @param {string} gesture - Recognized gesture
+   * @param {object} detail - { button, direction }
+   */
+  emit(gesture, detail = {}) {
+    const action = this.bindings.get(gesture);
+    if (!action) return;
+
+    console.log(`Gesture ${gesture} -> ${action}`);
+    (this.handlers.get(action) || []).forEach(handler => {
+      handler({ gesture, ...detail });
+    });
+  }
+}
+
+export default GestureRecognizer;
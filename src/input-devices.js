@@ -0,0 +1,339 @@
+/**
+ * Input Devices for the Input Manager
+ *
+ * Each class here wraps one controller backend and translates its native
+ * callback format into the normalized state used by InputManager:
+ * { steer, throttle, brake, buttons, timestamp }.
+ */
+
+import { createNeutralState, isStateActive } from './input-manager.js';
+
+/**
+ * Base class for all input devices
+ */
+class InputDevice {
+  /**
+   * @param {string} id - Unique device id
+   * @param {string} label - Human readable device name
+   * @param {boolean} isHardware - False for software inputs like the keyboard
+   */
+  constructor(id, label, isHardware = true) {
+    this.id = id;
+    this.label = label;
+    this.isHardware = isHardware;
+
+    // Normalized state read by the InputManager
+    this.state = createNeutralState();
+
+    // Steer and throttle come from one analog stick (only those make stick gestures)
+    this.analogStick = false;
+
+    // Last time this device produced non-neutral input (used for hot-swapping)
+    this.lastActiveTime = 0;
+  }
+
+  /**
+   * Whether the device is currently able to deliver input
+   * @returns {boolean} Connection status
+   */
+  get connected() {
+    return true;
+  }
+
+  /**
+   * Whether the device is connected but has stopped delivering input
+   * @returns {boolean} Stall status
+   */
+  get stalled() {
+    return false;
+  }
+
+  /**
+   * Start listening to the underlying backend
+   */
+  attach() {}
+
+  /**
+   * Stop listening to the underlying backend
+   */
+  detach() {}
+
+  /**
+   * Update the normalized state from backend data
+   * @param {object} values - Partial state (steer, throttle, brake, buttons)
+   */
+  update(values) {
+    const { buttons, ...axes } = values;
+
+    Object.assign(this.state, axes);
+    if (buttons) {
+      Object.assign(this.state.buttons, buttons);
+    }
+
+    // Keep the axes inside their documented ranges
+    this.state.steer = Math.max(-1, Math.min(1, this.state.steer));
+    this.state.throttle = Math.max(0, Math.min(1, this.state.throttle));
+    this.state.brake = Math.max(0, Math.min(1, this.state.brake));
+
+    this.state.timestamp = performance.now();
+    if (isStateActive(this.state)) {
+      this.lastActiveTime = this.state.timestamp;
+    }
+  }
+
+  /**
+   * Return the device to a neutral state
+   */
+  reset() {
+    this.state = createNeutralState();
+    this.state.timestamp = performance.now();
+  }
+}
+
+/**
+ * Wraps a SerialController ({roll, pitch, boost} callback)
+ */
+class SerialInputDevice extends InputDevice {
+  /**
+   * @param {SerialController} controller - The serial controller to wrap
+   * @param {string} id - Unique device id
+   * @param {string} label - Human readable device name
+   */
+  constructor(controller, id = 'serial', label = 'USB Serial Joystick') {
+    super(id, label);
+    this.controller = controller;
+    this.analogStick = true;
+  }
+
+  get connected() {
+    return this.controller.connected;
+  }
+
+  get stalled() {
+    return this.controller.watchdog.stalled;
+  }
+
+  attach() {
+    this.controller.setJoystickDataCallback((data) => {
+      // Pushing the stick forward gives negative pitch
+      this.update({
+        steer: data.roll,
+        throttle: Math.max(0, -data.pitch),
+        brake: Math.max(0, data.pitch),
+        buttons: { boost: !!data.boost }
+      });
+    });
+  }
+
+  detach() {
+    this.controller.setJoystickDataCallback(null);
+    this.reset();
+  }
+}
+
+/**
+ * Wraps a BluetoothController ((x, y, buttonPressed) callback, Y already flipped)
+ */
+class BluetoothInputDevice extends InputDevice {
+  /**
+   * @param {BluetoothController} controller - The Bluetooth controller to wrap
+   * @param {string} id - Unique device id
+   */
+  constructor(controller, id = 'bluetooth') {
+    super(id, 'Bluetooth Joystick');
+    this.controller = controller;
+    this.analogStick = true;
+  }
+
+  get connected() {
+    return this.controller.connected;
+  }
+
+  attach() {
+    this.controller.setJoystickDataCallback((x, y, buttonPressed) => {
+      // Y is positive when the stick is pushed forward
+      this.update({
+        steer: x,
+        throttle: Math.max(0, y),
+        brake: Math.max(0, -y),
+        buttons: { boost: !!buttonPressed }
+      });
+    });
+  }
+
+  detach() {
+    this.controller.setJoystickDataCallback(null);
+    this.reset();
+  }
+}
+
+/**
+ * Wraps a GamepadController ({steer, throttle, brake, boost, handbrake} callback)
+ */
+class GamepadInputDevice extends InputDevice {
+  /**
+   * @param {GamepadController} controller - The gamepad controller to wrap
+   * @param {string} id - Unique device id
+   */
+  constructor(controller, id = 'gamepad') {
+    super(id, 'Gamepad');
+    this.controller = controller;
+  }
+
+  get connected() {
+    return this.controller.connected;
+  }
+
+  attach() {
+    this.controller.setJoystickDataCallback((data) => {
+      // Show the actual pad/wheel name in the debug HUD
+      if (data.gamepadId) this.label = data.gamepadId;
+
+      // Triggers already drive throttle and brake separately
+      this.update({
+        steer: data.steer,
+        throttle: data.throttle,
+        brake: data.brake,
+        buttons: { boost: data.boost, handbrake: data.handbrake }
+      });
+    });
+  }
+
+  detach() {
+    this.controller.setJoystickDataCallback(null);
+    this.reset();
+  }
+}
+
+/**
+ * Wraps a PhoneController ({steer, throttle, brake, boost, latency} callback)
+ */
+class PhoneInputDevice extends InputDevice {
+  /**
+   * @param {PhoneController} controller - The phone controller to wrap
+   * @param {string} id - Unique device id
+   */
+  constructor(controller, id = 'phone') {
+    super(id, 'Phone');
+    this.controller = controller;
+  }
+
+  get connected() {
+    return this.controller.connected;
+  }
+
+  attach() {
+    this.controller.setJoystickDataCallback((data) => {
+      // The debug HUD shows the label, so the round trip time is shown with it
+      this.label = data.latency !== null ? `Phone (${data.latency} ms)` : 'Phone';
+
+      this.update({
+        steer: data.steer,
+        throttle: data.throttle,
+        brake: data.brake,
+        buttons: { boost: data.boost }
+      });
+    });
+  }
+
+  detach() {
+    this.controller.setJoystickDataCallback(null);
+    this.reset();
+  }
+}
+
+/**
+ * Wraps the on-screen TouchControls ({steer, throttle, brake, boost, handbrake} callback)
+ */
+class TouchInputDevice extends InputDevice {
+  /**
+   * @param {TouchControls} controls - The touch controls to wrap
+   * @param {string} id - Unique device id
+   */
+  constructor(controls, id = 'touch') {
+    // A software input like the keyboard, so it never hides a real controller
+    super(id, 'Touch Controls', false);
+    this.controls = controls;
+  }
+
+  get connected() {
+    return this.controls.connected;
+  }
+
+  attach() {
+    this.controls.setJoystickDataCallback((data) => {
+      this.update({
+        steer: data.steer,
+        throttle: data.throttle,
+        brake: data.brake,
+        buttons: { boost: data.boost, handbrake: data.handbrake }
+      });
+    });
+  }
+
+  detach() {
+    this.controls.setJoystickDataCallback(null);
+    this.reset();
+  }
+}
+
+/**
+ * Arrow keys to drive, Space for boost, Shift for the handbrake
+ */
+class KeyboardInputDevice extends InputDevice {
+  /**
+   * @param {string} id - Unique device id
+   */
+  constructor(id = 'keyboard') {
+    super(id, 'Keyboard', false);
+
+    // Track pressed keys
+    this.keysPressed = {
+      ArrowLeft: false,
+      ArrowRight: false,
+      ArrowUp: false,
+      ArrowDown: false,
+      ' ': false,
+      Shift: false
+    };
+
+    this.keydownHandler = (event) => this.handleKey(event, true);
+    this.keyupHandler = (event) => this.handleKey(event, false);
+  }
+
+  attach() {
+    window.addEventListener('keydown', this.keydownHandler);
+    window.addEventListener('keyup', this.keyupHandler);
+  }
+
+  detach() {
+    window.removeEventListener('keydown', this.keydownHandler);
+    window.removeEventListener('keyup', this.keyupHandler);
+    this.reset();
+  }
+
+  /**
+   * Update key state and recompute the normalized state
+   * @param {KeyboardEvent} event - The keyboard event
+   * @param {boolean} pressed - True on keydown, false on keyup
+   */
+  handleKey(event, pressed) {
+    // Only process keys we care about
+    if (!(event.key in this.keysPressed)) return;
+
+    // Prevent default actions for these keys (like scrolling)
+    event.preventDefault();
+
+    this.keysPressed[event.key] = pressed;
+
+    const keys = this.keysPressed;
+    this.update({
+      steer: (keys.ArrowRight ? 1 : 0) - (keys.ArrowLeft ? 1 : 0),
+      throttle: keys.ArrowUp ? 1 : 0,
+      brake: keys.ArrowDown ? 1 : 0,
+      buttons: { boost: keys[' '], handbrake: keys.Shift }
+    });
+  }
+}
+
+export { InputDevice, SerialInputDevice, BluetoothInputDevice, GamepadInputDevice, PhoneInputDevice, TouchInputDevice, KeyboardInputDevice };
@@ -0,0 +1,213 @@
+/**
+ * Input Manager for the 3D Car Racing Game
+ *
+ * This module provides a single input layer over every controller backend
+ * (serial joystick, Bluetooth joystick, keyboard, ...). Each backend is wrapped
+ * as a "device" that reports the same normalized state, and the game loop only
+ * ever reads from the manager.
+ */
+
+/**
+ * Create a neutral (centered, nothing pressed) input state
+ * @returns {object} Normalized input state
+ */
+export function createNeutralState() {
+  return {
+    steer: 0,      // -1 (full left) to 1 (full right)
+    throttle: 0,   // 0 to 1
+    brake: 0,      // 0 to 1
+    buttons: {
+      boost: false,
+      handbrake: false
+    },
+    timestamp: 0   // performance.now() of the last update
+  };
+}
+
+/**
+ * Check whether an input state has any meaningful input in it
+ * @param {object} state - Normalized input state
+ * @param {number} threshold - Minimum axis value that counts as input
+ * @returns {boolean} True if any axis or button is active
+ */
+export function isStateActive(state, threshold = 0.15) {
+  if (!state) return false;
+
+  if (Math.abs(state.steer) > threshold ||
+      state.throttle > threshold ||
+      state.brake > threshold) {
+    return true;
+  }
+
+  return Object.values(state.buttons).some(Boolean);
+}
+
+class InputManager {
+  constructor() {
+    // Registered devices by id, in registration order
+    this.devices = new Map();
+
+    // Pinned device id (null = automatic, most recently used device wins)
+    this.pinnedDeviceId = null;
+
+    // Device currently feeding the game
+    this.activeDeviceId = null;
+
+    // State handed out when no device is available
+    this.neutralState = createNeutralState();
+  }
+
+  /**
+   * Register a device with the manager
+   * @param {InputDevice} device - The device to add
+   * @returns {InputDevice} The added device
+   */
+  addDevice(device) {
+    if (this.devices.has(device.id)) {
+      this.removeDevice(device.id);
+    }
+
+    this.devices.set(device.id, device);
+    device.attach();
+
+    console.log(`Input device added: ${device.label} (${device.id})`);
+    this.selectActiveDevice();
+
+    return device;
+  }
+
+  /**
+   * Remove a device from the manager
+   * @param {string} id - The device id
+   */
+  removeDevice(id) {
+    const device = this.devices.get(id);
+    if (!device) return;
+
+    device.detach();
+    this.devices.delete(id);
+
+    if (this.pinnedDeviceId === id) {
+      this.pinnedDeviceId = null;
+    }
+
+    console.log(`Input device removed: ${device.label} (${device.id})`);
+    this.selectActiveDevice();
+  }
+
+  /**
+   * Get a registered device
+   * @param {string} id - The device id
+   * @returns {InputDevice|undefined} The device, if registered
+   */
+  getDevice(id) {
+    return this.devices.get(id);
+  }
+
+  /**
+   * Pin a device as the active one, or pass null to go back to automatic selection
+   * @param {string|null} id - The device id
+   */
+  setActiveDevice(id) {
+    if (id !== null && !this.devices.has(id)) {
+      console.warn(`Cannot activate unknown input device: ${id}`);
+      return;
+    }
+
+    this.pinnedDeviceId = id;
+    this.selectActiveDevice();
+  }
+
+  /**
+   * Get the device currently feeding the game
+   * @returns {InputDevice|null} The active device
+   */
+  getActiveDevice() {
+    return this.devices.get(this.activeDeviceId) || null;
+  }
+
+  /**
+   * Get the state of one device, for a player bound to a specific controller
+   * @param {string} id - The device id
+   * @returns {object} Normalized input state (neutral if the device is missing or disconnected)
+   */
+  getDeviceState(id) {
+    const device = this.devices.get(id);
+    return device && device.connected ? device.state : this.neutralState;
+  }
+
+  /**
+   * Check if any non-keyboard device is connected
+   * @returns {boolean} True if a hardware controller is connected
+   */
+  hasConnectedHardware() {
+    for (const device of this.devices.values()) {
+      if (device.connected && device.isHardware) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Check if any device is connected but has stopped delivering input
+   * @param {string[]|null} ids - Only check these devices (null = all)
+   * @returns {boolean} True if a device is stalled
+   */
+  hasStalledDevice(ids = null) {
+    for (const device of this.devices.values()) {
+      if (ids && !ids.includes(device.id)) continue;
+      if (device.connected && device.stalled) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Pick the device that should feed the game.
+   * A pinned, connected device always wins; otherwise the connected device
+   * that was used most recently is chosen, which lets players hot-swap
+   * controllers mid-race just by using the other one.
+   */
+  selectActiveDevice() {
+    let selected = null;
+
+    const pinned = this.devices.get(this.pinnedDeviceId);
+    if (pinned && pinned.connected) {
+      selected = pinned;
+    } else {
+      for (const device of this.devices.values()) {
+        if (!device.connected) continue;
+
+        // Prefer the most recently used device, hardware over keyboard on a tie
+        if (!selected ||
+            device.lastActiveTime > selected.lastActiveTime ||
+            (device.lastActiveTime === selected.lastActiveTime && device.isHardware && !selected.isHardware)) {
+          selected = device;
+        }
+      }
+    }
+
+    const selectedId = selected ? selected.id : null;
+    if (selectedId !== this.activeDeviceId) {
+      this.activeDeviceId = selectedId;
+
+      console.log('Active input device:', selected ? selected.label : 'none');
+
+      // Let the UI know the controller changed
+      document.dispatchEvent(new CustomEvent('input-device-changed', {
+        detail: { id: selectedId, label: selected ? selected.label : null }
+      }));
+    }
+  }
+
+  /**
+   * Get the current normalized input state. This is the only input the game loop reads.
+   * @returns {object} Normalized input state of the active device
+   */
+  getState() {
+    this.selectActiveDevice();
+
+    const device = this.getActiveDevice();
+    return device ? device.state : this.neutralState;
+  }
+}
+
+export default InputManager;
@@ -0,0 +1,109 @@
+/**
+ * Input Stream Watchdog
+ *
+ * Tracks when a controller last delivered a sample and how many samples per
+ * second it sends. If the stream stops for longer than the timeout, the
+ * controller is told to release its inputs, so a board that hangs mid-race
+ * can't leave the car steering on its last values.
+ */
+
+class InputWatchdog {
+  /**
+   * @param {object} options - Watchdog settings
+   * @param {number} options.timeout - Milliseconds without a sample before the stream counts as stalled (0 = off)
+   * @param {Function} options.onStall - Called with { idle, rate } when the stream stalls
+   * @param {Function} options.onResume - Called with { idle, rate } when samples arrive again
+   */
+  constructor({ timeout = 1000, onStall = null, onResume = null } = {}) {
+    this.timeout = timeout;
+    this.onStall = onStall;
+    this.onResume = onResume;
+
+    this.running = false;
+    this.stalled = false;
+    this.lastSampleTime = 0;
+    this.checkTimer = null;
+
+    // Packet rate, measured over windows of about a second
+    this.rate = 0;
+    this.rateWindow = 1000;
+    this.windowStart = 0;
+    this.windowCount = 0;
+  }
+
+  /**
+   * Start watching (the stream gets a full timeout to deliver its first sample)
+   */
+  start() {
+    this.stop();
+
+    const now = performance.now();
+    this.running = true;
+    this.stalled = false;
+    this.lastSampleTime = now;
+    this.rate = 0;
+    this.windowStart = now;
+    this.windowCount = 0;
+
+    this.checkTimer = setInterval(() => this.check(), 250);
+  }
+
+  /**
+   * Stop watching, e.g. when the controller disconnects
+   */
+  stop() {
+    clearInterval(this.checkTimer);
+    this.checkTimer = null;
+    this.running = false;
+    this.stalled = false;
+  }
+
+  /**
+   * Record one sample from the controller
+   */
+  sample() {
+    if (!this.running) return;
+
+    const now = performance.now();
+    const idle = now - this.lastSampleTime;
+    this.lastSampleTime = now;
+
+    this.windowCount++;
+    if (now - this.windowStart >= this.rateWindow) {
+      this.rate = this.windowCount * 1000 / (now - this.windowStart);
+      this.windowStart = now;
+      this.windowCount = 0;
+    }
+
+    if (this.stalled) {
+      this.stalled = false;
+      // Measure the rate afresh instead of averaging across the gap
+      this.windowStart = now;
+      this.windowCount = 0;
+      if (this.onResume) this.onResume({ idle, rate: this.rate });
+    }
+  }
+
+  /**
+   * Milliseconds since the last sample
+   * @returns {number} Idle time
+   */
+  getIdleTime() {
+    return this.running ? performance.now() - this.lastSampleTime : 0;
+  }
+
+  /**
+   * Check the age of the last sample (runs on a timer while watching)
+   */
+  check() {
+    if (!this.running || this.stalled || this.timeout <= 0) return;
+
+    const idle = this.getIdleTime();
+    if (idle > this.timeout) {
+      this.stalled = true;
+      if (this.onStall) this.onStall({ idle, rate: this.rate });
+    }
+  }
+}
+
+export default InputWatchdog;
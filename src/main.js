@@ -2,40 +2,74 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import SerialController from './serial-controller.js';
+import SerialStick from './serial-stick.js';
+import WebSocketController from './websocket-controller.js';
+import BluetoothController from './bluetooth-controller.js';
+import GamepadController from './gamepad-controller.js';
+import PhoneController from './phone-controller.js';
+import TouchControls from './touch-controls.js';
+import GestureRecognizer from './gesture-recognizer.js';
+import GameStateMachine from './game-state-machine.js';
+import PauseMenu from './pause-menu.js';
+import InputManager, { isStateActive, createNeutralState } from './input-manager.js';
+import { SerialInputDevice, BluetoothInputDevice, GamepadInputDevice, PhoneInputDevice, TouchInputDevice, KeyboardInputDevice } from './input-devices.js';
+import { downloadProfiles, pickAndImportProfiles } from './device-profiles.js';
+import MockSerialPort, { demoJoystickScript, demoFirmwareResponder } from './mock-serial-port.js';
+import { pickRecording } from './serial-recorder.js';
+import FeedbackManager from './feedback-manager.js';
+import { SerialFeedbackOutput, BluetoothFeedbackOutput, GamepadFeedbackOutput } from './feedback-outputs.js';
 
 // Game constants
+// Rates are per second; the physics runs in fixed ticks of PHYSICS_DT (see advanceSimulation)
 const MAX_SPEED = 15; // km/h - set to 15 as requested
-const ACCELERATION = 10.0; // Increased from 4.0 for faster acceleration
-const BRAKING = 6.0; // Unchanged
-const FRICTION = 0.85; // Unchanged
-const OFF_TRACK_FRICTION = 0.80; // Unchanged
-const TURN_RATE = 0.03; // Unchanged - current turning speed is good
+const ACCELERATION = 90; // km/h per second at full throttle
+const BRAKING = 72; // km/h per second at full brake
+const REVERSE_SPEED = 1.5; // km/h at full reverse
+const BOOST_ACCELERATION = 180; // km/h per second while boosting forward
+const REVERSE_BOOST_ACCELERATION = 60; // km/h per second while boosting in reverse
+const FRICTION = 9.75; // Speed decay rate per second (keeps ~85% of the speed every 1/60 s)
+const OFF_TRACK_FRICTION = 13.39; // Decay rate off the track (~80% every 1/60 s)
+const NEUTRAL_DRAG = 3.08; // Extra decay rate with the stick centered (~95% every 1/60 s)
+const TURN_RATE = 2.7; // Radians per second at full steering
+const SPEED_TO_WORLD = 30; // World units per second travelled for each km/h
+const PHYSICS_TICK_RATE = 60; // Physics ticks per second, whatever the display refresh rate
+const PHYSICS_DT = 1 / PHYSICS_TICK_RATE; // Seconds per physics tick
+const MAX_FRAME_TIME = 0.25; // Longest frame simulated in one go (s), so a stalled tab doesn't fast-forward
+const SLOPE_GRAVITY = 300; // km/h per second lost going up (gained going down) a 1:1 slope
+const CAR_RIDE_HEIGHT = 0.5; // Height of the car above the ground under it
+const TIRE_GRIP = 40; // Rate per second at which the tires stop a sideways slide, standing still on the track
+const GRIP_SPEED_FALLOFF = 1; // Grip at MAX_SPEED is 1 / (1 + this) of TIRE_GRIP
+const OFF_TRACK_GRIP = 0.5; // Share of the grip left on the grass
+const HANDBRAKE_GRIP = 0.15; // Share of the grip left with the rear wheels locked
+const HANDBRAKE_BRAKING = 30; // km/h per second lost with the handbrake on
+const HANDBRAKE_TURN_RATE = 1.5; // Turn rate multiplier with the handbrake on, as the rear swings out
+const SKID_SLIP_SPEED = 2; // km/h of sideways speed at which the tires skid (marks and squeal)
+const MAX_SKID_MARKS = 600; // Skid mark segments kept on the track; the oldest are reused
+const SKID_MARK_WIDTH = 0.5;
+const REAR_WHEEL_OFFSETS = [[-1.3, -1.8], [1.3, -1.8]]; // Rear wheels in the car model (x, z), where skid marks are laid
 const STAR_COUNT = 150;
 const MAX_LAPS = 1;
 const TRACK_WIDTH = 40; // Unchanged
+const TRACK_SHOULDER = 20; // Dirt beside the road, at road height (the off-track area in createRaceTrack)
+const EMBANKMENT_WIDTH = 40; // Beyond the shoulder, the ground beside a raised road slopes down to the field over this distance
 const TRACK_POINTS = [];
 const CHECKPOINT_COUNT = 8;
 const WRONG_WAY_RESET_DELAY = 3000; // 3 seconds
 const COLLISION_BOUNCE = 0.5; // Bouncing factor for collisions
 const COUNTDOWN_DURATION = 3000; // 3 seconds countdown
+const GO_DURATION = 1000; // How long "GO!" stays up before the race starts
+const LAP_SUMMARY_DURATION = 2000; // How long a completed lap's time is shown
 const JOYSTICK_DEADZONE = 0.15; // Deadzone to prevent drift when joystick is centered
 
-// Game state
-let gameRunning = false;
-let gameOver = false;
-let currentLap = 0;
-let currentCheckpoint = 0;
-let lapStartTime = 0;
-let currentTime = 0;
+// Game state: menu, countdown, racing, lap-summary, paused or results (see setupGameStates)
+const gameState = new GameStateMachine();
 let targetTime = 60000; // 1 minute in milliseconds
-let isWrongWay = false;
-let wrongWayTimestamp = 0;
 let stars = [];
-let starsCollected = 0; // Track the number of stars collected
 let checkpoints = [];
 let levelIndex = 0;
-let countdownActive = false;
-let countdownStartTime = 0;
+let pauseStartTime = 0;
+let lastFrameTime = null; // Time of the previous animation frame (ms)
+let physicsAccumulator = 0; // Frame time not yet simulated (s)
 
 // Scene setup
 const scene = new THREE.Scene();
@@ -43,18 +77,36 @@ const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerH
 const renderer = new THREE.WebGLRenderer({ antialias: true });
 
 // Car state
-const car = {
-  model: null,
-  speed: 0, // km/h
-  velocity: new THREE.Vector3(0, 0, 0),
-  position: new THREE.Vector3(0, 0.5, 0),
-  rotation: new THREE.Euler(0, 0, 0),
-  direction: new THREE.Vector3(0, 0, 1),
-  isOffTrack: false
-};
+const car = createCarState();
+
+// Racers: player 1 always drives `car` with `camera`, split-screen (?players=2) adds player 2
+const players = [];
+let splitScreen = false;
+const PLAYER_COLORS = [0xE30000, 0x1E88E5]; // Red and blue cars
+const PLAYER_HUD_COLORS = ['#ff5555', '#55aaff'];
+const START_GRID_OFFSET = 8; // Side-by-side distance from the track center in split-screen
+const CAR_COLLISION_RADIUS = 3; // Car-to-car collisions
+
+// Camera views cycled with a stick flick: distance behind and height above the car
+// (a negative distance puts the camera ahead of the car's center, looking down the track)
+const CAMERA_VIEWS = [
+  { name: 'Chase', distance: 10, height: 5 },
+  { name: 'Far', distance: 20, height: 10 },
+  { name: 'Bumper', distance: -2.5, height: 1.5 }
+];
 
 // Controls
 let serialController = null;
+let serialController2 = null; // Player 2's joystick in split-screen
+let serialStick2 = null; // Second stick on a dual-stick board
+let bluetoothController = null; // BLE UART joystick (HM-10, Nordic UART, Microchip)
+let gamepadController = null;
+let phoneController = null;
+let touchControls = null; // On-screen stick and pedals for touchscreens
+let touchControlsMode = 'auto'; // 'auto' (touchscreens without a controller), 'on' or 'off'
+let pauseMenu = null; // Resume, restart, settings and quit while the player has paused
+let inputManager = null; // The only input source the game loop reads from
+let feedbackManager = null; // Sends game events to LEDs/buzzer/rumble on the controllers
 let controls; // For development camera
 
 // Track objects
@@ -71,8 +123,16 @@ const audioElements = {
   brake: null,
   accelerate: null,
   offtrack: null,
-  wrong_direction: null
+  wrong_direction: null,
+  tire_squeal: null
 };
+let tireSquealing = false; // Whether the looping tire squeal is playing
+
+// Skid marks on the track, reused oldest first once MAX_SKID_MARKS are down
+let skidMarks = [];
+let nextSkidMark = 0;
+let skidMarkGeometry = null;
+let skidMarkMaterial = null;
 
 // Track definitions for different levels - doubled in size
 const trackLevels = [
@@ -154,11 +214,56 @@ async function init() {
   // Set up scene, camera, renderer, etc.
   setupScene();
   
+  // Player 1 drives the original car; ?players=2 adds a second car in split-screen
+  players.length = 0;
+  players.push(createPlayer(0, car, camera));
+  splitScreen = new URLSearchParams(window.location.search).get('players') === '2';
+  
+  // The game starts in the menu (connect buttons, or the lobby in split-screen)
+  setupGameStates();
+  gameState.transition('menu');
+  
   // Set up keyboard controls for development/fallback
   setupKeyboardControls();
   
-  // Initialize serial controller and add event listeners for joystick data
-  serialController = new SerialController();
+  // Initialize the input manager with the keyboard as an always-available device
+  inputManager = new InputManager();
+  inputManager.addDevice(new KeyboardInputDevice());
+  
+  // Escape, a double tap on boost or hiding the tab pauses the race; the menu's settings apply from the start
+  setupPauseMenu();
+  
+  // On-screen controls for tablets and kiosks (?touch=on/off, ?touchSide=right, ?touchSize=1.3)
+  setupTouchControls();
+  
+  // Initialize serial controller and add event listeners for joystick data.
+  // Without Web Serial (or with ?bridge in the URL) the joystick comes through the serial bridge
+  const bridgeUrl = new URLSearchParams(window.location.search).get('bridge');
+  serialController = bridgeUrl !== null || !SerialController.isSupported()
+    ? new WebSocketController(bridgeUrl || undefined)
+    : new SerialController();
+  serialController.gameDeadzone = JOYSTICK_DEADZONE; // Shown in the response tuning panel
+  
+  // Dual-stick boards (arduino/dual_joystick.ino) report a second stick on the same port
+  serialStick2 = new SerialStick(serialController, 1);
+  serialStick2.gameDeadzone = JOYSTICK_DEADZONE;
+  configureWatchdog(serialController);
+  configureWatchdog(serialStick2);
+  
+  // Initialize BLE joystick controller (Web Bluetooth)
+  bluetoothController = new BluetoothController();
+  
+  // Initialize gamepad controller (standard gamepads and racing wheels)
+  gamepadController = new GamepadController();
+  
+  // Initialize phone controller (phone.html on the same network)
+  phoneController = new PhoneController();
+  
+  // Send game events back to the controllers
+  feedbackManager = new FeedbackManager();
+  feedbackManager.addOutput(new SerialFeedbackOutput(serialController));
+  feedbackManager.addOutput(new GamepadFeedbackOutput(gamepadController));
+  players[0].feedback = feedbackManager;
   
   // Create a debug element but hide it initially
   const debugElement = document.createElement('div');
@@ -186,20 +291,59 @@ async function init() {
     forceRemoveAllOverlays();
     
     // Create the connect button that attempts auto-connect first
-    createConnectButton();
+    // (split-screen gets a lobby with one panel per player instead, once the devices are registered)
+    if (!splitScreen) {
+      createConnectButton();
+    }
+    
+    // Let operators copy controller profiles between machines
+    createProfileButtons();
+    
+    // Hardware-free joystick for development (dev server or ?mock in the URL)
+    const urlParams = new URLSearchParams(window.location.search);
+    if (import.meta.env.DEV || urlParams.has('mock')) {
+      createMockButtons();
+    }
     
     // Remove debug button creation
     // createDebugButton();
     
-    // Set up joystick data callback
-    serialController.setJoystickDataCallback(handleControllerInput);
+    // Register the serial joystick, BLE joystick and gamepad as input devices
+    inputManager.addDevice(new SerialInputDevice(serialController));
+    inputManager.addDevice(new SerialInputDevice(serialStick2, 'serial-stick2', 'Stick 2 (USB Serial Joystick)'));
+    inputManager.addDevice(new BluetoothInputDevice(bluetoothController));
+    inputManager.addDevice(new GamepadInputDevice(gamepadController));
+    inputManager.addDevice(new PhoneInputDevice(phoneController));
+    
+    if (splitScreen) {
+      setupSplitScreen();
+      createPlayerLobby();
+    }
     
     // Add controller connected event listener to start game automatically
     document.addEventListener('controller-connected', () => {
+      // Split-screen waits in the lobby until every player has a controller
+      if (splitScreen) {
+        updatePlayerLobby();
+        return;
+      }
+      
       // Remove any connection buttons
       const connectBtn = document.getElementById('connect-controller-btn');
       if (connectBtn) connectBtn.style.display = 'none';
       
+      const connectGamepadBtn = document.getElementById('connect-gamepad-btn');
+      if (connectGamepadBtn) connectGamepadBtn.style.display = 'none';
+      
+      const connectBleBtn = document.getElementById('connect-ble-btn');
+      if (connectBleBtn) connectBleBtn.style.display = 'none';
+      
+      const connectBluetoothBtn = document.getElementById('connect-bt-serial-btn');
+      if (connectBluetoothBtn) connectBluetoothBtn.style.display = 'none';
+      
+      const connectPhoneBtn = document.getElementById('connect-phone-btn');
+      if (connectPhoneBtn) connectPhoneBtn.style.display = 'none';
+      
       const startWithoutBtn = document.getElementById('start-without-btn');
       if (startWithoutBtn) startWithoutBtn.style.display = 'none';
       
@@ -212,10 +356,66 @@ async function init() {
       
       // Start the game after a short delay
       setTimeout(() => {
-        startCountdown();
+        startGame();
       }, 500);
     });
     
+    // The second stick of a dual-stick board shows up with its first sample
+    document.addEventListener('serial-stick-connected', () => {
+      if (splitScreen) updatePlayerLobby();
+    });
+    
+    // The BLE joystick gets feedback only while its link is up
+    document.addEventListener('bluetooth-status', (event) => {
+      updateBluetoothFeedback(event.detail.status);
+    });
+    
+    // Show the room code while the game waits for a phone
+    document.addEventListener('phone-room', (event) => {
+      showPhoneRoomOverlay(event.detail.code, event.detail.url);
+    });
+    
+    // Pause the race while a lost serial controller reconnects
+    document.addEventListener('controller-lost', () => {
+      pauseRace();
+      showControllerLostOverlay();
+    });
+    
+    document.addEventListener('controller-reconnecting', (event) => {
+      const status = document.getElementById('controller-lost-status');
+      if (status) {
+        status.textContent = `Reconnect attempt ${event.detail.attempt} in ${(event.detail.delay / 1000).toFixed(1)}s...`;
+      }
+    });
+    
+    document.addEventListener('controller-reconnected', () => {
+      hideControllerLostOverlay();
+      resumeRace();
+    });
+    
+    // Pause the race while a joystick someone is driving with has stopped sending
+    document.addEventListener('controller-stalled', (event) => {
+      if (!isRacing() || !isDrivingController(event.detail.controller)) return;
+      
+      pauseRace();
+      showControllerLostOverlay('stalled');
+      updateStalledStatus();
+    });
+    
+    document.addEventListener('controller-resumed', () => {
+      const overlay = document.getElementById('controller-lost-overlay');
+      if (!overlay || overlay.style.display === 'none' || overlay.dataset.reason !== 'stalled') return;
+      
+      // In split-screen both players' joysticks have to be sending again
+      if (inputManager.hasStalledDevice(getDrivingDeviceIds())) {
+        updateStalledStatus();
+        return;
+      }
+      
+      hideControllerLostOverlay();
+      resumeRace();
+    });
+    
     console.log("Serial controller initialized");
   } catch (error) {
     console.error("Failed to initialize serial controller:", error);
@@ -225,11 +425,74 @@ async function init() {
   animate();
 }
 
+// Add the BLE joystick's feedback output when it connects and remove it when the link goes
+// (in split-screen only the player bound to 'bluetooth' gets it)
+function updateBluetoothFeedback(status) {
+  const manager = splitScreen
+    ? players.find(player => player.deviceId === 'bluetooth')?.feedback
+    : feedbackManager;
+  if (!manager) return;
+  
+  if (status === 'connected') {
+    manager.addOutput(new BluetoothFeedbackOutput(bluetoothController));
+  } else {
+    manager.removeOutput('bluetooth');
+  }
+}
+
+// Device ids the players are driving with (a player without a binding uses the active device)
+function getDrivingDeviceIds() {
+  const activeDevice = inputManager.getActiveDevice();
+  return players
+    .map(player => player.deviceId || (activeDevice && activeDevice.id))
+    .filter(Boolean);
+}
+
+// Whether a serial joystick (or one stick of a dual board) is bound to a player
+function isDrivingController(controller) {
+  return getDrivingDeviceIds().some(id => {
+    const device = inputManager.getDevice(id);
+    return device && device.controller === controller;
+  });
+}
+
+// Show how long the stalled joysticks have been silent, measured now rather than when they stalled
+function updateStalledStatus() {
+  const status = document.getElementById('controller-lost-status');
+  if (!status) return;
+  
+  status.textContent = getDrivingDeviceIds()
+    .map(id => inputManager.getDevice(id))
+    .filter(device => device && device.connected && device.stalled && device.controller)
+    .map(device => {
+      const watchdog = device.controller.watchdog;
+      return `${device.label}: no data for ${(watchdog.getIdleTime() / 1000).toFixed(1)}s · last packet rate ${watchdog.rate.toFixed(0)} Hz`;
+    })
+    .join(' / ');
+}
+
+// Apply ?watchdog=<ms>: how long a connected joystick may stay silent before
+// the race pauses (0 turns the check off)
+function configureWatchdog(controller) {
+  const timeout = parseInt(new URLSearchParams(window.location.search).get('watchdog'));
+  if (!isNaN(timeout)) {
+    controller.watchdog.timeout = Math.max(0, timeout);
+  }
+}
+
 // Create a connect button that attempts auto-connect first
-function createConnectButton() {
+function createConnectButton({ autoConnect = true } = {}) {
   // Remove any existing buttons
   const existingButton = document.getElementById('connect-controller-btn');
   if (existingButton) existingButton.remove();
+  const existingGamepadButton = document.getElementById('connect-gamepad-btn');
+  if (existingGamepadButton) existingGamepadButton.remove();
+  const existingBleButton = document.getElementById('connect-ble-btn');
+  if (existingBleButton) existingBleButton.remove();
+  const existingBluetoothButton = document.getElementById('connect-bt-serial-btn');
+  if (existingBluetoothButton) existingBluetoothButton.remove();
+  const existingPhoneButton = document.getElementById('connect-phone-btn');
+  if (existingPhoneButton) existingPhoneButton.remove();
   const existingStartWithout = document.getElementById('start-without-btn');
   if (existingStartWithout) existingStartWithout.remove();
   
@@ -268,12 +531,131 @@ function createConnectButton() {
     button.style.boxShadow = '0 4px 8px rgba(0,0,0,0.3)';
   };
   
+  // Add a "Connect Gamepad" button for standard gamepads and racing wheels
+  const gamepadButton = document.createElement('button');
+  gamepadButton.id = 'connect-gamepad-btn';
+  gamepadButton.innerText = 'Connect Gamepad / Wheel';
+  gamepadButton.style.position = 'fixed';
+  gamepadButton.style.top = 'calc(50% + 60px)';
+  gamepadButton.style.left = '50%';
+  gamepadButton.style.transform = 'translate(-50%, -50%)';
+  gamepadButton.style.padding = '10px 20px';
+  gamepadButton.style.background = 'rgba(120, 60, 200, 0.8)';
+  gamepadButton.style.color = 'white';
+  gamepadButton.style.border = 'none';
+  gamepadButton.style.borderRadius = '8px';
+  gamepadButton.style.fontSize = '14px';
+  gamepadButton.style.cursor = 'pointer';
+  gamepadButton.style.zIndex = '1000';
+  gamepadButton.style.boxShadow = '0 4px 8px rgba(0,0,0,0.3)';
+  
+  // Add hover effect
+  gamepadButton.onmouseover = () => {
+    gamepadButton.style.background = 'rgba(140, 80, 220, 0.9)';
+  };
+  gamepadButton.onmouseout = () => {
+    gamepadButton.style.background = 'rgba(120, 60, 200, 0.8)';
+  };
+  
+  // Hide the gamepad option if the browser can't use it
+  if (!GamepadController.isSupported()) {
+    gamepadButton.style.display = 'none';
+  }
+  
+  // Add a "Connect BLE Joystick" button for BLE UART modules (Web Bluetooth)
+  const bleButton = document.createElement('button');
+  bleButton.id = 'connect-ble-btn';
+  bleButton.innerText = 'Connect BLE Joystick (HM-10/Nordic/Microchip)';
+  bleButton.style.position = 'fixed';
+  bleButton.style.top = 'calc(50% + 110px)';
+  bleButton.style.left = '50%';
+  bleButton.style.transform = 'translate(-50%, -50%)';
+  bleButton.style.padding = '10px 20px';
+  bleButton.style.background = 'rgba(0, 90, 180, 0.8)';
+  bleButton.style.color = 'white';
+  bleButton.style.border = 'none';
+  bleButton.style.borderRadius = '8px';
+  bleButton.style.fontSize = '14px';
+  bleButton.style.cursor = 'pointer';
+  bleButton.style.zIndex = '1000';
+  bleButton.style.boxShadow = '0 4px 8px rgba(0,0,0,0.3)';
+  
+  // Add hover effect
+  bleButton.onmouseover = () => {
+    bleButton.style.background = 'rgba(20, 110, 200, 0.9)';
+  };
+  bleButton.onmouseout = () => {
+    bleButton.style.background = 'rgba(0, 90, 180, 0.8)';
+  };
+  
+  // Hide the BLE option if the browser has no Web Bluetooth
+  if (!BluetoothController.isSupported()) {
+    bleButton.style.display = 'none';
+  }
+  
+  // Add a "Connect Bluetooth Joystick" button for paired HC-05/HC-06 modules
+  const bluetoothButton = document.createElement('button');
+  bluetoothButton.id = 'connect-bt-serial-btn';
+  bluetoothButton.innerText = 'Connect Bluetooth Joystick (HC-05/HC-06)';
+  bluetoothButton.style.position = 'fixed';
+  bluetoothButton.style.top = 'calc(50% + 160px)';
+  bluetoothButton.style.left = '50%';
+  bluetoothButton.style.transform = 'translate(-50%, -50%)';
+  bluetoothButton.style.padding = '10px 20px';
+  bluetoothButton.style.background = 'rgba(0, 130, 160, 0.8)';
+  bluetoothButton.style.color = 'white';
+  bluetoothButton.style.border = 'none';
+  bluetoothButton.style.borderRadius = '8px';
+  bluetoothButton.style.fontSize = '14px';
+  bluetoothButton.style.cursor = 'pointer';
+  bluetoothButton.style.zIndex = '1000';
+  bluetoothButton.style.boxShadow = '0 4px 8px rgba(0,0,0,0.3)';
+  
+  // Add hover effect
+  bluetoothButton.onmouseover = () => {
+    bluetoothButton.style.background = 'rgba(20, 150, 180, 0.9)';
+  };
+  bluetoothButton.onmouseout = () => {
+    bluetoothButton.style.background = 'rgba(0, 130, 160, 0.8)';
+  };
+  
+  // Bluetooth serial ports are part of Web Serial
+  if (!SerialController.isSupported()) {
+    bluetoothButton.style.display = 'none';
+  }
+  
+  // Add a "Use Phone as Controller" button for phones on the same network
+  const phoneButton = document.createElement('button');
+  phoneButton.id = 'connect-phone-btn';
+  phoneButton.innerText = 'Use Phone as Controller';
+  phoneButton.style.position = 'fixed';
+  phoneButton.style.top = 'calc(50% + 210px)';
+  phoneButton.style.left = '50%';
+  phoneButton.style.transform = 'translate(-50%, -50%)';
+  phoneButton.style.padding = '10px 20px';
+  phoneButton.style.background = 'rgba(200, 120, 0, 0.8)';
+  phoneButton.style.color = 'white';
+  phoneButton.style.border = 'none';
+  phoneButton.style.borderRadius = '8px';
+  phoneButton.style.fontSize = '14px';
+  phoneButton.style.cursor = 'pointer';
+  phoneButton.style.zIndex = '1000';
+  phoneButton.style.boxShadow = '0 4px 8px rgba(0,0,0,0.3)';
+  
+  // Add hover effect
+  phoneButton.onmouseover = () => {
+    phoneButton.style.background = 'rgba(220, 140, 20, 0.9)';
+  };
+  phoneButton.onmouseout = () => {
+    phoneButton.style.background = 'rgba(200, 120, 0, 0.8)';
+  };
+  
   // Add a "Start Game without Controller" button 
   const startWithoutButton = document.createElement('button');
   startWithoutButton.id = 'start-without-btn';
   startWithoutButton.innerText = 'Start Without Controller';
   startWithoutButton.style.position = 'fixed';
-  startWithoutButton.style.top = 'calc(50% + 60px)';
+  startWithoutButton.style.top = 'calc(50% + 260px)';
   startWithoutButton.style.left = '50%';
   startWithoutButton.style.transform = 'translate(-50%, -50%)';
   startWithoutButton.style.padding = '10px 20px';
@@ -296,8 +678,12 @@ function createConnectButton() {
   
   // When clicked, start the game without controller
   startWithoutButton.onclick = () => {
-    // Hide both buttons
+    // Hide all connect buttons
     button.style.display = 'none';
+    gamepadButton.style.display = 'none';
+    bleButton.style.display = 'none';
+    bluetoothButton.style.display = 'none';
+    phoneButton.style.display = 'none';
     startWithoutButton.style.display = 'none';
     
     // Update debug message and make it visible
@@ -308,16 +694,13 @@ function createConnectButton() {
       debugElement.style.display = 'block';
     }
     
-    // Set up keyboard controls
-    if (serialController) {
-      serialController.setupKeyboardHandlers();
-    }
+    // Keyboard input is always registered with the input manager
     
     // Force clear all overlays
     forceRemoveAllOverlays();
     
     // Start the game
-    startCountdown();
+    startGame();
   };
   
   // When clicked, attempt to connect to the controller
@@ -361,7 +744,7 @@ function createConnectButton() {
         document.body.removeChild(successMessage);
         
         // Start the game
-        startCountdown();
+        startGame();
       }, 2000);
       
     } catch (error) {
@@ -390,11 +773,161 @@ function createConnectButton() {
     }
   };
   
+  // When clicked, wait for a gamepad; the 'controller-connected' event starts the game
+  gamepadButton.onclick = async () => {
+    console.log("Connect gamepad button clicked");
+    try {
+      gamepadButton.innerText = 'Press a button on the gamepad...';
+      gamepadButton.disabled = true;
+      
+      // Show debug element during connection
+      const debugElement = document.getElementById('joystick-debug');
+      if (debugElement) {
+        debugElement.style.display = 'block';
+      }
+      
+      await gamepadController.connect();
+      
+      // Prefer the gamepad over the keyboard from now on
+      inputManager.setActiveDevice('gamepad');
+    } catch (error) {
+      console.error("Failed to connect to gamepad:", error);
+      
+      // Show an error message on the button
+      gamepadButton.innerText = 'No Gamepad Found - Try Again';
+      gamepadButton.style.background = 'rgba(200, 30, 30, 0.8)';
+      gamepadButton.disabled = false;
+      
+      // Update debug element
+      const debugElement = document.getElementById('joystick-debug');
+      if (debugElement) {
+        debugElement.textContent = 'Gamepad connection failed: ' + error.message;
+        debugElement.style.color = 'red';
+      }
+      
+      // Reset after 3 seconds
+      setTimeout(() => {
+        gamepadButton.innerText = 'Connect Gamepad / Wheel';
+        gamepadButton.style.background = 'rgba(120, 60, 200, 0.8)';
+      }, 3000);
+    }
+  };
+  
+  // When clicked, pick the BLE module; the 'controller-connected' event starts the game
+  bleButton.onclick = async () => {
+    console.log("Connect BLE joystick button clicked");
+    try {
+      bleButton.innerText = 'Connecting...';
+      bleButton.disabled = true;
+      
+      // Show debug element during connection
+      const debugElement = document.getElementById('joystick-debug');
+      if (debugElement) {
+        debugElement.style.display = 'block';
+      }
+      
+      await bluetoothController.connect();
+      
+      // Prefer the BLE joystick over the keyboard from now on
+      inputManager.setActiveDevice('bluetooth');
+    } catch (error) {
+      console.error("Failed to connect to BLE joystick:", error);
+      
+      // Show an error message on the button (the reason is in the debug element)
+      bleButton.innerText = 'BLE Connection Failed - Try Again';
+      bleButton.style.background = 'rgba(200, 30, 30, 0.8)';
+      bleButton.disabled = false;
+      
+      // Reset after 3 seconds
+      setTimeout(() => {
+        bleButton.innerText = 'Connect BLE Joystick (HM-10/Nordic/Microchip)';
+        bleButton.style.background = 'rgba(0, 90, 180, 0.8)';
+      }, 3000);
+    }
+  };
+  
+  // When clicked, pick the paired module; the 'controller-connected' event starts the game
+  bluetoothButton.onclick = async () => {
+    console.log("Connect Bluetooth joystick button clicked");
+    try {
+      bluetoothButton.innerText = 'Connecting...';
+      bluetoothButton.disabled = true;
+      
+      // Show debug element during connection
+      const debugElement = document.getElementById('joystick-debug');
+      if (debugElement) {
+        debugElement.style.display = 'block';
+      }
+      
+      await serialController.connectBluetoothSerial();
+    } catch (error) {
+      console.error("Failed to connect to Bluetooth joystick:", error);
+      
+      // Show an error message on the button (the reason is in the debug element)
+      bluetoothButton.innerText = 'Bluetooth Connection Failed - Try Again';
+      bluetoothButton.style.background = 'rgba(200, 30, 30, 0.8)';
+      bluetoothButton.disabled = false;
+      
+      // Reset after 3 seconds
+      setTimeout(() => {
+        bluetoothButton.innerText = 'Connect Bluetooth Joystick (HC-05/HC-06)';
+        bluetoothButton.style.background = 'rgba(0, 130, 160, 0.8)';
+      }, 3000);
+    }
+  };
+  
+  // When clicked, open a room and wait for a phone; the 'controller-connected' event starts the game
+  phoneButton.onclick = async () => {
+    console.log("Use phone button clicked");
+    try {
+      phoneButton.innerText = 'Waiting for phone...';
+      phoneButton.disabled = true;
+      
+      // Show debug element during pairing
+      const debugElement = document.getElementById('joystick-debug');
+      if (debugElement) {
+        debugElement.style.display = 'block';
+      }
+      
+      await phoneController.connect();
+      
+      // Prefer the phone over the keyboard from now on
+      inputManager.setActiveDevice('phone');
+    } catch (error) {
+      console.error("Failed to connect phone:", error);
+      hidePhoneRoomOverlay();
+      
+      // Show an error message on the button
+      phoneButton.innerText = 'No Phone Joined - Try Again';
+      phoneButton.style.background = 'rgba(200, 30, 30, 0.8)';
+      phoneButton.disabled = false;
+      
+      // Update debug element
+      const debugElement = document.getElementById('joystick-debug');
+      if (debugElement) {
+        debugElement.textContent = 'Phone connection failed: ' + error.message;
+        debugElement.style.color = 'red';
+      }
+      
+      // Reset after 3 seconds
+      setTimeout(() => {
+        phoneButton.innerText = 'Use Phone as Controller';
+        phoneButton.style.background = 'rgba(200, 120, 0, 0.8)';
+      }, 3000);
+    }
+  };
+  
   // Add buttons to the page
   document.body.appendChild(button);
+  document.body.appendChild(gamepadButton);
+  document.body.appendChild(bleButton);
+  document.body.appendChild(bluetoothButton);
+  document.body.appendChild(phoneButton);
   document.body.appendChild(startWithoutButton);
   
-  // Try auto-connect when the page loads
+  // Try auto-connect when the page loads (not when coming back from a race)
+  if (!autoConnect) return;
+  
   setTimeout(async () => {
     try {
       console.log("Attempting auto-connect...");
@@ -402,8 +935,12 @@ function createConnectButton() {
       
       if (autoConnected) {
         console.log("Auto-connect successful");
-        // If auto-connect was successful, remove both buttons
+        // If auto-connect was successful, remove all connect buttons
         button.style.display = 'none';
+        gamepadButton.style.display = 'none';
+        bleButton.style.display = 'none';
+        bluetoothButton.style.display = 'none';
+        phoneButton.style.display = 'none';
         startWithoutButton.style.display = 'none';
         
         // Force remove all overlays before starting the game
@@ -411,7 +948,7 @@ function createConnectButton() {
         
         // Start the game after a short delay
         setTimeout(() => {
-          startCountdown();
+          startGame();
         }, 1000);
       } else {
         console.log("Auto-connect did not connect to any device");
@@ -422,36 +959,124 @@ function createConnectButton() {
   }, 500); // Wait a bit to ensure everything is loaded
 }
 
+// Create the export/import buttons for controller profiles on the start screen
+function createProfileButtons() {
+  const createButton = (id, label, left) => {
+    const profileButton = document.createElement('button');
+    profileButton.id = id;
+    profileButton.innerText = label;
+    profileButton.style.position = 'fixed';
+    profileButton.style.top = 'calc(50% + 310px)';
+    profileButton.style.left = left;
+    profileButton.style.transform = 'translate(-50%, -50%)';
+    profileButton.style.padding = '6px 12px';
+    profileButton.style.background = 'rgba(60, 60, 60, 0.8)';
+    profileButton.style.color = 'white';
+    profileButton.style.border = 'none';
+    profileButton.style.borderRadius = '4px';
+    profileButton.style.fontSize = '12px';
+    profileButton.style.cursor = 'pointer';
+    profileButton.style.zIndex = '1000';
+    document.body.appendChild(profileButton);
+    return profileButton;
+  };
+  
+  const exportButton = createButton('export-profiles-btn', 'Export Profiles', 'calc(50% - 60px)');
+  const importButton = createButton('import-profiles-btn', 'Import Profiles', 'calc(50% + 60px)');
+  
+  exportButton.onclick = () => {
+    downloadProfiles();
+  };
+  
+  importButton.onclick = async () => {
+    try {
+      const count = await pickAndImportProfiles();
+      if (count === 0) return;
+      
+      // Apply the imported settings to every controller that is already connected
+      [serialController, serialStick2, serialController2, bluetoothController].forEach(controller => {
+        if (controller && controller.connected) controller.reloadProfile();
+      });
+      
+      showTempMessage('Profiles Imported', `${count} controller profile(s) loaded`, 2000);
+    } catch (error) {
+      console.error('Failed to import profiles:', error);
+      showTempMessage('Import Failed', error.message, 3000);
+    }
+  };
+}
+
+// Create the buttons that connect a mock serial joystick (replayed recording or demo script)
+function createMockButtons() {
+  // ?mockSpeed=4 replays faster than real time
+  const speed = parseFloat(new URLSearchParams(window.location.search).get('mockSpeed')) || 1;
+  
+  const createButton = (id, label, left) => {
+    const mockButton = document.createElement('button');
+    mockButton.id = id;
+    mockButton.innerText = label;
+    mockButton.style.position = 'fixed';
+    mockButton.style.top = 'calc(50% + 350px)';
+    mockButton.style.left = left;
+    mockButton.style.transform = 'translate(-50%, -50%)';
+    mockButton.style.padding = '6px 12px';
+    mockButton.style.background = 'rgba(121, 85, 72, 0.8)';
+    mockButton.style.color = 'white';
+    mockButton.style.border = 'none';
+    mockButton.style.borderRadius = '4px';
+    mockButton.style.fontSize = '12px';
+    mockButton.style.cursor = 'pointer';
+    mockButton.style.zIndex = '1000';
+    document.body.appendChild(mockButton);
+    return mockButton;
+  };
+  
+  const replayButton = createButton('connect-mock-replay-btn', 'Mock: Replay Recording', 'calc(50% - 80px)');
+  const demoButton = createButton('connect-mock-demo-btn', 'Mock: Demo Stick', 'calc(50% + 80px)');
+  
+  // The 'controller-connected' event starts the game once the mock port is open
+  const connectMock = async (port) => {
+    try {
+      await serialController.connectToPort(port);
+    } catch (error) {
+      console.error('Failed to connect mock port:', error);
+      showTempMessage('Mock Failed', error.message, 3000);
+    }
+  };
+  
+  replayButton.onclick = async () => {
+    try {
+      const recording = await pickRecording();
+      if (!recording) return;
+      
+      await connectMock(MockSerialPort.fromRecording(recording, { speed, loop: true }));
+    } catch (error) {
+      console.error('Failed to load recording:', error);
+      showTempMessage('Replay Failed', error.message, 3000);
+    }
+  };
+  
+  demoButton.onclick = () => {
+    connectMock(MockSerialPort.fromScript(() => demoJoystickScript(), {
+      speed,
+      respond: demoFirmwareResponder
+    }));
+  };
+}
+
 // Setup keyboard controls for testing
 function setupKeyboardControls() {
-  // Track key down events
+  // Driving keys (arrows, space for boost, shift for the handbrake) are handled by the KeyboardInputDevice
   window.addEventListener('keydown', (event) => {
-    // Store the key state
-    window.keyStates[event.key] = true;
-    
-    // Respond to keyboard input even if game isn't running
     switch(event.key) {
-      case 'ArrowUp':
-        // Accelerate
-        car.speed += ACCELERATION * 0.1; // Reduced for smoother acceleration
-        if (car.speed > MAX_SPEED) car.speed = MAX_SPEED;
-        break;
-      case 'ArrowDown':
-        // Brake
-        car.speed -= BRAKING * 0.1; // Reduced for smoother deceleration
-        if (car.speed < 0) car.speed = 0;
-        break;
-      case 'ArrowLeft':
-        // Turn left - smoother turning even at low speeds
-        car.rotation.y += TURN_RATE;
-        break;
-      case 'ArrowRight':
-        // Turn right - smoother turning even at low speeds
-        car.rotation.y -= TURN_RATE;
-        break;
       case ' ': // Space bar
-        // Force start game
-        startGame();
+        // Start the game from the menu, or go on from the results (space is boost while racing)
+        if (gameState.is('menu')) startGame();
+        if (gameState.is('results')) continueFromResults();
+        break;
+      case 'Escape':
+        // Open or close the pause menu
+        togglePause();
         break;
       case 'd':
         // Debug dump of state
@@ -460,20 +1085,385 @@ function setupKeyboardControls() {
           rotation: car.rotation.clone(),
           direction: car.direction.clone(),
           speed: car.speed,
+          lateralSpeed: car.lateralSpeed,
           velocity: car.velocity.clone(),
           isOffTrack: car.isOffTrack,
-          gameRunning: gameRunning,
-          gameOver: gameOver
+          gameState: gameState.current
         });
         break;
     }
   });
+}
+
+// Create the pause menu, apply its saved settings and pause when the tab goes to the background
+function setupPauseMenu() {
+  pauseMenu = new PauseMenu({
+    onResume: () => togglePause(),
+    onRestart: () => restartGame(),
+    onQuit: () => gameState.transition('menu'),
+    onSettingsChange: applyGameSettings
+  });
+  applyGameSettings(pauseMenu.settings);
+  
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden && pauseMenu.settings.pauseWhenHidden) {
+      pauseRace('hidden');
+    }
+  });
+}
+
+// Apply the settings from the pause menu
+function applyGameSettings(settings) {
+  Object.values(audioElements).forEach(sound => {
+    if (sound) sound.volume = settings.volume;
+  });
+  
+  // ?touch in the URL wins over the saved setting (see setupTouchControls)
+  if (!new URLSearchParams(window.location.search).has('touch')) {
+    touchControlsMode = settings.touchControls;
+  }
+}
+
+// Create the on-screen touch controls and apply the URL options
+function setupTouchControls() {
+  const urlParams = new URLSearchParams(window.location.search);
+  
+  touchControls = new TouchControls();
   
-  // Track key up events
-  window.addEventListener('keyup', (event) => {
-    // Clear the key state when released
-    window.keyStates[event.key] = false;
+  const mode = urlParams.get('touch');
+  if (mode === 'on' || mode === '1') touchControlsMode = 'on';
+  if (mode === 'off' || mode === '0') touchControlsMode = 'off';
+  
+  // Placement from the URL is remembered for the next visit
+  const settings = {};
+  if (urlParams.has('touchSide')) settings.side = urlParams.get('touchSide');
+  if (urlParams.has('touchSize')) settings.size = parseFloat(urlParams.get('touchSize'));
+  if (Object.keys(settings).length > 0) touchControls.configure(settings);
+  
+  inputManager.addDevice(new TouchInputDevice(touchControls));
+}
+
+// Show the touch controls during a race when no hardware controller is connected
+function updateTouchControls() {
+  if (!touchControls) return;
+  
+  // Split-screen shows them only for a player bound to them (?p2=touch)
+  const autoShow = splitScreen
+    ? players.some(player => player.deviceId === 'touch')
+    : TouchControls.isSupported() && !inputManager.hasConnectedHardware();
+  const wanted = touchControlsMode === 'on' || (touchControlsMode === 'auto' && autoShow);
+  
+  if (wanted && raceInProgress()) {
+    touchControls.show();
+  } else {
+    touchControls.hide();
+  }
+}
+
+// Add player 2 for split-screen and bind each player to a controller
+// (?p1= and ?p2= take an input device id, default: one USB joystick each)
+function setupSplitScreen() {
+  const urlParams = new URLSearchParams(window.location.search);
+  
+  // Player 2's car and camera
+  const car2 = createCarState();
+  car2.model = createCarModel(PLAYER_COLORS[1]);
+  scene.add(car2.model);
+  const camera2 = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 2000);
+  players.push(createPlayer(1, car2, camera2, urlParams.get('p2') || 'serial2'));
+  players[0].deviceId = urlParams.get('p1') || 'serial';
+  
+  // Player 2's joystick box remembers its own port
+  serialController2 = new SerialController({ portStorageKey: 'lastUsedSerialPort:2', primary: false });
+  serialController2.gameDeadzone = JOYSTICK_DEADZONE;
+  configureWatchdog(serialController2);
+  inputManager.addDevice(new SerialInputDevice(serialController2, 'serial2'));
+  
+  // Each player's game events only go to their own controller
+  // (the second stick of a dual-stick board shares player 1's box, so it gets none)
+  players.forEach(player => {
+    player.feedback = new FeedbackManager();
+    if (player.deviceId === 'serial') player.feedback.addOutput(new SerialFeedbackOutput(serialController));
+    if (player.deviceId === 'serial2') player.feedback.addOutput(new SerialFeedbackOutput(serialController2));
+    if (player.deviceId === 'gamepad') player.feedback.addOutput(new GamepadFeedbackOutput(gamepadController));
   });
+  
+  createPlayerHuds();
+  onWindowResize();
+  
+  console.log('Split-screen bindings:', players.map(player => `${player.name}: ${player.deviceId}`).join(', '));
+}
+
+// Create a HUD in each player's half of the screen
+function createPlayerHuds() {
+  document.getElementById('split-screen-ui')?.remove();
+  
+  const container = document.createElement('div');
+  container.id = 'split-screen-ui';
+  container.style.position = 'absolute';
+  container.style.top = '0';
+  container.style.left = '0';
+  container.style.width = '100%';
+  container.style.height = '100%';
+  container.style.pointerEvents = 'none';
+  container.style.zIndex = '100';
+  
+  // Line between the two views
+  const divider = document.createElement('div');
+  divider.style.position = 'absolute';
+  divider.style.top = '0';
+  divider.style.bottom = '0';
+  divider.style.left = 'calc(50% - 2px)';
+  divider.style.width = '4px';
+  divider.style.background = 'rgba(0, 0, 0, 0.8)';
+  container.appendChild(divider);
+  
+  players.forEach(player => {
+    const left = `${player.index * 100 / players.length}%`;
+    
+    const hud = document.createElement('div');
+    hud.style.position = 'absolute';
+    hud.style.bottom = '20px';
+    hud.style.left = `calc(${left} + 20px)`;
+    hud.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+    hud.style.color = 'white';
+    hud.style.padding = '10px';
+    hud.style.borderRadius = '5px';
+    hud.style.borderLeft = `4px solid ${PLAYER_HUD_COLORS[player.index]}`;
+    hud.style.fontFamily = 'Arial, sans-serif';
+    hud.innerHTML = `
+      <div style="font-size: 16px; font-weight: bold; color: ${PLAYER_HUD_COLORS[player.index]};">${player.name}</div>
+      <div data-hud="time" style="font-size: 24px; color: #FFCC00;">00:00.000</div>
+      <div data-hud="lap" style="font-size: 16px; color: #66FF66;">Lap: 0/${MAX_LAPS}</div>
+      <div data-hud="stars" style="font-size: 16px; color: #FFD700;">★ 0/${STAR_COUNT}</div>
+      <div data-hud="speed" style="font-size: 16px;">0 km/h</div>
+    `;
+    container.appendChild(hud);
+    
+    const wrongWay = document.createElement('div');
+    wrongWay.textContent = 'WRONG WAY!';
+    wrongWay.style.position = 'absolute';
+    wrongWay.style.top = '40%';
+    wrongWay.style.left = `calc(${left} + ${50 / players.length}%)`;
+    wrongWay.style.transform = 'translate(-50%, -50%)';
+    wrongWay.style.color = '#FF3333';
+    wrongWay.style.fontSize = '36px';
+    wrongWay.style.fontWeight = 'bold';
+    wrongWay.style.textShadow = '2px 2px 4px rgba(0, 0, 0, 0.8)';
+    wrongWay.style.display = 'none';
+    container.appendChild(wrongWay);
+    
+    player.hud = {
+      time: hud.querySelector('[data-hud="time"]'),
+      lap: hud.querySelector('[data-hud="lap"]'),
+      stars: hud.querySelector('[data-hud="stars"]'),
+      speed: hud.querySelector('[data-hud="speed"]'),
+      wrongWay
+    };
+  });
+  
+  document.getElementById('game-container').appendChild(container);
+}
+
+// Refresh the split-screen HUDs (the single-player HUD stays hidden)
+function updatePlayerHuds() {
+  ['hud', 'top-star-counter', 'speedometer-container', 'wrong-way'].forEach(id => {
+    const element = document.getElementById(id);
+    if (element) element.style.display = 'none';
+  });
+  
+  players.forEach(player => {
+    if (!player.hud) return;
+    
+    let time;
+    if (player.finishTime !== null) {
+      time = `FINISHED ${formatTime(player.finishTime)}`;
+    } else if (player.outOfTime) {
+      time = 'OUT OF TIME';
+    } else {
+      time = raceInProgress() ? formatTime(player.totalTime + Date.now() - player.lapStartTime) : '00:00.000';
+    }
+    
+    player.hud.time.textContent = time;
+    player.hud.lap.textContent = `Lap: ${player.currentLap}/${MAX_LAPS}`;
+    player.hud.stars.textContent = `★ ${player.starsCollected}/${STAR_COUNT}`;
+    player.hud.speed.textContent = `${Math.round(Math.abs(player.car.speed))} km/h${player.car.speed < 0 ? ' (R)' : ''}`;
+  });
+}
+
+// Check whether a player's controller is connected (the keyboard and touch controls always are)
+function isPlayerReady(player) {
+  const device = inputManager.getDevice(player.deviceId);
+  return !!device && (device.connected || !device.isHardware);
+}
+
+// Connect the controller behind an input device id
+function connectPlayerDevice(deviceId) {
+  switch (deviceId) {
+    case 'serial': return serialController.connect();
+    case 'serial2': return serialController2.connect();
+    case 'serial-stick2': return serialStick2.connect();
+    case 'bluetooth': return bluetoothController.connect();
+    case 'gamepad': return gamepadController.connect();
+    case 'phone': return phoneController.connect();
+    default: return Promise.reject(new Error(`Nothing to connect for ${deviceId}`));
+  }
+}
+
+// Split-screen start screen with one panel per player
+function createPlayerLobby({ autoStart = true } = {}) {
+  document.getElementById('player-lobby')?.remove();
+  
+  const lobby = document.createElement('div');
+  lobby.id = 'player-lobby';
+  lobby.dataset.autoStart = String(autoStart); // Coming back from a race waits for "Start Race"
+  lobby.style.position = 'fixed';
+  lobby.style.top = '50%';
+  lobby.style.left = '50%';
+  lobby.style.transform = 'translate(-50%, -50%)';
+  lobby.style.padding = '20px 30px';
+  lobby.style.background = 'rgba(0, 0, 0, 0.8)';
+  lobby.style.color = 'white';
+  lobby.style.borderRadius = '10px';
+  lobby.style.fontFamily = 'Arial, sans-serif';
+  lobby.style.textAlign = 'center';
+  lobby.style.zIndex = '5000';
+  
+  const title = document.createElement('div');
+  title.textContent = 'Two Players';
+  title.style.fontSize = '28px';
+  title.style.fontWeight = 'bold';
+  title.style.marginBottom = '15px';
+  lobby.appendChild(title);
+  
+  const panels = document.createElement('div');
+  panels.style.display = 'flex';
+  panels.style.gap = '20px';
+  lobby.appendChild(panels);
+  
+  players.forEach(player => {
+    const panel = document.createElement('div');
+    panel.style.width = '220px';
+    panel.style.padding = '15px';
+    panel.style.borderRadius = '8px';
+    panel.style.border = `2px solid ${PLAYER_HUD_COLORS[player.index]}`;
+    
+    const name = document.createElement('div');
+    name.textContent = player.name;
+    name.style.fontSize = '20px';
+    name.style.fontWeight = 'bold';
+    name.style.color = PLAYER_HUD_COLORS[player.index];
+    panel.appendChild(name);
+    
+    const status = document.createElement('div');
+    status.id = `player-lobby-status-${player.index}`;
+    status.style.margin = '10px 0';
+    status.style.minHeight = '2.4em';
+    panel.appendChild(status);
+    
+    const connectButton = document.createElement('button');
+    connectButton.id = `player-lobby-connect-${player.index}`;
+    connectButton.innerText = 'Connect';
+    connectButton.style.padding = '8px 16px';
+    connectButton.style.background = 'rgba(0, 100, 255, 0.8)';
+    connectButton.style.color = 'white';
+    connectButton.style.border = 'none';
+    connectButton.style.borderRadius = '6px';
+    connectButton.style.fontSize = '14px';
+    connectButton.style.cursor = 'pointer';
+    connectButton.onclick = async () => {
+      connectButton.disabled = true;
+      connectButton.innerText = 'Connecting...';
+      try {
+        await connectPlayerDevice(player.deviceId);
+      } catch (error) {
+        console.error(`Failed to connect ${player.name}:`, error);
+        status.textContent = 'Connection failed: ' + error.message;
+        status.style.color = 'red';
+      }
+      connectButton.disabled = false;
+      connectButton.innerText = 'Connect';
+      updatePlayerLobby();
+    };
+    panel.appendChild(connectButton);
+    
+    panels.appendChild(panel);
+  });
+  
+  // Start with whoever is connected; a missing player's car waits on the grid
+  const startButton = document.createElement('button');
+  startButton.id = 'player-lobby-start';
+  startButton.innerText = 'Start Race';
+  startButton.style.marginTop = '15px';
+  startButton.style.padding = '10px 24px';
+  startButton.style.background = 'rgba(50, 150, 50, 0.8)';
+  startButton.style.color = 'white';
+  startButton.style.border = 'none';
+  startButton.style.borderRadius = '8px';
+  startButton.style.fontSize = '16px';
+  startButton.style.cursor = 'pointer';
+  startButton.onclick = () => startSplitRace();
+  lobby.appendChild(startButton);
+  
+  document.body.appendChild(lobby);
+  updatePlayerLobby();
+  
+  // Reconnect both joystick boxes (player 1 first, so each gets the board it had)
+  if (!autoStart) return;
+  
+  setTimeout(async () => {
+    try {
+      if (players.some(player => player.deviceId === 'serial' || player.deviceId === 'serial-stick2')) {
+        await serialController.autoConnect();
+      }
+      if (players[1].deviceId === 'serial2') await serialController2.autoConnect();
+    } catch (error) {
+      console.log("Auto-connect failed with error:", error);
+    }
+  }, 500);
+}
+
+// Show each player's controller in the lobby and start once everyone is ready
+function updatePlayerLobby() {
+  const lobby = document.getElementById('player-lobby');
+  if (!lobby) return;
+  
+  players.forEach(player => {
+    const device = inputManager.getDevice(player.deviceId);
+    const ready = isPlayerReady(player);
+    
+    const status = document.getElementById(`player-lobby-status-${player.index}`);
+    if (status) {
+      status.textContent = device
+        ? `${device.label}: ${ready ? 'ready' : 'not connected'}`
+        : `Unknown controller "${player.deviceId}"`;
+      status.style.color = ready ? 'lime' : 'orange';
+    }
+    
+    // Software inputs (keyboard, touch) have nothing to connect
+    const connectButton = document.getElementById(`player-lobby-connect-${player.index}`);
+    if (connectButton) {
+      connectButton.style.display = !device || !device.isHardware || ready ? 'none' : 'inline-block';
+    }
+  });
+  
+  if (players.every(isPlayerReady) && lobby.dataset.autoStart === 'true') {
+    startSplitRace();
+  }
+}
+
+// Leave the lobby and count down
+function startSplitRace() {
+  document.getElementById('player-lobby')?.remove();
+  
+  const debugElement = document.getElementById('joystick-debug');
+  if (debugElement) debugElement.style.display = 'block';
+  
+  forceRemoveAllOverlays();
+  
+  setTimeout(() => {
+    startGame();
+  }, 500);
 }
 
 // Create base terrain
@@ -525,7 +1515,7 @@ function createRaceTrack() {
   scene.add(trackMesh);
   
   // Create off-track area (sand/dirt) with more contrast
-  const offTrackGeometry = new THREE.TubeGeometry(trackCurve, 200, TRACK_WIDTH + 20, 16, true); // Wider off-track
+  const offTrackGeometry = new THREE.TubeGeometry(trackCurve, 200, TRACK_WIDTH + TRACK_SHOULDER, 16, true); // Wider off-track
   const offTrackMaterial = new THREE.MeshStandardMaterial({ 
     color: 0x8B4513, // Darker brown for more contrast
     roughness: 1.0
@@ -555,7 +1545,6 @@ function createRaceTrack() {
   // Set car position at the starting line - make sure this works 
   if (TRACK_POINTS.length > 0) {
     car.position.copy(TRACK_POINTS[0]);
-    car.position.y = 0.5; // Car height off ground
     
     console.log("Set car position to:", car.position);
     
@@ -571,6 +1560,8 @@ function createRaceTrack() {
       
       console.log("Set car direction:", direction, "and rotation:", car.rotation);
     }
+    
+    settleCarOnGround(car);
   } else {
     console.error("TRACK_POINTS is empty, can't position car!");
   }
@@ -673,18 +1664,108 @@ function createEnvironment() {
   treePositions.length = 0;
   mountainPositions.length = 0;
   
-  // No scenery is added - track and stars only
+  // No scenery is added - track and stars only
+}
+
+// Create a car's physics state (the model is added separately)
+function createCarState() {
+  return {
+    model: null,
+    speed: 0, // km/h
+    velocity: new THREE.Vector3(0, 0, 0),
+    position: new THREE.Vector3(0, 0.5, 0),
+    rotation: new THREE.Euler(0, 0, 0),
+    direction: new THREE.Vector3(0, 0, 1), // Heading across the ground (rotation.x and .z tilt the car onto slopes)
+    surfaceNormal: new THREE.Vector3(0, 1, 0), // Normal of the ground under the car
+    lateralSpeed: 0, // km/h sliding sideways (positive to the right); speed is along direction
+    handbrake: false,
+    isSliding: false,
+    skidPoints: null, // Where the rear wheels were on the last tick of a skid
+    previousPosition: new THREE.Vector3(0, 0.5, 0), // State at the start of the last tick, for interpolation
+    previousRotationY: 0,
+    isOffTrack: false
+  };
+}
+
+// Create a racer: their car, camera, race progress and input binding
+function createPlayer(index, playerCar, playerCamera, deviceId = null) {
+  const player = {
+    index,
+    name: `Player ${index + 1}`,
+    car: playerCar,
+    camera: playerCamera,
+    deviceId, // Input device this player reads (null = whichever device is active)
+    input: createNeutralState(), // Input sampled for the current physics tick
+    feedback: null, // FeedbackManager for this player's controller
+    currentLap: 0,
+    currentCheckpoint: 0,
+    lapStartTime: 0,
+    starsCollected: 0,
+    isWrongWay: false,
+    wrongWayTimestamp: 0,
+    totalTime: 0, // Sum of the completed lap times
+    finishTime: null, // Race time when the last lap was completed
+    beatTarget: false, // Last lap was within the target time
+    outOfTime: false, // Last lap went over the target time (split-screen)
+    hud: null, // Split-screen HUD elements
+    cameraView: 0, // Index into CAMERA_VIEWS
+    gestures: null // Taps, long presses and flicks on this player's controller
+  };
+  
+  player.gestures = createPlayerGestures(player);
+  return player;
+}
+
+// Bind gestures on a player's controller to game actions
+function createPlayerGestures(player) {
+  const gestures = new GestureRecognizer();
+  
+  // ?longPress=, ?doubleTap= and ?flickTime= (ms) change the timing and are remembered
+  const urlParams = new URLSearchParams(window.location.search);
+  const settings = {};
+  if (urlParams.has('longPress')) settings.longPressDuration = parseInt(urlParams.get('longPress'));
+  if (urlParams.has('doubleTap')) settings.doubleTapWindow = parseInt(urlParams.get('doubleTap'));
+  if (urlParams.has('flickTime')) settings.flickMaxDuration = parseInt(urlParams.get('flickTime'));
+  if (Object.keys(settings).length > 0) gestures.configure(settings);
+  
+  gestures.bind('long-press', 'respawn');
+  gestures.bind('double-tap', 'pause');
+  gestures.bind('flick-up', 'camera');
+  
+  // Holding boost at speed is normal driving, so only a slow (stuck) car is put back
+  gestures.on('respawn', () => {
+    if (!isRacing() || Math.abs(player.car.speed) > MAX_SPEED * 0.3) return;
+    resetCarToTrack(player);
+  });
+  
+  gestures.on('pause', () => togglePause());
+  
+  gestures.on('camera', () => {
+    if (!isRacing()) return;
+    player.cameraView = (player.cameraView + 1) % CAMERA_VIEWS.length;
+    console.log(`${player.name} camera: ${CAMERA_VIEWS[player.cameraView].name}`);
+  });
+  
+  return gestures;
 }
 
-// Load car model with simplified realistic appearance
+// Load the player 1 car model
 function loadCarModel() {
+  car.model = createCarModel(PLAYER_COLORS[0]);
+  car.model.position.copy(car.position);
+  car.model.rotation.y = car.rotation.y;
+  scene.add(car.model);
+}
+
+// Create a car model with simplified realistic appearance
+function createCarModel(bodyColor) {
   // Create a proper car with simple but recognizable components
   const carGroup = new THREE.Group();
   
   // Main body - simple race car shape
   const bodyGeometry = new THREE.BoxGeometry(2.5, 0.6, 5.5);
   const bodyMaterial = new THREE.MeshStandardMaterial({ 
-    color: 0xE30000, // Bright red
+    color: bodyColor,
     metalness: 0.7,
     roughness: 0.2
   });
@@ -864,7 +1945,7 @@ function loadCarModel() {
     // Create center hub cap with contrasting color
     const hubCapGeometry = new THREE.CylinderGeometry(0.15, 0.15, 0.52, 16);
     const hubCapMaterial = new THREE.MeshStandardMaterial({
-      color: 0xE60000, // Bright red to match car and be visible
+      color: bodyColor, // Match the car and be visible
       metalness: 0.9,
       roughness: 0.1
     });
@@ -915,11 +1996,7 @@ function loadCarModel() {
   const wheelRR = createWheel(1.3, -1.8, false);  // Rear Right
   carGroup.add(wheelRR);
   
-  // Set up car
-  car.model = carGroup;
-  car.model.position.copy(car.position);
-  car.model.rotation.y = car.rotation.y;
-  scene.add(car.model);
+  return carGroup;
 }
 
 // Load audio elements
@@ -927,12 +2004,12 @@ function loadAudio() {
   const sounds = [
     'engine', 'star_collect', 'lap_complete', 
     'fail', 'victory', 'brake', 'accelerate', 
-    'offtrack', 'wrong_direction'
+    'offtrack', 'wrong_direction', 'tire_squeal'
   ];
   
   sounds.forEach(sound => {
     audioElements[sound] = new Audio(`/sounds/car/${sound}.mp3`);
-    if (sound === 'engine') {
+    if (sound === 'engine' || sound === 'tire_squeal') {
       audioElements[sound].loop = true;
     }
   });
@@ -1018,7 +2095,7 @@ function createStars() {
     const starMesh = new THREE.Mesh(starGeometry, starMaterial);
     
     // Add rotation animation
-    starMesh.rotationSpeed = 0.01 + Math.random() * 0.02; // Random rotation speed
+    starMesh.rotationSpeed = 0.6 + Math.random() * 1.2; // Random rotation speed (radians per second)
     
     // Set initial rotation to make the star perpendicular to ground
     starMesh.rotation.x = Math.PI / 2; // This makes it perpendicular to ground
@@ -1103,47 +2180,29 @@ function createCheckpoints() {
   }
 }
 
-// Start the game
+// Start the game from the menu: count down, then race
 function startGame() {
-  console.log("Starting game...");
+  if (!gameState.is('menu')) return;
   
-  // Reset game state
-  gameRunning = true;
-  gameOver = false;
-  currentLap = 0;
-  currentCheckpoint = 0;
-  car.speed = 0;
-  lapStartTime = Date.now();
-  starsCollected = 0; // Reset stars collected
+  console.log("Starting game...");
+  gameState.transition('countdown');
+}
+
+// Set up the current level for a new race (runs when the countdown starts)
+function prepareRace() {
+  resetPlayers(); // Laps, checkpoints, stars and lap timers
   
-  // Make sure to clear all particles at the start
+  // Make sure to clear all particles and last race's skid marks at the start
   clearAllParticles();
+  clearSkidMarks();
   
-  console.log("Game state:", { gameRunning, gameOver });
-  
-  // Reset car position to start line
-  car.position.copy(TRACK_POINTS[0]);
-  car.position.y = 0.5;
-  
-  // Calculate initial direction to face along the track
-  const nextPoint = TRACK_POINTS[1];
-  const direction = new THREE.Vector3().subVectors(nextPoint, TRACK_POINTS[0]).normalize();
-  car.direction.copy(direction);
-  
-  // Set rotation to face direction
-  const angle = Math.atan2(direction.x, direction.z);
-  car.rotation.y = angle;
-  
-  // Recreate track and collectibles
+  // Create new track, stars, and checkpoints for the current levelIndex
   createRaceTrack();
   createStars();
   createCheckpoints();
   
-  // Start engine sound
-  if (audioElements.engine) {
-    audioElements.engine.currentTime = 0;
-    audioElements.engine.play().catch(e => console.log('Error playing engine sound:', e));
-  }
+  // Reset cars to the start line
+  players.forEach(placeCarAtStart);
   
   // Add debug info to display but hide it
   const debugDiv = document.createElement('div');
@@ -1158,7 +2217,7 @@ function startGame() {
   debugDiv.style.fontFamily = 'monospace';
   debugDiv.style.zIndex = '1000';
   debugDiv.style.display = 'none'; // Hide debug info
-  debugDiv.textContent = 'Game running: ' + gameRunning;
+  debugDiv.textContent = 'Game state: ' + gameState.current;
   
   // Remove any existing debug div
   const existingDebug = document.getElementById('debug-info');
@@ -1169,91 +2228,108 @@ function startGame() {
   document.getElementById('game-container').appendChild(debugDiv);
   
   // Update HUD
-  document.getElementById('lap-counter').textContent = `Lap: ${currentLap}/${MAX_LAPS}`;
+  document.getElementById('lap-counter').textContent = `Lap: ${players[0].currentLap}/${MAX_LAPS}`;
   document.getElementById('time-display').textContent = '00:00.000';
   document.getElementById('target-time').textContent = `Target: ${formatTime(targetTime)}`;
   updateStarCounter(); // Update star counter
   
   // Hide any messages
   document.getElementById('message-overlay').style.display = 'none';
+}
+
+// Start the lap timers and the engine when the countdown is over
+function startRaceClock() {
+  startLapTimers();
+  physicsAccumulator = 0;
   
-  // Start the timer
-  lapStartTime = Date.now();
-  
-  // Clear all particles
-  clearAllParticles();
+  // Start engine sound
+  if (audioElements.engine) {
+    audioElements.engine.currentTime = 0;
+    audioElements.engine.play().catch(e => console.log('Error playing engine sound:', e));
+  }
 }
 
-// Restart the game
-function restartGame() {
-  // Just restart the current level
-  startGame();
+// Reset every player's race progress
+function resetPlayers() {
+  players.forEach(player => {
+    player.currentLap = 0;
+    player.currentCheckpoint = 0;
+    player.lapStartTime = Date.now();
+    player.starsCollected = 0;
+    player.isWrongWay = false;
+    player.totalTime = 0;
+    player.finishTime = null;
+    player.beatTarget = false;
+    player.outOfTime = false;
+    player.car.speed = 0;
+    player.car.lateralSpeed = 0;
+    player.gestures.reset();
+  });
 }
 
-// Start the next level
-function startNextLevel() {
-  console.log("Starting next level with level index:", levelIndex);
-  
-  // Make sure gameRunning is set to true
-  gameRunning = true;
-  gameOver = false;
-  
-  // Reset lap and checkpoint
-  currentLap = 0;
-  currentCheckpoint = 0;
-  car.speed = 0;
-  starsCollected = 0;
-  
-  // Clear all particles
-  clearAllParticles();
-  
-  // Hide any message overlays first
-  const messageOverlay = document.getElementById('message-overlay');
-  if (messageOverlay) {
-    messageOverlay.style.display = 'none';
-  }
+// Start every player's lap timer
+function startLapTimers() {
+  const now = Date.now();
+  players.forEach(player => {
+    player.lapStartTime = now;
+  });
+}
+
+// Put a player's car on the start line, facing along the track
+function placeCarAtStart(player) {
+  const playerCar = player.car;
+  if (TRACK_POINTS.length === 0) return;
   
-  // Create new track, stars, and checkpoints for the current levelIndex
-  createRaceTrack();
-  createStars();
-  createCheckpoints();
+  playerCar.position.copy(TRACK_POINTS[0]);
   
-  // Reset car position to start line
-  if (TRACK_POINTS.length > 0) {
-    car.position.copy(TRACK_POINTS[0]);
-    car.position.y = 0.5;
+  // Calculate initial direction to face along the track
+  if (TRACK_POINTS.length > 1) {
+    const nextPoint = TRACK_POINTS[1];
+    const direction = new THREE.Vector3().subVectors(nextPoint, TRACK_POINTS[0]).normalize();
+    playerCar.direction.copy(direction);
     
-    // Calculate initial direction to face along the track
-    if (TRACK_POINTS.length > 1) {
-      const nextPoint = TRACK_POINTS[1];
-      const direction = new THREE.Vector3().subVectors(nextPoint, TRACK_POINTS[0]).normalize();
-      car.direction.copy(direction);
-      
-      // Set rotation to face direction
-      const angle = Math.atan2(direction.x, direction.z);
-      car.rotation.y = angle;
+    // Set rotation to face direction
+    const angle = Math.atan2(direction.x, direction.z);
+    playerCar.rotation.y = angle;
+    
+    // Split-screen cars start side by side instead of on top of each other
+    if (splitScreen) {
+      const side = new THREE.Vector3(direction.z, 0, -direction.x);
+      playerCar.position.addScaledVector(side, player.index === 0 ? -START_GRID_OFFSET : START_GRID_OFFSET);
     }
   }
   
-  // Start the timer
-  lapStartTime = Date.now();
-  
-  // Update HUD
-  document.getElementById('lap-counter').textContent = `Lap: ${currentLap}/${MAX_LAPS}`;
-  document.getElementById('time-display').textContent = '00:00.000';
-  document.getElementById('target-time').textContent = `Target: ${formatTime(targetTime)}`;
-  updateStarCounter();
+  // Car height off ground
+  settleCarOnGround(playerCar);
   
-  // Start engine sound
-  if (audioElements.engine) {
-    audioElements.engine.currentTime = 0;
-    audioElements.engine.play().catch(e => console.log('Error playing engine sound:', e));
+  // Jump the model to the start instead of sliding it there
+  snapCarModel(playerCar);
+}
+
+// Place a car's model at its physics state with nothing left to interpolate (after moving the car directly)
+function snapCarModel(playerCar) {
+  playerCar.previousPosition.copy(playerCar.position);
+  playerCar.previousRotationY = playerCar.rotation.y;
+  playerCar.skidPoints = null; // No skid mark across the jump
+  
+  if (playerCar.model) {
+    playerCar.model.position.copy(playerCar.position);
+    playerCar.model.rotation.set(playerCar.rotation.x, playerCar.rotation.y, playerCar.rotation.z, 'YXZ');
   }
+}
+
+// Restart the game
+function restartGame() {
+  // Just restart the current level
+  gameState.transition('countdown');
+}
+
+// Start the next level
+function startNextLevel() {
+  levelIndex++;
+  console.log("Starting next level with level index:", levelIndex);
   
-  // Show level indicator after the message overlay is hidden
-  setTimeout(() => {
-    showTempMessage(`Level ${levelIndex + 1}`, "Get ready!", 2000, true);
-  }, 100);
+  gameState.transition('countdown', { announceLevel: true });
 }
 
 // Store values for tracking car movement
@@ -1261,22 +2337,15 @@ let previousRotationY = 0;
 let isTurningLeft = false;
 let isTurningRight = false;
 
-// Update car physics with improved wheel rotation and steering
-function updateCarPhysics() {
-  // Don't check gameRunning here - we want physics to work for testing
-  if (gameOver) return;
+// Advance a player's car physics by one tick, with improved wheel rotation and steering
+function updateCarPhysics(player, dt) {
+  // The race may have ended earlier in this tick
+  if (!isRacing()) return;
   
-  // Apply very gentle friction when not actively driving
-  if (car.isOffTrack) {
-    car.speed *= OFF_TRACK_FRICTION;
-  } else {
-    car.speed *= FRICTION; 
-  }
+  const car = player.car;
   
-  // Stop the car completely when speed is very low to prevent drift
-  if (Math.abs(car.speed) < 0.1) {
-    car.speed = 0;
-  }
+  // Apply very gentle friction when not actively driving
+  car.speed *= Math.exp(-(car.isOffTrack ? OFF_TRACK_FRICTION : FRICTION) * dt);
   
   // Update direction vector from rotation
   car.direction.set(
@@ -1288,38 +2357,59 @@ function updateCarPhysics() {
   // Ensure direction vector is normalized
   car.direction.normalize();
   
-  // Calculate new velocity
-  const velocityScale = car.speed / 2; 
-  car.velocity.copy(car.direction).multiplyScalar(velocityScale);
+  // Steering turned the car this tick, but not where it was going: split that motion along the new heading
+  const turned = car.rotation.y - car.previousRotationY;
+  const forwardSpeed = car.speed;
+  car.speed = forwardSpeed * Math.cos(turned) - car.lateralSpeed * Math.sin(turned);
+  car.lateralSpeed = forwardSpeed * Math.sin(turned) + car.lateralSpeed * Math.cos(turned);
+  
+  // The tires pull the car back in line with its heading; whatever they can't hold on to is a slide
+  car.lateralSpeed *= Math.exp(-getTireGrip(car) * dt);
+  
+  // Gravity along the slope: uphill slows the car down, downhill speeds it up
+  const slope = -car.surfaceNormal.dot(car.direction) / car.surfaceNormal.y; // Rise over run ahead of the car
+  car.speed -= SLOPE_GRAVITY * slope * dt;
+  
+  // Stop the car completely when speed is very low to prevent drift (and to keep it parked on gentle slopes)
+  if (Math.abs(car.speed) < 0.1) {
+    car.speed = 0;
+  }
+  
+  // Calculate new velocity (world units per second), including any sideways slide
+  const right = new THREE.Vector3(-car.direction.z, 0, car.direction.x);
+  car.velocity.copy(car.direction).multiplyScalar(car.speed)
+    .addScaledVector(right, car.lateralSpeed)
+    .multiplyScalar(SPEED_TO_WORLD);
   
   // Store current position before moving
   const previousPosition = car.position.clone();
   
   // Update position
-  car.position.add(car.velocity);
-  
-  // Keep car on the ground
-  car.position.y = 0.5;
+  car.position.addScaledVector(car.velocity, dt);
   
   // Check collision with obstacles
-  if (checkCollisions()) {
+  if (checkCollisions(car)) {
     // If collision detected, revert to previous position with a small bounce back
     const bounceVector = new THREE.Vector3().subVectors(previousPosition, car.position).multiplyScalar(COLLISION_BOUNCE);
     car.position.copy(previousPosition).add(bounceVector);
     
     // Reduce speed on collision
     car.speed *= 0.7;
+    car.lateralSpeed *= 0.7;
     
     // Play collision sound
     playSound('offtrack');
+    player.feedback.trigger('collision');
   }
   
+  // Keep car on the ground, tilted to match it
+  settleCarOnGround(car);
+  
   // Check if car is on track
-  checkIfOnTrack();
+  checkIfOnTrack(player);
   
-  // Update car model position and rotation
-  car.model.position.copy(car.position);
-  car.model.rotation.y = car.rotation.y;
+  // Leave skid marks while sliding or with the rear wheels locked
+  updateSkidMarks(car);
   
   // Enhanced wheel rotation with increased speed for visibility
   if (car.model) {
@@ -1330,7 +2420,7 @@ function updateCarPhysics() {
         const wheelRadius = 0.7;
         const wheelCircumference = 2 * Math.PI * wheelRadius;
         const rotationPerUnit = (1 / wheelCircumference) * (2 * Math.PI);
-        const rotationAmount = car.speed * rotationPerUnit * 0.2;
+        const rotationAmount = car.speed * rotationPerUnit * 12 * dt;
         
         // Rotate wheel around X-axis for forward/backward motion
         if (car.speed > 0) {
@@ -1341,23 +2431,9 @@ function updateCarPhysics() {
         
         // IMPROVED FRONT WHEEL STEERING - more natural and stable
         if (child.userData.isFrontWheel) {
-          // Determine the steering input from keyboard or controller
-          let steeringInput = 0;
-          
-          // Check keyboard input
-          if (window.keyStates && window.keyStates['ArrowLeft']) {
-            steeringInput = 1; // Left
-          } else if (window.keyStates && window.keyStates['ArrowRight']) {
-            steeringInput = -1; // Right (negative for correct turning direction)
-          }
-          
-          // Check controller input if available (overrides keyboard)
-          if (serialController && serialController.inputState) {
-            if (serialController.inputState.turnAmount !== undefined) {
-              // Use the raw turn amount for proportional steering
-              steeringInput = -serialController.inputState.turnAmount;
-            }
-          }
+          // Use the active device's steering for proportional wheel angle
+          // (negative for correct turning direction)
+          const steeringInput = -player.input.steer;
           
           // Apply gentle damping to wheel rotation to prevent wobbling
           // This adds "stiffness" to the steering
@@ -1371,8 +2447,8 @@ function updateCarPhysics() {
           
           // Apply smooth damping for natural steering feel
           // This gradually moves the wheels toward the target angle
-          const steeringSpeed = 0.15; // Lower is smoother but slower response
-          child.userData.currentSteerAngle += (targetAngle - child.userData.currentSteerAngle) * steeringSpeed;
+          const steeringSpeed = 9.75; // Per second - lower is smoother but slower response
+          child.userData.currentSteerAngle += (targetAngle - child.userData.currentSteerAngle) * (1 - Math.exp(-steeringSpeed * dt));
           
           // Apply the calculated steering angle
           child.rotation.y = child.userData.currentSteerAngle;
@@ -1381,20 +2457,17 @@ function updateCarPhysics() {
     });
   }
   
-  // Update camera position to follow car
-  updateCamera();
+  // Check for star collisions
+  checkStarCollisions(player);
   
-  // Only check for gameplay events if game is running
-  if (gameRunning) {
-    // Check for star collisions
-    checkStarCollisions();
-    
-    // Check for checkpoint crossings
-    checkCheckpointCrossings();
-    
-    // Check if going wrong way
-    checkWrongWay();
-  }
+  // Check for checkpoint crossings
+  checkCheckpointCrossings(player);
+  
+  // Check if going wrong way
+  checkWrongWay(player);
+  
+  // The engine sound and speedometer follow player 1 (split-screen HUDs show each speed)
+  if (player.index !== 0) return;
   
   // Update engine sound pitch based on speed
   if (audioElements.engine) {
@@ -1431,37 +2504,105 @@ function updateSpeedometer(speed) {
   }
 }
 
-// Check if car is on track
-function checkIfOnTrack() {
-  // Find nearest point on track
+// Find the closest point of the track centerline to a position, measured across the ground (ignoring height)
+function findNearestTrackPoint(position) {
   let minDistance = Infinity;
-  let nearestPoint = null;
-  
-  for (const point of TRACK_POINTS) {
-    const distance = car.position.distanceTo(point);
+  let height = 0;
+  
+  for (let i = 0; i < TRACK_POINTS.length - 1; i++) {
+    const a = TRACK_POINTS[i];
+    const b = TRACK_POINTS[i + 1];
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const lengthSq = dx * dx + dz * dz;
+    
+    // How far along this segment the position lies (0 - 1)
+    const t = lengthSq > 0
+      ? THREE.MathUtils.clamp(((position.x - a.x) * dx + (position.z - a.z) * dz) / lengthSq, 0, 1)
+      : 0;
+    const distance = Math.hypot(position.x - (a.x + dx * t), position.z - (a.z + dz * t));
+    
     if (distance < minDistance) {
       minDistance = distance;
-      nearestPoint = point;
+      height = a.y + (b.y - a.y) * t;
     }
   }
   
+  return { distance: minDistance, height };
+}
+
+// Height of the ground at a position: the road and its shoulder follow the track, then slope down to the field
+function getGroundHeight(position) {
+  if (TRACK_POINTS.length < 2) return 0;
+  
+  const { distance, height } = findNearestTrackPoint(position);
+  const beyondShoulder = distance - (TRACK_WIDTH + TRACK_SHOULDER);
+  if (beyondShoulder <= 0) return height;
+  
+  return height * Math.max(0, 1 - beyondShoulder / EMBANKMENT_WIDTH);
+}
+
+// Normal of the ground at a position, from the height just around it
+function getSurfaceNormal(position, target = new THREE.Vector3()) {
+  const step = 2;
+  const sample = new THREE.Vector3();
+  
+  const slopeX = (getGroundHeight(sample.set(position.x + step, 0, position.z)) -
+    getGroundHeight(sample.set(position.x - step, 0, position.z))) / (2 * step);
+  const slopeZ = (getGroundHeight(sample.set(position.x, 0, position.z + step)) -
+    getGroundHeight(sample.set(position.x, 0, position.z - step))) / (2 * step);
+  
+  return target.set(-slopeX, 1, -slopeZ).normalize();
+}
+
+// Put a car on the ground under it and pitch and roll it to match the slope
+function settleCarOnGround(playerCar) {
+  playerCar.position.y = getGroundHeight(playerCar.position) + CAR_RIDE_HEIGHT;
+  
+  const normal = getSurfaceNormal(playerCar.position, playerCar.surfaceNormal);
+  
+  // Tilt relative to the heading (rotation.y); nose up going uphill, lower side down on a camber
+  const forwardX = Math.sin(playerCar.rotation.y);
+  const forwardZ = Math.cos(playerCar.rotation.y);
+  playerCar.rotation.x = Math.atan2(normal.x * forwardX + normal.z * forwardZ, normal.y);
+  playerCar.rotation.z = Math.atan2(normal.z * forwardX - normal.x * forwardZ, normal.y);
+}
+
+// How quickly a car's tires stop a sideways slide (per second): less at speed, on the grass and with the handbrake on
+function getTireGrip(playerCar) {
+  let grip = TIRE_GRIP / (1 + Math.abs(playerCar.speed) / MAX_SPEED * GRIP_SPEED_FALLOFF);
+  if (playerCar.isOffTrack) grip *= OFF_TRACK_GRIP;
+  if (playerCar.handbrake) grip *= HANDBRAKE_GRIP;
+  return grip;
+}
+
+// Check if a player's car is on track
+function checkIfOnTrack(player) {
+  const car = player.car;
+  
+  // Distance across the ground to the track, so hills don't count as off track
+  const { distance } = findNearestTrackPoint(car.position);
+  
   // Check if distance is within track width
   const wasOffTrack = car.isOffTrack;
-  car.isOffTrack = minDistance > TRACK_WIDTH;
+  car.isOffTrack = distance > TRACK_WIDTH;
   
   // Play off-track sound when going off track
   if (!wasOffTrack && car.isOffTrack) {
     playSound('offtrack');
+    player.feedback.trigger('offtrack');
   }
 }
 
-// Check if car is going the wrong way
-function checkWrongWay() {
-  if (!gameRunning || gameOver) return;
+// Check if a player's car is going the wrong way
+function checkWrongWay(player) {
+  if (!isRacing()) return;
+  
+  const car = player.car;
   
   // Find current and next checkpoint
-  const currentCP = checkpoints[currentCheckpoint];
-  const nextCPIndex = (currentCheckpoint + 1) % checkpoints.length;
+  const currentCP = checkpoints[player.currentCheckpoint];
+  const nextCPIndex = (player.currentCheckpoint + 1) % checkpoints.length;
   const nextCP = checkpoints[nextCPIndex];
   
   // Vector from car to next checkpoint
@@ -1471,41 +2612,49 @@ function checkWrongWay() {
   const dotProduct = car.direction.dot(toNextCP);
   
   // Update wrong way state
-  const wasWrongWay = isWrongWay;
-  isWrongWay = dotProduct < -0.5 && car.speed > 5;
+  const wasWrongWay = player.isWrongWay;
+  player.isWrongWay = dotProduct < -0.5 && car.speed > 5;
   
-  if (isWrongWay) {
+  if (player.isWrongWay) {
     // Show wrong way message
-    document.getElementById('wrong-way').style.display = 'block';
+    showWrongWay(player, true);
     
     // Play wrong direction sound if just started going wrong way
     if (!wasWrongWay) {
       playSound('wrong_direction');
-      wrongWayTimestamp = Date.now();
+      player.feedback.trigger('wrongway');
+      player.wrongWayTimestamp = Date.now();
     }
     
     // Reset car if going wrong way for too long
-    if (Date.now() - wrongWayTimestamp > WRONG_WAY_RESET_DELAY) {
-      resetCarToTrack();
+    if (Date.now() - player.wrongWayTimestamp > WRONG_WAY_RESET_DELAY) {
+      resetCarToTrack(player);
     }
   } else {
     // Hide wrong way message
-    document.getElementById('wrong-way').style.display = 'none';
+    showWrongWay(player, false);
   }
 }
 
-// Reset car to face the correct direction
-function resetCarToTrack() {
+// Show or hide a player's wrong way warning (split-screen warnings are in the player's HUD)
+function showWrongWay(player, visible) {
+  const wrongWay = splitScreen ? player.hud && player.hud.wrongWay : document.getElementById('wrong-way');
+  if (wrongWay) wrongWay.style.display = visible ? 'block' : 'none';
+}
+
+// Reset a player's car to face the correct direction
+function resetCarToTrack(player) {
+  const car = player.car;
+  
   // Find current checkpoint
-  const currentCP = checkpoints[currentCheckpoint];
+  const currentCP = checkpoints[player.currentCheckpoint];
   
   // Next checkpoint
-  const nextCPIndex = (currentCheckpoint + 1) % checkpoints.length;
+  const nextCPIndex = (player.currentCheckpoint + 1) % checkpoints.length;
   const nextCP = checkpoints[nextCPIndex];
   
   // Place car at current checkpoint facing next checkpoint
   car.position.copy(currentCP.position);
-  car.position.y = 0.5;
   
   // Calculate direction to next checkpoint
   const direction = new THREE.Vector3().subVectors(nextCP.position, currentCP.position).normalize();
@@ -1517,31 +2666,54 @@ function resetCarToTrack() {
   
   // Reset speed
   car.speed = 0;
+  car.lateralSpeed = 0;
+  settleCarOnGround(car);
+  snapCarModel(car);
   
   // Reset wrong way flag
-  isWrongWay = false;
-  document.getElementById('wrong-way').style.display = 'none';
+  player.isWrongWay = false;
+  showWrongWay(player, false);
   
   // Show message
-  showTempMessage("Reset", "Car positioned in correct direction.", 2000);
+  showTempMessage(splitScreen ? `${player.name} Reset` : "Reset", "Car positioned in correct direction.", 2000);
 }
 
-// Update camera to follow car
-function updateCamera() {
+// Update a player's camera to follow their car
+function updateCamera(player) {
+  const car = player.car;
+  const camera = player.camera;
+  
+  const view = CAMERA_VIEWS[player.cameraView];
+  
+  // Follow the interpolated model rather than the last physics tick, so the camera doesn't judder
+  const position = car.model ? car.model.position : car.position;
+  const direction = car.model
+    ? new THREE.Vector3(Math.sin(car.model.rotation.y), 0, Math.cos(car.model.rotation.y))
+    : car.direction;
+  
   const cameraOffset = new THREE.Vector3();
-  cameraOffset.copy(car.direction).multiplyScalar(-10); // Distance behind car
-  cameraOffset.y = 5; // Height above car
+  cameraOffset.copy(direction).multiplyScalar(-view.distance); // Distance behind car
+  cameraOffset.y = view.height; // Height above car
   
   // Camera position follows car with offset
-  camera.position.copy(car.position).add(cameraOffset);
+  camera.position.copy(position).add(cameraOffset);
   
-  // Look at car
-  camera.lookAt(car.position);
+  if (view.distance < 0) {
+    // Look down the track from the front of the car
+    const target = position.clone().addScaledVector(direction, 20);
+    target.y = view.height;
+    camera.lookAt(target);
+  } else {
+    // Look at car
+    camera.lookAt(position);
+  }
 }
 
-// Check for collisions with stars
-function checkStarCollisions() {
-  if (!gameRunning || gameOver) return;
+// Check for a player's car collecting stars
+function checkStarCollisions(player) {
+  if (!isRacing()) return;
+  
+  const car = player.car;
   
   // Define collision radius (size of car + star)
   const collisionRadius = 5;
@@ -1557,13 +2729,14 @@ function checkStarCollisions() {
         star.object.visible = false;
         
         // Increment the stars collected counter
-        starsCollected++;
+        player.starsCollected++;
         
         // Update the star counter in the HUD
         updateStarCounter();
         
         // Play sound
         playSound('star_collect');
+        player.feedback.trigger('star');
         
         // Add visual effect
         addStarCollectEffect(star.position);
@@ -1585,36 +2758,35 @@ function addStarCollectEffect(position) {
     const particle = new THREE.Mesh(particleGeometry, particleMaterial);
     particle.position.copy(position);
     
-    // Random spread
+    // Random spread (units per second)
     particle.velocity = new THREE.Vector3(
-      (Math.random() - 0.5) * 0.3,
-      Math.random() * 0.5,
-      (Math.random() - 0.5) * 0.3
+      (Math.random() - 0.5) * 18,
+      Math.random() * 30,
+      (Math.random() - 0.5) * 18
     );
     
+    // Remove after 1 second of game time (a paused race keeps its particles)
+    particle.life = 1;
+    
     // Add to scene
     scene.add(particle);
     
-    // Store reference and remove after 1 second
-    setTimeout(() => {
-      scene.remove(particle);
-    }, 1000);
-    
     // Add to update list
     particlesToUpdate.push(particle);
   }
 }
 
-// Update particles
+// Update particles by the frame time (seconds)
 const particlesToUpdate = [];
-function updateParticles() {
+function updateParticles(dt) {
   for (let i = particlesToUpdate.length - 1; i >= 0; i--) {
     const particle = particlesToUpdate[i];
-    particle.position.add(particle.velocity);
-    particle.velocity.y -= 0.01; // Gravity
+    particle.position.addScaledVector(particle.velocity, dt);
+    particle.velocity.y -= 36 * dt; // Gravity
+    particle.life -= dt;
     
-    // Remove if it falls below ground
-    if (particle.position.y < 0) {
+    // Remove if it falls below ground or has had its time
+    if (particle.position.y < 0 || particle.life <= 0) {
       scene.remove(particle);
       particlesToUpdate.splice(i, 1);
     }
@@ -1625,7 +2797,7 @@ function updateParticles() {
     if (!star.collected && star.object) {
       // Apply rotation to the star mesh
       if (star.mesh) {
-        star.mesh.rotation.y += star.rotationSpeed; // Rotate on Y axis instead of Z
+        star.mesh.rotation.y += star.rotationSpeed * dt; // Rotate on Y axis instead of Z
       }
       
       // Apply hovering effect to the star group
@@ -1648,69 +2820,162 @@ function clearAllParticles() {
   }
 }
 
-// Check for checkpoint crossings
-function checkCheckpointCrossings() {
-  if (!gameRunning || gameOver) return;
+// Lay a skid mark behind each rear wheel while a car slides or skids on locked wheels
+function updateSkidMarks(playerCar) {
+  playerCar.isSliding = Math.abs(playerCar.lateralSpeed) > SKID_SLIP_SPEED ||
+    (playerCar.handbrake && Math.abs(playerCar.speed) > SKID_SLIP_SPEED);
+  
+  if (!playerCar.isSliding) {
+    playerCar.skidPoints = null;
+    return;
+  }
+  
+  // The model's +X side is the car's left
+  const left = new THREE.Vector3(playerCar.direction.z, 0, -playerCar.direction.x);
+  const groundY = playerCar.position.y - CAR_RIDE_HEIGHT + 0.05; // Just above the road
+  const wheelPoints = REAR_WHEEL_OFFSETS.map(([x, z]) => playerCar.position.clone()
+    .addScaledVector(left, x)
+    .addScaledVector(playerCar.direction, z)
+    .setY(groundY));
+  
+  if (playerCar.skidPoints) {
+    wheelPoints.forEach((point, i) => addSkidMark(playerCar.skidPoints[i], point));
+  }
+  playerCar.skidPoints = wheelPoints;
+}
+
+// Add one skid mark segment between two points on the ground
+function addSkidMark(from, to) {
+  const length = from.distanceTo(to);
+  if (length < 0.01) return;
+  
+  if (!skidMarkGeometry) {
+    skidMarkGeometry = new THREE.PlaneGeometry(SKID_MARK_WIDTH, 1);
+    skidMarkGeometry.rotateX(-Math.PI / 2); // Flat on the ground, 1 unit long along Z
+    skidMarkMaterial = new THREE.MeshBasicMaterial({
+      color: 0x111111,
+      transparent: true,
+      opacity: 0.5,
+      depthWrite: false,
+      polygonOffset: true,
+      polygonOffsetFactor: -1 // Draw over the road it lies on
+    });
+  }
+  
+  let mark;
+  if (skidMarks.length < MAX_SKID_MARKS) {
+    mark = new THREE.Mesh(skidMarkGeometry, skidMarkMaterial);
+    scene.add(mark);
+    skidMarks.push(mark);
+  } else {
+    mark = skidMarks[nextSkidMark];
+  }
+  nextSkidMark = (nextSkidMark + 1) % MAX_SKID_MARKS;
+  
+  mark.position.addVectors(from, to).multiplyScalar(0.5);
+  mark.rotation.y = Math.atan2(to.x - from.x, to.z - from.z);
+  mark.scale.z = length;
+}
+
+// Remove every skid mark from the track
+function clearSkidMarks() {
+  skidMarks.forEach(mark => scene.remove(mark));
+  skidMarks = [];
+  nextSkidMark = 0;
+}
+
+// Check for a player's checkpoint crossings
+function checkCheckpointCrossings(player) {
+  if (!isRacing()) return;
+  
+  // Players who finished keep driving but don't race any more
+  if (player.finishTime !== null) return;
   
   // Get current checkpoint
-  const checkpoint = checkpoints[currentCheckpoint];
+  const checkpoint = checkpoints[player.currentCheckpoint];
   
   // Distance to checkpoint
-  const distance = car.position.distanceTo(checkpoint.position);
+  const distance = player.car.position.distanceTo(checkpoint.position);
   
   // Check if passed through checkpoint
   if (distance < TRACK_WIDTH) {
     // Move to next checkpoint
-    currentCheckpoint = (currentCheckpoint + 1) % checkpoints.length;
+    player.currentCheckpoint = (player.currentCheckpoint + 1) % checkpoints.length;
     
     // If crossed start/finish line
-    if (currentCheckpoint === 0) {
-      completeLap();
+    if (player.currentCheckpoint === 0) {
+      completeLap(player);
     }
   }
 }
 
 // Complete a lap
-function completeLap() {
-  currentLap++;
-  
-  // Update lap counter
-  document.getElementById('lap-counter').textContent = `Lap: ${currentLap}/${MAX_LAPS}`;
+function completeLap(player) {
+  player.currentLap++;
   
   // Calculate lap time
-  const lapTime = Date.now() - lapStartTime;
+  const lapTime = Date.now() - player.lapStartTime;
+  player.totalTime += lapTime;
   
-  // Display time
-  document.getElementById('time-display').textContent = formatTime(lapTime);
+  // Update lap counter and display time (split-screen HUDs update every frame)
+  if (!splitScreen) {
+    document.getElementById('lap-counter').textContent = `Lap: ${player.currentLap}/${MAX_LAPS}`;
+    document.getElementById('time-display').textContent = formatTime(lapTime);
+  }
   
   // Play sound
   playSound('lap_complete');
+  player.feedback.trigger('lap');
   
   // Check if final lap
-  if (currentLap >= MAX_LAPS) {
-    endRace(lapTime <= targetTime);
+  if (player.currentLap >= MAX_LAPS) {
+    if (!splitScreen) {
+      endRace(lapTime <= targetTime);
+      return;
+    }
+    
+    // Split-screen: the player's HUD shows the finish until the other player is done
+    player.finishTime = player.totalTime;
+    player.beatTarget = lapTime <= targetTime;
+    checkSplitRaceOver();
   } else {
     // Start new lap
-    lapStartTime = Date.now();
+    player.lapStartTime = Date.now();
     
-    // Show lap message
-    showTempMessage(`Lap ${currentLap} Complete!`, `Time: ${formatTime(lapTime)}`, 2000, true);
+    // Show the lap time while racing on
+    const title = splitScreen ? `${player.name}: Lap ${player.currentLap} Complete!` : `Lap ${player.currentLap} Complete!`;
+    gameState.transition('lap-summary', { title, message: `Time: ${formatTime(lapTime)}` });
+  }
+}
+
+// End a split-screen race once every player has finished or run out of time
+function checkSplitRaceOver() {
+  const raceOver = players.every(player => player.finishTime !== null || player.outOfTime);
+  if (raceOver) {
+    endRace(players.some(player => player.beatTarget));
   }
+  return raceOver;
 }
 
 // End the race
 function endRace(success) {
-  gameRunning = false;
-  gameOver = true;
-  
+  gameState.transition('results', { success });
+}
+
+// Show how the race went (entering the results state); data.next tells continueFromResults() what comes next
+function showResults(data) {
   // Stop engine sound
   if (audioElements.engine) {
     audioElements.engine.pause();
   }
+  stopTireSqueal();
+  
+  const restartBtn = document.getElementById('restart-btn');
   
-  if (success) {
-    // Victory
+  if (data.success) {
+    // Victory (split-screen results send each player their own feedback)
     playSound('victory');
+    if (!splitScreen) players[0].feedback.trigger('victory');
     
     // Show message with option to advance to next level
     let message = "You beat the target time!";
@@ -1718,48 +2983,82 @@ function endRace(success) {
     // Check if there's a next level
     if (levelIndex < trackLevels.length - 1) {
       message += " Ready for the next level?";
-      document.getElementById('restart-btn').textContent = "Next Level";
-      // Set up for next level
-      levelIndex++;
+      restartBtn.textContent = "Next Level";
+      data.next = 'next-level';
     } else {
       message += " You've completed all levels!";
-      document.getElementById('restart-btn').textContent = "Play Again";
-      // Reset to first level
-      levelIndex = 0;
-    }
-    // Always re-attach the click handler after setting the text
-    const restartBtn = document.getElementById('restart-btn');
-    if (restartBtn) {
-      restartBtn.onclick = (event) => {
-        event.stopPropagation();
-        if (restartBtn.textContent === "Next Level") {
-          startNextLevel();
-        } else {
-          restartGame();
-        }
-      };
+      restartBtn.textContent = "Play Again";
+      data.next = 'play-again';
     }
     showMessage("Victory!", message);
   } else {
     // Failed to beat target time
     playSound('fail');
+    if (!splitScreen) players[0].feedback.trigger('fail');
     showMessage("Time's Up!", "You didn't beat the target time. Try again!");
-    document.getElementById('restart-btn').textContent = "Retry";
-    // Always re-attach the click handler after setting the text
-    const restartBtn = document.getElementById('restart-btn');
-    if (restartBtn) {
-      restartBtn.onclick = (event) => {
-        event.stopPropagation();
-        if (restartBtn.textContent === "Next Level") {
-          startNextLevel();
-        } else {
-          restartGame();
-        }
-      };
-    }
+    restartBtn.textContent = "Retry";
+    data.next = 'retry';
+  }
+  
+  // Both players' times and stars replace the single-player message
+  if (splitScreen) {
+    showRaceResults();
+  }
+}
+
+// Go on from the results (restart button or space bar): next level, first level or the same level again
+function continueFromResults() {
+  const next = gameState.is('results') ? gameState.data.next : 'retry';
+  
+  if (next === 'next-level') {
+    startNextLevel();
+  } else {
+    // After the last level the game starts over from the first
+    if (next === 'play-again') levelIndex = 0;
+    restartGame();
   }
 }
 
+// Rank the players: finishers by time, then by progress, then by stars
+function getRaceStandings() {
+  const progress = (player) => player.currentLap * checkpoints.length + player.currentCheckpoint;
+  
+  return [...players].sort((a, b) => {
+    if (a.finishTime !== null && b.finishTime !== null) return a.finishTime - b.finishTime;
+    if (a.finishTime !== null) return -1;
+    if (b.finishTime !== null) return 1;
+    return progress(b) - progress(a) || b.starsCollected - a.starsCollected;
+  });
+}
+
+// Show the combined split-screen results in the message overlay
+function showRaceResults() {
+  const standings = getRaceStandings();
+  const winner = standings[0];
+  
+  const rows = standings.map((player, rank) => {
+    const time = player.finishTime !== null ? formatTime(player.finishTime) : 'Out of time';
+    const color = PLAYER_HUD_COLORS[player.index];
+    return `<tr>
+      <td style="padding: 4px 12px;">${rank + 1}.</td>
+      <td style="padding: 4px 12px; color: ${color}; font-weight: bold;">${player.name}</td>
+      <td style="padding: 4px 12px;">${time}</td>
+      <td style="padding: 4px 12px;">★ ${player.starsCollected}/${STAR_COUNT}</td>
+    </tr>`;
+  }).join('');
+  
+  const title = winner.finishTime !== null ? `${winner.name} Wins!` : "Time's Up!";
+  document.getElementById('message-title').textContent = title;
+  document.getElementById('message-content').innerHTML = `
+    <table style="margin: 0 auto; border-collapse: collapse; text-align: left;">${rows}</table>
+  `;
+  
+  // The winner's controller celebrates, everyone else's gets the failure pattern
+  standings.forEach(player => {
+    player.feedback.trigger(player === winner && player.finishTime !== null ? 'victory' : 'fail');
+  });
+}
+
 // Show a message overlay
 function showMessage(title, message, hideRestartButton = false) {
   document.getElementById('message-title').textContent = title;
@@ -1793,79 +3092,45 @@ function showTempMessage(title, message, duration, positionHigher = false) {
   showMessage(title, message, positionHigher);
   
   setTimeout(() => {
-    document.getElementById('message-overlay').style.display = 'none';
+    // Leave a message shown in the meantime (e.g. the race results) alone
+    if (document.getElementById('message-title').textContent !== title) return;
     
-    // Reset message position after hiding
-    if (messageOverlay && positionHigher) {
-      messageOverlay.style.alignItems = 'center';
-      messageOverlay.style.paddingTop = '0';
-    }
+    hideMessage();
   }, duration);
 }
 
-// Format time in minutes:seconds.milliseconds
-function formatTime(timeMs) {
-  const minutes = Math.floor(timeMs / 60000);
-  const seconds = Math.floor((timeMs % 60000) / 1000);
-  const milliseconds = timeMs % 1000;
+// Hide the message overlay and put it back in the middle of the screen
+function hideMessage() {
+  const messageOverlay = document.getElementById('message-overlay');
+  if (!messageOverlay) return;
   
-  return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}.${milliseconds.toString().padStart(3, '0')}`;
-}
-
-// Handle window resize
-function onWindowResize() {
-  camera.aspect = window.innerWidth / window.innerHeight;
-  camera.updateProjectionMatrix();
-  renderer.setSize(window.innerWidth, window.innerHeight);
+  messageOverlay.style.display = 'none';
+  messageOverlay.style.alignItems = 'center';
+  messageOverlay.style.paddingTop = '0';
 }
 
-// Main game loop
-function gameLoop() {
-  requestAnimationFrame(gameLoop);
-  
-  // Update debug info (still update it but it's hidden)
-  const debugDiv = document.getElementById('debug-info');
-  if (debugDiv) {
-    debugDiv.textContent = `Game running: ${gameRunning}, Game over: ${gameOver}, Car speed: ${car.speed.toFixed(2)}`;
-  }
-  
-  // Update countdown if active
-  if (countdownActive) {
-    updateCountdown();
-  }
-  
-  if (gameRunning && !gameOver) {
-    // Update game time
-    currentTime = Date.now() - lapStartTime;
-    document.getElementById('time-display').textContent = formatTime(currentTime);
-    
-    // Check if time exceeded target
-    if (currentTime > targetTime && currentLap === MAX_LAPS - 1) {
-      endRace(false);
-    }
-  }
-  
-  // Update car physics even if not running (for testing)
-  updateCarPhysics();
-  
-  // Update particles
-  updateParticles();
-  
-  // Update minimap
-  updateMinimap();
-  
-  // Update controls if enabled (for debugging)
-  if (controls.enabled) {
-    controls.update();
-  }
+// Format time in minutes:seconds.milliseconds
+function formatTime(timeMs) {
+  const minutes = Math.floor(timeMs / 60000);
+  const seconds = Math.floor((timeMs % 60000) / 1000);
+  const milliseconds = timeMs % 1000;
   
-  // Render scene
-  renderer.render(scene, camera);
+  return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}.${milliseconds.toString().padStart(3, '0')}`;
+}
+
+// Handle window resize
+function onWindowResize() {
+  // Split-screen viewports share the width
+  players.forEach(player => {
+    player.camera.aspect = window.innerWidth / players.length / window.innerHeight;
+    player.camera.updateProjectionMatrix();
+  });
+  renderer.setSize(window.innerWidth, window.innerHeight);
 }
 
 // Check for collisions with any obstacle
-function checkCollisions() {
-  const carPosition = car.position;
+function checkCollisions(playerCar) {
+  const carPosition = playerCar.position;
   
   // Car collision radius
   const carRadius = 4; // Adjust based on car size
@@ -2066,28 +3331,30 @@ function updateMinimap() {
     }
   }
   
-  // Draw car position (larger, brighter triangle)
-  const carPos = worldToMinimap(car.position, scale, offsetX, offsetY);
-  
-  ctx.save();
-  ctx.translate(carPos.x, carPos.y);
-  ctx.rotate(car.rotation.y);
-  
-  // Larger, brighter car icon
-  ctx.fillStyle = '#ffff00'; // Bright yellow for high visibility
-  ctx.beginPath();
-  ctx.moveTo(0, -6); // Front of car (longer)
-  ctx.lineTo(-4, 4); // Back left (wider)
-  ctx.lineTo(4, 4);  // Back right (wider)
-  ctx.closePath();
-  ctx.fill();
-  
-  // Add outline for even better visibility
-  ctx.strokeStyle = '#000';
-  ctx.lineWidth = 1;
-  ctx.stroke();
-  
-  ctx.restore();
+  // Draw car positions (larger, brighter triangles)
+  players.forEach(player => {
+    const carPos = worldToMinimap(player.car.position, scale, offsetX, offsetY);
+    
+    ctx.save();
+    ctx.translate(carPos.x, carPos.y);
+    ctx.rotate(player.car.rotation.y);
+    
+    // Larger, brighter car icon (bright yellow for high visibility, player colors in split-screen)
+    ctx.fillStyle = splitScreen ? PLAYER_HUD_COLORS[player.index] : '#ffff00';
+    ctx.beginPath();
+    ctx.moveTo(0, -6); // Front of car (longer)
+    ctx.lineTo(-4, 4); // Back left (wider)
+    ctx.lineTo(4, 4);  // Back right (wider)
+    ctx.closePath();
+    ctx.fill();
+    
+    // Add outline for even better visibility
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 1;
+    ctx.stroke();
+    
+    ctx.restore();
+  });
   
   // Add text label
   // ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
@@ -2368,12 +3635,8 @@ function createGameUI() {
     // Add click handler for the restart button
     restartBtn.onclick = (event) => {
       event.stopPropagation();
-      console.log("Restart button clicked with text:", restartBtn.textContent, "levelIndex:", levelIndex);
-      if (restartBtn.textContent === "Next Level") {
-        startNextLevel();
-      } else {
-        restartGame();
-      }
+      console.log("Restart button clicked in state:", gameState.current, "levelIndex:", levelIndex);
+      continueFromResults();
     };
     messageBox.appendChild(messageTitle);
     messageBox.appendChild(messageContent);
@@ -2514,47 +3777,8 @@ function resetGame() {
   // Clear all overlays
   clearAllOverlays();
   
-  // Reset game state
-  gameRunning = true;
-  gameOver = false;
-  currentLap = 0;
-  currentCheckpoint = 0;
-  car.speed = 0;
-  lapStartTime = Date.now();
-  starsCollected = 0; // Reset stars collected counter
-  
-  // Reset car position to start line
-  if (TRACK_POINTS.length > 0) {
-    car.position.copy(TRACK_POINTS[0]);
-    car.position.y = 0.5; // Car height off ground
-    
-    // Calculate initial direction to face along the track
-    if (TRACK_POINTS.length > 1) {
-      const nextPoint = TRACK_POINTS[1];
-      const direction = new THREE.Vector3().subVectors(nextPoint, TRACK_POINTS[0]).normalize();
-      car.direction.copy(direction);
-      
-      // Set rotation to face direction
-      const angle = Math.atan2(direction.x, direction.z);
-      car.rotation.y = angle;
-    }
-  }
-  
-  // Update car model position
-  if (car.model) {
-    car.model.position.copy(car.position);
-    car.model.rotation.y = car.rotation.y;
-  }
-  
-  // Update HUD
-  const lapCounter = document.getElementById('lap-counter');
-  if (lapCounter) lapCounter.textContent = `Lap: ${currentLap}/${MAX_LAPS}`;
-  
-  const timeDisplay = document.getElementById('time-display');
-  if (timeDisplay) timeDisplay.textContent = '00:00.000';
-  
-  // Update star counter
-  updateStarCounter();
+  // Count the current level down again, whatever state the game was stuck in
+  gameState.transition('countdown');
   
   // Update speedometer
   updateSpeedometer(0);
@@ -2627,49 +3851,34 @@ function createClearOverlayButton() {
   document.body.appendChild(clearButton);
 }
 
-// Add input state tracking to the joystick controller
-function handleControllerInput(data) {
-  if (gameOver) return; // Only check for gameOver, not gameRunning
+// Apply one tick of the normalized input state from the InputManager to the car
+function handleControllerInput(input, player, dt) {
+  const car = player.car;
   
-  // Log data for debugging
-  console.log("Joystick data received:", data);
-  
-  // Start the game if not already running when joystick is used
-  if (!gameRunning) {
-    startGame();
-    return; // Don't process input until the game actually starts
-  }
-  
-  // Display controller data for debugging - show raw values
+  // Display controller data for debugging (player 1 only)
   const debugElement = document.getElementById('joystick-debug');
-  if (debugElement) {
-    debugElement.textContent = `Roll: ${data.roll.toFixed(2)}, Pitch: ${data.pitch.toFixed(2)}, Boost: ${data.boost ? 'ON' : 'OFF'}`;
+  const activeDevice = player.deviceId ? inputManager.getDevice(player.deviceId) : inputManager.getActiveDevice();
+  if (player.index === 0 && debugElement && activeDevice && input.timestamp > 0) {
+    debugElement.textContent = `${activeDevice.label} | Steer: ${input.steer.toFixed(2)}, Throttle: ${input.throttle.toFixed(2)}, Brake: ${input.brake.toFixed(2)}, Boost: ${input.buttons.boost ? 'ON' : 'OFF'}, Handbrake: ${input.buttons.handbrake ? 'ON' : 'OFF'}`;
   }
   
-  // Important: Invert pitch so pushing forward moves the car forward
-  // This fixes the direction issue
-  const adjustedPitch = -data.pitch;
-  const adjustedRoll = data.roll;
+  // Combine throttle and brake into one forward/backward axis
+  const adjustedPitch = input.throttle - input.brake;
+  const adjustedRoll = input.steer;
   
   // Apply deadzone to prevent drift
   const roll = Math.abs(adjustedRoll) > JOYSTICK_DEADZONE ? adjustedRoll : 0;
   const pitch = Math.abs(adjustedPitch) > JOYSTICK_DEADZONE ? adjustedPitch : 0;
   
-  // Track turning state for wheel steering
-  if (!serialController.inputState) {
-    serialController.inputState = { turnLeft: false, turnRight: false, turnAmount: 0 };
-  }
-  
-  // Update turning state based on roll value
-  serialController.inputState.turnLeft = roll < -JOYSTICK_DEADZONE;
-  serialController.inputState.turnRight = roll > JOYSTICK_DEADZONE;
-  serialController.inputState.turnAmount = roll; // Store the raw turn amount
+  // The handbrake locks the rear wheels: they lose grip (see getTireGrip) and the rear swings out
+  car.handbrake = !!input.buttons.handbrake;
+  const turnRate = car.handbrake && car.speed !== 0 ? TURN_RATE * HANDBRAKE_TURN_RATE : TURN_RATE;
   
   // Steering - ensure both left and right turning works properly
   if (Math.abs(roll) > JOYSTICK_DEADZONE) {
     // Right turn (positive roll): decrease rotation Y (negative change)
     // Left turn (negative roll): increase rotation Y (positive change)
-    car.rotation.y -= TURN_RATE * roll * 1.5;
+    car.rotation.y -= turnRate * roll * dt;
     console.log(`Turning ${roll > 0 ? 'RIGHT' : 'LEFT'}, roll:`, roll);
   }
   
@@ -2681,7 +3890,7 @@ function handleControllerInput(data) {
   // Acceleration and braking/reversing - handle separately for clarity
   if (pitch > JOYSTICK_DEADZONE) {
     // Forward movement (pushing joystick forward, away from pins)
-    car.speed += ACCELERATION * pitch * 0.15; // Increased from 0.1 to 0.15 for faster acceleration
+    car.speed += ACCELERATION * pitch * dt;
     
     if (car.speed > MAX_SPEED) {
       car.speed = MAX_SPEED;
@@ -2698,7 +3907,7 @@ function handleControllerInput(data) {
     // Negative pitch - pulling joystick back, toward pins
     if (car.speed > 0) {
       // Braking
-      car.speed += BRAKING * pitch * 0.2; // Since pitch is negative, this reduces speed
+      car.speed += BRAKING * pitch * dt; // Since pitch is negative, this reduces speed
       
       // Play braking sound
       if (!audioElements.brake.playing && car.speed > 10) {
@@ -2714,7 +3923,7 @@ function handleControllerInput(data) {
     }
     else {
       // Reversing
-      car.speed = ACCELERATION * pitch * 0.15; // Since pitch is negative, this makes speed negative
+      car.speed = REVERSE_SPEED * pitch; // Since pitch is negative, this makes speed negative
       
       // Limit reverse speed
       if (car.speed < -MAX_SPEED * 0.4) {
@@ -2726,19 +3935,25 @@ function handleControllerInput(data) {
   }
   // Force the car to stop more quickly when joystick is centered
   else if (Math.abs(pitch) <= JOYSTICK_DEADZONE) {
-    car.speed *= 0.95; // Additional friction when joystick is in neutral
+    car.speed *= Math.exp(-NEUTRAL_DRAG * dt); // Additional friction when joystick is in neutral
     if (Math.abs(car.speed) < 0.1) car.speed = 0; // Stop completely below threshold
   }
   
+  // Locked rear wheels slow the car down
+  if (car.handbrake && car.speed !== 0) {
+    const braking = Math.min(Math.abs(car.speed), HANDBRAKE_BRAKING * dt);
+    car.speed -= Math.sign(car.speed) * braking;
+  }
+  
   // Use boost button for an optional speed boost
-  if (data.boost && car.speed !== 0) {
+  if (input.buttons.boost && car.speed !== 0) {
     if (car.speed > 0) {
-      car.speed += 3; // Increased from 2 to 3 for stronger boost
+      car.speed += BOOST_ACCELERATION * dt;
       if (car.speed > MAX_SPEED * 1.3) { // Increased from 1.2 to 1.3 for higher top speed with boost
         car.speed = MAX_SPEED * 1.3;
       }
     } else {
-      car.speed -= 1; // Reverse boost (unchanged)
+      car.speed -= REVERSE_BOOST_ACCELERATION * dt;
       if (car.speed < -MAX_SPEED * 0.5) {
         car.speed = -MAX_SPEED * 0.5;
       }
@@ -2749,63 +3964,606 @@ function handleControllerInput(data) {
 // Initialize the game when the page loads
 window.addEventListener('load', init);
 
-// Animation loop
-function animate() {
+// Game loop: the work every state shares, plus the current state's update hook
+function animate(now = performance.now()) {
   requestAnimationFrame(animate);
   
   // Update debug info but keep it hidden
   const debugDiv = document.getElementById('debug-info');
   if (debugDiv) {
-    debugDiv.textContent = `Game running: ${gameRunning}, Game over: ${gameOver}, Car speed: ${car.speed.toFixed(2)}`;
+    debugDiv.textContent = `Game state: ${gameState.current}, Car speed: ${car.speed.toFixed(2)}`;
     debugDiv.style.display = 'none'; // Keep it hidden
   }
   
   // Hide joystick debug if playing game (only show during setup)
   const joystickDebug = document.getElementById('joystick-debug');
-  if (joystickDebug && gameRunning && !gameOver && car.speed > 0) {
+  if (joystickDebug && isRacing() && car.speed > 0) {
     joystickDebug.style.opacity = '0.3'; // Fade it out when playing but leave visible for reference
-  } else if (joystickDebug && !gameRunning) {
+  } else if (joystickDebug && !raceInProgress()) {
     joystickDebug.style.opacity = '1'; // Full opacity when not playing
   }
   
-  // Update countdown if active
-  if (countdownActive) {
-    updateCountdown();
+  // Show or hide the on-screen controls as controllers come and go
+  updateTouchControls();
+  
+  // Button and stick gestures (also while paused, so a double tap can continue).
+  // Only boost makes gestures: the handbrake is tapped and held through drifts.
+  if (raceInProgress()) {
+    players.forEach(player => {
+      const input = getPlayerInput(player);
+      const device = player.deviceId ? inputManager.getDevice(player.deviceId) : inputManager.getActiveDevice();
+      player.gestures.update({ ...input, buttons: { boost: input.buttons.boost } }, now, !!(device && device.analogStick));
+    });
   }
   
-  // Update car physics even if not running (for testing)
-  updateCarPhysics();
+  // Countdown, race timers, lap summary... whatever the current state does each frame
+  gameState.update(now);
   
-  // Update particles
-  updateParticles();
+  // Fixed-step physics while racing; the cars and cameras follow in every state
+  const frameTime = advanceSimulation(now);
+  
+  // Update particles (frozen while paused)
+  updateParticles(gameState.is('paused') ? 0 : frameTime);
   
   // Update minimap
   updateMinimap();
   
-  if (gameRunning && !gameOver) {
-    // Update game time
-    currentTime = Date.now() - lapStartTime;
+  // Split-screen lap, time and star displays
+  if (splitScreen) {
+    updatePlayerHuds();
+  }
+  
+  // Update controls if enabled (for debugging)
+  if (controls && controls.enabled) {
+    controls.update();
+  }
+  
+  // Render scene
+  renderScene();
+}
+
+// Update the lap timers and end the race when a player runs out of time
+function updateRaceTimers() {
+  if (!splitScreen) {
+    const player = players[0];
+    const currentTime = Date.now() - player.lapStartTime;
     document.getElementById('time-display').textContent = formatTime(currentTime);
     
     // Check if time exceeded target
-    if (currentTime > targetTime && currentLap === MAX_LAPS - 1) {
+    if (currentTime > targetTime && player.currentLap === MAX_LAPS - 1) {
       endRace(false);
     }
+    return;
   }
   
-  // Update controls if enabled (for debugging)
-  if (controls && controls.enabled) {
-    controls.update();
+  // Split-screen: a player out of time is done, the race ends when both are
+  let playerDone = false;
+  players.forEach(player => {
+    if (player.finishTime !== null || player.outOfTime) return;
+    
+    if (Date.now() - player.lapStartTime > targetTime && player.currentLap === MAX_LAPS - 1) {
+      player.outOfTime = true;
+      playerDone = true;
+    }
+  });
+  
+  if (playerDone) {
+    checkSplitRaceOver();
+  }
+}
+
+// Run the physics in fixed ticks for the time since the last frame, then draw each car
+// between its last two ticks so motion looks smooth at any refresh rate
+// Returns the frame time in seconds
+function advanceSimulation(now) {
+  const frameTime = lastFrameTime === null ? 0 : Math.min((now - lastFrameTime) / 1000, MAX_FRAME_TIME);
+  lastFrameTime = now;
+  
+  // The cars only move while racing; time in other states is dropped rather than caught up
+  if (isRacing()) {
+    physicsAccumulator += frameTime;
+    
+    // Stop as soon as a tick ends the race
+    while (physicsAccumulator >= PHYSICS_DT && isRacing()) {
+      stepPhysics();
+      physicsAccumulator -= PHYSICS_DT;
+    }
   }
   
-  // Render scene
-  renderer.render(scene, camera);
+  // How far the display is between the last tick and the next one
+  const alpha = physicsAccumulator / PHYSICS_DT;
+  players.forEach(player => {
+    const playerCar = player.car;
+    if (!playerCar.model) return;
+    
+    playerCar.model.position.lerpVectors(playerCar.previousPosition, playerCar.position, alpha);
+    const yaw = playerCar.previousRotationY + (playerCar.rotation.y - playerCar.previousRotationY) * alpha;
+    playerCar.model.rotation.set(playerCar.rotation.x, yaw, playerCar.rotation.z, 'YXZ');
+    updateCamera(player);
+  });
+  
+  return frameTime;
 }
 
-// Start the countdown before starting the game
-function startCountdown() {
-  // Force remove any existing overlays first
-  forceRemoveAllOverlays();
+// One physics tick: sample each player's input device once, then move the cars
+function stepPhysics() {
+  players.forEach(player => {
+    player.car.previousPosition.copy(player.car.position);
+    player.car.previousRotationY = player.car.rotation.y;
+    player.input = getPlayerInput(player);
+  });
+  
+  if (inputManager) {
+    players.forEach(player => handleControllerInput(player.input, player, PHYSICS_DT));
+  }
+  
+  players.forEach(player => updateCarPhysics(player, PHYSICS_DT));
+  
+  if (splitScreen) {
+    checkCarCollisions();
+  }
+  
+  updateTireSqueal();
+}
+
+// Read the input device bound to a player (player 1 without a binding uses whichever device is active)
+function getPlayerInput(player) {
+  if (!inputManager) return createNeutralState();
+  
+  return player.deviceId ? inputManager.getDeviceState(player.deviceId) : inputManager.getState();
+}
+
+// Push split-screen cars apart when they touch
+function checkCarCollisions() {
+  for (let i = 0; i < players.length; i++) {
+    for (let j = i + 1; j < players.length; j++) {
+      const carA = players[i].car;
+      const carB = players[j].car;
+      
+      // Distance between the cars (only in X-Z plane)
+      const dx = carB.position.x - carA.position.x;
+      const dz = carB.position.z - carA.position.z;
+      const distance = Math.sqrt(dx * dx + dz * dz);
+      const minDistance = CAR_COLLISION_RADIUS * 2;
+      if (distance >= minDistance) continue;
+      
+      // Separate the cars along the line between them
+      const normalX = distance > 0 ? dx / distance : 1;
+      const normalZ = distance > 0 ? dz / distance : 0;
+      const push = (minDistance - distance) / 2;
+      carA.position.x -= normalX * push;
+      carA.position.z -= normalZ * push;
+      carB.position.x += normalX * push;
+      carB.position.z += normalZ * push;
+      
+      // Trade some speed, so ramming the car ahead shoves it forward, and lose a little
+      const averageSpeed = (carA.speed + carB.speed) / 2;
+      carA.speed = (carA.speed + averageSpeed) / 2 * 0.8;
+      carB.speed = (carB.speed + averageSpeed) / 2 * 0.8;
+      
+      // Play collision sound
+      playSound('offtrack');
+      players[i].feedback.trigger('collision');
+      players[j].feedback.trigger('collision');
+    }
+  }
+}
+
+// Render the scene, once per player viewport in split-screen
+function renderScene() {
+  if (!splitScreen) {
+    renderer.render(scene, camera);
+    return;
+  }
+  
+  // Side by side, player 1 on the left like the joystick boxes
+  const width = window.innerWidth / players.length;
+  const height = window.innerHeight;
+  
+  renderer.setScissorTest(true);
+  players.forEach(player => {
+    const x = player.index * width;
+    renderer.setViewport(x, 0, width, height);
+    renderer.setScissor(x, 0, width, height);
+    renderer.render(scene, player.camera);
+  });
+  renderer.setScissorTest(false);
+}
+
+// Sounds that were playing when the race was paused
+const pausedSounds = new Set();
+
+// Pause every sound that is playing, to continue with resumeAudio()
+function pauseAudio() {
+  Object.values(audioElements).forEach(sound => {
+    if (sound && !sound.paused) {
+      sound.pause();
+      pausedSounds.add(sound);
+    }
+  });
+}
+
+// Continue the sounds pauseAudio() stopped (or just forget them)
+function resumeAudio(play = true) {
+  if (play) {
+    pausedSounds.forEach(sound => sound.play().catch(e => console.log('Error playing sound:', e)));
+  }
+  pausedSounds.clear();
+}
+
+// Play the looping tire squeal while any car is sliding
+function updateTireSqueal() {
+  const sliding = isRacing() && players.some(player => player.car.isSliding);
+  if (sliding === tireSquealing || !audioElements.tire_squeal) return;
+  
+  tireSquealing = sliding;
+  if (sliding) {
+    audioElements.tire_squeal.play().catch(e => console.log('Error playing sound:', e));
+  } else {
+    audioElements.tire_squeal.pause();
+  }
+}
+
+// Stop the tire squeal, e.g. when the race ends mid-slide
+function stopTireSqueal() {
+  tireSquealing = false;
+  if (audioElements.tire_squeal) {
+    audioElements.tire_squeal.pause();
+  }
+}
+
+// Stop the race for the connect screen: engine off, cars back on the start line
+function leaveRace() {
+  if (audioElements.engine) {
+    audioElements.engine.pause();
+  }
+  stopTireSqueal();
+  
+  clearAllParticles();
+  clearSkidMarks();
+  resetPlayers();
+  players.forEach(placeCarAtStart);
+  players.forEach(player => showWrongWay(player, false));
+  updateSpeedometer(0);
+}
+
+// Show the connect buttons (or the lobby in split-screen) again; controllers that are connected stay connected
+function showConnectScreen() {
+  if (splitScreen) {
+    createPlayerLobby({ autoStart: false });
+  } else {
+    createConnectButton({ autoConnect: false });
+  }
+  
+  if (!document.getElementById('export-profiles-btn')) {
+    createProfileButtons();
+  }
+  
+  const urlParams = new URLSearchParams(window.location.search);
+  if ((import.meta.env.DEV || urlParams.has('mock')) && !document.getElementById('connect-mock-demo-btn')) {
+    createMockButtons();
+  }
+}
+
+// Whether the cars are driving and the race clock is running
+function isRacing() {
+  return gameState.is('racing', 'lap-summary');
+}
+
+// Whether a race has started and isn't over yet (it may be paused)
+function raceInProgress() {
+  return gameState.is('racing', 'lap-summary', 'paused');
+}
+
+// Define the game's states, what each one does and which state may follow which
+function setupGameStates() {
+  // Waiting for a controller (connect buttons or the split-screen lobby)
+  gameState.addState('menu', {
+    to: ['countdown'],
+    enter(data, from) {
+      // Back from the pause menu (the game starts in this state)
+      if (from !== null) {
+        leaveRace();
+        showConnectScreen();
+        data.waitForRelease = true;
+      }
+    },
+    update() {
+      // Any controller input starts the game (the lobby starts it once every player is ready)
+      if (document.getElementById('player-lobby')) return;
+      const active = players.some(player => isStateActive(getPlayerInput(player), JOYSTICK_DEADZONE));
+      
+      // A stick still held from the race doesn't start the next one
+      if (gameState.data.waitForRelease) {
+        if (!active) gameState.data.waitForRelease = false;
+        return;
+      }
+      
+      if (active) {
+        startGame();
+      }
+    }
+  });
+  
+  // 3, 2, 1, GO! on the start line of the current level, with the cars held
+  gameState.addState('countdown', {
+    to: ['racing', 'countdown'],
+    enter(data) {
+      forceRemoveAllOverlays();
+      prepareRace();
+      showCountdown();
+      
+      if (data.announceLevel) {
+        showTempMessage(`Level ${levelIndex + 1}`, "Get ready!", 2000, true);
+      }
+    },
+    update: () => updateCountdown(),
+    exit() {
+      const countdownOverlay = document.getElementById('countdown-overlay');
+      if (countdownOverlay) countdownOverlay.style.display = 'none';
+    }
+  });
+  
+  gameState.addState('racing', {
+    to: ['lap-summary', 'paused', 'results', 'countdown'],
+    enter(data, from) {
+      if (from === 'countdown') startRaceClock();
+    },
+    update: () => updateRaceTimers()
+  });
+  
+  // Still racing, with the time of the lap just completed on screen for a moment
+  gameState.addState('lap-summary', {
+    to: ['racing', 'lap-summary', 'paused', 'results', 'countdown'],
+    enter({ title, message }) {
+      const messageOverlay = document.getElementById('message-overlay');
+      messageOverlay.style.alignItems = 'flex-start';
+      messageOverlay.style.paddingTop = '100px';
+      showMessage(title, message, true);
+    },
+    update() {
+      updateRaceTimers();
+      if (gameState.is('lap-summary') && gameState.getTimeInState() >= LAP_SUMMARY_DURATION) {
+        gameState.transition('racing');
+      }
+    },
+    exit: () => hideMessage()
+  });
+  
+  // Frozen (clock, cars, particles and sound) until the lost controller is back (reason 'controller'),
+  // or until the player continues from the pause menu (reason 'manual', or 'hidden' when the tab was hidden)
+  gameState.addState('paused', {
+    to: ['racing', 'countdown', 'menu'],
+    enter({ reason }) {
+      pauseStartTime = Date.now();
+      pauseAudio();
+      if (reason !== 'controller') {
+        pauseMenu.open();
+      }
+      console.log(`Race paused (${reason})`);
+    },
+    update() {
+      // Keep the silent joysticks' idle time counting up while the race waits for them
+      const overlay = document.getElementById('controller-lost-overlay');
+      if (gameState.data.reason === 'controller' && overlay && overlay.style.display !== 'none' && overlay.dataset.reason === 'stalled') {
+        updateStalledStatus();
+      }
+    },
+    exit(to) {
+      pauseMenu.close();
+      
+      // Don't count the paused time
+      const pausedTime = Date.now() - pauseStartTime;
+      players.forEach(player => {
+        player.lapStartTime += pausedTime;
+        player.wrongWayTimestamp += pausedTime;
+      });
+      
+      // A restarted or abandoned race starts its sounds afresh
+      resumeAudio(to === 'racing');
+      console.log(`Race ${to === 'racing' ? 'resumed' : 'left'} after ${(pausedTime / 1000).toFixed(1)}s`);
+    }
+  });
+  
+  // Race over: the outcome stays on screen until the player goes on (continueFromResults)
+  gameState.addState('results', {
+    to: ['countdown'],
+    enter: (data) => showResults(data),
+    exit: () => hideMessage()
+  });
+}
+
+// Freeze the race until resumeRace() (reason 'controller') or togglePause() (reasons 'manual' and 'hidden') is called
+function pauseRace(reason = 'controller') {
+  if (!isRacing()) return;
+  
+  gameState.transition('paused', { reason });
+}
+
+// Continue a paused race (the paused state takes the paused time off the clocks)
+function resumeRace() {
+  // A race the player paused only continues from togglePause()
+  if (!gameState.is('paused') || gameState.data.reason !== 'controller') return;
+  
+  gameState.transition('racing');
+}
+
+// Open or close the pause menu (Escape, double tap on the boost button, or the menu's Resume button)
+function togglePause() {
+  if (gameState.is('paused') && gameState.data.reason !== 'controller') {
+    gameState.transition('racing');
+  } else if (isRacing()) {
+    pauseRace('manual');
+  }
+}
+
+// Show the "Controller lost" overlay while the serial joystick reconnects,
+// or while a connected joystick has stopped sending (reason 'stalled')
+function showControllerLostOverlay(reason = 'lost') {
+  let overlay = document.getElementById('controller-lost-overlay');
+  if (!overlay) {
+    overlay = document.createElement('div');
+    overlay.id = 'controller-lost-overlay';
+    overlay.style.position = 'fixed';
+    overlay.style.top = '0';
+    overlay.style.left = '0';
+    overlay.style.width = '100%';
+    overlay.style.height = '100%';
+    overlay.style.display = 'flex';
+    overlay.style.flexDirection = 'column';
+    overlay.style.justifyContent = 'center';
+    overlay.style.alignItems = 'center';
+    overlay.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    overlay.style.color = 'white';
+    overlay.style.zIndex = '4000';
+    
+    const title = document.createElement('h1');
+    title.id = 'controller-lost-title';
+    title.style.color = 'orange';
+    title.style.margin = '0 0 10px 0';
+    overlay.appendChild(title);
+    
+    const message = document.createElement('p');
+    message.id = 'controller-lost-message';
+    overlay.appendChild(message);
+    
+    const status = document.createElement('p');
+    status.id = 'controller-lost-status';
+    status.style.color = '#aaa';
+    overlay.appendChild(status);
+    
+    const keyboardButton = document.createElement('button');
+    keyboardButton.id = 'controller-lost-keyboard-btn';
+    keyboardButton.innerText = 'Continue with Keyboard';
+    keyboardButton.style.marginTop = '10px';
+    keyboardButton.style.padding = '10px 20px';
+    keyboardButton.style.background = 'rgba(50, 150, 50, 0.8)';
+    keyboardButton.style.color = 'white';
+    keyboardButton.style.border = 'none';
+    keyboardButton.style.borderRadius = '8px';
+    keyboardButton.style.fontSize = '14px';
+    keyboardButton.style.cursor = 'pointer';
+    keyboardButton.onclick = () => {
+      serialController.cancelReconnect();
+      if (serialController2 && serialController2.reconnecting) {
+        serialController2.cancelReconnect();
+      }
+      
+      // Split-screen players whose joystick is gone drive with the keyboard
+      players.forEach(player => {
+        const device = player.deviceId && inputManager.getDevice(player.deviceId);
+        if (device && (!device.connected || device.stalled)) player.deviceId = 'keyboard';
+      });
+      
+      hideControllerLostOverlay();
+      resumeRace();
+      
+      const debugElement = document.getElementById('joystick-debug');
+      if (debugElement) {
+        debugElement.textContent = 'Using keyboard controls. Arrow keys to drive, Space for boost.';
+        debugElement.style.color = 'cyan';
+      }
+    };
+    overlay.appendChild(keyboardButton);
+    
+    document.body.appendChild(overlay);
+  }
+  
+  const stalled = reason === 'stalled';
+  overlay.dataset.reason = reason;
+  document.getElementById('controller-lost-title').textContent = stalled ? 'No data from controller' : 'Controller lost';
+  document.getElementById('controller-lost-message').textContent = stalled
+    ? 'The controller is connected but stopped sending. Check its power and wiring. The race continues as soon as data arrives.'
+    : 'Check the USB cable. The race continues as soon as the controller is back.';
+  document.getElementById('controller-lost-status').textContent = stalled ? '' : 'Reconnecting...';
+  overlay.style.display = 'flex';
+}
+
+// Hide the "Controller lost" overlay
+function hideControllerLostOverlay() {
+  const overlay = document.getElementById('controller-lost-overlay');
+  if (overlay) overlay.style.display = 'none';
+}
+
+// Show the room code and address a phone needs to join the game
+function showPhoneRoomOverlay(code, url) {
+  hidePhoneRoomOverlay();
+
+  const overlay = document.createElement('div');
+  overlay.id = 'phone-room-overlay';
+  overlay.style.position = 'fixed';
+  overlay.style.top = '0';
+  overlay.style.left = '0';
+  overlay.style.width = '100%';
+  overlay.style.height = '100%';
+  overlay.style.display = 'flex';
+  overlay.style.flexDirection = 'column';
+  overlay.style.justifyContent = 'center';
+  overlay.style.alignItems = 'center';
+  overlay.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+  overlay.style.color = 'white';
+  overlay.style.zIndex = '6000';
+
+  const title = document.createElement('h2');
+  title.textContent = 'Use your phone as the controller';
+  title.style.margin = '0 0 10px 0';
+  overlay.appendChild(title);
+
+  const instructions = document.createElement('p');
+  instructions.textContent = 'On a phone in the same network, open:';
+  overlay.appendChild(instructions);
+
+  const address = document.createElement('p');
+  address.textContent = url;
+  address.style.fontFamily = 'monospace';
+  address.style.fontSize = '18px';
+  address.style.color = 'cyan';
+  overlay.appendChild(address);
+
+  const codeLabel = document.createElement('p');
+  codeLabel.textContent = 'Room code';
+  codeLabel.style.margin = '20px 0 0 0';
+  overlay.appendChild(codeLabel);
+
+  const codeText = document.createElement('div');
+  codeText.textContent = code;
+  codeText.style.fontSize = '64px';
+  codeText.style.fontWeight = 'bold';
+  codeText.style.letterSpacing = '12px';
+  codeText.style.color = 'orange';
+  overlay.appendChild(codeText);
+
+  const cancelButton = document.createElement('button');
+  cancelButton.innerText = 'Cancel';
+  cancelButton.style.marginTop = '20px';
+  cancelButton.style.padding = '10px 20px';
+  cancelButton.style.background = 'rgba(120, 120, 120, 0.8)';
+  cancelButton.style.color = 'white';
+  cancelButton.style.border = 'none';
+  cancelButton.style.borderRadius = '8px';
+  cancelButton.style.fontSize = '14px';
+  cancelButton.style.cursor = 'pointer';
+  cancelButton.onclick = () => {
+    phoneController.disconnect();
+    hidePhoneRoomOverlay();
+  };
+  overlay.appendChild(cancelButton);
+
+  document.body.appendChild(overlay);
+}
+
+// Remove the phone room overlay
+function hidePhoneRoomOverlay() {
+  const overlay = document.getElementById('phone-room-overlay');
+  if (overlay) overlay.remove();
+}
+
+// Show the countdown overlay (entering the countdown state)
+function showCountdown() {
+  // Profiles can only be swapped from the start screen
+  document.querySelectorAll('#export-profiles-btn, #import-profiles-btn').forEach(profileButton => {
+    profileButton.style.display = 'none';
+  });
   
   // Create countdown overlay if it doesn't exist
   if (!document.getElementById('countdown-overlay')) {
@@ -2831,19 +4589,12 @@ function startCountdown() {
     document.getElementById('countdown-overlay').style.display = 'flex';
   }
   
-  // Set countdown state
-  countdownActive = true;
-  countdownStartTime = Date.now();
-  
-  // Update countdown in the game loop
   updateCountdown();
 }
 
-// Update countdown
+// Update countdown, and start the race once "GO!" has been up for a moment
 function updateCountdown() {
-  if (!countdownActive) return;
-  
-  const elapsedTime = Date.now() - countdownStartTime;
+  const elapsedTime = gameState.getTimeInState();
   const countdownOverlay = document.getElementById('countdown-overlay');
   
   if (elapsedTime < COUNTDOWN_DURATION) {
@@ -2852,21 +4603,15 @@ function updateCountdown() {
     countdownOverlay.textContent = secondsRemaining.toString();
     
     // No sounds for countdown numbers
-  } else {
-    // Countdown complete, show GO and start the game
+  } else if (elapsedTime < COUNTDOWN_DURATION + GO_DURATION) {
+    // Countdown complete, show GO
     countdownOverlay.textContent = 'GO!';
     
     // Ensure no particles or explosion effects
     clearAllParticles();
-    
-    // Remove countdown overlay after a short delay
-    setTimeout(() => {
-      countdownActive = false;
-      countdownOverlay.style.display = 'none';
-      
-      // Actually start the game
-      startGame();
-    }, 1000);
+  } else {
+    // Actually start the race (the countdown state's exit hook hides the overlay)
+    gameState.transition('racing');
   }
 }
 
@@ -2968,15 +4713,24 @@ function clearAllOverlays() {
   const connectBtn = document.getElementById('connect-controller-btn');
   if (connectBtn) connectBtn.style.display = 'none';
   
+  const connectGamepadBtn = document.getElementById('connect-gamepad-btn');
+  if (connectGamepadBtn) connectGamepadBtn.style.display = 'none';
+  
+  const connectBleBtn = document.getElementById('connect-ble-btn');
+  if (connectBleBtn) connectBleBtn.style.display = 'none';
+  
+  const connectBluetoothBtn = document.getElementById('connect-bt-serial-btn');
+  if (connectBluetoothBtn) connectBluetoothBtn.style.display = 'none';
+  
+  const connectPhoneBtn = document.getElementById('connect-phone-btn');
+  if (connectPhoneBtn) connectPhoneBtn.style.display = 'none';
+  
   const startWithoutBtn = document.getElementById('start-without-btn');
   if (startWithoutBtn) startWithoutBtn.style.display = 'none';
   
   // Hide any overlays that might be blocking
   const countdownOverlay = document.getElementById('countdown-overlay');
-  if (countdownOverlay) {
-    countdownOverlay.style.display = 'none';
-    countdownActive = false;
-  }
+  if (countdownOverlay) countdownOverlay.style.display = 'none';
   
   const messageOverlay = document.getElementById('message-overlay');
   if (messageOverlay) messageOverlay.style.display = 'none';
@@ -2990,7 +4744,14 @@ function clearAllOverlays() {
     // Skip buttons we want to keep
     if (element.id === 'clear-overlays-btn' || 
         element.id === 'restart-btn' || 
-        element.id === 'joystick-calibrate-btn') {
+        element.id.startsWith('joystick-calibrate-btn') ||
+        element.id === 'joystick-tune-btn' ||
+        element.id === 'joystick-record-btn' ||
+        element.id === 'joystick-board-btn' ||
+        element.id === 'response-curve-editor' ||
+        element.id === 'board-command-panel' ||
+        element.closest('#touch-controls') ||
+        element.closest('#split-screen-ui')) {
       return;
     }
     
@@ -3014,23 +4775,8 @@ function clearAllOverlays() {
     }
   });
 
-  // Reset game state if it's stuck
-  gameRunning = true;
-  gameOver = false;
-  
-  // Reset potential time issues
-  lapStartTime = Date.now();
-  
-  // Ensure the car can move
-  car.speed = 0;
-  
-  // Update the debugging elements
-  const debugDiv = document.getElementById('debug-info');
-  if (debugDiv) {
-    debugDiv.textContent = `Game running: ${gameRunning}, Game over: ${gameOver}, Car speed: ${car.speed.toFixed(2)}`;
-  }
-  
-  console.log("All overlays cleared, game state reset");
+  // The game state is left alone: restarting a stuck game is resetGame()'s job
+  console.log("All overlays cleared");
 }
 
 // Function to aggressively remove all overlays by recreating the UI
@@ -3039,7 +4785,15 @@ function forceRemoveAllOverlays() {
   
   // First, try normal clearing
   clearAllOverlays();
-  
+
+  // Close the joystick panels properly, so their preview loops stop with them
+  [serialController, serialStick2, serialController2].forEach(controller => {
+    if (!controller) return;
+    if (controller.calibrationWizard) controller.calibrationWizard.close();
+    if (controller.responseEditor) controller.responseEditor.close();
+    if (controller.boardPanel) controller.boardPanel.close();
+  });
+
   // Find and remove ALL overlay-like elements
   const overlayElements = document.querySelectorAll('div[style*="position: fixed"], div[style*="position:fixed"], div[style*="position: absolute"], div[style*="position:absolute"]');
   overlayElements.forEach(element => {
@@ -3049,7 +4803,10 @@ function forceRemoveAllOverlays() {
         element.id === 'minimap' || 
         element.id === 'hud' || 
         element.id === 'joystick-debug' ||
-        element.id === 'speedometer-container') {
+        element.id === 'controller-status' ||
+        element.id === 'speedometer-container' ||
+        element.closest('#touch-controls') ||
+        element.closest('#split-screen-ui')) {
       return;
     }
     
@@ -3061,28 +4818,18 @@ function forceRemoveAllOverlays() {
   const existingButtons = document.querySelectorAll('button');
   existingButtons.forEach(button => {
     if (button.id !== 'clear-overlays-btn' && 
-        button.id !== 'restart-btn') {
+        button.id !== 'restart-btn' &&
+        !button.id.startsWith('joystick-calibrate-btn') &&
+        button.id !== 'joystick-tune-btn' &&
+        button.id !== 'joystick-record-btn' &&
+        button.id !== 'joystick-board-btn') {
       button.remove();
     }
   });
   
-  // Reset critical game variables
-  gameRunning = true;
-  gameOver = false;
-  countdownActive = false;
-  
-  // Update car state
-  car.speed = 0;
-  
   // Create clean HUD elements
   recreateHUD();
   
-  // Create clean debug info
-  const debugInfo = document.getElementById('debug-info');
-  if (debugInfo) {
-    debugInfo.textContent = `Game running: ${gameRunning}, Game over: ${gameOver}, Car speed: ${car.speed.toFixed(2)}`;
-  }
-  
   // Recreate essential UI
   // (We only keep minimal UI to avoid any conflicts)
   
@@ -3091,25 +4838,17 @@ function forceRemoveAllOverlays() {
   camera.lookAt(car.position);
   
   console.log("Aggressive overlay removal complete");
-  
-  // If controller is connected, make sure the game is ready to play
-  if (serialController && serialController.connected) {
-    console.log("Controller is connected, ensuring game is ready");
-    
-    // Reset game state
-    resetGame();
-  }
 }
 
 // Update the star counter in the HUD
 function updateStarCounter() {
   const starCounter = document.getElementById('star-counter');
   if (starCounter) {
-    starCounter.textContent = `${starsCollected}/${STAR_COUNT}`;
+    starCounter.textContent = `${players[0].starsCollected}/${STAR_COUNT}`;
   }
   
   const topStarCount = document.getElementById('top-star-count');
   if (topStarCount) {
-    topStarCount.textContent = `${starsCollected}/${STAR_COUNT}`;
+    topStarCount.textContent = `${players[0].starsCollected}/${STAR_COUNT}`;
   }
 }
@@ -0,0 +1,268 @@
+/**
+ * Mock Serial Port
+ *
+ * Stands in for a Web Serial SerialPort so the SerialController can run
+ * without an Arduino: in the browser from the connect screen, or from
+ * automated tests. It implements the parts of the SerialPort surface the
+ * controller uses (open, close, readable, writable, getInfo) and feeds the
+ * readable stream from a recording or a scripted generator.
+ *
+ * A script is a function returning an (async) iterable of steps:
+ *   { delay: ms to wait before this step, data: string or Uint8Array }
+ */
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Time to wait
+ * @returns {Promise} Resolves after the delay
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Scripted joystick that weaves left and right at full throttle and taps the
+ * button every few seconds. Values are already centered on 512.
+ * @param {object} options - { rate: samples per second, duration: ms (Infinity = forever) }
+ */
+export function* demoJoystickScript({ rate = 50, duration = Infinity } = {}) {
+  const interval = 1000 / rate;
+
+  for (let time = 0; time < duration; time += interval) {
+    const x = Math.round(512 + Math.sin(time / 1500) * 400);
+    const y = 512 - 350; // Stick pushed forward
+    const button = time % 5000 < 300 ? 1 : 0;
+
+    yield { delay: interval, data: `${x},${y},${button}\n` };
+  }
+}
+
+/**
+ * Reply to the firmware handshake and commands like a centered CSV sketch
+ * @param {string} line - A line written by the game
+ * @returns {string|null} Reply line
+ */
+export function demoFirmwareResponder(line) {
+  if (line === '?INFO') {
+    return '@INFO fw=mock_joystick;proto=csv;ver=1;axes=2;buttons=1;rate=50;centered=1;cmd=1\n';
+  }
+
+  // "!<id> <COMMAND> [args]"
+  if (line.startsWith('!')) {
+    const [id, command, ...args] = line.slice(1).split(' ');
+    switch (command) {
+      case 'RECAL':
+      case 'GETCENTER':
+        return `@ACK ${id} x=512;y=512\n`;
+      case 'SETCENTER':
+        return `@ACK ${id} x=${args[0]};y=${args[1]}\n`;
+      case 'RATE':
+        return `@ACK ${id} rate=${args[0]}\n`;
+      case 'DEBUG':
+        return `@ACK ${id} debug=${args[0]}\n`;
+      case 'VERSION':
+        return `@ACK ${id} fw=mock_joystick;version=1.0.0\n`;
+      default:
+        return `@ERR ${id} unknown command\n`;
+    }
+  }
+  return null;
+}
+
+class MockSerialPort extends EventTarget {
+  /**
+   * @param {Function} script - Returns an (async) iterable of { delay, data } steps
+   * @param {object} options - Playback options
+   * @param {number} options.speed - Playback speed (1 = real time, Infinity = no delays)
+   * @param {boolean} options.loop - Start the script again when it ends
+   * @param {boolean} options.closeOnEnd - Close the readable stream when the script ends
+   * @param {object} options.info - Value returned by getInfo()
+   * @param {Function} options.respond - Called with each line the game writes; a returned string is sent back
+   */
+  constructor(script, { speed = 1, loop = false, closeOnEnd = false, info = {}, respond = null } = {}) {
+    super();
+
+    this.script = script;
+    this.speed = speed;
+    this.loop = loop;
+    this.closeOnEnd = closeOnEnd;
+    this.info = info;
+    this.respond = respond;
+
+    // Streams exist only while the port is open, like a real SerialPort
+    this.readable = null;
+    this.writable = null;
+    this.openOptions = null;
+
+    // Lines the game has written, for tests to inspect
+    this.written = [];
+
+    this.streamController = null;
+    this.playback = null;
+    this.writeBuffer = '';
+    this.encoder = new TextEncoder();
+  }
+
+  /**
+   * Create a port that replays a parsed recording
+   * @param {object} recording - Recording from parseRecording()
+   * @param {object} options - Playback options (see constructor)
+   * @returns {MockSerialPort} The mock port
+   */
+  static fromRecording(recording, options = {}) {
+    const script = function* () {
+      let previousTime = 0;
+      for (const chunk of recording.chunks) {
+        yield { delay: chunk.t - previousTime, data: chunk.data };
+        previousTime = chunk.t;
+      }
+    };
+    return new MockSerialPort(script, options);
+  }
+
+  /**
+   * Create a port driven by a scripted generator
+   * @param {Function} script - Returns an (async) iterable of { delay, data } steps
+   * @param {object} options - Playback options (see constructor)
+   * @returns {MockSerialPort} The mock port
+   */
+  static fromScript(script, options = {}) {
+    return new MockSerialPort(script, options);
+  }
+
+  /**
+   * Identify the port
+   * @returns {object} Port info
+   */
+  getInfo() {
+    return { ...this.info };
+  }
+
+  /**
+   * Open the port and start playback
+   * @param {object} options - Serial options (recorded, otherwise ignored)
+   */
+  async open(options) {
+    if (this.readable) {
+      throw new DOMException('The port is already open.', 'InvalidStateError');
+    }
+
+    this.openOptions = options;
+
+    this.readable = new ReadableStream({
+      start: (controller) => {
+        this.streamController = controller;
+      },
+      cancel: () => {
+        this.playback = null;
+      }
+    });
+
+    this.writable = new WritableStream({
+      write: (chunk) => this.handleWrite(chunk)
+    });
+
+    this.play();
+  }
+
+  /**
+   * Close the port and stop playback
+   */
+  async close() {
+    this.playback = null;
+
+    try {
+      this.streamController?.close();
+    } catch (err) {
+      // Already closed or errored
+    }
+
+    this.streamController = null;
+    this.readable = null;
+    this.writable = null;
+  }
+
+  /**
+   * Run the script, feeding its data into the readable stream
+   */
+  async play() {
+    // A new token per playback, so close() or a re-open stops the old loop
+    const playback = {};
+    this.playback = playback;
+
+    do {
+      for await (const step of this.script()) {
+        if (this.playback !== playback) return;
+
+        if (step.delay > 0 && Number.isFinite(this.speed)) {
+          await sleep(step.delay / this.speed);
+          if (this.playback !== playback) return;
+        }
+
+        this.inject(step.data);
+      }
+
+      // Let timers run between passes, even when playing without delays
+      if (this.loop) await sleep(0);
+    } while (this.loop && this.playback === playback);
+
+    if (this.closeOnEnd && this.playback === playback) {
+      this.streamController.close();
+      this.streamController = null;
+    }
+  }
+
+  /**
+   * Push data into the readable stream right away
+   * @param {string|Uint8Array} data - Data to deliver
+   */
+  inject(data) {
+    if (!this.streamController) return;
+
+    const bytes = typeof data === 'string' ? this.encoder.encode(data) : data;
+    this.streamController.enqueue(bytes);
+  }
+
+  /**
+   * Collect written lines and let the responder answer them
+   * @param {Uint8Array} chunk - Bytes written by the game
+   */
+  handleWrite(chunk) {
+    this.writeBuffer += new TextDecoder().decode(chunk);
+
+    const lines = this.writeBuffer.split('\n');
+    this.writeBuffer = lines.pop();
+
+    for (const rawLine of lines) {
+      const line = rawLine.trim();
+      this.written.push(line);
+
+      const reply = this.respond ? this.respond(line) : null;
+      if (reply) this.inject(reply);
+    }
+  }
+
+  /**
+   * Pretend the cable was pulled: the stream fails and 'disconnect' fires on
+   * the port and on navigator.serial, where a real port's event bubbles to
+   */
+  simulateDisconnect() {
+    this.playback = null;
+
+    if (this.streamController) {
+      this.streamController.error(new DOMException('The device has been lost.', 'NetworkError'));
+      this.streamController = null;
+    }
+
+    this.dispatchEvent(new Event('disconnect'));
+
+    // Listeners on navigator.serial tell ports apart by event.target
+    if (typeof navigator !== 'undefined' && navigator.serial) {
+      const event = new Event('disconnect');
+      Object.defineProperty(event, 'target', { value: this });
+      navigator.serial.dispatchEvent(event);
+    }
+  }
+}
+
+export default MockSerialPort;
@@ -0,0 +1,265 @@
+/**
+ * Pause Menu for the 3D Car Racing Game
+ *
+ * The overlay shown while the player has paused the race (Escape, a double
+ * tap on boost, or the tab going to the background). It offers resume,
+ * restart level, settings and back to the connect screen; the game decides
+ * what each of them does through the callbacks.
+ *
+ * The settings (sound volume, on-screen touch controls, pausing when the tab
+ * is hidden) are remembered between visits.
+ */
+
+import { loadSettings, saveSettings } from './stored-settings.js';
+
+// Where the settings are remembered between visits
+const GAME_SETTINGS_KEY = 'gameSettings';
+
+const DEFAULT_SETTINGS = {
+  volume: 1,             // Sound volume (0 - 1)
+  touchControls: 'auto', // On-screen controls: 'auto' (touchscreens without a controller), 'on' or 'off'
+  pauseWhenHidden: true  // Pause when the tab or window goes to the background
+};
+
+const TOUCH_CONTROL_MODES = {
+  auto: 'Automatic',
+  on: 'Always',
+  off: 'Never'
+};
+
+class PauseMenu {
+  /**
+   * @param {object} callbacks - What the menu entries do
+   * @param {Function} callbacks.onResume - Continue the race
+   * @param {Function} callbacks.onRestart - Restart the current level
+   * @param {Function} callbacks.onQuit - Go back to the connect screen
+   * @param {Function} callbacks.onSettingsChange - Called with the settings after a change
+   */
+  constructor({ onResume = null, onRestart = null, onQuit = null, onSettingsChange = null } = {}) {
+    this.onResume = onResume;
+    this.onRestart = onRestart;
+    this.onQuit = onQuit;
+    this.onSettingsChange = onSettingsChange;
+
+    this.settings = loadSettings(GAME_SETTINGS_KEY, DEFAULT_SETTINGS, 'game settings');
+
+    // DOM elements
+    this.overlay = null;
+    this.mainPage = null;
+    this.settingsPage = null;
+  }
+
+  /**
+   * Whether the menu is on screen
+   * @returns {boolean} True while open
+   */
+  get active() {
+    return !!this.overlay && this.overlay.isConnected;
+  }
+
+  /**
+   * Show the menu on its main page
+   * @param {string} hint - How to continue, shown under the title
+   */
+  open(hint = 'Press Esc or double-tap boost to continue.') {
+    if (!this.active) this.createOverlay();
+
+    this.overlay.querySelector('#pause-menu-hint').textContent = hint;
+    this.showPage('main');
+  }
+
+  /**
+   * Remove the menu from the page
+   */
+  close() {
+    if (this.overlay) {
+      this.overlay.remove();
+      this.overlay = null;
+    }
+  }
+
+  /**
+   * Change settings, remember them and tell the game
+   * @param {object} settings - Any of volume, touchControls, pauseWhenHidden
+   */
+  configure(settings) {
+    this.settings = { ...this.settings, ...settings };
+    this.settings.volume = Math.max(0, Math.min(1, Number(this.settings.volume)));
+    if (isNaN(this.settings.volume)) this.settings.volume = DEFAULT_SETTINGS.volume;
+    if (!TOUCH_CONTROL_MODES[this.settings.touchControls]) this.settings.touchControls = DEFAULT_SETTINGS.touchControls;
+
+    saveSettings(GAME_SETTINGS_KEY, this.settings, 'game settings');
+
+    if (this.onSettingsChange) this.onSettingsChange(this.settings);
+  }
+
+  /**
+   * Switch between the main page and the settings page
+   * @param {string} page - 'main' or 'settings'
+   */
+  showPage(page) {
+    this.mainPage.style.display = page === 'main' ? 'flex' : 'none';
+    this.settingsPage.style.display = page === 'settings' ? 'flex' : 'none';
+  }
+
+  /**
+   * Create the overlay with both pages
+   */
+  createOverlay() {
+    const overlay = document.createElement('div');
+    overlay.id = 'pause-menu';
+    overlay.style.position = 'fixed';
+    overlay.style.top = '0';
+    overlay.style.left = '0';
+    overlay.style.width = '100%';
+    overlay.style.height = '100%';
+    overlay.style.display = 'flex';
+    overlay.style.alignItems = 'center';
+    overlay.style.justifyContent = 'center';
+    overlay.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+    overlay.style.zIndex = '4000';
+    overlay.style.fontFamily = 'Arial, sans-serif';
+    overlay.style.color = 'white';
+
+    const box = document.createElement('div');
+    box.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+    box.style.padding = '30px 40px';
+    box.style.borderRadius = '10px';
+    box.style.minWidth = '300px';
+    box.style.textAlign = 'center';
+
+    const title = document.createElement('h2');
+    title.textContent = 'Paused';
+    title.style.margin = '0 0 8px 0';
+    box.appendChild(title);
+
+    const hint = document.createElement('div');
+    hint.id = 'pause-menu-hint';
+    hint.style.fontSize = '13px';
+    hint.style.color = '#bbb';
+    hint.style.marginBottom = '20px';
+    box.appendChild(hint);
+
+    this.mainPage = this.createMainPage();
+    this.settingsPage = this.createSettingsPage();
+    box.appendChild(this.mainPage);
+    box.appendChild(this.settingsPage);
+
+    overlay.appendChild(box);
+    document.body.appendChild(overlay);
+    this.overlay = overlay;
+  }
+
+  /**
+   * Create a menu button
+   * @param {string} id - Element id
+   * @param {string} label - Button text
+   * @param {string} color - Background color
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement} The button
+   */
+  createButton(id, label, color, onClick) {
+    const button = document.createElement('button');
+    button.id = id;
+    button.innerText = label;
+    button.style.padding = '10px 20px';
+    button.style.background = color;
+    button.style.color = 'white';
+    button.style.border = 'none';
+    button.style.borderRadius = '5px';
+    button.style.fontSize = '16px';
+    button.style.cursor = 'pointer';
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+
+  /**
+   * Create the page with resume, restart, settings and quit
+   * @returns {HTMLElement} The page
+   */
+  createMainPage() {
+    const page = document.createElement('div');
+    page.style.flexDirection = 'column';
+    page.style.gap = '10px';
+
+    page.appendChild(this.createButton('pause-resume-btn', 'Resume', '#4CAF50', () => {
+      if (this.onResume) this.onResume();
+    }));
+    page.appendChild(this.createButton('pause-restart-btn', 'Restart Level', '#2196F3', () => {
+      if (this.onRestart) this.onRestart();
+    }));
+    page.appendChild(this.createButton('pause-settings-btn', 'Settings', '#607D8B', () => {
+      this.showPage('settings');
+    }));
+    page.appendChild(this.createButton('pause-quit-btn', 'Back to Connect Screen', '#c0392b', () => {
+      if (this.onQuit) this.onQuit();
+    }));
+
+    return page;
+  }
+
+  /**
+   * Create the settings page
+   * @returns {HTMLElement} The page
+   */
+  createSettingsPage() {
+    const page = document.createElement('div');
+    page.style.flexDirection = 'column';
+    page.style.gap = '14px';
+    page.style.textAlign = 'left';
+
+    const createRow = (label, input) => {
+      const row = document.createElement('label');
+      row.style.display = 'flex';
+      row.style.alignItems = 'center';
+      row.style.justifyContent = 'space-between';
+      row.style.gap = '20px';
+      row.textContent = label;
+      row.appendChild(input);
+      page.appendChild(row);
+    };
+
+    // Sound volume
+    const volume = document.createElement('input');
+    volume.id = 'pause-volume';
+    volume.type = 'range';
+    volume.min = '0';
+    volume.max = '1';
+    volume.step = '0.05';
+    volume.value = String(this.settings.volume);
+    volume.addEventListener('input', () => this.configure({ volume: parseFloat(volume.value) }));
+    createRow('Sound volume', volume);
+
+    // On-screen touch controls
+    const touchControls = document.createElement('select');
+    touchControls.id = 'pause-touch-controls';
+    Object.entries(TOUCH_CONTROL_MODES).forEach(([mode, label]) => {
+      const option = document.createElement('option');
+      option.value = mode;
+      option.textContent = label;
+      touchControls.appendChild(option);
+    });
+    touchControls.value = this.settings.touchControls;
+    touchControls.addEventListener('change', () => this.configure({ touchControls: touchControls.value }));
+    createRow('On-screen controls', touchControls);
+
+    // Pause when the tab goes to the background
+    const pauseWhenHidden = document.createElement('input');
+    pauseWhenHidden.id = 'pause-when-hidden';
+    pauseWhenHidden.type = 'checkbox';
+    pauseWhenHidden.checked = this.settings.pauseWhenHidden;
+    pauseWhenHidden.addEventListener('change', () => this.configure({ pauseWhenHidden: pauseWhenHidden.checked }));
+    createRow('Pause when the window is hidden', pauseWhenHidden);
+
+    const back = this.createButton('pause-settings-back-btn', 'Back', '#607D8B', () => this.showPage('main'));
+    back.style.alignSelf = 'center';
+    page.appendChild(back);
+
+    return page;
+  }
+}
+
+export default PauseMenu;
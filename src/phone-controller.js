@@ -0,0 +1,335 @@
+/**
+ * Phone Controller for the 3D Car Racing Game
+ *
+ * Lets a phone on the same network drive the car. The game opens a room on
+ * the relay built into the dev server and shows its code; the phone page
+ * (phone.html) joins with that code and streams tilt steering and its
+ * throttle, brake and boost buttons.
+ */
+
+import {
+  encodePhoneMessage,
+  parsePhoneMessage,
+  getPhoneRelayUrl
+} from './phone-protocol.js';
+
+class PhoneController {
+  constructor() {
+    this.socket = null;
+    this.roomCode = null;
+
+    // Normalized values
+    this.steer = 0;
+    this.throttle = 0;
+    this.brake = 0;
+    this.boost = false;
+
+    // Callback function to process phone data
+    this.onJoystickData = null;
+
+    // Connection status: the room is open, and a phone is in it
+    this.roomOpen = false;
+    this.connected = false;
+
+    // Round trip time through the relay in ms (null until measured)
+    this.latency = null;
+    this.pingInterval = 1000;
+    this.pingTimer = null;
+
+    // Phones stop sending when the screen locks, so old input is dropped
+    this.inputTimeout = 500;
+    this.lastInputTime = 0;
+    this.staleTimer = null;
+
+    // Debug element
+    this.debugElement = null;
+
+    // Resolves connect() when the first phone joins
+    this.pendingJoin = null;
+  }
+
+  /**
+   * Open a room and wait for a phone to join it. The code is announced with
+   * a 'phone-room' event so the game can show it.
+   * @param {number} timeout - How long to wait for a phone in ms
+   * @returns {Promise} Resolves when a phone has joined, rejects on error or timeout
+   */
+  async connect(timeout = 120000) {
+    this.debugElement = document.getElementById('joystick-debug');
+
+    if (!PhoneController.isSupported()) {
+      const errorMsg = "WebSockets are not available in this browser.";
+      console.error(errorMsg);
+      this.updateDebugElement(errorMsg, 'red');
+      throw new Error(errorMsg);
+    }
+
+    await this.openRoom();
+
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingJoin = null;
+        this.disconnect();
+        reject(new Error('No phone joined. Open the phone page and enter the room code.'));
+      }, timeout);
+
+      this.pendingJoin = (error) => {
+        clearTimeout(timer);
+        this.pendingJoin = null;
+        if (error) reject(error);
+        else resolve();
+      };
+    });
+
+    // Dispatch event after successful connection
+    document.dispatchEvent(new Event('controller-connected'));
+
+    return true;
+  }
+
+  /**
+   * Open the relay socket and wait for the room code
+   * @returns {Promise<string>} The room code
+   */
+  openRoom() {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(getPhoneRelayUrl('game'));
+      this.socket = socket;
+
+      socket.addEventListener('message', (event) => {
+        const message = parsePhoneMessage(event.data);
+        if (!message) return;
+
+        if (message.type === 'room') {
+          this.roomCode = message.code;
+          this.roomOpen = true;
+          console.log(`Phone room ${message.code} opened`);
+          this.updateDebugElement(`Waiting for a phone to join room ${message.code}...`, 'yellow');
+
+          document.dispatchEvent(new CustomEvent('phone-room', {
+            detail: { code: message.code, url: `${location.origin}/phone.html?room=${message.code}` }
+          }));
+          resolve(message.code);
+          return;
+        }
+
+        this.handleMessage(message);
+      });
+
+      socket.addEventListener('error', () => {
+        reject(new Error('Could not reach the phone relay. It runs with the dev server (npm run dev:phone).'));
+      });
+
+      socket.addEventListener('close', () => {
+        if (this.socket !== socket) return;
+        this.handleRelayClosed();
+      });
+    });
+  }
+
+  /**
+   * Handle a message from the phone or the relay
+   * @param {object} message - Parsed message
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case 'phone-joined':
+        this.handlePhoneJoined();
+        break;
+
+      case 'phone-left':
+        console.log('Phone left the room');
+        this.connected = false;
+        this.resetValues();
+        this.stopPing();
+        this.updateDebugElement(`Phone disconnected - rejoin with room code ${this.roomCode}`, 'orange');
+        break;
+
+      case 'input':
+        this.processInput(message);
+        break;
+
+      case 'pong':
+        if (typeof message.t === 'number') {
+          this.latency = Math.round(performance.now() - message.t);
+        }
+        break;
+
+      case 'error':
+        console.error('Phone relay error:', message.reason);
+        this.updateDebugElement('Phone relay: ' + message.reason, 'red');
+        break;
+    }
+  }
+
+  /**
+   * Start using the phone that joined the room
+   */
+  handlePhoneJoined() {
+    console.log(`Phone joined room ${this.roomCode}`);
+    this.connected = true;
+    this.latency = null;
+    this.lastInputTime = performance.now();
+    this.updateDebugElement(`Phone connected (room ${this.roomCode})`, 'lime');
+    this.startPing();
+
+    if (this.pendingJoin) {
+      this.pendingJoin();
+    }
+  }
+
+  /**
+   * The relay went away (dev server stopped or the network dropped)
+   */
+  handleRelayClosed() {
+    const wasOpen = this.roomOpen;
+
+    this.socket = null;
+    this.roomOpen = false;
+    this.connected = false;
+    this.resetValues();
+    this.stopPing();
+
+    if (this.pendingJoin) {
+      this.pendingJoin(new Error('The phone relay closed the room'));
+    }
+
+    if (wasOpen) {
+      console.warn('Phone relay connection closed');
+      this.updateDebugElement('Phone relay connection lost', 'red');
+    }
+  }
+
+  /**
+   * Measure the round trip through the relay and drop stale input
+   */
+  startPing() {
+    this.stopPing();
+
+    this.pingTimer = setInterval(() => {
+      this.send('ping', { t: performance.now() });
+    }, this.pingInterval);
+
+    this.staleTimer = setInterval(() => {
+      const idle = performance.now() - this.lastInputTime;
+      if (this.connected && idle > this.inputTimeout && (this.steer || this.throttle || this.brake || this.boost)) {
+        console.log('No phone input for', Math.round(idle), 'ms - releasing controls');
+        this.resetValues();
+      }
+    }, this.inputTimeout);
+  }
+
+  /**
+   * Stop the latency and staleness timers
+   */
+  stopPing() {
+    clearInterval(this.pingTimer);
+    clearInterval(this.staleTimer);
+    this.pingTimer = null;
+    this.staleTimer = null;
+  }
+
+  /**
+   * Send a message to the phone
+   * @param {string} type - Message type
+   * @param {object} fields - Message fields
+   */
+  send(type, fields) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(encodePhoneMessage(type, fields));
+    }
+  }
+
+  /**
+   * Clamp and forward one input message from the phone
+   * @param {object} message - { steer, throttle, brake, boost }
+   */
+  processInput(message) {
+    if (!this.connected) return;
+
+    const clamp = (value, min, max) => Math.max(min, Math.min(max, Number(value) || 0));
+    this.steer = clamp(message.steer, -1, 1);
+    this.throttle = clamp(message.throttle, 0, 1);
+    this.brake = clamp(message.brake, 0, 1);
+    this.boost = !!message.boost;
+    this.lastInputTime = performance.now();
+
+    this.notify();
+  }
+
+  /**
+   * Send the current values to the callback
+   */
+  notify() {
+    if (this.onJoystickData) {
+      this.onJoystickData({
+        steer: this.steer,
+        throttle: this.throttle,
+        brake: this.brake,
+        boost: this.boost,
+        latency: this.latency
+      });
+    }
+  }
+
+  /**
+   * Reset all inputs to neutral and notify the callback
+   */
+  resetValues() {
+    this.steer = 0;
+    this.throttle = 0;
+    this.brake = 0;
+    this.boost = false;
+    this.notify();
+  }
+
+  /**
+   * Update the debug element with a message
+   * @param {string} message - Message to display
+   * @param {string} color - Text color
+   */
+  updateDebugElement(message, color = 'white') {
+    if (this.debugElement) {
+      this.debugElement.textContent = message;
+      this.debugElement.style.color = color;
+    }
+  }
+
+  /**
+   * Set the callback function for phone data
+   * @param {Function} callback - Function to call with phone data
+   */
+  setJoystickDataCallback(callback) {
+    this.onJoystickData = callback;
+  }
+
+  /**
+   * Close the room
+   */
+  disconnect() {
+    const socket = this.socket;
+    this.socket = null;
+    this.roomOpen = false;
+    this.connected = false;
+    this.roomCode = null;
+    this.stopPing();
+    this.resetValues();
+
+    if (this.pendingJoin) {
+      this.pendingJoin(new Error('Phone pairing cancelled'));
+    }
+
+    if (socket) socket.close();
+    console.log('Phone room closed');
+  }
+
+  /**
+   * Check if the browser can talk to the relay
+   * @returns {boolean} True if WebSockets are supported
+   */
+  static isSupported() {
+    return typeof WebSocket !== 'undefined';
+  }
+}
+
+export default PhoneController;
@@ -0,0 +1,68 @@
+/**
+ * Phone Controller Relay Protocol
+ *
+ * A phone on the LAN drives the game through a WebSocket relay that runs
+ * inside the dev/preview server (bridge/phone-relay.js). The game opens a
+ * room and shows its code; the phone joins with that code. After that the
+ * relay forwards the game's messages to the phone unchanged, and only the
+ * phone's 'input' and 'pong' messages to the game.
+ *
+ * Relay to game:   { type: 'room', code }, { type: 'phone-joined' }, { type: 'phone-left' }
+ * Relay to phone:  { type: 'joined', code }, { type: 'room-closed' }
+ * Relay to either: { type: 'error', reason } (the socket is closed afterwards)
+ *
+ * Phone to game:   { type: 'input', seq, steer, throttle, brake, boost }
+ *                  { type: 'pong', t }
+ * Game to phone:   { type: 'ping', t } (the game measures the round trip)
+ */
+
+export const PHONE_RELAY_PATH = '/phone-relay';
+export const ROOM_CODE_LENGTH = 4;
+
+/**
+ * Encode a relay message
+ * @param {string} type - Message type
+ * @param {object} fields - Message fields
+ * @returns {string} JSON text
+ */
+export function encodePhoneMessage(type, fields = {}) {
+  return JSON.stringify({ type, ...fields });
+}
+
+/**
+ * Parse a relay message
+ * @param {string} text - JSON text from the socket
+ * @returns {object|null} The message, or null if it isn't valid
+ */
+export function parsePhoneMessage(text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (err) {
+    return null;
+  }
+
+  if (!message || typeof message.type !== 'string') return null;
+  return message;
+}
+
+/**
+ * Check that a room code has the right form
+ * @param {string} code - Code typed on the phone
+ * @returns {boolean} True for ROOM_CODE_LENGTH digits
+ */
+export function isValidRoomCode(code) {
+  return typeof code === 'string' && code.length === ROOM_CODE_LENGTH && /^\d+$/.test(code);
+}
+
+/**
+ * Get the relay address on the server the page was loaded from
+ * @param {string} role - 'game' or 'phone'
+ * @param {string} code - Room code (phones only)
+ * @returns {string} WebSocket URL
+ */
+export function getPhoneRelayUrl(role, code = '') {
+  const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+  const query = code ? `role=${role}&code=${code}` : `role=${role}`;
+  return `${protocol}//${location.host}${PHONE_RELAY_PATH}?${query}`;
+}
@@ -0,0 +1,339 @@
+/**
+ * Response Curve Editor
+ *
+ * In-game tuning panel for the serial joystick. It plots input vs. output for
+ * each axis with the live stick position on top, and edits deadzone, expo,
+ * saturation and filter strength while the game keeps running.
+ */
+
+import { evaluateResponse, DEFAULT_RESPONSE } from './response-curve.js';
+
+// Size of each plot in pixels
+const PLOT_SIZE = 180;
+
+// Slider definitions: settings key, label, range and display format
+const SLIDERS = [
+  { key: 'deadzone', label: 'Deadzone', min: 0, max: 0.5, step: 0.01, format: v => v.toFixed(2) },
+  { key: 'exponentialFactor', label: 'Expo', min: 1, max: 3, step: 0.05, format: v => v.toFixed(2) },
+  { key: 'saturation', label: 'Saturation', min: 0.5, max: 1, step: 0.01, format: v => v.toFixed(2) },
+  { key: 'smoothingSamples', label: 'Filter (samples)', min: 1, max: 10, step: 1, format: v => String(v) }
+];
+
+class ResponseCurveEditor {
+  /**
+   * @param {SerialController} controller - Controller whose response settings are edited
+   */
+  constructor(controller) {
+    this.controller = controller;
+
+    // Settings to restore on cancel
+    this.originalSettings = null;
+
+    // requestAnimationFrame handle for redrawing the plots
+    this.frameHandle = null;
+
+    // DOM elements
+    this.panel = null;
+    this.plots = {};
+    this.inputs = {};
+    this.valueLabels = {};
+    this.modeSelect = null;
+  }
+
+  /**
+   * Whether the panel is on screen
+   * @returns {boolean} True while open
+   */
+  get active() {
+    return !!this.panel && this.panel.isConnected;
+  }
+
+  /**
+   * Show the panel with the controller's current settings
+   */
+  open() {
+    if (this.active) return;
+
+    this.originalSettings = this.controller.getResponseSettings();
+    this.createPanel();
+    this.syncInputs();
+
+    const draw = () => {
+      this.frameHandle = requestAnimationFrame(draw);
+      this.drawPlots();
+    };
+    this.frameHandle = requestAnimationFrame(draw);
+  }
+
+  /**
+   * Remove the panel from the page
+   */
+  close() {
+    if (this.frameHandle !== null) {
+      cancelAnimationFrame(this.frameHandle);
+      this.frameHandle = null;
+    }
+
+    if (this.panel) {
+      this.panel.remove();
+      this.panel = null;
+    }
+  }
+
+  /**
+   * Keep the edited settings and store them in the device profile
+   */
+  apply() {
+    if (this.controller.saveCurrentProfile()) {
+      this.controller.updateDebugElement('Response settings saved', 'lime');
+    } else {
+      this.controller.updateDebugElement('Response settings applied (this port has no USB id, so they were not saved)', 'yellow');
+    }
+    this.close();
+  }
+
+  /**
+   * Restore the settings from when the panel was opened
+   */
+  cancel() {
+    this.controller.setResponseSettings(this.originalSettings);
+    this.close();
+  }
+
+  /**
+   * Put the default settings back into the editor (not saved until applied)
+   */
+  reset() {
+    this.controller.setResponseSettings(DEFAULT_RESPONSE);
+    this.syncInputs();
+  }
+
+  /**
+   * Build the panel, plots and controls
+   */
+  createPanel() {
+    const panel = document.createElement('div');
+    panel.id = 'response-curve-editor';
+    panel.style.position = 'fixed';
+    panel.style.top = '60px';
+    panel.style.right = '10px';
+    panel.style.padding = '12px';
+    panel.style.background = 'rgba(0, 0, 0, 0.85)';
+    panel.style.color = 'white';
+    panel.style.fontFamily = 'Arial, sans-serif';
+    panel.style.fontSize = '12px';
+    panel.style.borderRadius = '8px';
+    panel.style.zIndex = '1000';
+
+    const title = document.createElement('h3');
+    title.textContent = 'Joystick Response';
+    title.style.margin = '0 0 8px 0';
+    panel.appendChild(title);
+
+    // One plot per axis
+    const plotRow = document.createElement('div');
+    plotRow.style.display = 'flex';
+    plotRow.style.gap = '10px';
+    panel.appendChild(plotRow);
+
+    for (const [axis, label] of [['roll', 'Steering (X)'], ['pitch', 'Throttle/Brake (Y)']]) {
+      const column = document.createElement('div');
+
+      const caption = document.createElement('div');
+      caption.textContent = label;
+      caption.style.marginBottom = '4px';
+      column.appendChild(caption);
+
+      const canvas = document.createElement('canvas');
+      canvas.width = PLOT_SIZE;
+      canvas.height = PLOT_SIZE;
+      canvas.style.background = '#111';
+      canvas.style.border = '1px solid #444';
+      column.appendChild(canvas);
+
+      plotRow.appendChild(column);
+      this.plots[axis] = canvas.getContext('2d');
+    }
+
+    const legend = document.createElement('div');
+    legend.style.margin = '6px 0';
+    legend.innerHTML =
+      '<span style="color: #666">■</span> linear &nbsp; ' +
+      '<span style="color: lime">■</span> output &nbsp; ' +
+      '<span style="color: #ff9800">■</span> game deadzone &nbsp; ' +
+      '<span style="color: #ffcc00">●</span> stick';
+    panel.appendChild(legend);
+
+    // Deadzone shape
+    const modeRow = document.createElement('label');
+    modeRow.style.display = 'block';
+    modeRow.style.margin = '6px 0';
+    modeRow.textContent = 'Deadzone shape ';
+    this.modeSelect = document.createElement('select');
+    for (const mode of ['axial', 'radial']) {
+      const option = document.createElement('option');
+      option.value = mode;
+      option.textContent = mode === 'axial' ? 'Axial (per axis)' : 'Radial (circle)';
+      this.modeSelect.appendChild(option);
+    }
+    this.modeSelect.onchange = () => {
+      this.controller.setResponseSettings({ deadzoneMode: this.modeSelect.value });
+    };
+    modeRow.appendChild(this.modeSelect);
+    panel.appendChild(modeRow);
+
+    // Sliders
+    for (const slider of SLIDERS) {
+      const row = document.createElement('label');
+      row.style.display = 'flex';
+      row.style.alignItems = 'center';
+      row.style.gap = '6px';
+      row.style.margin = '4px 0';
+
+      const name = document.createElement('span');
+      name.textContent = slider.label;
+      name.style.width = '100px';
+      row.appendChild(name);
+
+      const input = document.createElement('input');
+      input.type = 'range';
+      input.min = slider.min;
+      input.max = slider.max;
+      input.step = slider.step;
+      input.style.flex = '1';
+      input.oninput = () => {
+        const value = parseFloat(input.value);
+        this.valueLabels[slider.key].textContent = slider.format(value);
+        this.controller.setResponseSettings({ [slider.key]: value });
+      };
+      row.appendChild(input);
+
+      const value = document.createElement('span');
+      value.style.width = '32px';
+      value.style.textAlign = 'right';
+      row.appendChild(value);
+
+      panel.appendChild(row);
+      this.inputs[slider.key] = input;
+      this.valueLabels[slider.key] = value;
+    }
+
+    // Buttons
+    const buttonRow = document.createElement('div');
+    buttonRow.style.marginTop = '10px';
+    buttonRow.style.textAlign = 'right';
+    for (const [label, color, onClick] of [
+      ['Reset', '#666', () => this.reset()],
+      ['Cancel', '#f44336', () => this.cancel()],
+      ['Apply & Save', '#4CAF50', () => this.apply()]
+    ]) {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.style.marginLeft = '6px';
+      button.style.padding = '6px 12px';
+      button.style.backgroundColor = color;
+      button.style.color = 'white';
+      button.style.border = 'none';
+      button.style.borderRadius = '4px';
+      button.style.cursor = 'pointer';
+      button.onclick = onClick;
+      buttonRow.appendChild(button);
+    }
+    panel.appendChild(buttonRow);
+
+    document.body.appendChild(panel);
+    this.panel = panel;
+  }
+
+  /**
+   * Copy the controller's settings into the controls
+   */
+  syncInputs() {
+    const settings = this.controller.getResponseSettings();
+
+    for (const slider of SLIDERS) {
+      this.inputs[slider.key].value = settings[slider.key];
+      this.valueLabels[slider.key].textContent = slider.format(settings[slider.key]);
+    }
+    this.modeSelect.value = settings.deadzoneMode;
+  }
+
+  /**
+   * Redraw both plots with the current settings and stick position
+   */
+  drawPlots() {
+    const settings = this.controller.getResponseSettings();
+    const gameDeadzone = this.controller.gameDeadzone || 0;
+
+    this.drawPlot(this.plots.roll, settings, gameDeadzone, this.controller.inputRoll, this.controller.roll);
+    this.drawPlot(this.plots.pitch, settings, gameDeadzone, this.controller.inputPitch, this.controller.pitch);
+  }
+
+  /**
+   * Draw one axis: input on the horizontal axis, output on the vertical axis
+   * @param {CanvasRenderingContext2D} ctx - Plot context
+   * @param {object} settings - Response settings
+   * @param {number} gameDeadzone - Threshold the game applies on top of the output
+   * @param {number} input - Live stick position before shaping (-1 to 1)
+   * @param {number} output - Live output after shaping and smoothing (-1 to 1)
+   */
+  drawPlot(ctx, settings, gameDeadzone, input, output) {
+    const size = PLOT_SIZE;
+    const toX = (value) => (value + 1) / 2 * size;
+    const toY = (value) => (1 - value) / 2 * size;
+
+    ctx.clearRect(0, 0, size, size);
+
+    // Output band the game ignores
+    if (gameDeadzone > 0) {
+      ctx.fillStyle = 'rgba(255, 152, 0, 0.2)';
+      ctx.fillRect(0, toY(gameDeadzone), size, toY(-gameDeadzone) - toY(gameDeadzone));
+    }
+
+    // Center lines
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(size / 2, 0);
+    ctx.lineTo(size / 2, size);
+    ctx.moveTo(0, size / 2);
+    ctx.lineTo(size, size / 2);
+    ctx.stroke();
+
+    // Linear reference
+    ctx.strokeStyle = '#666';
+    ctx.beginPath();
+    ctx.moveTo(0, size);
+    ctx.lineTo(size, 0);
+    ctx.stroke();
+
+    // Net response, including the game's extra deadzone
+    ctx.strokeStyle = 'lime';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let px = 0; px <= size; px++) {
+      const value = px / size * 2 - 1;
+      let result = evaluateResponse(value, settings);
+      if (Math.abs(result) <= gameDeadzone) result = 0;
+
+      if (px === 0) {
+        ctx.moveTo(px, toY(result));
+      } else {
+        ctx.lineTo(px, toY(result));
+      }
+    }
+    ctx.stroke();
+
+    // Live stick position
+    ctx.fillStyle = '#ffcc00';
+    ctx.beginPath();
+    ctx.arc(toX(input), toY(output), 4, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.fillStyle = 'white';
+    ctx.font = '10px monospace';
+    ctx.fillText(`in ${input.toFixed(2)}  out ${output.toFixed(2)}`, 4, 12);
+  }
+}
+
+export default ResponseCurveEditor;
@@ -0,0 +1,79 @@
+/**
+ * Joystick Response Curve
+ *
+ * Input shaping shared by the SerialController and the tuning panel, so the
+ * curves drawn in the panel are exactly what the game receives:
+ *   deadzone (axial or radial) -> rescale up to saturation -> smoothing -> expo
+ */
+
+// Default serial joystick settings
+export const DEFAULT_RESPONSE = {
+  deadzone: 0.20,
+  deadzoneMode: 'axial',
+  saturation: 1.0,
+  exponentialFactor: 1.6,
+  smoothingSamples: 3
+};
+
+/**
+ * Rescale a magnitude so the deadzone edge maps to 0 and saturation maps to 1
+ * @param {number} magnitude - Input magnitude from 0 to 1
+ * @param {number} deadzone - Deadzone size from 0 to 1
+ * @param {number} saturation - Input magnitude that already gives full output
+ * @returns {number} Output magnitude from 0 to 1
+ */
+export function rescaleMagnitude(magnitude, deadzone, saturation = 1) {
+  if (magnitude < deadzone) return 0;
+  return Math.min(1, (magnitude - deadzone) / Math.max(0.01, saturation - deadzone));
+}
+
+/**
+ * Apply the deadzone and saturation to a stick position
+ * @param {number} x - X axis from -1 to 1
+ * @param {number} y - Y axis from -1 to 1
+ * @param {object} settings - { deadzone, deadzoneMode, saturation }
+ * @returns {object} { x, y } with the deadzone applied
+ */
+export function applyDeadzone(x, y, settings) {
+  const { deadzone, deadzoneMode = 'axial', saturation = 1 } = settings;
+
+  if (deadzoneMode === 'radial') {
+    // One circular deadzone around the center keeps diagonals smooth
+    const magnitude = Math.hypot(x, y);
+    if (magnitude < deadzone || magnitude === 0) return { x: 0, y: 0 };
+
+    const scale = rescaleMagnitude(Math.min(1, magnitude), deadzone, saturation) / magnitude;
+    return {
+      x: Math.max(-1, Math.min(1, x * scale)),
+      y: Math.max(-1, Math.min(1, y * scale))
+    };
+  }
+
+  // Axial: each axis gets its own deadzone, which keeps the car straight at speed
+  return {
+    x: Math.sign(x) * rescaleMagnitude(Math.abs(x), deadzone, saturation),
+    y: Math.sign(y) * rescaleMagnitude(Math.abs(y), deadzone, saturation)
+  };
+}
+
+/**
+ * Apply the exponential curve for finer control near the center
+ * @param {number} value - Value from -1 to 1
+ * @param {number} exponent - Curve exponent (1 = linear)
+ * @returns {number} Shaped value from -1 to 1
+ */
+export function applyExpo(value, exponent) {
+  if (value === 0) return 0;
+  return Math.sign(value) * Math.pow(Math.abs(value), exponent);
+}
+
+/**
+ * Static response of one axis with the other axis centered (smoothing has no
+ * effect on a steady input, so it isn't part of the curve)
+ * @param {number} value - Input from -1 to 1
+ * @param {object} settings - { deadzone, deadzoneMode, saturation, exponentialFactor }
+ * @returns {number} Output from -1 to 1
+ */
+export function evaluateResponse(value, settings) {
+  return applyExpo(applyDeadzone(value, 0, settings).x, settings.exponentialFactor);
+}
@@ -5,8 +5,45 @@
  * using the Web Serial API.
  */
 
+import {
+  FrameParser,
+  decodeJoystickPayloads,
+  parseJoystickLine,
+  HANDSHAKE_QUERY,
+  HANDSHAKE_REPLY_PREFIX,
+  parseFirmwareInfo,
+  COMMAND_ACK_PREFIX,
+  COMMAND_ERROR_PREFIX,
+  formatCommand,
+  parseCommandReply
+} from './serial-protocol.js';
+import CalibrationWizard, { mapCalibratedAxis } from './calibration-wizard.js';
+import { getSerialProfileKey, getProfile, saveProfile } from './device-profiles.js';
+import { applyDeadzone, applyExpo, DEFAULT_RESPONSE } from './response-curve.js';
+import ResponseCurveEditor from './response-curve-editor.js';
+import SerialRecorder from './serial-recorder.js';
+import BoardCommandPanel from './board-command-panel.js';
+import InputWatchdog from './input-watchdog.js';
+
+// Offsets for legacy sketches that don't re-center the stick themselves
+const LEGACY_OFFSET_X = 187;
+const LEGACY_OFFSET_Y = 193;
+
+// Serial Port Profile: HC-05/HC-06 modules paired with the computer show up
+// as Bluetooth RFCOMM serial ports with this service class
+const SPP_SERVICE_CLASS_ID = '00001101-0000-1000-8000-00805f9b34fb';
+
 class SerialController {
-  constructor() {
+  /**
+   * @param {object} options - Settings for a second joystick on the same page
+   * @param {string} options.portStorageKey - localStorage key for the last used port
+   * @param {boolean} options.primary - False for extra joysticks, which leave the
+   *   start screen buttons and the shared status/calibration buttons alone
+   */
+  constructor({ portStorageKey = 'lastUsedSerialPort', primary = true } = {}) {
+    this.portStorageKey = portStorageKey;
+    this.primary = primary;
+    
     // Serial device properties
     this.port = null;
     this.reader = null;
@@ -15,6 +52,34 @@ class SerialController {
     // Buffer for incoming data
     this.buffer = '';
     
+    // Splits the byte stream into binary frames and CSV/debug text
+    this.frameParser = new FrameParser();
+    this.frameParser.onText = (text) => {
+      this.buffer += text;
+      this.processBuffer();
+    };
+    this.frameParser.onFrame = (frame) => this.processJoystickFrame(frame);
+    
+    // Protocol the board is using ('csv' until the first binary frame arrives)
+    this.protocol = 'csv';
+    
+    // Capabilities reported by the firmware handshake (null = legacy sketch)
+    this.firmwareInfo = null;
+    this.handshakeTimeout = 4000; // Boards reset when the port opens, so allow for boot time
+    this.pendingHandshake = null;
+    
+    // Commands sent to the firmware that are waiting for @ACK/@ERR, by id
+    this.pendingCommands = new Map();
+    this.nextCommandId = 1;
+    this.commandTimeout = 2000;
+    this.boardPanel = null;
+    
+    // Pending writes, so only one writer holds the port at a time
+    this.writeQueue = Promise.resolve();
+    
+    // Logical controllers for the board's other sticks (SerialStick), by stick index
+    this.sticks = new Map();
+    
     // Joystick values
     this.joystickX = 512;  // Roll (left/right banking)
     this.joystickY = 512;  // Pitch (up/down)
@@ -25,8 +90,12 @@ class SerialController {
     this.pitch = 0; // Up/down
     
     // Manual calibration offsets - initialize with defaults that work well
-    this.manualOffsetX = 187;  // Default value that works for most joysticks
-    this.manualOffsetY = 193;  // Default value that works for most joysticks
+    this.manualOffsetX = LEGACY_OFFSET_X;  // Default value that works for most joysticks
+    this.manualOffsetY = LEGACY_OFFSET_Y;  // Default value that works for most joysticks
+    
+    // Per-axis min/center/max from the calibration wizard (replaces the offsets when set)
+    this.axisCalibration = null;
+    this.calibrationWizard = null;
     
     // Callback function to process joystick data
     this.onJoystickData = null;
@@ -34,13 +103,30 @@ class SerialController {
     // Connection status
     this.connected = false;
     
+    // Releases the inputs when a connected board stops sending
+    this.watchdog = new InputWatchdog({
+      timeout: 1000,
+      onStall: (info) => this.handleStreamStalled(info),
+      onResume: (info) => this.handleStreamResumed(info)
+    });
+    
     // Variables to handle disconnections and auto-reconnection
     this.reconnecting = false;
     this.lastUsedPortInfo = null;
+    this.reconnectBaseDelay = 500;  // First retry after 0.5s, doubling each attempt
+    this.reconnectMaxDelay = 8000;  // Never wait longer than 8s between attempts
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.reconnectInProgress = false;
+    this.portEventsAttached = false;
     
     // Try to load last used port information from local storage
     this.loadSavedPortInfo();
     
+    // Stored calibration/response profile for the connected device
+    this.profileKey = null;
+    this.profile = null;
+    
     // Manual mode flag for keyboard fallback
     this.manualMode = false;
 
@@ -50,14 +136,28 @@ class SerialController {
 
     // Deadzone values - increased for better stability
     this.deadzone = 0.20; // Increased from 0.15 for better stability
+    this.deadzoneMode = 'axial'; // 'axial' (per axis) or 'radial' (circle around center)
+    
+    // Stick deflection that already gives full output (1 = full travel)
+    this.saturation = 1.0;
     
     // Exponential curve strength (higher = more fine control in center, more response at edges)
     this.exponentialFactor = 1.6; // Reduced from 1.8 for more linear response
     
     // Moving average values for smoother input - reduced for more responsiveness
-    this.rollHistory = [0, 0, 0]; // Reduced from 4 values
-    this.pitchHistory = [0, 0, 0]; // Reduced from 4 values
-    this.historyIndex = 0;
+    this.smoothingSamples = 3; // Reduced from 4 values
+    this.resetSmoothing();
+    
+    // Normalized stick position before shaping (shown in the tuning panel)
+    this.inputRoll = 0;
+    this.inputPitch = 0;
+    this.responseEditor = null;
+    
+    // Extra deadzone the game applies to our output (drawn in the tuning panel)
+    this.gameDeadzone = 0;
+    
+    // Captures the raw byte stream while recording
+    this.recorder = null;
     
     // Keyboard control enhanced sensitivity for testing
     this.keyboardSensitivity = 0.7; // Increased from 0.5
@@ -68,15 +168,17 @@ class SerialController {
    * @param {object} portInfo - The port.getInfo() object
    */
   savePortInfo(portInfo) {
-    if (portInfo) {
+    // Ports without USB ids or a Bluetooth service (mock ports) can't be found again
+    if (portInfo && (portInfo.usbVendorId !== undefined || portInfo.bluetoothServiceClassId)) {
       // Store this for future use
       this.lastUsedPortInfo = portInfo;
       
       // Save to localStorage for persistence across page refreshes
       try {
-        localStorage.setItem('lastUsedSerialPort', JSON.stringify({
+        localStorage.setItem(this.portStorageKey, JSON.stringify({
           usbVendorId: portInfo.usbVendorId,
-          usbProductId: portInfo.usbProductId
+          usbProductId: portInfo.usbProductId,
+          bluetoothServiceClassId: portInfo.bluetoothServiceClassId
         }));
         console.log('Saved port info to local storage:', portInfo);
       } catch (err) {
@@ -85,12 +187,140 @@ class SerialController {
     }
   }
   
+  /**
+   * Load the stored profile for a port and apply it
+   * @param {object} portInfo - The port.getInfo() object
+   */
+  loadProfile(portInfo) {
+    this.profileKey = getSerialProfileKey(portInfo);
+    this.profile = getProfile(this.profileKey);
+    
+    if (this.profile) {
+      console.log(`Loaded controller profile for ${this.profileKey}:`, this.profile);
+      this.applyProfile(this.profile);
+    } else {
+      // A device without a profile must not inherit the previous device's calibration
+      this.resetProfileSettings();
+    }
+  }
+  
+  /**
+   * Read the stored profile of the connected device again (e.g. after importing profiles)
+   */
+  reloadProfile() {
+    if (!this.profileKey) return;
+    
+    this.profile = getProfile(this.profileKey);
+    if (this.profile) {
+      this.applyProfile(this.profile);
+    } else {
+      this.resetProfileSettings();
+    }
+  }
+  
+  /**
+   * Go back to the default calibration and response settings
+   */
+  resetProfileSettings() {
+    this.manualOffsetX = LEGACY_OFFSET_X;
+    this.manualOffsetY = LEGACY_OFFSET_Y;
+    this.axisCalibration = null;
+    this.setResponseSettings(DEFAULT_RESPONSE);
+  }
+  
+  /**
+   * Apply calibration and response settings from a profile
+   * @param {object} profile - Stored profile
+   */
+  applyProfile(profile) {
+    const { calibration, response } = profile;
+    
+    if (calibration) {
+      if (typeof calibration.offsetX === 'number') this.manualOffsetX = calibration.offsetX;
+      if (typeof calibration.offsetY === 'number') this.manualOffsetY = calibration.offsetY;
+      this.axisCalibration = calibration.axes || null;
+    }
+    
+    if (response) {
+      this.setResponseSettings(response);
+    } else {
+      this.resetSmoothing();
+    }
+  }
+  
+  /**
+   * Get the current input shaping settings
+   * @returns {object} { deadzone, deadzoneMode, saturation, exponentialFactor, smoothingSamples }
+   */
+  getResponseSettings() {
+    return {
+      deadzone: this.deadzone,
+      deadzoneMode: this.deadzoneMode,
+      saturation: this.saturation,
+      exponentialFactor: this.exponentialFactor,
+      smoothingSamples: this.smoothingSamples
+    };
+  }
+  
+  /**
+   * Change the input shaping settings (missing fields keep their value)
+   * @param {object} response - Partial response settings
+   */
+  setResponseSettings(response) {
+    if (typeof response.deadzone === 'number') this.deadzone = response.deadzone;
+    if (response.deadzoneMode === 'axial' || response.deadzoneMode === 'radial') this.deadzoneMode = response.deadzoneMode;
+    if (typeof response.saturation === 'number') this.saturation = response.saturation;
+    if (typeof response.exponentialFactor === 'number') this.exponentialFactor = response.exponentialFactor;
+    if (typeof response.smoothingSamples === 'number') {
+      this.smoothingSamples = Math.max(1, Math.round(response.smoothingSamples));
+    }
+    
+    this.resetSmoothing();
+  }
+  
+  /**
+   * Build a profile from the current calibration and response settings
+   * @returns {object} Profile
+   */
+  getProfileSettings() {
+    return {
+      name: this.firmwareInfo ? this.firmwareInfo.name : 'Serial joystick',
+      calibration: {
+        offsetX: this.manualOffsetX,
+        offsetY: this.manualOffsetY,
+        axes: this.axisCalibration
+      },
+      response: this.getResponseSettings()
+    };
+  }
+  
+  /**
+   * Store the current settings as the profile of the connected device
+   * @returns {boolean} False if the device can't be identified, so nothing was stored
+   */
+  saveCurrentProfile() {
+    if (!this.profileKey) return false;
+    
+    this.profile = this.getProfileSettings();
+    saveProfile(this.profileKey, this.profile);
+    return true;
+  }
+  
+  /**
+   * Clear the moving average history
+   */
+  resetSmoothing() {
+    this.rollHistory = new Array(this.smoothingSamples).fill(0);
+    this.pitchHistory = new Array(this.smoothingSamples).fill(0);
+    this.historyIndex = 0;
+  }
+  
   /**
    * Load saved port information from local storage
    */
   loadSavedPortInfo() {
     try {
-      const savedPortInfo = localStorage.getItem('lastUsedSerialPort');
+      const savedPortInfo = localStorage.getItem(this.portStorageKey);
       if (savedPortInfo) {
         this.lastUsedPortInfo = JSON.parse(savedPortInfo);
         console.log('Loaded saved port info:', this.lastUsedPortInfo);
@@ -119,18 +349,7 @@ class SerialController {
     try {
       console.log('Attempting to auto-connect to last used port');
       
-      // Get list of available ports
-      const ports = await navigator.serial.getPorts();
-      console.log('Available ports:', ports);
-      
-      // Find a port that matches our saved criteria
-      const matchingPort = ports.find(port => {
-        const info = port.getInfo();
-        return (
-          info.usbVendorId === this.lastUsedPortInfo.usbVendorId &&
-          info.usbProductId === this.lastUsedPortInfo.usbProductId
-        );
-      });
+      const matchingPort = await this.findSavedPort();
       
       if (matchingPort) {
         console.log('Found matching port:', matchingPort);
@@ -146,6 +365,227 @@ class SerialController {
     }
   }
   
+  /**
+   * Find an already permitted port that matches the last used device
+   * @returns {Promise<SerialPort|null>} The matching port, if it is plugged in
+   */
+  async findSavedPort() {
+    if (!this.lastUsedPortInfo || !navigator.serial) return null;
+    
+    // Get list of available ports
+    const ports = await navigator.serial.getPorts();
+    console.log('Available ports:', ports);
+    
+    // Find a port that matches our saved criteria. Two identical boards match
+    // the same criteria, so skip ports another joystick already has open
+    return ports.find(port => !port.readable && this.matchesSavedPort(port.getInfo())) || null;
+  }
+  
+  /**
+   * Check whether port info belongs to the last used device
+   * @param {object} info - The port.getInfo() object
+   * @returns {boolean} True if the port is the saved device
+   */
+  matchesSavedPort(info) {
+    if (!this.lastUsedPortInfo) return false;
+    
+    // Web Serial doesn't expose the Bluetooth address, so any paired SPP module matches
+    if (this.lastUsedPortInfo.bluetoothServiceClassId) {
+      return info.bluetoothServiceClassId === this.lastUsedPortInfo.bluetoothServiceClassId;
+    }
+    
+    return (
+      info.usbVendorId === this.lastUsedPortInfo.usbVendorId &&
+      info.usbProductId === this.lastUsedPortInfo.usbProductId
+    );
+  }
+  
+  /**
+   * Check whether the open port is a Bluetooth RFCOMM link
+   * @returns {boolean} True for Bluetooth serial ports
+   */
+  isBluetoothPort() {
+    return !!(this.port && this.port.getInfo().bluetoothServiceClassId);
+  }
+  
+  /**
+   * Watch for serial devices being unplugged and plugged back in
+   */
+  listenForPortChanges() {
+    if (this.portEventsAttached || !navigator.serial) return;
+    this.portEventsAttached = true;
+    
+    navigator.serial.addEventListener('disconnect', (event) => {
+      if (event.target === this.port) {
+        console.log('Serial device unplugged');
+        this.handleConnectionLost();
+      }
+    });
+    
+    navigator.serial.addEventListener('connect', (event) => {
+      if (!this.reconnecting || !this.lastUsedPortInfo) return;
+      
+      if (this.matchesSavedPort(event.target.getInfo())) {
+        // The same device is back, don't wait for the next backoff step
+        console.log('Serial device plugged back in');
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.attemptReconnect();
+      }
+    });
+  }
+  
+  /**
+   * Clean up after the device disappeared and start reconnecting
+   */
+  async handleConnectionLost() {
+    if (this.reconnecting) return;
+    
+    console.warn('Serial controller lost, trying to reconnect');
+    this.readLoopRunning = false;
+    this.connected = false;
+    this.reconnecting = true;
+    this.reconnectAttempt = 0;
+    
+    if (this.calibrationWizard) {
+      this.calibrationWizard.close();
+    }
+    if (this.responseEditor) {
+      this.responseEditor.close();
+    }
+    if (this.boardPanel) {
+      this.boardPanel.close();
+    }
+    this.rejectAllCommands('Controller lost');
+    this.detachSticks();
+    this.watchdog.stop();
+    
+    // Release the old port; this usually fails because the device is already gone
+    const port = this.port;
+    const reader = this.reader;
+    this.port = null;
+    this.reader = null;
+    if (reader) {
+      try {
+        await reader.cancel();
+      } catch (err) {
+        console.log('Could not cancel lost reader:', err.message);
+      }
+    }
+    if (port) {
+      try {
+        await port.close();
+      } catch (err) {
+        console.log('Could not close lost port:', err.message);
+      }
+    }
+    
+    this.updateDebugElement('Controller lost - waiting for it to come back...', 'orange');
+    const controlStatus = this.primary ? document.getElementById('controller-status') : null;
+    if (controlStatus) {
+      controlStatus.textContent = 'Controller lost - reconnecting...';
+      controlStatus.style.color = 'orange';
+    }
+    
+    document.dispatchEvent(new Event('controller-lost'));
+    
+    this.scheduleReconnect();
+  }
+  
+  /**
+   * Release the inputs when the board stops sending but the port stays open
+   * @param {object} info - { idle, rate } from the watchdog
+   */
+  handleStreamStalled({ idle, rate }) {
+    console.warn(`No data from controller for ${Math.round(idle)} ms (last rate ${rate.toFixed(0)} Hz)`);
+    
+    this.releaseInputs();
+    this.updateDebugElement(`No data from controller for ${(idle / 1000).toFixed(1)}s - last packet rate ${rate.toFixed(0)} Hz`, 'orange');
+    
+    document.dispatchEvent(new CustomEvent('controller-stalled', {
+      detail: { controller: this, idle, rate }
+    }));
+  }
+  
+  /**
+   * Data is arriving again after a stall
+   * @param {object} info - { idle, rate } from the watchdog
+   */
+  handleStreamResumed({ idle }) {
+    console.log(`Controller data resumed after ${Math.round(idle)} ms`);
+    
+    document.dispatchEvent(new CustomEvent('controller-resumed', {
+      detail: { controller: this, idle }
+    }));
+  }
+  
+  /**
+   * Return the outputs to neutral and notify the callback
+   */
+  releaseInputs() {
+    this.roll = 0;
+    this.pitch = 0;
+    this.buttonPressed = false;
+    this.resetSmoothing();
+    
+    if (this.onJoystickData) {
+      this.onJoystickData({ roll: 0, pitch: 0, boost: false });
+    }
+  }
+  
+  /**
+   * Schedule the next reconnection attempt with exponential backoff
+   */
+  scheduleReconnect() {
+    const delay = Math.min(this.reconnectMaxDelay, this.reconnectBaseDelay * Math.pow(2, this.reconnectAttempt));
+    this.reconnectAttempt++;
+    
+    document.dispatchEvent(new CustomEvent('controller-reconnecting', {
+      detail: { attempt: this.reconnectAttempt, delay }
+    }));
+    
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.attemptReconnect();
+    }, delay);
+  }
+  
+  /**
+   * Look for the lost device once and reconnect if it is back
+   */
+  async attemptReconnect() {
+    if (!this.reconnecting || this.reconnectInProgress) return;
+    this.reconnectInProgress = true;
+    
+    try {
+      const port = await this.findSavedPort();
+      if (port) {
+        await this.connectToPort(port);
+        return;
+      }
+    } catch (err) {
+      console.warn(`Reconnect attempt ${this.reconnectAttempt} failed:`, err.message);
+    } finally {
+      this.reconnectInProgress = false;
+    }
+    
+    if (this.reconnecting) {
+      this.scheduleReconnect();
+    }
+  }
+  
+  /**
+   * Stop trying to reconnect to a lost device
+   */
+  cancelReconnect() {
+    if (!this.reconnecting) return;
+    
+    this.reconnecting = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    console.log('Stopped reconnecting to the serial controller');
+  }
+  
   /**
    * Connect to a specific port directly
    * @param {SerialPort} port - The port to connect to
@@ -158,6 +598,9 @@ class SerialController {
       // Save the port info for future auto-connects
       this.savePortInfo(port.getInfo());
       
+      // Restore this device's calibration and response settings
+      this.loadProfile(port.getInfo());
+      
       // Configure the port
       await this.port.open({
         baudRate: 9600,
@@ -170,99 +613,476 @@ class SerialController {
       console.log('Serial port opened successfully');
       
       this.connected = true;
+      this.listenForPortChanges();
+      this.startReadLoop();
+      
+      this.completeConnection(this.isBluetoothPort() ? 'Connected to Bluetooth joystick' : 'Connected to joystick controller');
+      
+      return true;
+    } catch (err) {
+      console.error('Failed to connect to port:', err);
+      
+      // Let the backoff loop report retries without flashing errors
+      if (this.reconnecting) {
+        this.port = null;
+        throw err;
+      }
       
-      // Show and update the debug element
+      // Show failure in debug element
       this.debugElement = document.getElementById('joystick-debug');
       if (this.debugElement) {
         this.debugElement.style.display = 'block';
-        this.updateDebugElement('Connected to joystick controller', 'lime');
+        this.updateDebugElement('Failed to connect: ' + err.message, 'red');
       }
       
-      // Create controls and start reading
+      throw err;
+    }
+  }
+  
+  /**
+   * Show the controls, query the firmware and announce the new connection
+   * @param {string} message - Text for the debug element
+   */
+  completeConnection(message) {
+    // Show and update the debug element
+    this.debugElement = document.getElementById('joystick-debug');
+    if (this.debugElement) {
+      this.debugElement.style.display = 'block';
+      this.updateDebugElement(message, 'lime');
+    }
+    
+    // Create controls (the shared buttons belong to the primary joystick)
+    if (this.primary) {
       this.createControlUI();
-      this.startReadLoop();
-      
-      // Remove any UI connection buttons when connected
+    }
+    
+    // Auto-calibrate with default values that work well after a short delay
+    setTimeout(() => {
+      this.autoCalibrate();
+    }, 500);
+    
+    // Ask the firmware what it is (runs in the background, falls back to CSV)
+    this.performHandshake();
+    
+    // Watch for the data stream stopping while the port stays open
+    this.watchdog.start();
+    
+    // Remove any UI connection buttons when connected
+    if (this.primary) {
       const connectBtn = document.getElementById('connect-controller-btn');
       if (connectBtn) connectBtn.remove();
       
       const startWithoutBtn = document.getElementById('start-without-btn');
       if (startWithoutBtn) startWithoutBtn.remove();
-      
-      // Dispatch event after successful connection
+    }
+    
+    // Dispatch event after successful connection; a returning device resumes the race instead
+    if (this.reconnecting) {
+      this.reconnecting = false;
+      console.log('Serial controller reconnected');
+      document.dispatchEvent(new Event('controller-reconnected'));
+    } else {
       document.dispatchEvent(new Event('controller-connected'));
-      
+    }
+  }
+  
+  /**
+   * Connect to the Serial joystick device
+   * @returns {Promise} Resolves when connected, rejects on error
+   */
+  async connect() {
+    this.debugElement = document.getElementById('joystick-debug');
+    
+    if (!navigator.serial) {
+      const errorMsg = "Web Serial API is not available. Please use Chrome or Edge browser.";
+      console.error(errorMsg);
+      this.updateDebugElement(errorMsg, 'red');
+      throw new Error(errorMsg);
+    }
+    
+    // Try to auto-connect first
+    if (await this.autoConnect()) {
+      console.log('Auto-connect successful');
       return true;
+    }
+    
+    // If auto-connect fails, prompt user to select a port
+    try {
+      this.updateDebugElement('Select your Arduino Serial port from the dialog...', 'yellow');
+      
+      console.log('Requesting Serial Device...');
+      this.port = await navigator.serial.requestPort();
+      
+      return await this.connectToPort(this.port);
     } catch (err) {
-      console.error('Failed to connect to port:', err);
+      console.error('Failed to connect:', err);
+      this.updateDebugElement('Failed to connect: ' + err.message, 'red');
+      throw err;
+    }
+  }
+  
+  /**
+   * Connect to an HC-05/HC-06 Bluetooth Classic joystick
+   * 
+   * The module has to be paired with the computer first. Web Serial then
+   * offers it as an RFCOMM serial port, and the data is parsed exactly like
+   * a USB joystick.
+   * @returns {Promise} Resolves when connected, rejects on error
+   */
+  async connectBluetoothSerial() {
+    this.debugElement = document.getElementById('joystick-debug');
+    
+    if (!navigator.serial) {
+      const errorMsg = "Web Serial API is not available. Please use Chrome or Edge browser.";
+      console.error(errorMsg);
+      this.updateDebugElement(errorMsg, 'red');
+      throw new Error(errorMsg);
+    }
+    
+    try {
+      this.updateDebugElement('Select your paired HC-05/HC-06 module from the dialog...', 'yellow');
       
-      // Show failure in debug element
-      this.debugElement = document.getElementById('joystick-debug');
-      if (this.debugElement) {
-        this.debugElement.style.display = 'block';
-        this.updateDebugElement('Failed to connect: ' + err.message, 'red');
+      console.log('Requesting Bluetooth serial port...');
+      const port = await navigator.serial.requestPort({
+        filters: [{ bluetoothServiceClassId: SPP_SERVICE_CLASS_ID }],
+        allowedBluetoothServiceClassIds: [SPP_SERVICE_CLASS_ID]
+      });
+      
+      return await this.connectToPort(port);
+    } catch (err) {
+      console.error('Failed to connect Bluetooth serial port:', err);
+      
+      let errorMsg = 'Failed to connect: ' + err.message;
+      if (err.name === 'NotFoundError') {
+        errorMsg = 'No Bluetooth serial port selected. Pair the HC-05/HC-06 in your system Bluetooth settings first (PIN is usually 1234).';
+      } else if (err.name === 'NetworkError') {
+        errorMsg = 'Could not open the Bluetooth link. Make sure the module is powered and not connected to another device.';
       }
       
-      throw err;
+      this.updateDebugElement(errorMsg, 'red');
+      throw new Error(errorMsg);
+    }
+  }
+  
+  /**
+   * Process the buffer and extract complete lines of data
+   */
+  processBuffer() {
+    // Split the buffer by newline characters
+    const lines = this.buffer.split('\n');
+    
+    // If we don't have a complete line yet, return
+    if (lines.length <= 1) return;
+    
+    // Keep the last (potentially incomplete) line in the buffer
+    this.buffer = lines.pop();
+    
+    // Process all complete lines
+    for (const line of lines) {
+      // Skip empty lines
+      if (line.trim() === '') continue;
+      
+      // Messages addressed to the host start with '@'
+      if (line.startsWith('@')) {
+        this.processFirmwareMessage(line.trim());
+        continue;
+      }
+      
+      // Process this line of data
+      this.processJoystickData(line);
+    }
+  }
+  
+  /**
+   * Handle a host-addressed message from the firmware
+   * @param {string} line - The message line (starts with '@')
+   */
+  processFirmwareMessage(line) {
+    if (line.startsWith(COMMAND_ACK_PREFIX) || line.startsWith(COMMAND_ERROR_PREFIX)) {
+      const reply = parseCommandReply(line);
+      if (reply) {
+        this.resolveCommand(reply);
+      } else {
+        console.warn('Invalid command reply:', line);
+      }
+      return;
+    }
+    
+    if (line.startsWith(HANDSHAKE_REPLY_PREFIX)) {
+      const info = parseFirmwareInfo(line);
+      if (info) {
+        this.applyFirmwareInfo(info);
+      } else {
+        console.warn('Invalid handshake reply:', line);
+      }
+      return;
+    }
+    
+    console.log('Arduino message:', line);
+  }
+  
+  /**
+   * Write a line of text to the Arduino
+   * @param {string} text - The text to send (newline is added)
+   * @returns {Promise<boolean>} True if the line was written
+   */
+  sendLine(text) {
+    // Writes are queued: the writable stream allows only one writer at a time,
+    // and commands, handshake queries and feedback can overlap
+    const write = this.writeQueue.then(async () => {
+      if (!this.canWrite()) return false;
+      
+      const writer = this.port.writable.getWriter();
+      try {
+        await writer.write(new TextEncoder().encode(text + '\n'));
+        return true;
+      } catch (err) {
+        console.error('Failed to write to serial port:', err);
+        return false;
+      } finally {
+        writer.releaseLock();
+      }
+    });
+    
+    this.writeQueue = write.catch(() => false);
+    return write;
+  }
+  
+  /**
+   * Check whether lines can be sent to the board
+   * @returns {boolean} True if the link is writable
+   */
+  canWrite() {
+    return !!(this.port && this.port.writable);
+  }
+  
+  /**
+   * Check whether the firmware accepts commands
+   * @returns {boolean} True if the handshake reported command support
+   */
+  supportsCommands() {
+    return !!(this.connected && this.firmwareInfo && this.firmwareInfo.commands);
+  }
+  
+  /**
+   * Send a command to the firmware and wait for its acknowledgement
+   * @param {string} command - Command name (see serial-protocol.js)
+   * @param {Array} args - Command arguments
+   * @param {number} timeout - Milliseconds to wait for the reply
+   * @returns {Promise<object>} Reply fields; rejects on @ERR, timeout or write failure
+   */
+  async sendCommand(command, args = [], timeout = this.commandTimeout) {
+    if (!this.supportsCommands()) {
+      throw new Error('Firmware does not support commands');
     }
+    
+    const id = this.nextCommandId;
+    this.nextCommandId = (this.nextCommandId % 9999) + 1;
+    
+    const reply = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingCommands.delete(id);
+        reject(new Error(`${command} timed out after ${timeout} ms`));
+      }, timeout);
+      
+      this.pendingCommands.set(id, { command, resolve, reject, timer });
+    });
+    
+    if (!await this.sendLine(formatCommand(id, command, args))) {
+      this.rejectCommand(id, new Error(`Could not send ${command}`));
+    }
+    
+    return reply;
+  }
+  
+  /**
+   * Settle a pending command from the firmware's reply
+   * @param {object} reply - Parsed @ACK/@ERR line
+   */
+  resolveCommand(reply) {
+    const pending = this.pendingCommands.get(reply.id);
+    if (!pending) {
+      console.warn(`Reply for unknown command ${reply.id}`);
+      return;
+    }
+    
+    if (!reply.ok) {
+      this.rejectCommand(reply.id, new Error(`${pending.command} failed: ${reply.error}`));
+      return;
+    }
+    
+    clearTimeout(pending.timer);
+    this.pendingCommands.delete(reply.id);
+    pending.resolve(reply.fields);
+  }
+  
+  /**
+   * Fail a pending command
+   * @param {number} id - Command id
+   * @param {Error} error - Reason
+   */
+  rejectCommand(id, error) {
+    const pending = this.pendingCommands.get(id);
+    if (!pending) return;
+    
+    clearTimeout(pending.timer);
+    this.pendingCommands.delete(id);
+    pending.reject(error);
+  }
+  
+  /**
+   * Fail every pending command, e.g. when the port goes away
+   * @param {string} reason - Why the commands failed
+   */
+  rejectAllCommands(reason) {
+    for (const id of [...this.pendingCommands.keys()]) {
+      this.rejectCommand(id, new Error(reason));
+    }
+  }
+  
+  /**
+   * Re-center the stick on the board and store the center in EEPROM
+   * @returns {Promise<object>} Reply fields with the new center
+   */
+  recalibrateOnBoard() {
+    // The board samples the stick for a few seconds before it answers
+    return this.sendCommand('RECAL', [], 6000);
+  }
+  
+  /**
+   * Change how often the board sends samples
+   * @param {number} rate - Samples per second
+   * @returns {Promise<object>} Reply fields with the rate the board applied
+   */
+  async setSampleRate(rate) {
+    const fields = await this.sendCommand('RATE', [Math.round(rate)]);
+    
+    this.firmwareInfo.sampleRate = parseInt(fields.rate) || Math.round(rate);
+    this.updateControllerStatus();
+    return fields;
+  }
+  
+  /**
+   * Turn the firmware's periodic debug prints on or off
+   * @param {boolean} enabled - Print debug information
+   * @returns {Promise<object>} Reply fields
+   */
+  setFirmwareDebug(enabled) {
+    return this.sendCommand('DEBUG', [enabled ? 1 : 0]);
+  }
+  
+  /**
+   * Read the center values stored in the board's EEPROM
+   * @returns {Promise<object>} { x, y } raw center values
+   */
+  async readStoredCenter() {
+    const fields = await this.sendCommand('GETCENTER');
+    return { x: parseInt(fields.x), y: parseInt(fields.y) };
+  }
+  
+  /**
+   * Store new center values in the board's EEPROM
+   * @param {number} x - Raw X center (0-1023)
+   * @param {number} y - Raw Y center (0-1023)
+   * @returns {Promise<object>} Reply fields
+   */
+  writeStoredCenter(x, y) {
+    return this.sendCommand('SETCENTER', [Math.round(x), Math.round(y)]);
   }
   
   /**
-   * Connect to the Serial joystick device
-   * @returns {Promise} Resolves when connected, rejects on error
+   * Ask the firmware for its name and version
+   * @returns {Promise<object>} { name, version }
    */
-  async connect() {
-    this.debugElement = document.getElementById('joystick-debug');
+  async getFirmwareVersion() {
+    const fields = await this.sendCommand('VERSION');
+    return { name: fields.fw, version: fields.version };
+  }
+  
+  /**
+   * Query the firmware for its capabilities. Sketches without handshake
+   * support never answer, and we keep today's CSV behavior for them.
+   * @returns {Promise<object|null>} Firmware info, or null for legacy sketches
+   */
+  async performHandshake() {
+    this.firmwareInfo = null;
     
-    if (!navigator.serial) {
-      const errorMsg = "Web Serial API is not available. Please use Chrome or Edge browser.";
-      console.error(errorMsg);
-      this.updateDebugElement(errorMsg, 'red');
-      throw new Error(errorMsg);
+    if (!this.canWrite()) {
+      console.log('Serial port is read-only, skipping firmware handshake');
+      return null;
     }
     
-    // Try to auto-connect first
-    if (await this.autoConnect()) {
-      console.log('Auto-connect successful');
-      return true;
-    }
+    const reply = new Promise((resolve) => {
+      this.pendingHandshake = resolve;
+    });
     
-    // If auto-connect fails, prompt user to select a port
-    try {
-      this.updateDebugElement('Select your Arduino Serial port from the dialog...', 'yellow');
-      
-      console.log('Requesting Serial Device...');
-      this.port = await navigator.serial.requestPort();
-      
-      return await this.connectToPort(this.port);
-    } catch (err) {
-      console.error('Failed to connect:', err);
-      this.updateDebugElement('Failed to connect: ' + err.message, 'red');
-      throw err;
+    // The board may still be booting, so repeat the query until it answers
+    const queryInterval = setInterval(() => {
+      if (this.connected) this.sendLine(HANDSHAKE_QUERY);
+    }, 1000);
+    this.sendLine(HANDSHAKE_QUERY);
+    
+    const timeout = new Promise((resolve) => {
+      setTimeout(() => resolve(null), this.handshakeTimeout);
+    });
+    
+    const info = await Promise.race([reply, timeout]);
+    clearInterval(queryInterval);
+    this.pendingHandshake = null;
+    
+    if (!info) {
+      console.log('No handshake reply - assuming legacy CSV firmware');
+      this.updateControllerStatus();
     }
+    
+    return info;
   }
   
   /**
-   * Process the buffer and extract complete lines of data
+   * Configure parsing, default offsets and UI from the firmware's capabilities
+   * @param {object} info - Parsed handshake reply
    */
-  processBuffer() {
-    // Split the buffer by newline characters
-    const lines = this.buffer.split('\n');
+  applyFirmwareInfo(info) {
+    console.log('Firmware handshake:', info);
+    this.firmwareInfo = info;
     
-    // If we don't have a complete line yet, return
-    if (lines.length <= 1) return;
+    // Expect the announced protocol (binary frames are also detected automatically)
+    this.protocol = info.protocol;
     
-    // Keep the last (potentially incomplete) line in the buffer
-    this.buffer = lines.pop();
+    // Sketches that re-center on the board don't need our default offsets
+    if (!this.hasStoredCalibration()) {
+      const defaults = this.getDefaultOffsets();
+      this.manualOffsetX = defaults.x;
+      this.manualOffsetY = defaults.y;
+    }
     
-    // Process all complete lines
-    for (const line of lines) {
-      // Skip empty lines
-      if (line.trim() === '') continue;
-      
-      // Process this line of data
-      this.processJoystickData(line);
+    this.updateControllerStatus();
+    
+    // The other sticks on the board run the same firmware
+    this.sticks.forEach(stick => stick.applyFirmwareInfo(info));
+    
+    if (this.pendingHandshake) {
+      this.pendingHandshake(info);
+    }
+  }
+  
+  /**
+   * Get the default calibration offsets for the connected firmware
+   * @returns {object} { x, y } offsets
+   */
+  getDefaultOffsets() {
+    if (this.firmwareInfo && this.firmwareInfo.centered) {
+      return { x: 0, y: 0 };
     }
+    return { x: LEGACY_OFFSET_X, y: LEGACY_OFFSET_Y };
+  }
+  
+  /**
+   * Check whether the device profile holds a calibration
+   * @returns {boolean} True if a stored calibration is in use
+   */
+  hasStoredCalibration() {
+    return !!(this.profile && this.profile.calibration);
   }
   
   /**
@@ -271,16 +1091,20 @@ class SerialController {
   autoCalibrate() {
     if (!this.connected) return;
     
-    // Use default offsets that work well for most joysticks
-    this.manualOffsetX = 187;  // Default X offset
-    this.manualOffsetY = 193;  // Default Y offset
-    
     // Reset history arrays to avoid lingering values
-    this.rollHistory = [0, 0, 0];
-    this.pitchHistory = [0, 0, 0];
-    this.historyIndex = 0;
+    this.resetSmoothing();
     
-    this.updateDebugElement('Joystick automatically calibrated with default values', 'lime');
+    if (this.hasStoredCalibration()) {
+      // Keep the calibration restored from the device profile
+      this.updateDebugElement('Joystick calibration loaded from profile', 'lime');
+    } else {
+      // Use default offsets for the connected firmware
+      const defaults = this.getDefaultOffsets();
+      this.manualOffsetX = defaults.x;
+      this.manualOffsetY = defaults.y;
+      
+      this.updateDebugElement('Joystick automatically calibrated with default values', 'lime');
+    }
     
     // Also dispatch an event to notify game that calibration has changed
     document.dispatchEvent(new Event('joystick-calibrated'));
@@ -320,7 +1144,7 @@ class SerialController {
     
     // Add click handler
     calibrateBtn.addEventListener('click', () => {
-      this.calibrateJoystick();
+      this.openCalibrationWizard();
     });
     
     // Add to the page directly instead of game container
@@ -330,6 +1154,199 @@ class SerialController {
     // or deadzone controls, to keep UI clean
   }
   
+  /**
+   * Open the guided calibration wizard
+   */
+  openCalibrationWizard() {
+    if (!this.connected) return;
+    
+    if (!this.calibrationWizard) {
+      this.calibrationWizard = new CalibrationWizard(this);
+    }
+    this.calibrationWizard.open();
+  }
+  
+  /**
+   * Add a button that opens the response tuning panel
+   */
+  addTuningButton() {
+    if (document.getElementById('joystick-tune-btn')) return;
+    
+    const tuneBtn = document.createElement('button');
+    tuneBtn.id = 'joystick-tune-btn';
+    tuneBtn.textContent = 'Tune Response';
+    tuneBtn.style.position = 'fixed';
+    tuneBtn.style.bottom = '10px';
+    tuneBtn.style.right = '180px';
+    tuneBtn.style.padding = '8px 16px';
+    tuneBtn.style.backgroundColor = '#607d8b';
+    tuneBtn.style.color = 'white';
+    tuneBtn.style.border = 'none';
+    tuneBtn.style.borderRadius = '4px';
+    tuneBtn.style.zIndex = '100';
+    tuneBtn.style.cursor = 'pointer';
+    
+    tuneBtn.addEventListener('click', () => {
+      this.openResponseEditor();
+    });
+    
+    document.body.appendChild(tuneBtn);
+  }
+  
+  /**
+   * Add a button that opens the board command panel (hidden until the
+   * firmware reports command support)
+   */
+  addBoardButton() {
+    if (document.getElementById('joystick-board-btn')) return;
+    
+    const boardBtn = document.createElement('button');
+    boardBtn.id = 'joystick-board-btn';
+    boardBtn.textContent = 'Board';
+    boardBtn.style.position = 'fixed';
+    boardBtn.style.bottom = '10px';
+    boardBtn.style.right = '460px';
+    boardBtn.style.padding = '8px 16px';
+    boardBtn.style.backgroundColor = '#3f51b5';
+    boardBtn.style.color = 'white';
+    boardBtn.style.border = 'none';
+    boardBtn.style.borderRadius = '4px';
+    boardBtn.style.zIndex = '100';
+    boardBtn.style.cursor = 'pointer';
+    boardBtn.style.display = this.supportsCommands() ? 'block' : 'none';
+    
+    boardBtn.addEventListener('click', () => {
+      this.openBoardPanel();
+    });
+    
+    document.body.appendChild(boardBtn);
+  }
+  
+  /**
+   * Open the board command panel, or close it if it is already open
+   */
+  openBoardPanel() {
+    if (!this.boardPanel) {
+      this.boardPanel = new BoardCommandPanel(this);
+    }
+    
+    if (this.boardPanel.active) {
+      this.boardPanel.close();
+    } else {
+      this.boardPanel.open();
+    }
+  }
+  
+  /**
+   * Add a button that records the raw serial stream to a file
+   */
+  addRecordButton() {
+    if (document.getElementById('joystick-record-btn')) return;
+    
+    const recordBtn = document.createElement('button');
+    recordBtn.id = 'joystick-record-btn';
+    recordBtn.textContent = '● Record';
+    recordBtn.style.position = 'fixed';
+    recordBtn.style.bottom = '10px';
+    recordBtn.style.right = '320px';
+    recordBtn.style.padding = '8px 16px';
+    recordBtn.style.backgroundColor = '#795548';
+    recordBtn.style.color = 'white';
+    recordBtn.style.border = 'none';
+    recordBtn.style.borderRadius = '4px';
+    recordBtn.style.zIndex = '100';
+    recordBtn.style.cursor = 'pointer';
+    
+    recordBtn.addEventListener('click', () => {
+      if (this.recorder) {
+        this.stopRecording();
+        recordBtn.textContent = '● Record';
+        recordBtn.style.backgroundColor = '#795548';
+      } else if (this.startRecording()) {
+        recordBtn.textContent = '■ Stop & Save';
+        recordBtn.style.backgroundColor = '#d32f2f';
+      }
+    });
+    
+    document.body.appendChild(recordBtn);
+  }
+  
+  /**
+   * Start capturing the raw serial stream
+   * @returns {boolean} True if recording started
+   */
+  startRecording() {
+    if (!this.connected || this.recorder) return false;
+    
+    this.recorder = new SerialRecorder(this.port.getInfo());
+    this.recorder.start();
+    
+    console.log('Serial recording started');
+    return true;
+  }
+  
+  /**
+   * Stop capturing and save the recording
+   * @param {boolean} download - Download the recording as a file
+   * @returns {object|null} The recording, or null if nothing was being recorded
+   */
+  stopRecording(download = true) {
+    if (!this.recorder) return null;
+    
+    const recorder = this.recorder;
+    this.recorder = null;
+    
+    const recording = recorder.stop();
+    console.log(`Serial recording stopped: ${recording.chunks.length} chunks`);
+    
+    if (download) {
+      recorder.download();
+    }
+    return recording;
+  }
+  
+  /**
+   * Open the response tuning panel, or close it if it is already open
+   */
+  openResponseEditor() {
+    if (!this.responseEditor) {
+      this.responseEditor = new ResponseCurveEditor(this);
+    }
+    
+    if (this.responseEditor.active) {
+      this.responseEditor.cancel();
+    } else {
+      this.responseEditor.open();
+    }
+  }
+  
+  /**
+   * Use a per-axis min/center/max calibration instead of the additive offsets
+   * @param {object} calibration - { x: { min, center, max }, y: { min, center, max } }
+   */
+  setAxisCalibration(calibration) {
+    this.axisCalibration = calibration;
+    this.saveCurrentProfile();
+    
+    // Reset history arrays to avoid lingering values
+    this.resetSmoothing();
+    
+    const { x, y } = calibration;
+    this.updateDebugElement(`Joystick calibrated! X: ${x.min}/${x.center}/${x.max}, Y: ${y.min}/${y.center}/${y.max}`, 'lime');
+    console.log('Joystick axis calibration:', calibration);
+    
+    document.dispatchEvent(new Event('joystick-calibrated'));
+  }
+  
+  /**
+   * Go back to the additive offset calibration
+   */
+  clearAxisCalibration() {
+    this.axisCalibration = null;
+    this.saveCurrentProfile();
+    this.autoCalibrate();
+  }
+  
   /**
    * Manually calibrate the joystick
    */
@@ -340,6 +1357,16 @@ class SerialController {
     const currentX = this.joystickX;
     const currentY = this.joystickY;
     
+    // With a wizard calibration, only move its center and keep the recorded extremes
+    if (this.axisCalibration) {
+      const { x, y } = this.axisCalibration;
+      this.setAxisCalibration({
+        x: { ...x, center: Math.max(x.min + 1, Math.min(x.max - 1, currentX)) },
+        y: { ...y, center: Math.max(y.min + 1, Math.min(y.max - 1, currentY)) }
+      });
+      return;
+    }
+    
     // Calculate how far off center these values are
     const offsetX = 512 - currentX;
     const offsetY = 512 - currentY;
@@ -347,11 +1374,10 @@ class SerialController {
     // Store these as manual offsets
     this.manualOffsetX = offsetX;
     this.manualOffsetY = offsetY;
+    this.saveCurrentProfile();
     
     // Reset history arrays to avoid lingering values
-    this.rollHistory = [0, 0, 0];
-    this.pitchHistory = [0, 0, 0];
-    this.historyIndex = 0; // Reset the history index too
+    this.resetSmoothing();
     
     if (this.debugElement) {
       this.debugElement.textContent = `Joystick calibrated! Offsets: X=${offsetX}, Y=${offsetY}`;
@@ -389,25 +1415,21 @@ class SerialController {
     
     this.readLoopRunning = true;
     
-    // Create new TextDecoder
-    const textDecoder = new TextDecoder();
+    // Start with fresh frame counters for this connection
+    this.frameParser.resetStats();
+    this.protocol = 'csv';
     
     // Start the read loop
-    this.reader = this.port.readable.getReader();
-    
-    // Add calibration controls
-    this.addCalibrateButton();
-    
-    // Auto-calibrate with default values that work well after a short delay
-    setTimeout(() => {
-      this.autoCalibrate();
-    }, 500);
+    const reader = this.port.readable.getReader();
+    this.reader = reader;
     
     // Function to read from the port in a loop
     const readLoop = async () => {
+      let failed = false;
+      
       try {
         while (this.readLoopRunning) {
-          const { value, done } = await this.reader.read();
+          const { value, done } = await reader.read();
           
           if (done) {
             // Reader has been canceled, port is closed
@@ -416,28 +1438,25 @@ class SerialController {
             break;
           }
           
-          // Convert the received data to text
-          const text = textDecoder.decode(value);
-          
-          // Add to buffer
-          this.buffer += text;
+          if (this.recorder) {
+            this.recorder.record(value);
+          }
           
-          // Process complete lines
-          this.processBuffer();
+          // Binary frames are handled directly, text goes to the line buffer
+          this.frameParser.push(value);
         }
       } catch (error) {
         console.error('Error reading from serial port:', error);
         this.updateDebugElement('Error reading from serial port: ' + error.message, 'red');
-        this.readLoopRunning = false;
-        this.connected = false;
-        
-        // If reading fails, offer keyboard control as fallback
-        this.setupKeyboardHandlers();
+        failed = true;
       } finally {
         // Release the reader
-        if (this.reader) {
-          this.reader.releaseLock();
-        }
+        reader.releaseLock();
+      }
+      
+      // A read error, or the stream closing without disconnect(), means the cable was pulled
+      if (failed || this.readLoopRunning) {
+        this.handleConnectionLost();
       }
     };
     
@@ -464,10 +1483,40 @@ class SerialController {
     controlStatus.textContent = 'Controller Connected';
     
     // Add to body
+    document.getElementById('controller-status')?.remove();
     document.body.appendChild(controlStatus);
     
     // Make sure calibrate button exists
     this.addCalibrateButton();
+    this.addTuningButton();
+    this.addRecordButton();
+    this.addBoardButton();
+  }
+  
+  /**
+   * Show what the firmware reported in the controller status indicator
+   */
+  updateControllerStatus() {
+    if (!this.primary) return;
+    
+    const boardBtn = document.getElementById('joystick-board-btn');
+    if (boardBtn) {
+      boardBtn.style.display = this.supportsCommands() ? 'block' : 'none';
+    }
+    
+    const controlStatus = document.getElementById('controller-status');
+    if (!controlStatus) return;
+    
+    const info = this.firmwareInfo;
+    if (!info) {
+      controlStatus.textContent = 'Controller Connected (legacy firmware)';
+      return;
+    }
+    
+    const buttonText = info.buttons === 1 ? '1 button' : `${info.buttons} buttons`;
+    const rateText = info.sampleRate ? ` · ${info.sampleRate} Hz` : '';
+    const stickText = info.sticks > 1 ? `${info.sticks} sticks · ` : '';
+    controlStatus.textContent = `${info.name} · ${info.protocol.toUpperCase()} v${info.protocolVersion} · ${stickText}${info.axes} axes · ${buttonText}${rateText}`;
   }
   
   /**
@@ -506,8 +1555,7 @@ class SerialController {
                 this.manualOffsetY = 0;
                 
                 // Reset history arrays
-                this.rollHistory = [0, 0, 0];
-                this.pitchHistory = [0, 0, 0];
+                this.resetSmoothing();
                 
                 // Reset to normal display after 3 seconds
                 setTimeout(() => {
@@ -542,113 +1590,215 @@ class SerialController {
     }
   }
   
+  /**
+   * Process a binary joystick frame
+   * @param {object} frame - Frame from the FrameParser ({ version, sequence, payload })
+   */
+  processJoystickFrame(frame) {
+    const samples = decodeJoystickPayloads(frame.payload);
+    if (samples.length === 0) {
+      console.warn('Ignoring frame with short payload:', frame);
+      return;
+    }
+    
+    if (this.protocol !== 'binary') {
+      console.log('Arduino is sending binary frames');
+      this.protocol = 'binary';
+    }
+    
+    samples.forEach((sample, index) => {
+      this.processStickValues(index, sample.x, sample.y, sample.buttons & 1);
+    });
+  }
+  
+  /**
+   * Register the logical controller for another stick on this board
+   * @param {SerialStick} stick - Controller for the stick at stick.index
+   */
+  addStick(stick) {
+    this.sticks.set(stick.index, stick);
+  }
+  
+  /**
+   * Route one raw sample to the controller of its stick
+   * @param {number} index - Stick index on the board (0 = this controller)
+   * @param {number} x - Raw X value (0-1023)
+   * @param {number} y - Raw Y value (0-1023)
+   * @param {number} btn - Button state (non-zero when pressed)
+   */
+  processStickValues(index, x, y, btn) {
+    if (index === 0) {
+      this.processJoystickValues(x, y, btn);
+      return;
+    }
+    
+    // Sticks nobody registered are ignored
+    const stick = this.sticks.get(index);
+    if (stick) {
+      stick.processBoardSample(x, y, btn);
+    }
+  }
+  
+  /**
+   * Release the other sticks when the board goes away
+   */
+  detachSticks() {
+    this.sticks.forEach(stick => stick.detach());
+  }
+  
+  /**
+   * Get binary protocol statistics for this connection
+   * @returns {object} { protocol, framesReceived, droppedFrames, corruptFrames }
+   */
+  getFrameStats() {
+    return {
+      protocol: this.protocol,
+      framesReceived: this.frameParser.framesReceived,
+      droppedFrames: this.frameParser.droppedFrames,
+      corruptFrames: this.frameParser.corruptFrames
+    };
+  }
+  
   /**
    * Process joystick data from CSV format
-   * @param {string} data - CSV data from serial port (X,Y,BUTTON)
+   * @param {string} data - CSV data from serial port (X,Y,BUTTON, or three fields per stick)
    */
   processJoystickData(data) {
     try {
-      // Expected format: "X,Y,BUTTON" (e.g. "512,512,0")
-      const parts = data.split(',');
+      // Expected format: "X,Y,BUTTON" (e.g. "512,512,0") or "X1,Y1,B1,X2,Y2,B2"
+      const samples = parseJoystickLine(data);
+      
+      if (samples) {
+        samples.forEach((sample, index) => {
+          this.processStickValues(index, sample.x, sample.y, sample.buttons);
+        });
+      }
+    } catch (error) {
+      console.error('Error processing joystick data:', error);
+    }
+  }
+  
+  /**
+   * Calibrate, shape and dispatch one raw joystick sample
+   * @param {number} x - Raw X value (0-1023)
+   * @param {number} y - Raw Y value (0-1023)
+   * @param {number} btn - Button state (non-zero when pressed)
+   */
+  processJoystickValues(x, y, btn) {
+    try {
+      this.watchdog.sample();
+      
+      // Firmware without a button may report a floating pin, so ignore it
+      if (this.firmwareInfo && this.firmwareInfo.buttons === 0) btn = 0;
+      
+      // Store the raw values
+      this.joystickX = x;
+      this.joystickY = y;
+      this.buttonPressed = btn > 0;
+      
+      // The wizard reads the raw values itself, keep the car still meanwhile
+      if (this.calibrationWizard && this.calibrationWizard.active) {
+        if (this.onJoystickData) {
+          this.onJoystickData({ roll: 0, pitch: 0, boost: false, rawX: x, rawY: y });
+        }
+        return;
+      }
       
-      if (parts.length >= 2) {
-        // Extract X and Y values
-        const x = parseInt(parts[0]);
-        const y = parseInt(parts[1]);
+      let calibratedX;
+      let calibratedY;
+      let rawRoll;
+      let rawPitch;
+      
+      if (this.axisCalibration) {
+        // Piecewise mapping, so both extremes reach -1 and 1 on asymmetric sticks
+        rawRoll = mapCalibratedAxis(x, this.axisCalibration.x);
+        rawPitch = mapCalibratedAxis(y, this.axisCalibration.y);
+        calibratedX = 512 + rawRoll * 512;
+        calibratedY = 512 + rawPitch * 512;
+      } else {
+        // Apply manual calibration offsets
+        calibratedX = x + this.manualOffsetX;
+        calibratedY = y + this.manualOffsetY;
         
-        // Extract button state if present (default to 0/false)
-        const btn = parts.length > 2 ? parseInt(parts[2]) : 0;
+        // Clamp to valid range
+        calibratedX = Math.max(0, Math.min(1023, calibratedX));
+        calibratedY = Math.max(0, Math.min(1023, calibratedY));
         
-        // Validate parsed values - must be numbers
-        if (!isNaN(x) && !isNaN(y)) {
-          // Store the raw values
-          this.joystickX = x;
-          this.joystickY = y;
-          this.buttonPressed = btn > 0;
-          
-          // Apply manual calibration offsets
-          let calibratedX = x + this.manualOffsetX;
-          let calibratedY = y + this.manualOffsetY;
-          
-          // Clamp to valid range
-          calibratedX = Math.max(0, Math.min(1023, calibratedX));
-          calibratedY = Math.max(0, Math.min(1023, calibratedY));
-          
-          // Calculate normalized values (-1 to 1) - ensure correct orientation
-          // Using consistent formula regardless of calibration:
-          // right = positive roll, left = negative roll
-          let rawRoll = ((calibratedX - 512) / 512); // Remove negative sign
-          let rawPitch = (calibratedY - 512) / 512;
-          
-          // Apply deadzone - critical to eliminate drift
-          if (Math.abs(rawRoll) < this.deadzone) rawRoll = 0;
-          if (Math.abs(rawPitch) < this.deadzone) rawPitch = 0;
-          
-          // Apply input shaping - scale non-zero values to range properly from deadzone to 1.0
-          // This ensures smooth control from deadzone edge to maximum
-          if (rawRoll !== 0) {
-            const sign = Math.sign(rawRoll);
-            rawRoll = sign * (Math.abs(rawRoll) - this.deadzone) / (1 - this.deadzone);
-          }
-          
-          if (rawPitch !== 0) {
-            const sign = Math.sign(rawPitch);
-            rawPitch = sign * (Math.abs(rawPitch) - this.deadzone) / (1 - this.deadzone);
-          }
-          
-          // Add to the history array for moving average
-          this.rollHistory[this.historyIndex] = rawRoll;
-          this.pitchHistory[this.historyIndex] = rawPitch;
-          this.historyIndex = (this.historyIndex + 1) % this.rollHistory.length;
-          
-          // Calculate moving average for smoother inputs
-          let avgRoll = 0;
-          let avgPitch = 0;
-          for (let i = 0; i < this.rollHistory.length; i++) {
-            avgRoll += this.rollHistory[i];
-            avgPitch += this.pitchHistory[i];
-          }
-          avgRoll /= this.rollHistory.length;
-          avgPitch /= this.pitchHistory.length;
-          
-          // Set final values
-          this.roll = avgRoll;
-          this.pitch = avgPitch;
-          
-          // Apply exponential curve for finer control near center
-          if (this.roll !== 0) {
-            this.roll = Math.sign(this.roll) * Math.pow(Math.abs(this.roll), this.exponentialFactor);
-          }
-          
-          if (this.pitch !== 0) {
-            this.pitch = Math.sign(this.pitch) * Math.pow(Math.abs(this.pitch), this.exponentialFactor);
+        // Calculate normalized values (-1 to 1) - ensure correct orientation
+        // Using consistent formula regardless of calibration:
+        // right = positive roll, left = negative roll
+        rawRoll = ((calibratedX - 512) / 512); // Remove negative sign
+        rawPitch = (calibratedY - 512) / 512;
+      }
+      
+      this.inputRoll = rawRoll;
+      this.inputPitch = rawPitch;
+      
+      // Apply deadzone - critical to eliminate drift - and scale the rest of
+      // the travel so output runs smoothly from the deadzone edge to 1.0
+      const shaped = applyDeadzone(rawRoll, rawPitch, this.getResponseSettings());
+      rawRoll = shaped.x;
+      rawPitch = shaped.y;
+      
+      // Add to the history array for moving average
+      this.rollHistory[this.historyIndex] = rawRoll;
+      this.pitchHistory[this.historyIndex] = rawPitch;
+      this.historyIndex = (this.historyIndex + 1) % this.rollHistory.length;
+      
+      // Calculate moving average for smoother inputs
+      let avgRoll = 0;
+      let avgPitch = 0;
+      for (let i = 0; i < this.rollHistory.length; i++) {
+        avgRoll += this.rollHistory[i];
+        avgPitch += this.pitchHistory[i];
+      }
+      avgRoll /= this.rollHistory.length;
+      avgPitch /= this.pitchHistory.length;
+      
+      // Set final values
+      this.roll = avgRoll;
+      this.pitch = avgPitch;
+      
+      // Apply exponential curve for finer control near center
+      this.roll = applyExpo(this.roll, this.exponentialFactor);
+      this.pitch = applyExpo(this.pitch, this.exponentialFactor);
+      
+      // If we have a callback registered, send the data
+      if (this.onJoystickData) {
+        this.onJoystickData({
+          roll: this.roll,
+          pitch: this.pitch,
+          boost: this.buttonPressed,
+          rawX: x,
+          rawY: y
+        });
+      }
+      
+      // Update debug element if it exists
+      if (this.debugElement) {
+        let debugText = `Roll: ${this.roll.toFixed(2)} | Pitch: ${this.pitch.toFixed(2)} | Boost: ${this.buttonPressed ? 'ON' : 'OFF'}`;
+        
+        // Add raw values if enabled
+        if (this.showRawValues) {
+          debugText += `\nRaw: X=${x}, Y=${y} | Calibrated: X=${calibratedX.toFixed(0)}, Y=${calibratedY.toFixed(0)}`;
+          if (this.axisCalibration) {
+            const { x: cx, y: cy } = this.axisCalibration;
+            debugText += `\nDeadzone: ${this.deadzone.toFixed(2)} | Range: X=${cx.min}/${cx.center}/${cx.max}, Y=${cy.min}/${cy.center}/${cy.max}`;
+          } else {
+            debugText += `\nDeadzone: ${this.deadzone.toFixed(2)} | Offsets: X=${this.manualOffsetX}, Y=${this.manualOffsetY}`;
           }
           
-          // If we have a callback registered, send the data
-          if (this.onJoystickData) {
-            this.onJoystickData({
-              roll: this.roll,
-              pitch: this.pitch,
-              boost: this.buttonPressed,
-              rawX: x,
-              rawY: y
-            });
-          }
+          debugText += `\nPacket rate: ${this.watchdog.rate.toFixed(0)} Hz`;
           
-          // Update debug element if it exists
-          if (this.debugElement) {
-            let debugText = `Roll: ${this.roll.toFixed(2)} | Pitch: ${this.pitch.toFixed(2)} | Boost: ${this.buttonPressed ? 'ON' : 'OFF'}`;
-            
-            // Add raw values if enabled
-            if (this.showRawValues) {
-              debugText += `\nRaw: X=${x}, Y=${y} | Calibrated: X=${calibratedX.toFixed(0)}, Y=${calibratedY.toFixed(0)}`;
-              debugText += `\nDeadzone: ${this.deadzone.toFixed(2)} | Offsets: X=${this.manualOffsetX}, Y=${this.manualOffsetY}`;
-            }
-            
-            this.debugElement.textContent = debugText;
-            this.debugElement.style.color = this.buttonPressed ? '#ffcc00' : 'white';
+          // Show link quality for boards sending binary frames
+          if (this.protocol === 'binary') {
+            const stats = this.getFrameStats();
+            debugText += `\nFrames: ${stats.framesReceived} | Dropped: ${stats.droppedFrames} | Corrupt: ${stats.corruptFrames}`;
           }
         }
+        
+        this.debugElement.textContent = debugText;
+        this.debugElement.style.color = this.buttonPressed ? '#ffcc00' : 'white';
       }
     } catch (error) {
       console.error('Error processing joystick data:', error);
@@ -782,6 +1932,7 @@ class SerialController {
   async disconnect() {
     // Flag to stop the read loop
     this.readLoopRunning = false;
+    this.cancelReconnect();
     
     try {
       // Close the reader if it exists
@@ -799,6 +1950,19 @@ class SerialController {
       // Update connection status
       this.connected = false;
       
+      if (this.calibrationWizard) {
+        this.calibrationWizard.close();
+      }
+      if (this.responseEditor) {
+        this.responseEditor.close();
+      }
+      if (this.boardPanel) {
+        this.boardPanel.close();
+      }
+      this.rejectAllCommands('Controller disconnected');
+      this.detachSticks();
+      this.watchdog.stop();
+      
       // Update debug element if it exists
       const debugElement = document.getElementById('joystick-debug');
       if (debugElement) {
@@ -0,0 +1,437 @@
+/**
+ * Binary Serial Protocol for the Arduino Joystick
+ *
+ * Frames can be interleaved with ordinary text (CSV data and debug prints) on
+ * the same serial stream. The start byte is outside the ASCII range, so it can
+ * never appear in a text line.
+ *
+ * Frame layout:
+ *   [0]      START      0xA5
+ *   [1]      VERSION    protocol version (currently 1)
+ *   [2]      SEQUENCE   0-255, incremented per frame, wraps around
+ *   [3]      LENGTH     payload length in bytes
+ *   [4..n]   PAYLOAD    LENGTH bytes
+ *   [n+1]    CRC        CRC-8 (poly 0x07, init 0x00) over VERSION..PAYLOAD
+ *
+ * Version 1 joystick payload (5 bytes per stick):
+ *   X (uint16, little endian, 0-1023)
+ *   Y (uint16, little endian, 0-1023)
+ *   BUTTONS (uint8 bitmask, bit 0 = joystick button)
+ *
+ * Boards with several sticks repeat the 5 bytes for each one, so a dual-stick
+ * frame has a 10 byte payload. Readers that only know one stick use the first.
+ *
+ * CSV boards send one line per sample: "X,Y,BUTTON" for one stick, or
+ * "X1,Y1,B1,X2,Y2,B2" (three fields per stick) for several.
+ */
+
+export const FRAME_START = 0xA5;
+export const PROTOCOL_VERSION = 1;
+export const FRAME_HEADER_SIZE = 4;  // start, version, sequence, length
+export const MAX_PAYLOAD_SIZE = 32;
+export const JOYSTICK_PAYLOAD_SIZE = 5;
+
+/**
+ * Compute the CRC-8 (polynomial 0x07) of a byte range
+ * @param {Uint8Array|number[]} bytes - The bytes to checksum
+ * @param {number} start - Index of the first byte
+ * @param {number} end - Index after the last byte
+ * @returns {number} The CRC value (0-255)
+ */
+export function crc8(bytes, start = 0, end = bytes.length) {
+  let crc = 0;
+  for (let i = start; i < end; i++) {
+    crc ^= bytes[i];
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc & 0x80) ? ((crc << 1) ^ 0x07) & 0xFF : (crc << 1) & 0xFF;
+    }
+  }
+  return crc;
+}
+
+/**
+ * Build a complete frame around a payload
+ * @param {number} sequence - Sequence number (0-255)
+ * @param {Uint8Array|number[]} payload - Payload bytes
+ * @param {number} version - Protocol version
+ * @returns {Uint8Array} The encoded frame
+ */
+export function encodeFrame(sequence, payload, version = PROTOCOL_VERSION) {
+  const frame = new Uint8Array(FRAME_HEADER_SIZE + payload.length + 1);
+  frame[0] = FRAME_START;
+  frame[1] = version;
+  frame[2] = sequence & 0xFF;
+  frame[3] = payload.length;
+  frame.set(payload, FRAME_HEADER_SIZE);
+  frame[frame.length - 1] = crc8(frame, 1, frame.length - 1);
+  return frame;
+}
+
+/**
+ * Encode a joystick sample as a version 1 frame
+ * @param {number} sequence - Sequence number (0-255)
+ * @param {number} x - Raw X value (0-1023)
+ * @param {number} y - Raw Y value (0-1023)
+ * @param {number} buttons - Button bitmask
+ * @returns {Uint8Array} The encoded frame
+ */
+export function encodeJoystickFrame(sequence, x, y, buttons) {
+  return encodeFrame(sequence, [x & 0xFF, (x >> 8) & 0xFF, y & 0xFF, (y >> 8) & 0xFF, buttons & 0xFF]);
+}
+
+/**
+ * Encode one sample of several sticks as a version 1 frame
+ * @param {number} sequence - Sequence number (0-255)
+ * @param {object[]} sticks - { x, y, buttons } per stick
+ * @returns {Uint8Array} The encoded frame
+ */
+export function encodeMultiJoystickFrame(sequence, sticks) {
+  const payload = [];
+  sticks.forEach(({ x, y, buttons }) => {
+    payload.push(x & 0xFF, (x >> 8) & 0xFF, y & 0xFF, (y >> 8) & 0xFF, buttons & 0xFF);
+  });
+  return encodeFrame(sequence, payload);
+}
+
+/**
+ * Decode a version 1 joystick payload
+ * @param {Uint8Array} payload - Payload bytes
+ * @param {number} stick - Index of the stick to decode
+ * @returns {object|null} { x, y, buttons } or null if the payload is too short
+ */
+export function decodeJoystickPayload(payload, stick = 0) {
+  const offset = stick * JOYSTICK_PAYLOAD_SIZE;
+  if (payload.length < offset + JOYSTICK_PAYLOAD_SIZE) return null;
+
+  return {
+    x: payload[offset] | (payload[offset + 1] << 8),
+    y: payload[offset + 2] | (payload[offset + 3] << 8),
+    buttons: payload[offset + 4]
+  };
+}
+
+/**
+ * Decode every stick in a version 1 joystick payload
+ * @param {Uint8Array} payload - Payload bytes
+ * @returns {object[]} { x, y, buttons } per stick (empty if the payload is too short)
+ */
+export function decodeJoystickPayloads(payload) {
+  const samples = [];
+  for (let stick = 0; stick < Math.floor(payload.length / JOYSTICK_PAYLOAD_SIZE); stick++) {
+    samples.push(decodeJoystickPayload(payload, stick));
+  }
+  return samples;
+}
+
+/**
+ * Parse a CSV joystick line
+ * @param {string} line - "X,Y[,BUTTON]" or "X1,Y1,B1,X2,Y2,B2..."
+ * @returns {object[]|null} { x, y, buttons } per stick, or null if the line isn't joystick data
+ */
+export function parseJoystickLine(line) {
+  const parts = line.split(',').map(part => parseInt(part));
+
+  // One stick, the button is optional
+  if (parts.length < 6) {
+    if (parts.length < 2 || isNaN(parts[0]) || isNaN(parts[1])) return null;
+    return [{ x: parts[0], y: parts[1], buttons: parts.length > 2 ? parts[2] || 0 : 0 }];
+  }
+
+  // Three fields per stick
+  const samples = [];
+  for (let i = 0; i + 2 < parts.length; i += 3) {
+    const [x, y, buttons] = parts.slice(i, i + 3);
+    if (isNaN(x) || isNaN(y)) return null;
+    samples.push({ x, y, buttons: buttons || 0 });
+  }
+  return samples;
+}
+
+/**
+ * Splits a raw serial byte stream into binary frames and text
+ */
+export class FrameParser {
+  constructor() {
+    // Bytes not yet consumed
+    this.bytes = new Uint8Array(0);
+
+    // Text decoder for everything that isn't part of a frame
+    this.textDecoder = new TextDecoder();
+
+    // After a bad frame, the bytes up to the next start byte or newline are
+    // the rest of that frame, not text. Ending at a newline keeps a stray
+    // start byte from silencing a CSV board, which never sends another one.
+    this.discarding = false;
+
+    // Callbacks
+    this.onFrame = null; // ({ version, sequence, payload }) => void
+    this.onText = null;  // (string) => void
+
+    // Statistics
+    this.framesReceived = 0;
+    this.droppedFrames = 0;
+    this.corruptFrames = 0;
+    this.lastSequence = null;
+  }
+
+  /**
+   * Reset statistics and sequence tracking
+   */
+  resetStats() {
+    this.framesReceived = 0;
+    this.droppedFrames = 0;
+    this.corruptFrames = 0;
+    this.lastSequence = null;
+  }
+
+  /**
+   * Feed bytes from the serial port into the parser
+   * @param {Uint8Array} chunk - Newly received bytes
+   */
+  push(chunk) {
+    // Append to whatever is left over from the last chunk
+    const bytes = new Uint8Array(this.bytes.length + chunk.length);
+    bytes.set(this.bytes);
+    bytes.set(chunk, this.bytes.length);
+
+    let index = 0;
+    let textStart = 0;
+
+    while (index < bytes.length) {
+      if (bytes[index] !== FRAME_START) {
+        index++;
+        continue;
+      }
+
+      // Flush any text that came before this frame
+      this.emitText(bytes.subarray(textStart, index));
+      textStart = index;
+      this.discarding = false;
+
+      // Wait for the header
+      if (bytes.length - index < FRAME_HEADER_SIZE) break;
+
+      const version = bytes[index + 1];
+      const length = bytes[index + 3];
+
+      if (version !== PROTOCOL_VERSION || length > MAX_PAYLOAD_SIZE) {
+        // Not a valid header, drop it and resynchronize on the next start byte
+        this.corruptFrames++;
+        index++;
+        textStart = index;
+        this.discarding = true;
+        continue;
+      }
+
+      // Wait for the rest of the frame
+      const frameSize = FRAME_HEADER_SIZE + length + 1;
+      if (bytes.length - index < frameSize) break;
+
+      const crc = bytes[index + frameSize - 1];
+      if (crc8(bytes, index + 1, index + frameSize - 1) !== crc) {
+        // Corrupt frame, drop it and resynchronize on the next start byte
+        this.corruptFrames++;
+        index++;
+        textStart = index;
+        this.discarding = true;
+        continue;
+      }
+
+      const sequence = bytes[index + 2];
+      this.trackSequence(sequence);
+
+      if (this.onFrame) {
+        this.onFrame({
+          version,
+          sequence,
+          payload: bytes.slice(index + FRAME_HEADER_SIZE, index + FRAME_HEADER_SIZE + length)
+        });
+      }
+
+      index += frameSize;
+      textStart = index;
+    }
+
+    // Text after the last frame can be emitted straight away;
+    // an incomplete frame stays in the buffer for the next chunk
+    if (index >= bytes.length) {
+      this.emitText(bytes.subarray(textStart));
+      textStart = bytes.length;
+    }
+
+    this.bytes = bytes.slice(textStart);
+  }
+
+  /**
+   * Update frame counters from a sequence number
+   * @param {number} sequence - The sequence number of a valid frame
+   */
+  trackSequence(sequence) {
+    if (this.lastSequence !== null) {
+      const expected = (this.lastSequence + 1) & 0xFF;
+      if (sequence !== expected) {
+        this.droppedFrames += (sequence - expected) & 0xFF;
+      }
+    }
+
+    this.lastSequence = sequence;
+    this.framesReceived++;
+  }
+
+  /**
+   * Pass non-frame bytes on as text
+   * @param {Uint8Array} bytes - Text bytes
+   */
+  emitText(bytes) {
+    if (this.discarding) {
+      const newline = bytes.indexOf(0x0A);
+      if (newline === -1) return;
+
+      // The damaged line is dropped, the text after it is kept
+      this.discarding = false;
+      bytes = bytes.subarray(newline + 1);
+    }
+
+    if (bytes.length === 0 || !this.onText) return;
+    this.onText(this.textDecoder.decode(bytes, { stream: true }));
+  }
+}
+
+/**
+ * Capability handshake
+ *
+ * After opening the port the game sends the query line "?INFO". Sketches
+ * that support the handshake answer with a single text line:
+ *
+ *   @INFO fw=<name>;proto=<csv|binary>;ver=<n>;axes=<n>;buttons=<n>;rate=<hz>;centered=<0|1>;cmd=<0|1>;fx=<outputs>;sticks=<n>
+ *
+ * "centered=1" means the sketch already re-centers the stick on 512, so the
+ * game must not add its own default offsets. "cmd=1" means the sketch
+ * accepts the commands described below. "fx" lists the feedback outputs
+ * the box has (e.g. "led,buzzer,rumble"). "sticks" is the number of
+ * joysticks in each sample (default 1); "axes" and "buttons" count per
+ * stick. Boards that never answer are treated as legacy CSV sketches.
+ */
+export const HANDSHAKE_QUERY = '?INFO';
+export const HANDSHAKE_REPLY_PREFIX = '@INFO';
+
+/**
+ * Parse a handshake reply line
+ * @param {string} line - A line starting with "@INFO"
+ * @returns {object|null} Firmware info, or null if the line isn't a valid reply
+ */
+export function parseFirmwareInfo(line) {
+  if (!line.startsWith(HANDSHAKE_REPLY_PREFIX)) return null;
+
+  // Collect key=value pairs
+  const fields = {};
+  line.slice(HANDSHAKE_REPLY_PREFIX.length).trim().split(';').forEach(pair => {
+    const [key, value] = pair.split('=');
+    if (key && value !== undefined) {
+      fields[key.trim()] = value.trim();
+    }
+  });
+
+  if (!fields.fw) return null;
+
+  return {
+    name: fields.fw,
+    protocol: fields.proto === 'binary' ? 'binary' : 'csv',
+    protocolVersion: parseInt(fields.ver) || 1,
+    axes: parseInt(fields.axes) || 2,
+    buttons: fields.buttons !== undefined ? parseInt(fields.buttons) || 0 : 1,
+    sampleRate: parseInt(fields.rate) || 0,
+    centered: fields.centered === '1',
+    commands: fields.cmd === '1',
+    feedback: fields.fx ? fields.fx.split(',').map(output => output.trim()).filter(Boolean) : [],
+    sticks: parseInt(fields.sticks) || 1
+  };
+}
+
+/**
+ * Command channel
+ *
+ * Sketches that report "cmd=1" in the handshake accept commands from the
+ * game. Each command carries an id that the reply echoes, so several can be
+ * in flight at once:
+ *
+ *   game:     !<id> <COMMAND> [args...]
+ *   firmware: @ACK <id> [key=value;key=value...]
+ *             @ERR <id> <reason>
+ *
+ * Commands:
+ *   RECAL              re-center on the board and store the center in EEPROM
+ *   RATE <hz>          change the sample rate
+ *   DEBUG <0|1>        turn the periodic debug prints off or on
+ *   GETCENTER          read the stored center (reply: x=<n>;y=<n>)
+ *   SETCENTER <x> <y>  store a new center in EEPROM
+ *   VERSION            firmware name and version (reply: fw=<name>;version=<v>)
+ */
+export const COMMAND_PREFIX = '!';
+export const COMMAND_ACK_PREFIX = '@ACK';
+export const COMMAND_ERROR_PREFIX = '@ERR';
+
+/**
+ * Build a command line
+ * @param {number} id - Command id echoed in the reply
+ * @param {string} command - Command name
+ * @param {Array} args - Command arguments
+ * @returns {string} The command line (without newline)
+ */
+export function formatCommand(id, command, args = []) {
+  return [`${COMMAND_PREFIX}${id}`, command, ...args].join(' ');
+}
+
+/**
+ * Parse a command reply line
+ * @param {string} line - A line starting with "@ACK" or "@ERR"
+ * @returns {object|null} { id, ok, fields, error } or null if the line isn't a reply
+ */
+export function parseCommandReply(line) {
+  const ok = line.startsWith(COMMAND_ACK_PREFIX);
+  if (!ok && !line.startsWith(COMMAND_ERROR_PREFIX)) return null;
+
+  const rest = line.slice(COMMAND_ACK_PREFIX.length).trim();
+  const spaceIndex = rest.indexOf(' ');
+  const id = parseInt(spaceIndex === -1 ? rest : rest.slice(0, spaceIndex));
+  if (isNaN(id)) return null;
+
+  const body = spaceIndex === -1 ? '' : rest.slice(spaceIndex + 1).trim();
+
+  if (!ok) {
+    return { id, ok, fields: {}, error: body || 'Command failed' };
+  }
+
+  // Collect key=value pairs
+  const fields = {};
+  body.split(';').forEach(pair => {
+    const [key, value] = pair.split('=');
+    if (key && value !== undefined) {
+      fields[key.trim()] = value.trim();
+    }
+  });
+
+  return { id, ok, fields, error: null };
+}
+
+/**
+ * Game-event feedback
+ *
+ * Boards that report feedback outputs ("fx=" in the handshake) receive one
+ * line per game event so they can flash LEDs, beep or rumble:
+ *
+ *   #FX <event>
+ *
+ * Feedback is fire-and-forget: the board doesn't answer, and unknown events
+ * are ignored, so new events never break older sketches.
+ */
+export const FEEDBACK_PREFIX = '#FX';
+
+/**
+ * Build a feedback line
+ * @param {string} event - Event name (see FEEDBACK_EVENTS in feedback-manager.js)
+ * @returns {string} The feedback line (without newline)
+ */
+export function formatFeedback(event) {
+  return `${FEEDBACK_PREFIX} ${event}`;
+}
@@ -0,0 +1,188 @@
+/**
+ * Serial Stream Recorder
+ *
+ * Captures the raw bytes coming from the serial port, with the time each
+ * chunk arrived, so an input problem can be saved to a file and replayed
+ * later through a MockSerialPort without the hardware.
+ *
+ * Recording file format (JSON):
+ *   {
+ *     "format": "serial-recording",
+ *     "version": 1,
+ *     "recordedAt": ISO date,
+ *     "portInfo": { usbVendorId, usbProductId },
+ *     "chunks": [{ "t": ms since start, "data": base64 bytes }, ...]
+ *   }
+ */
+
+export const RECORDING_FORMAT = 'serial-recording';
+export const RECORDING_FORMAT_VERSION = 1;
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - The bytes to encode
+ * @returns {string} Base64 string
+ */
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} The decoded bytes
+ */
+function fromBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Parse and validate a recording file
+ * @param {string} json - Recording file contents
+ * @returns {object} Recording with chunks as { t, data: Uint8Array }
+ */
+export function parseRecording(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (err) {
+    throw new Error('Recording is not valid JSON');
+  }
+
+  if (!data || data.format !== RECORDING_FORMAT || !Array.isArray(data.chunks)) {
+    throw new Error('Not a serial recording file');
+  }
+  if (data.version > RECORDING_FORMAT_VERSION) {
+    throw new Error(`Recording version ${data.version} is newer than this game supports`);
+  }
+
+  return {
+    ...data,
+    chunks: data.chunks.map(chunk => ({ t: chunk.t, data: fromBase64(chunk.data) }))
+  };
+}
+
+/**
+ * Let the user pick a recording file
+ * @returns {Promise<object|null>} Parsed recording, or null if no file was chosen
+ */
+export function pickRecording() {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+
+    input.onchange = async () => {
+      const file = input.files[0];
+      if (!file) {
+        resolve(null);
+        return;
+      }
+
+      try {
+        resolve(parseRecording(await file.text()));
+      } catch (err) {
+        reject(err);
+      }
+    };
+
+    input.click();
+  });
+}
+
+class SerialRecorder {
+  /**
+   * @param {object} portInfo - The port.getInfo() object of the recorded port
+   */
+  constructor(portInfo = {}) {
+    this.portInfo = portInfo;
+    this.chunks = [];
+    this.startTime = null;
+    this.recordedAt = null;
+  }
+
+  /**
+   * Whether the recorder is capturing data
+   * @returns {boolean} True while recording
+   */
+  get recording() {
+    return this.startTime !== null;
+  }
+
+  /**
+   * Start a new recording
+   */
+  start() {
+    this.chunks = [];
+    this.startTime = performance.now();
+    this.recordedAt = new Date().toISOString();
+  }
+
+  /**
+   * Add a chunk of received bytes
+   * @param {Uint8Array} bytes - Bytes as they came from the port
+   */
+  record(bytes) {
+    if (!this.recording) return;
+
+    this.chunks.push({
+      t: Math.round((performance.now() - this.startTime) * 10) / 10,
+      data: bytes.slice()
+    });
+  }
+
+  /**
+   * Stop recording
+   * @returns {object} The finished recording
+   */
+  stop() {
+    this.startTime = null;
+    return this.toJSON();
+  }
+
+  /**
+   * Build the recording file contents
+   * @returns {object} Recording in the file format
+   */
+  toJSON() {
+    return {
+      format: RECORDING_FORMAT,
+      version: RECORDING_FORMAT_VERSION,
+      recordedAt: this.recordedAt,
+      portInfo: {
+        usbVendorId: this.portInfo.usbVendorId,
+        usbProductId: this.portInfo.usbProductId
+      },
+      chunks: this.chunks.map(chunk => ({ t: chunk.t, data: toBase64(chunk.data) }))
+    };
+  }
+
+  /**
+   * Download the recording as a JSON file
+   * @param {string} filename - Name of the downloaded file
+   */
+  download(filename = `serial-recording-${Date.now()}.json`) {
+    const blob = new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    URL.revokeObjectURL(url);
+  }
+}
+
+export default SerialRecorder;
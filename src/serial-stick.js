@@ -0,0 +1,159 @@
+/**
+ * Extra Stick on a Multi-Joystick Serial Board
+ *
+ * Boards like arduino/dual_joystick.ino report several sticks in every
+ * sample. The SerialController that owns the port handles the first stick
+ * itself and forwards the others to a SerialStick, so each stick is a
+ * logical controller of its own, with its own calibration and response
+ * profile.
+ */
+
+import SerialController from './serial-controller.js';
+import { getProfile } from './device-profiles.js';
+
+class SerialStick extends SerialController {
+  /**
+   * @param {SerialController} board - The controller that owns the serial port
+   * @param {number} index - Stick index on the board (1 = second stick)
+   */
+  constructor(board, index) {
+    super({ portStorageKey: board.portStorageKey, primary: false });
+    this.board = board;
+    this.index = index;
+
+    board.addStick(this);
+  }
+
+  /**
+   * Handle one sample of this stick forwarded by the board
+   * @param {number} x - Raw X value (0-1023)
+   * @param {number} y - Raw Y value (0-1023)
+   * @param {number} btn - Button state (non-zero when pressed)
+   */
+  processBoardSample(x, y, btn) {
+    if (!this.connected) {
+      this.attach();
+    }
+
+    this.processJoystickValues(x, y, btn);
+  }
+
+  /**
+   * Start using the stick once the board reports it
+   */
+  attach() {
+    this.connected = true;
+    this.protocol = this.board.protocol;
+    this.firmwareInfo = this.board.firmwareInfo;
+
+    // Stored next to the board's profile, so each stick keeps its own calibration
+    this.profileKey = this.board.profileKey ? `${this.board.profileKey}:stick${this.index + 1}` : null;
+    this.profile = this.profileKey ? getProfile(this.profileKey) : null;
+    if (this.profile) {
+      console.log(`Loaded controller profile for ${this.profileKey}:`, this.profile);
+      this.applyProfile(this.profile);
+    } else {
+      this.resetProfileSettings();
+    }
+
+    this.autoCalibrate();
+    this.addCalibrateButton();
+    this.watchdog.start();
+
+    console.log(`Stick ${this.index + 1} of the serial board connected`);
+    document.dispatchEvent(new CustomEvent('serial-stick-connected', { detail: { index: this.index } }));
+  }
+
+  /**
+   * Stop using the stick (the board was disconnected or lost)
+   */
+  detach() {
+    if (!this.connected) return;
+
+    this.connected = false;
+    this.watchdog.stop();
+    if (this.calibrationWizard) {
+      this.calibrationWizard.close();
+    }
+    if (this.responseEditor) {
+      this.responseEditor.close();
+    }
+    document.getElementById(`joystick-calibrate-btn-${this.index + 1}`)?.remove();
+
+    // Let the car roll to a stop
+    this.releaseInputs();
+  }
+
+  /**
+   * Add a button that opens the calibration wizard for this stick
+   */
+  addCalibrateButton() {
+    const id = `joystick-calibrate-btn-${this.index + 1}`;
+    if (document.getElementById(id)) return;
+
+    const calibrateBtn = document.createElement('button');
+    calibrateBtn.id = id;
+    calibrateBtn.textContent = `Recalibrate Stick ${this.index + 1}`;
+    calibrateBtn.style.position = 'fixed';
+    calibrateBtn.style.bottom = `${50 + this.index * 40}px`;
+    calibrateBtn.style.right = '180px';
+    calibrateBtn.style.padding = '8px 16px';
+    calibrateBtn.style.backgroundColor = '#ff9800';
+    calibrateBtn.style.color = 'white';
+    calibrateBtn.style.border = 'none';
+    calibrateBtn.style.borderRadius = '4px';
+    calibrateBtn.style.zIndex = '100';
+    calibrateBtn.style.cursor = 'pointer';
+
+    calibrateBtn.addEventListener('click', () => {
+      this.openCalibrationWizard();
+    });
+
+    document.body.appendChild(calibrateBtn);
+  }
+
+  /**
+   * Connect the board this stick belongs to
+   * @returns {Promise} Resolves when the board is connected
+   */
+  async connect() {
+    if (!this.board.connected) {
+      await this.board.connect();
+    }
+    return true;
+  }
+
+  /**
+   * Reconnect the board this stick belongs to
+   * @returns {Promise<boolean>} True if the board is connected
+   */
+  async autoConnect() {
+    return this.board.connected || this.board.autoConnect();
+  }
+
+  /**
+   * Release the stick; the board stays connected
+   */
+  async disconnect() {
+    this.detach();
+    return true;
+  }
+
+  /**
+   * The port belongs to the board
+   * @returns {boolean} Always false
+   */
+  canWrite() {
+    return false;
+  }
+
+  /**
+   * Board commands go through the board's own controller
+   * @returns {boolean} Always false
+   */
+  supportsCommands() {
+    return false;
+  }
+}
+
+export default SerialStick;
@@ -0,0 +1,38 @@
+/**
+ * Stored Settings
+ *
+ * Small settings objects (touch controls, gestures, the pause menu's game
+ * settings) are kept in localStorage as JSON. Saved values are merged over
+ * the defaults, so a setting added later starts out at its default.
+ */
+
+/**
+ * Read the saved settings merged over the defaults
+ * @param {string} key - localStorage key
+ * @param {object} defaults - Default settings
+ * @param {string} label - What the settings are for (used in error messages)
+ * @returns {object} The settings
+ */
+export function loadSettings(key, defaults, label = 'settings') {
+  try {
+    const saved = localStorage.getItem(key);
+    return { ...defaults, ...(saved ? JSON.parse(saved) : {}) };
+  } catch (err) {
+    console.error(`Failed to load ${label}:`, err);
+    return { ...defaults };
+  }
+}
+
+/**
+ * Remember settings between visits
+ * @param {string} key - localStorage key
+ * @param {object} settings - The settings to store
+ * @param {string} label - What the settings are for (used in error messages)
+ */
+export function saveSettings(key, settings, label = 'settings') {
+  try {
+    localStorage.setItem(key, JSON.stringify(settings));
+  } catch (err) {
+    console.error(`Failed to save ${label}:`, err);
+  }
+}
@@ -0,0 +1,388 @@
+/**
+ * On-screen Touch Controls for the 3D Car Racing Game
+ *
+ * Draws a virtual analog stick and GAS/BRAKE/BOOST/DRIFT buttons over the game so
+ * tablets and touch kiosks can play without a controller. Every control tracks
+ * its own pointers, so steering and pressing a pedal with two fingers works.
+ */
+
+import { loadSettings, saveSettings } from './stored-settings.js';
+
+// Where the layout and size are remembered between visits
+const TOUCH_SETTINGS_KEY = 'touchControlsSettings';
+
+const DEFAULT_SETTINGS = {
+  side: 'left',   // Side of the screen the stick is on ('left' or 'right'), buttons go on the other
+  size: 1,        // Scale of the stick and buttons (0.6 - 1.6)
+  opacity: 0.6,   // Opacity of the controls while not pressed
+  margin: 30      // Distance from the screen edges in px
+};
+
+// Base sizes in px at size 1
+const STICK_SIZE = 150;
+const KNOB_SIZE = 64;
+const BUTTON_SIZE = 90;
+
+class TouchControls {
+  /**
+   * @param {object} settings - Overrides for the saved settings (not stored)
+   */
+  constructor(settings = {}) {
+    this.settings = { ...loadSettings(TOUCH_SETTINGS_KEY, DEFAULT_SETTINGS, 'touch control settings'), ...settings };
+
+    // Normalized values
+    this.steer = 0;
+    this.throttle = 0;
+    this.brake = 0;
+    this.boost = false;
+    this.handbrake = false;
+
+    // Stick position (-1 to 1, y is positive when pushed up) and the pointer holding it
+    this.stickX = 0;
+    this.stickY = 0;
+    this.stickPointerId = null;
+
+    // Pointers currently pressing each button
+    this.buttonPointers = {
+      throttle: new Set(),
+      brake: new Set(),
+      boost: new Set(),
+      handbrake: new Set()
+    };
+
+    // Callback function to process touch data
+    this.onJoystickData = null;
+
+    // Whether the controls are on screen
+    this.visible = false;
+
+    // DOM elements (created on first show)
+    this.root = null;
+    this.stickBase = null;
+    this.stickKnob = null;
+    this.buttons = {};
+  }
+
+  /**
+   * The controls only deliver input while they are on screen
+   * @returns {boolean} True if visible
+   */
+  get connected() {
+    return this.visible;
+  }
+
+  /**
+   * Create the overlay and its controls
+   */
+  createElements() {
+    const root = document.createElement('div');
+    root.id = 'touch-controls';
+    root.style.position = 'absolute';
+    root.style.top = '0';
+    root.style.left = '0';
+    root.style.width = '100%';
+    root.style.height = '100%';
+    root.style.pointerEvents = 'none'; // Only the controls themselves catch touches
+    root.style.zIndex = '800';
+    root.style.display = 'none';
+
+    // Stick base with its knob
+    const stickBase = document.createElement('div');
+    stickBase.id = 'touch-stick';
+    stickBase.style.position = 'absolute';
+    stickBase.style.borderRadius = '50%';
+    stickBase.style.background = 'rgba(255, 255, 255, 0.15)';
+    stickBase.style.border = '2px solid rgba(255, 255, 255, 0.5)';
+    stickBase.style.pointerEvents = 'auto';
+    stickBase.style.touchAction = 'none';
+
+    const stickKnob = document.createElement('div');
+    stickKnob.style.position = 'absolute';
+    stickKnob.style.top = '50%';
+    stickKnob.style.left = '50%';
+    stickKnob.style.borderRadius = '50%';
+    stickKnob.style.background = 'rgba(255, 255, 255, 0.8)';
+    stickKnob.style.pointerEvents = 'none';
+    stickBase.appendChild(stickKnob);
+
+    stickBase.addEventListener('pointerdown', (event) => this.handleStickDown(event));
+    stickBase.addEventListener('pointermove', (event) => this.handleStickMove(event));
+    stickBase.addEventListener('pointerup', (event) => this.handleStickUp(event));
+    stickBase.addEventListener('pointercancel', (event) => this.handleStickUp(event));
+
+    root.appendChild(stickBase);
+
+    // Pedal, boost and handbrake buttons
+    const createButton = (name, label, color) => {
+      const button = document.createElement('div');
+      button.id = `touch-${name}-btn`;
+      button.textContent = label;
+      button.style.position = 'absolute';
+      button.style.display = 'flex';
+      button.style.alignItems = 'center';
+      button.style.justifyContent = 'center';
+      button.style.borderRadius = '50%';
+      button.style.background = color;
+      button.style.color = 'white';
+      button.style.fontFamily = 'Arial, sans-serif';
+      button.style.fontWeight = 'bold';
+      button.style.userSelect = 'none';
+      button.style.webkitUserSelect = 'none';
+      button.style.pointerEvents = 'auto';
+      button.style.touchAction = 'none';
+
+      button.addEventListener('pointerdown', (event) => this.handleButton(event, name, true));
+      button.addEventListener('pointerup', (event) => this.handleButton(event, name, false));
+      button.addEventListener('pointercancel', (event) => this.handleButton(event, name, false));
+      // A finger sliding off the button lets go of it
+      button.addEventListener('pointerleave', (event) => this.handleButton(event, name, false));
+
+      root.appendChild(button);
+      this.buttons[name] = button;
+    };
+
+    createButton('throttle', 'GAS', 'rgba(39, 174, 96, 0.9)');
+    createButton('brake', 'BRAKE', 'rgba(192, 57, 43, 0.9)');
+    createButton('boost', 'BOOST', 'rgba(230, 126, 34, 0.9)');
+    createButton('handbrake', 'DRIFT', 'rgba(142, 68, 173, 0.9)');
+
+    // Keep long presses from opening the context menu
+    root.addEventListener('contextmenu', (event) => event.preventDefault());
+
+    this.root = root;
+    this.stickBase = stickBase;
+    this.stickKnob = stickKnob;
+
+    this.applyLayout();
+  }
+
+  /**
+   * Position and size the controls from the settings
+   */
+  applyLayout() {
+    if (!this.root) return;
+
+    const { side, size, opacity, margin } = this.settings;
+    const stickSide = side === 'right' ? 'right' : 'left';
+    const buttonSide = stickSide === 'left' ? 'right' : 'left';
+
+    const stickSize = STICK_SIZE * size;
+    const knobSize = KNOB_SIZE * size;
+    const buttonSize = BUTTON_SIZE * size;
+    const gap = 15 * size;
+
+    this.stickBase.style.width = `${stickSize}px`;
+    this.stickBase.style.height = `${stickSize}px`;
+    this.stickBase.style.bottom = `${margin}px`;
+    this.stickBase.style.left = this.stickBase.style.right = '';
+    this.stickBase.style[stickSide] = `${margin}px`;
+    this.stickBase.style.opacity = String(opacity);
+
+    this.stickKnob.style.width = `${knobSize}px`;
+    this.stickKnob.style.height = `${knobSize}px`;
+    this.stickKnob.style.marginLeft = `${-knobSize / 2}px`;
+    this.stickKnob.style.marginTop = `${-knobSize / 2}px`;
+
+    // GAS next to the screen edge, BRAKE inside it, BOOST above GAS and DRIFT (the handbrake) above BRAKE
+    const positions = {
+      throttle: { bottom: margin, edge: margin, scale: 1.2 },
+      brake: { bottom: margin, edge: margin + buttonSize * 1.2 + gap, scale: 1 },
+      boost: { bottom: margin + buttonSize * 1.2 + gap, edge: margin + buttonSize * 0.1, scale: 1 },
+      handbrake: { bottom: margin + buttonSize + gap, edge: margin + buttonSize * 1.2 + gap, scale: 1 }
+    };
+
+    for (const [name, position] of Object.entries(positions)) {
+      const button = this.buttons[name];
+      const diameter = buttonSize * position.scale;
+      button.style.width = `${diameter}px`;
+      button.style.height = `${diameter}px`;
+      button.style.fontSize = `${Math.round(16 * size)}px`;
+      button.style.bottom = `${position.bottom}px`;
+      button.style.left = button.style.right = '';
+      button.style[buttonSide] = `${position.edge}px`;
+      button.style.opacity = this.buttonPointers[name].size > 0 ? '1' : String(opacity);
+    }
+  }
+
+  /**
+   * Change the placement or size and remember it
+   * @param {object} settings - Any of side, size, opacity, margin
+   */
+  configure(settings) {
+    this.settings = { ...this.settings, ...settings };
+    this.settings.size = Math.max(0.6, Math.min(1.6, Number(this.settings.size) || 1));
+    this.settings.opacity = Math.max(0.2, Math.min(1, Number(this.settings.opacity) || DEFAULT_SETTINGS.opacity));
+
+    saveSettings(TOUCH_SETTINGS_KEY, this.settings, 'touch control settings');
+
+    this.applyLayout();
+  }
+
+  /**
+   * Put the controls on screen
+   * @param {HTMLElement} container - Element to draw them in (defaults to game-container)
+   */
+  show(container = document.getElementById('game-container')) {
+    if (!this.root) this.createElements();
+    if (!this.root.isConnected && container) container.appendChild(this.root);
+
+    if (this.visible) return;
+    this.visible = true;
+    this.root.style.display = 'block';
+    console.log('Touch controls shown');
+  }
+
+  /**
+   * Take the controls off screen and release everything they were pressing
+   */
+  hide() {
+    if (!this.visible) return;
+    this.visible = false;
+    if (this.root) this.root.style.display = 'none';
+
+    this.stickPointerId = null;
+    for (const pointers of Object.values(this.buttonPointers)) {
+      pointers.clear();
+    }
+    this.resetValues();
+    console.log('Touch controls hidden');
+  }
+
+  /**
+   * Start steering with the finger that touched the stick
+   * @param {PointerEvent} event - The pointer event
+   */
+  handleStickDown(event) {
+    event.preventDefault();
+    if (this.stickPointerId !== null) return;
+
+    this.stickPointerId = event.pointerId;
+    this.stickBase.setPointerCapture(event.pointerId);
+    this.handleStickMove(event);
+  }
+
+  /**
+   * Move the knob under the finger, clamped to the base
+   * @param {PointerEvent} event - The pointer event
+   */
+  handleStickMove(event) {
+    if (event.pointerId !== this.stickPointerId) return;
+    event.preventDefault();
+
+    const rect = this.stickBase.getBoundingClientRect();
+    const radius = rect.width / 2;
+    let x = (event.clientX - (rect.left + radius)) / radius;
+    let y = -(event.clientY - (rect.top + radius)) / radius;
+
+    // Keep the knob inside the circle
+    const length = Math.hypot(x, y);
+    if (length > 1) {
+      x /= length;
+      y /= length;
+    }
+
+    this.setStick(x, y);
+  }
+
+  /**
+   * Let go of the stick and spring it back to center
+   * @param {PointerEvent} event - The pointer event
+   */
+  handleStickUp(event) {
+    if (event.pointerId !== this.stickPointerId) return;
+    this.stickPointerId = null;
+    this.setStick(0, 0);
+  }
+
+  /**
+   * Update the stick position and the knob
+   * @param {number} x - Horizontal position (-1 to 1)
+   * @param {number} y - Vertical position (-1 to 1, up is positive)
+   */
+  setStick(x, y) {
+    this.stickX = x;
+    this.stickY = y;
+
+    const travel = (STICK_SIZE - KNOB_SIZE) / 2 * this.settings.size;
+    this.stickKnob.style.transform = `translate(${x * travel}px, ${-y * travel}px)`;
+
+    this.updateValues();
+  }
+
+  /**
+   * Track which fingers are pressing a button
+   * @param {PointerEvent} event - The pointer event
+   * @param {string} name - Button name (throttle, brake, boost or handbrake)
+   * @param {boolean} pressed - True when the finger goes down
+   */
+  handleButton(event, name, pressed) {
+    event.preventDefault();
+
+    const pointers = this.buttonPointers[name];
+    if (pressed) {
+      pointers.add(event.pointerId);
+    } else if (!pointers.delete(event.pointerId)) {
+      return;
+    }
+
+    this.buttons[name].style.opacity = pointers.size > 0 ? '1' : String(this.settings.opacity);
+    this.updateValues();
+  }
+
+  /**
+   * Combine the stick and buttons into normalized values and notify the callback.
+   * The stick's vertical axis also works as throttle and brake, like a joystick.
+   */
+  updateValues() {
+    this.steer = this.stickX;
+    this.throttle = this.buttonPointers.throttle.size > 0 ? 1 : Math.max(0, this.stickY);
+    this.brake = this.buttonPointers.brake.size > 0 ? 1 : Math.max(0, -this.stickY);
+    this.boost = this.buttonPointers.boost.size > 0;
+    this.handbrake = this.buttonPointers.handbrake.size > 0;
+    this.notify();
+  }
+
+  /**
+   * Send the current values to the callback
+   */
+  notify() {
+    if (this.onJoystickData) {
+      this.onJoystickData({
+        steer: this.steer,
+        throttle: this.throttle,
+        brake: this.brake,
+        boost: this.boost,
+        handbrake: this.handbrake
+      });
+    }
+  }
+
+  /**
+   * Reset all inputs to neutral and notify the callback
+   */
+  resetValues() {
+    this.stickX = 0;
+    this.stickY = 0;
+    if (this.stickKnob) this.stickKnob.style.transform = '';
+    if (this.root) this.applyLayout();
+    this.updateValues();
+  }
+
+  /**
+   * Set the callback function for touch data
+   * @param {Function} callback - Function to call with touch data
+   */
+  setJoystickDataCallback(callback) {
+    this.onJoystickData = callback;
+  }
+
+  /**
+   * Check if the device has a touchscreen
+   * @returns {boolean} True if touch input is available
+   */
+  static isSupported() {
+    return 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+  }
+}
+
+export default TouchControls;
@@ -0,0 +1,303 @@
+/**
+ * WebSocket Joystick Controller
+ *
+ * Drives the game from the serial bridge (bridge/serial-bridge.js) instead of
+ * Web Serial, so browsers without Web Serial (Firefox, Safari) and other
+ * machines on the LAN can use the joystick. The bridge parses the serial
+ * stream itself; this controller receives the samples and runs them through
+ * the same calibration, response shaping, handshake and command handling as
+ * SerialController, so it can be used anywhere a SerialController is.
+ */
+
+import SerialController from './serial-controller.js';
+import {
+  BRIDGE_PROTOCOL_VERSION,
+  encodeBridgeMessage,
+  parseBridgeMessage,
+  getDefaultBridgeUrl
+} from './bridge-protocol.js';
+
+class WebSocketController extends SerialController {
+  /**
+   * @param {string} url - Bridge address (defaults to port 8765 on the page's host)
+   */
+  constructor(url = getDefaultBridgeUrl()) {
+    super();
+
+    this.url = url;
+    this.socket = null;
+    this.bridgeTimeout = 3000;
+
+    // Last hello from the bridge and frame statistics it reported
+    this.bridgeInfo = null;
+    this.bridgeStats = null;
+  }
+
+  /**
+   * Open the socket and wait for the bridge's hello
+   * @param {string} url - Bridge address
+   * @returns {Promise<object>} The hello message
+   */
+  openSocket(url) {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(url);
+      let settled = false;
+
+      const fail = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        reject(error);
+      };
+
+      const timer = setTimeout(() => {
+        fail(new Error(`No reply from the joystick bridge at ${url}`));
+        socket.close();
+      }, this.bridgeTimeout);
+
+      socket.addEventListener('message', (event) => {
+        const message = parseBridgeMessage(event.data);
+        if (!message) {
+          console.warn('Invalid bridge message:', event.data);
+          return;
+        }
+
+        if (message.type === 'hello' && !settled) {
+          settled = true;
+          clearTimeout(timer);
+
+          if (message.version !== BRIDGE_PROTOCOL_VERSION) {
+            console.warn(`Bridge protocol version ${message.version}, expected ${BRIDGE_PROTOCOL_VERSION}`);
+          }
+
+          this.socket = socket;
+          this.bridgeInfo = message;
+          resolve(message);
+        }
+
+        if (this.socket === socket) {
+          this.handleBridgeMessage(message);
+        }
+      });
+
+      socket.addEventListener('error', () => {
+        fail(new Error(`Could not reach the joystick bridge at ${url}. Is it running?`));
+      });
+
+      socket.addEventListener('close', () => {
+        fail(new Error('The joystick bridge closed the connection'));
+
+        if (this.socket === socket) {
+          this.socket = null;
+          if (this.connected) {
+            console.warn('Joystick bridge went away');
+            this.handleConnectionLost();
+          }
+        }
+      });
+    });
+  }
+
+  /**
+   * Handle one message from the bridge
+   * @param {object} message - Parsed bridge message
+   */
+  handleBridgeMessage(message) {
+    switch (message.type) {
+      case 'hello':
+      case 'status':
+        if (message.connected && !this.connected) {
+          this.handleJoystickConnected(message.port);
+        } else if (!message.connected && this.connected) {
+          this.handleConnectionLost();
+        } else if (!message.connected) {
+          this.updateDebugElement('Bridge is running, waiting for the joystick...', 'yellow');
+        }
+        break;
+
+      case 'sample':
+        if (!this.connected) return;
+        if (message.protocol === 'binary' && this.protocol !== 'binary') {
+          console.log('Arduino is sending binary frames');
+          this.protocol = 'binary';
+        }
+        this.processStickValues(message.stick || 0, message.x, message.y, message.buttons & 1);
+        break;
+
+      case 'line':
+        this.processFirmwareMessage(message.line);
+        break;
+
+      case 'stats':
+        this.bridgeStats = message;
+        break;
+
+      default:
+        console.log('Unknown bridge message:', message);
+    }
+  }
+
+  /**
+   * Start using the joystick the bridge reported
+   * @param {object} portInfo - { path, usbVendorId, usbProductId }
+   */
+  handleJoystickConnected(portInfo) {
+    this.protocol = 'csv';
+    this.bridgeStats = null;
+
+    // Profiles use the same USB ids as a Web Serial connection
+    this.loadProfile(portInfo);
+
+    this.connected = true;
+    const name = this.bridgeInfo && this.bridgeInfo.fake ? 'fake joystick' : portInfo.path;
+    this.completeConnection(`Connected to joystick bridge (${name})`);
+  }
+
+  /**
+   * Connect to the joystick through the bridge
+   * @param {string} url - Bridge address
+   * @returns {Promise} Resolves when connected, rejects on error
+   */
+  async connect(url = this.url) {
+    this.debugElement = document.getElementById('joystick-debug');
+
+    if (!WebSocketController.isSupported()) {
+      const errorMsg = 'WebSockets are not available in this browser.';
+      this.updateDebugElement(errorMsg, 'red');
+      throw new Error(errorMsg);
+    }
+
+    this.url = url;
+    this.updateDebugElement(`Connecting to joystick bridge at ${url}...`, 'yellow');
+
+    try {
+      const hello = await this.openSocket(url);
+
+      if (!hello.connected) {
+        this.closeSocket();
+        throw new Error('The joystick bridge is running, but no joystick is plugged into it');
+      }
+
+      return true;
+    } catch (err) {
+      console.error('Failed to connect to joystick bridge:', err);
+      this.updateDebugElement('Failed to connect: ' + err.message, 'red');
+      throw err;
+    }
+  }
+
+  /**
+   * Connect if a bridge with a joystick is already running
+   * @returns {Promise<boolean>} True if connected
+   */
+  async autoConnect() {
+    try {
+      const hello = await this.openSocket(this.url);
+      if (hello.connected) return true;
+
+      this.closeSocket();
+    } catch (err) {
+      console.log('No joystick bridge for auto-connect:', err.message);
+    }
+    return false;
+  }
+
+  /**
+   * Close the socket without treating it as a lost controller
+   */
+  closeSocket() {
+    const socket = this.socket;
+    this.socket = null;
+    if (socket) socket.close();
+  }
+
+  /**
+   * Wait for the joystick to come back, reopening the socket if the bridge went away
+   */
+  async attemptReconnect() {
+    if (!this.reconnecting || this.reconnectInProgress) return;
+
+    // The bridge reports the joystick coming back by itself
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.scheduleReconnect();
+      return;
+    }
+
+    this.reconnectInProgress = true;
+    try {
+      await this.openSocket(this.url);
+      return;
+    } catch (err) {
+      console.warn(`Reconnect attempt ${this.reconnectAttempt} failed:`, err.message);
+    } finally {
+      this.reconnectInProgress = false;
+    }
+
+    if (this.reconnecting) {
+      this.scheduleReconnect();
+    }
+  }
+
+  /**
+   * Stop waiting for a lost joystick and let go of the bridge
+   */
+  cancelReconnect() {
+    if (this.reconnecting) {
+      this.closeSocket();
+    }
+    super.cancelReconnect();
+  }
+
+  canWrite() {
+    // A port handed to connectToPort() (e.g. a MockSerialPort) is used directly
+    if (this.port) return super.canWrite();
+    return !!(this.socket && this.socket.readyState === WebSocket.OPEN);
+  }
+
+  /**
+   * Send a line of text to the board through the bridge
+   * @param {string} text - The text to send (the bridge adds the newline)
+   * @returns {Promise<boolean>} True if the line was sent
+   */
+  async sendLine(text) {
+    if (this.port) return super.sendLine(text);
+    if (!this.canWrite()) return false;
+
+    this.socket.send(encodeBridgeMessage('write', { line: text }));
+    return true;
+  }
+
+  getFrameStats() {
+    const stats = this.bridgeStats || {};
+    return {
+      protocol: this.protocol,
+      framesReceived: stats.framesReceived || 0,
+      droppedFrames: stats.droppedFrames || 0,
+      corruptFrames: stats.corruptFrames || 0
+    };
+  }
+
+  /**
+   * Disconnect from the bridge
+   * @returns {Promise<boolean>} True when disconnected
+   */
+  async disconnect() {
+    this.closeSocket();
+    return super.disconnect();
+  }
+
+  /**
+   * Recording needs the raw byte stream, which stays on the bridge
+   */
+  addRecordButton() {}
+
+  /**
+   * Check if WebSockets are available in the current browser
+   * @returns {boolean} True if WebSockets are supported
+   */
+  static isSupported() {
+    return typeof WebSocket !== 'undefined';
+  }
+}
+
+export default WebSocketController;
@@ -0,0 +1,83 @@
+/**
+ * FrameParser: binary frames mixed with CSV and debug text (npm test).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FrameParser, FRAME_START, encodeJoystickFrame } from '../src/serial-protocol.js';
+
+const encoder = new TextEncoder();
+
+/**
+ * Create a parser that collects everything it emits
+ * @returns {object} { parser, frames, text() }
+ */
+function createParser() {
+  const parser = new FrameParser();
+  const frames = [];
+  let text = '';
+  parser.onFrame = (frame) => frames.push(frame);
+  parser.onText = (chunk) => { text += chunk; };
+  return { parser, frames, text: () => text };
+}
+
+test('separates frames from the text around them', () => {
+  const { parser, frames, text } = createParser();
+
+  parser.push(encoder.encode('Ready\n'));
+  parser.push(encodeJoystickFrame(0, 600, 400, 1));
+  parser.push(encoder.encode('@ACK 1\n'));
+
+  assert.equal(text(), 'Ready\n@ACK 1\n');
+  assert.equal(frames.length, 1);
+  assert.deepEqual([...frames[0].payload], [600 & 0xFF, 600 >> 8, 400 & 0xFF, 400 >> 8, 1]);
+});
+
+test('reassembles a frame split across chunks', () => {
+  const { parser, frames, text } = createParser();
+  const frame = encodeJoystickFrame(7, 1023, 0, 0);
+
+  for (const byte of frame) {
+    parser.push(Uint8Array.of(byte));
+  }
+
+  assert.equal(frames.length, 1);
+  assert.equal(frames[0].sequence, 7);
+  assert.equal(text(), '');
+});
+
+test('drops a frame with a bad CRC and keeps the next one', () => {
+  const { parser, frames, text } = createParser();
+  const corrupt = encodeJoystickFrame(1, 512, 512, 0);
+  corrupt[corrupt.length - 1] ^= 0xFF;
+
+  parser.push(corrupt);
+  parser.push(encodeJoystickFrame(2, 100, 200, 0));
+
+  assert.equal(parser.corruptFrames, 1);
+  assert.deepEqual(frames.map(frame => frame.sequence), [2]);
+  assert.equal(text(), '');
+});
+
+test('a stray start byte in CSV text only drops the line it is in', () => {
+  const { parser, text } = createParser();
+
+  parser.push(encoder.encode('512,512,0\n'));
+  parser.push(Uint8Array.of(FRAME_START, 0x33, 0x00, 0x40));
+  parser.push(encoder.encode('600,512,0\n700,512,0\n@ACK 1 x=512;y=512\n'));
+
+  assert.equal(parser.corruptFrames, 1);
+  assert.equal(text(), '512,512,0\n700,512,0\n@ACK 1 x=512;y=512\n');
+});
+
+test('counts frames missing from the sequence, across the wrap', () => {
+  const { parser } = createParser();
+
+  parser.push(encodeJoystickFrame(253, 512, 512, 0));
+  parser.push(encodeJoystickFrame(254, 512, 512, 0));
+  parser.push(encodeJoystickFrame(1, 512, 512, 0)); // 255 and 0 lost
+
+  assert.equal(parser.framesReceived, 3);
+  assert.equal(parser.droppedFrames, 2);
+});
@@ -0,0 +1,43 @@
+/**
+ * GestureRecognizer stick flicks (npm test).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import GestureRecognizer from '../src/gesture-recognizer.js';
+
+const NEUTRAL = { steer: 0, throttle: 0, brake: 0, buttons: {} };
+const FULL_THROTTLE = { steer: 0, throttle: 1, brake: 0, buttons: {} };
+
+/**
+ * Create a recognizer that records its flick-up actions
+ * @returns {object} { gestures, flicks }
+ */
+function createGestures() {
+  const gestures = new GestureRecognizer();
+  const flicks = [];
+  gestures.bind('flick-up', 'camera');
+  gestures.on('camera', (event) => flicks.push(event));
+  return { gestures, flicks };
+}
+
+test('a quick push of an analog stick is a flick', () => {
+  const { gestures, flicks } = createGestures();
+
+  gestures.update(NEUTRAL, 0);
+  gestures.update(FULL_THROTTLE, 20);
+  gestures.update(NEUTRAL, 180);
+
+  assert.equal(flicks.length, 1);
+});
+
+test('a short throttle tap from keys or buttons is not a flick', () => {
+  const { gestures, flicks } = createGestures();
+
+  gestures.update(NEUTRAL, 0, false);
+  gestures.update(FULL_THROTTLE, 20, false);
+  gestures.update(NEUTRAL, 200, false);
+
+  assert.equal(flicks.length, 0);
+});
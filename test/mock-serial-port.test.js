@@ -0,0 +1,100 @@
+/**
+ * Drives the SerialController with a MockSerialPort in Node (npm test).
+ * Only the few browser globals the controller touches are stubbed here.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import MockSerialPort, { demoFirmwareResponder } from '../src/mock-serial-port.js';
+
+let SerialController;
+
+before(async () => {
+  const storage = new Map();
+  const document = new EventTarget();
+  document.getElementById = () => null;
+
+  Object.defineProperty(globalThis, 'navigator', { value: { serial: new EventTarget() }, configurable: true });
+  globalThis.document = document;
+  globalThis.localStorage = {
+    getItem: (key) => storage.has(key) ? storage.get(key) : null,
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: (key) => storage.delete(key)
+  };
+
+  // Imported after the stubs exist
+  ({ default: SerialController } = await import('../src/serial-controller.js'));
+});
+
+after(() => {
+  delete globalThis.document;
+  delete globalThis.localStorage;
+  delete globalThis.navigator;
+});
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Checked every few ms
+ * @param {number} timeout - Give up after this many ms
+ */
+async function waitFor(condition, timeout = 2000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) throw new Error('Timed out');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * Create a controller that leaves the page's shared buttons alone
+ * @returns {SerialController} The controller
+ */
+function createController() {
+  const controller = new SerialController({ portStorageKey: 'testSerialPort', primary: false });
+  controller.handshakeTimeout = 200;
+  return controller;
+}
+
+test('reads CSV samples and answers the handshake', async () => {
+  const script = function* () {
+    yield { delay: 0, data: '900,512,1\n' };
+  };
+  const port = MockSerialPort.fromScript(script, { speed: Infinity, loop: true, respond: demoFirmwareResponder });
+  const controller = createController();
+
+  await controller.connectToPort(port);
+  await waitFor(() => controller.firmwareInfo !== null);
+  await waitFor(() => controller.buttonPressed);
+
+  assert.equal(controller.firmwareInfo.name, 'mock_joystick');
+  assert.ok(port.written.includes('?INFO'));
+  assert.ok(controller.roll > 0);
+
+  await controller.disconnect();
+});
+
+test('simulateDisconnect reaches the controller through navigator.serial', async () => {
+  const script = function* () {
+    yield { delay: 0, data: '512,512,0\n' };
+  };
+  const port = MockSerialPort.fromScript(script, { speed: Infinity, loop: true, respond: demoFirmwareResponder });
+  const controller = createController();
+
+  let lost = false;
+  document.addEventListener('controller-lost', () => { lost = true; }, { once: true });
+
+  let disconnectTarget = null;
+  navigator.serial.addEventListener('disconnect', (event) => { disconnectTarget = event.target; }, { once: true });
+
+  await controller.connectToPort(port);
+  port.simulateDisconnect();
+
+  assert.equal(disconnectTarget, port);
+  await waitFor(() => lost);
+  assert.equal(controller.connected, false);
+  assert.equal(controller.reconnecting, true);
+
+  controller.cancelReconnect();
+  await controller.disconnect();
+});
@@ -0,0 +1,20 @@
+import { defineConfig } from 'vite';
+import basicSsl from '@vitejs/plugin-basic-ssl';
+import { phoneRelayPlugin } from './bridge/phone-relay.js';
+
+export default defineConfig(({ mode }) => ({
+  plugins: [
+    // Pairs phones (phone.html) with the running game
+    phoneRelayPlugin(),
+    // Phones only report tilt on secure pages, so "npm run dev:phone" serves HTTPS
+    ...(mode === 'phone' ? [basicSsl()] : [])
+  ],
+  build: {
+    rollupOptions: {
+      input: {
+        main: 'index.html',
+        phone: 'phone.html'
+      }
+    }
+  }
+}));